@@ -1,13 +1,114 @@
 // background.js (Bundler Version)
 console.log('[Background] Service Worker started (Bundled Monaco Mode).');
 
+const LeetCodeStorage = require('./shared/storage.js');
+const LeetCodePreferences = require('./shared/preferences.js');
+const LeetCodeThemes = require('./shared/themes.js');
+const LeetCodeSnippets = require('./shared/snippets.js');
+const { Parser, Language } = require('web-tree-sitter');
+const prettier = require('prettier/standalone');
+const prettierBabel = require('prettier/plugins/babel');
+const prettierEstree = require('prettier/plugins/estree');
+const prettierTypeScript = require('prettier/plugins/typescript');
+const { default: initClangFormat, format: clangFormat } = require('@wasm-fmt/clang-format/web');
+const { default: initRuff, format: ruffFormat } = require('@wasm-fmt/ruff_fmt/web');
+
 // --- State ---
 const tabSlugs = {};
+const syntaxTrees = {}; // tabId -> { languageId, prefix, text, version, tree } (last parse, reused incrementally)
 
 // --- Constants ---
 const POLLING_INTERVAL_MS = 300;
 const MAX_POLLING_ATTEMPTS = 40; // ~12 seconds
 const SCRIPT_INJECTION_WORLD = 'MAIN';
+const ORIGINAL_EDITOR_SELECTOR = '#editor'; // LeetCode's original editor container
+// --- !!! FRAGILE SELECTORS - ADJUST IF LEETCODE UI CHANGES !!! ---
+const LEETCODE_RUN_BUTTON_SELECTOR = '[data-e2e-locator="console-run-button"]';
+const LEETCODE_ACTION_BUTTON_SELECTORS = `${LEETCODE_RUN_BUTTON_SELECTOR}, [data-e2e-locator="console-submit-button"]`;
+// LeetCode's testcase input (the Testcase tab's editor, or its textarea) that Run reads from
+const LEETCODE_TESTCASE_INPUT_SELECTOR = '[data-e2e-locator="console-testcase-input"], [data-e2e-locator="console-testcase-source"]';
+const RUN_SUBMIT_EVENT_NAME = '__monaco_run_submit__'; // Dispatched in the page right before Run/Submit ({ action: 'run' | 'submit' })
+// Page-world modules, injected in order after the editor exists (paths relative to the extension root)
+const PAGE_SCRIPT_FILES = [
+    'page_scripts/page_runtime.js',
+    'page_scripts/themes.js',
+    'page_scripts/history_panel.js',
+    'page_scripts/keybindings.js',
+    'page_scripts/snippets.js',
+    'page_scripts/typings.js',
+    'page_scripts/code_analysis.js',
+    'page_scripts/starter_definitions.js',
+    'page_scripts/library_intellisense.js',
+    'page_scripts/document_symbols.js',
+    'page_scripts/scope_analysis.js',
+    'page_scripts/syntax_diagnostics.js',
+    'page_scripts/python_analyzer.js',
+    'page_scripts/formatting.js',
+    'page_scripts/io_codec.js',
+    'page_scripts/testcase_manager.js',
+    'page_scripts/python_runner.js',
+    'page_scripts/test_runner.js',
+    'page_scripts/input_generator.js',
+    'page_scripts/stress_test.js',
+];
+// Declarations for LeetCode's JS/TS runtime globals (copied to dist/typings by webpack)
+const TYPING_FILES = [
+    'typings/leetcode-nodes.d.ts',
+    'typings/datastructures-js.d.ts',
+    'typings/lodash.d.ts',
+];
+// Offline standard-library docs by Monaco language ID (copied to dist/library_data by webpack)
+const LIBRARY_DATA_FILES = {
+    cpp: 'library_data/cpp.json',
+    java: 'library_data/java.json',
+    python: 'library_data/python.json',
+    go: 'library_data/go.json',
+};
+// tree-sitter grammars by Monaco language ID (copied to dist/grammars by webpack)
+const TREE_SITTER_GRAMMARS = {
+    python: 'grammars/tree-sitter-python.wasm',
+    java: 'grammars/tree-sitter-java.wasm',
+    cpp: 'grammars/tree-sitter-cpp.wasm',
+    c: 'grammars/tree-sitter-c.wasm',
+    csharp: 'grammars/tree-sitter-c_sharp.wasm',
+    javascript: 'grammars/tree-sitter-javascript.wasm',
+    typescript: 'grammars/tree-sitter-typescript.wasm',
+    php: 'grammars/tree-sitter-php.wasm',
+    swift: 'grammars/tree-sitter-swift.wasm',
+    kotlin: 'grammars/tree-sitter-kotlin.wasm',
+    dart: 'grammars/tree-sitter-dart.wasm',
+    go: 'grammars/tree-sitter-go.wasm',
+    ruby: 'grammars/tree-sitter-ruby.wasm',
+    scala: 'grammars/tree-sitter-scala.wasm',
+    rust: 'grammars/tree-sitter-rust.wasm',
+};
+const TREE_SITTER_RUNTIME_FILE = 'vendor/tree-sitter.wasm';
+const MAX_SYNTAX_DIAGNOSTICS = 100;
+// LeetCode's PHP template has no opening tag, without which tree-sitter-php reads the buffer as HTML text
+const PHP_OPEN_TAG = '<?php\n';
+// Python language server worker (copied to dist/workers by webpack), started by the page from a blob worker
+const PYTHON_ANALYZER_WORKER_FILE = 'workers/pyright.worker.js';
+// Pyodide distribution for running Python solutions locally (copied to dist/vendor/pyodide by webpack)
+const PYODIDE_DIRECTORY = 'vendor/pyodide/';
+// Bundled formatters by Monaco language ID, with the preference holding each language's style
+const FORMATTABLE_LANGUAGES = {
+    javascript: { formatter: 'prettier', styleField: 'formatStyleJavaScript' },
+    typescript: { formatter: 'prettier', styleField: 'formatStyleJavaScript' },
+    python: { formatter: 'ruff', styleField: 'formatStylePython' },
+    cpp: { formatter: 'clangFormat', styleField: 'formatStyleCpp' },
+    c: { formatter: 'clangFormat', styleField: 'formatStyleCpp' },
+    java: { formatter: 'clangFormat', styleField: 'formatStyleJava' },
+};
+// clang-format picks the language from the file name
+const CLANG_FORMAT_FILE_NAMES = { cpp: 'main.cpp', c: 'main.c', java: 'main.java' };
+// Formatter binaries (copied to dist/vendor by webpack)
+const CLANG_FORMAT_WASM_FILE = 'vendor/clang-format.wasm';
+const RUFF_WASM_FILE = 'vendor/ruff_fmt.wasm';
+// Vendored keymap libraries (copied to dist/vendor by webpack), injected only when that keymap is selected
+const KEYBINDING_VENDOR_FILES = {
+    vim: { file: 'vendor/monaco-vim.umd.js', globalName: 'MonacoVim' },
+    emacs: { file: 'vendor/monaco-emacs.js', globalName: 'MonacoEmacs' },
+};
 
 // --- Helper Functions (executeInMainWorld, pollForCondition) ---
 
@@ -69,6 +170,40 @@ async function executeInMainWorld(tabId, func, args = []) {
 }
 
 
+/**
+ * Injects script files into the MAIN world of a given tab.
+ * Used for page-world modules that are too large to pass inline via executeInMainWorld.
+ */
+async function injectFilesInMainWorld(tabId, files) {
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tabId, allFrames: false },
+            world: SCRIPT_INJECTION_WORLD,
+            files: files,
+        });
+    } catch (error) {
+        if (error.message.includes("No tab with id") || error.message.includes("Cannot access") || error.message.includes("Invalid tab ID") || error.message.includes("The tab was closed")) {
+            console.warn(`[Background] injectFilesInMainWorld failed for Tab ${tabId}: Tab closed or inaccessible.`);
+            throw new Error(`Tab ${tabId} closed or inaccessible during script execution.`);
+        }
+        console.error(`[Background] Error injecting files into MAIN world (Tab ${tabId}):`, files, error);
+        throw error;
+    }
+}
+
+/**
+ * Makes sure the vendored library for a keymap is loaded in the page (no-op for the default keymap).
+ */
+async function ensureKeybindingsLoaded(tabId, mode) {
+    const vendor = KEYBINDING_VENDOR_FILES[mode];
+    if (!vendor) return;
+    const isLoaded = await executeInMainWorld(tabId, (globalName) => !!window[globalName], [vendor.globalName]);
+    if (!isLoaded) {
+        console.log(`[Background] (Tab ${tabId}) Injecting '${mode}' keymap library: ${vendor.file}`);
+        await injectFilesInMainWorld(tabId, [vendor.file]);
+    }
+}
+
 /**
  * Polls a condition in the MAIN world of a tab until it's met or timeout/error occurs.
  */
@@ -131,10 +266,77 @@ async function pollForCondition(tabId, checkFunc, description) {
 }
 
 
+let typingLibsPromise = null; // Declaration files are read once per service worker lifetime
+
+/**
+ * Reads the bundled declaration files for LeetCode's JS/TS globals.
+ * @returns {Promise<Array<{fileName: string, content: string}>>} The declaration files.
+ */
+function loadTypingLibs() {
+    if (!typingLibsPromise) {
+        typingLibsPromise = Promise.all(TYPING_FILES.map(async (file) => {
+            const response = await fetch(chrome.runtime.getURL(file));
+            if (!response.ok) throw new Error(`Failed to read ${file}: HTTP ${response.status}`);
+            return { fileName: file.split('/').pop(), content: await response.text() };
+        })).catch(error => {
+            typingLibsPromise = null; // Retry on the next injection
+            throw error;
+        });
+    }
+    return typingLibsPromise;
+}
+
+let libraryDataPromise = null; // Library data is read once per service worker lifetime
+
+/**
+ * Reads the bundled standard-library data used for completion, hover and signature help.
+ * @returns {Promise<Object<string, object>>} Parsed library data by Monaco language ID.
+ */
+function loadLibraryData() {
+    if (!libraryDataPromise) {
+        libraryDataPromise = Promise.all(Object.entries(LIBRARY_DATA_FILES).map(async ([languageId, file]) => {
+            const response = await fetch(chrome.runtime.getURL(file));
+            if (!response.ok) throw new Error(`Failed to read ${file}: HTTP ${response.status}`);
+            return [languageId, await response.json()];
+        })).then(Object.fromEntries).catch(error => {
+            libraryDataPromise = null; // Retry on the next injection
+            throw error;
+        });
+    }
+    return libraryDataPromise;
+}
+
+/**
+ * Resolves a theme preference for the page: imported themes come with their definition,
+ * and a deleted imported theme falls back to following LeetCode's theme.
+ * @param {number} tabId - Tab the theme is for (for logging).
+ * @param {string} theme - Normalized theme preference.
+ * @returns {Promise<{theme: string, definition: object | null}>}
+ */
+async function resolveThemePreference(tabId, theme) {
+    if (!LeetCodePreferences.IMPORTED_THEME_PATTERN.test(theme)) {
+        return { theme, definition: null };
+    }
+    const importedThemes = await LeetCodeThemes.loadImportedThemes();
+    if (!importedThemes[theme]) {
+        console.warn(`[Background] (Tab ${tabId}) Imported theme '${theme}' no longer exists. Falling back to 'auto'.`);
+        return { theme: 'auto', definition: null };
+    }
+    return { theme, definition: importedThemes[theme].definition };
+}
+
+
 // --- Core Logic: Monaco Injection (Bundler Version) ---
 async function injectAndSetupMonaco(tabId, options, sendResponse) {
     // Destructure options - note 'language' will be 'javascript' due to content script override for this test run
-    const { containerId, language, theme, initialCode, problemSlug } = options;
+    const { containerId, language, initialCode, problemSlug } = options;
+    const problemData = options.problemData || null; // Example testcases for the local test runner
+    const preferences = LeetCodePreferences.normalize(options.preferences);
+    const theme = preferences.theme;
+    const preferenceEditorOptions = LeetCodePreferences.toEditorOptions(preferences);
+    // Code that didn't come from storage may be stale (e.g. page data after client-side navigation),
+    // so in that case LeetCode's own editor content wins on the first bridge sync.
+    const initialCodeFromStorage = options.initialCodeFromStorage === true;
     const saveEventName = options.saveEventName || '__monaco_save_code__';
 
     // Associate slug with tab ID for saving
@@ -163,7 +365,7 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
             // Ensure the 'initialCode' variable here in the background scope has the correct code string before passing it.
             console.log(`[Background] (Tab ${tabId}) Passing initialCode (length: ${initialCode?.length ?? 'N/A'}) to page.`);
     
-            await executeInMainWorld(tabId, (passedContainerId, passedLanguage, passedTheme, passedInitialCode) => {
+            await executeInMainWorld(tabId, (passedContainerId, passedLanguage, passedTheme, passedInitialCode, passedPreferenceOptions) => {
                 // --- START: Code Executed Inside LeetCode Page (MAIN World) ---
     
                 // 1. Confirm arguments received from background script
@@ -225,18 +427,33 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
                         throw new Error('window.monaco.editor.create disappeared unexpectedly!');
                     }
     
-                     // Define editor options, ensuring initialCode is used
+                     // LeetCode's "Python" (Python 2) gets its own language ID, see LEETCODE_LANGUAGE_MAP in the
+                     // content script. It borrows Python's highlighting through the lazy loader Monaco keeps on
+                     // the registered language; without one, Python 2 code is shown as plain text.
+                     if (!window.monaco.languages.getLanguages().some(language => language.id === 'python2')) {
+                         window.monaco.languages.register({ id: 'python2', aliases: ['Python 2'] });
+                         const python = window.monaco.languages.getLanguages().find(language => language.id === 'python');
+                         Promise.resolve(python?.loader?.()).then(module => {
+                             if (!module?.language) return;
+                             window.monaco.languages.setLanguageConfiguration('python2', module.conf);
+                             window.monaco.languages.setMonarchTokensProvider('python2', module.language);
+                         }).catch(error => console.warn('[PAGE BUNDLED] Could not load Python highlighting for Python 2:', error));
+                     }
+
+                     // Define editor options, ensuring initialCode is used.
+                     // User-configurable options (font, minimap, ...) come from the options page.
+                     // Custom themes ('auto', LeetCode themes, ...) are defined by page_scripts/themes.js in
+                     // Step 6, so start with the built-in theme closest to the page and switch then.
+                     const builtinThemes = ['vs', 'vs-dark', 'hc-black', 'hc-light'];
+                     const initialTheme = builtinThemes.includes(passedTheme) ? passedTheme
+                         : (document.documentElement.classList.contains('dark') ? 'vs-dark' : 'vs');
                      const editorOptions = {
+                        ...passedPreferenceOptions,
                         value: passedInitialCode, // Use the code passed from background
                         language: passedLanguage,
-                        theme: passedTheme,
+                        theme: initialTheme,
                         automaticLayout: true,
-                        minimap: { enabled: true },
-                        wordWrap: 'on',
                         scrollBeyondLastLine: false,
-                        fontSize: 14,
-                        quickSuggestions: { other: true, comments: true, strings: true },
-                        suggestOnTriggerCharacters: true,
                      };
     
                      // Log options right before creation, confirming code length again
@@ -245,7 +462,9 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
                          value: `(Code length CONFIRMED INSIDE PAGE SCRIPT: ${passedInitialCode?.length ?? 0})`
                      });
     
-                    // Create the Editor
+                    // Create the Editor. Listeners added by later steps register a disposable here
+                    // so the instance can be torn down cleanly (see teardownMonaco).
+                    window.leetCodeMonacoDisposables = [];
                     window.leetCodeMonacoInstance = window.monaco.editor.create(container, editorOptions);
     
                     if (!window.leetCodeMonacoInstance) {
@@ -282,9 +501,11 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
                            }
     
                            // Listen for unhandled promise rejections globally (might catch async worker issues)
-                           window.addEventListener('unhandledrejection', function(event) {
+                           const onUnhandledRejection = (event) => {
                                 console.error('[PAGE BUNDLED] --- UNHANDLED REJECTION DETECTED ---:', event.reason);
-                           });
+                           };
+                           window.addEventListener('unhandledrejection', onUnhandledRejection);
+                           window.leetCodeMonacoDisposables.push({ dispose: () => window.removeEventListener('unhandledrejection', onUnhandledRejection) });
                            console.log('[PAGE BUNDLED] Attached listener for global unhandledrejection.');
                            // --- END ERROR LISTENERS ---
     
@@ -302,7 +523,7 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
                 }
     
                  // --- END: Code Executed Inside LeetCode Page ---
-            }, [containerId, language, theme, initialCode]); // Pass arguments from background scope to the page function
+            }, [containerId, language, theme, initialCode, preferenceEditorOptions]); // Pass arguments from background scope to the page function
     
             console.log(`[Background] (Tab ${tabId}) Step 2: Editor creation code injection command sent.`);
         // ... rest of injectAndSetupMonaco ...
@@ -344,27 +565,53 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
              let debounceTimeout;
              const DEBOUNCE_DELAY_MS = 350;
 
-             window.leetCodeMonacoInstance.onDidChangeModelContent(() => {
+             // Saves run format on save first (page_scripts/formatting.js, injected later). Debounced saves
+             // leave the line being typed on (and the cursor) alone; explicit ones (Ctrl/Cmd+S, Vim's `:w`, ...)
+             // format the whole buffer
+             async function dispatchSave(explicit = false) {
+                 window.monacoSyncStatus = 'triggering_save';
+
+                 await window.leetCodeMonacoFormatting?.formatBeforeSave(!explicit);
+                 clearTimeout(debounceTimeout); // The formatting edit is saved below
+                 try {
+                     const currentCode = window.leetCodeMonacoInstance.getValue();
+                     const currentLanguage = window.leetCodeMonacoInstance.getModel()?.getLanguageId();
+                     console.log(`[PAGE BUNDLED] Dispatching custom event '${eventToDispatch}'...`);
+                     const saveEvent = new CustomEvent(eventToDispatch, { detail: { code: currentCode, language: currentLanguage } });
+                     window.dispatchEvent(saveEvent);
+                     window.monacoSyncStatus = 'save_requested';
+                 } catch (dispatchError) {
+                     console.error('[PAGE BUNDLED] Runtime Error during save event dispatch:', dispatchError);
+                     window.monacoSyncError = `Runtime error dispatching save event: ${dispatchError.message}`;
+                     window.monacoSyncStatus = 'error';
+                 }
+             }
+
+             const contentListener = window.leetCodeMonacoInstance.onDidChangeModelContent(() => {
                  clearTimeout(debounceTimeout);
                  window.monacoSyncStatus = 'debouncing';
 
                  debounceTimeout = setTimeout(() => {
                     console.log('[PAGE BUNDLED] Debounced change detected. Triggering save event dispatch...');
-                    window.monacoSyncStatus = 'triggering_save';
-
-                    try {
-                        const currentCode = window.leetCodeMonacoInstance.getValue();
-                        console.log(`[PAGE BUNDLED] Dispatching custom event '${eventToDispatch}'...`);
-                        const saveEvent = new CustomEvent(eventToDispatch, { detail: { code: currentCode } });
-                        window.dispatchEvent(saveEvent);
-                        window.monacoSyncStatus = 'save_requested';
-                    } catch (dispatchError) {
-                        console.error('[PAGE BUNDLED] Runtime Error during save event dispatch:', dispatchError);
-                        window.monacoSyncError = `Runtime error dispatching save event: ${dispatchError.message}`;
-                        window.monacoSyncStatus = 'error';
-                    }
+                    dispatchSave();
                  }, DEBOUNCE_DELAY_MS);
              });
+             window.leetCodeMonacoDisposables.push(contentListener, { dispose: () => clearTimeout(debounceTimeout) });
+
+             // Explicit save (e.g. Vim's `:w`), skipping the debounce
+             window.leetCodeMonacoSync = {
+                 saveNow: () => {
+                     clearTimeout(debounceTimeout);
+                     return dispatchSave(true);
+                 },
+             };
+             const saveAction = window.leetCodeMonacoInstance.addAction({
+                 id: 'leetcode.saveCode',
+                 label: 'Save Code',
+                 keybindings: [window.monaco.KeyMod.CtrlCmd | window.monaco.KeyCode.KeyS], // Instead of the browser's "Save page as"
+                 run: () => window.leetCodeMonacoSync.saveNow(),
+             });
+             window.leetCodeMonacoDisposables.push(saveAction);
 
              console.log('[PAGE BUNDLED] Code sync listener attached successfully.');
              window.monacoSyncSetup = 'success';
@@ -373,7 +620,236 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
         console.log(`[Background] (Tab ${tabId}) Step 4: Sync listener injected.`);
 
 
-        // --- Step 5: Final Success Response ---
+        // --- Step 5: Inject Native Editor Bridge ---
+        // LeetCode's Run/Submit read from its own (hidden) Monaco model, so keep it in sync both ways.
+        console.log(`[Background] (Tab ${tabId}) Step 5: Injecting native editor bridge...`);
+        await executeInMainWorld(tabId, (originalEditorSelector, actionButtonSelectors, runButtonSelector, runSubmitEventName, preferNativeOnStart) => {
+            console.log('[PAGE BUNDLED] Setting up native editor bridge...');
+            window.monacoBridgeSetup = 'pending';
+
+            const ourEditor = window.leetCodeMonacoInstance;
+            if (!ourEditor) {
+                console.error('[PAGE BUNDLED] Bridge Setup FATAL: window.leetCodeMonacoInstance is not defined!');
+                window.monacoBridgeSetup = 'failed';
+                return;
+            }
+
+            const BRIDGE_DEBOUNCE_DELAY_MS = 350;
+            const LANGUAGE_SWITCH_TIMEOUT_MS = 3000; // Max wait for LeetCode's editor to follow a language switch
+            let applyingFromNative = false; // Guards against echoing our own writes back and forth
+            let applyingToNative = false;
+            let boundNativeModel = null;
+            let nativeListeners = [];
+            let debounceTimeout;
+            // Language of LeetCode's model when the two editors were last known to hold the same problem/language.
+            // While it differs, LeetCode is mid language switch and its content must not be pulled into ours.
+            let expectedNativeLanguage = null;
+            let pendingSwitch = null; // { preferNative, timeout } while waiting for LeetCode to switch language
+
+            // LeetCode's editor is the Monaco instance living inside the original (hidden) editor element.
+            function findNativeModel() {
+                const editors = typeof window.monaco.editor.getEditors === 'function' ? window.monaco.editor.getEditors() : [];
+                const nativeEditor = editors.find(editor => editor !== ourEditor &&
+                    editor.getContainerDomNode()?.closest(originalEditorSelector));
+                return nativeEditor?.getModel() || null;
+            }
+
+            // Replace the full content as a single edit so the target keeps a working undo stack.
+            function replaceModelContent(model, code) {
+                if (!model || model.isDisposed() || model.getValue() === code) return false;
+                model.pushEditOperations([], [{ range: model.getFullModelRange(), text: code }], () => null);
+                return true;
+            }
+
+            function pullFromNative() {
+                const nativeModel = boundNativeModel;
+                if (!nativeModel || nativeModel.isDisposed()) return false;
+                applyingFromNative = true;
+                try {
+                    return replaceModelContent(ourEditor.getModel(), nativeModel.getValue());
+                } finally {
+                    applyingFromNative = false;
+                }
+            }
+
+            function writeToNative() {
+                const nativeModel = boundNativeModel;
+                if (!nativeModel || nativeModel.isDisposed()) return false;
+                applyingToNative = true;
+                try {
+                    return replaceModelContent(nativeModel, ourEditor.getValue());
+                } finally {
+                    applyingToNative = false;
+                }
+            }
+
+            function finishLanguageSwitch() {
+                const { preferNative, timeout } = pendingSwitch;
+                clearTimeout(timeout);
+                pendingSwitch = null;
+                expectedNativeLanguage = boundNativeModel?.getLanguageId() ?? null;
+                if (preferNative) pullFromNative(); else writeToNative();
+            }
+
+            function onNativeChange() {
+                if (applyingToNative || !boundNativeModel) return;
+                if (boundNativeModel.getLanguageId() !== expectedNativeLanguage) {
+                    // LeetCode switched language: finish our pending switch, or wait for it (see languageSwitched)
+                    if (pendingSwitch) finishLanguageSwitch();
+                    return;
+                }
+                // External change (e.g. LeetCode's "Reset code"): pull it into our editor.
+                if (pullFromNative()) {
+                    console.log('[PAGE BUNDLED] Bridge: Pulled external change from LeetCode editor.');
+                }
+            }
+
+            function bindNativeModel() {
+                const nativeModel = findNativeModel();
+                if (nativeModel === boundNativeModel) return nativeModel;
+
+                nativeListeners.forEach(listener => listener.dispose());
+                nativeListeners = [];
+                boundNativeModel = nativeModel;
+                if (!nativeModel) {
+                    console.warn('[PAGE BUNDLED] Bridge: LeetCode editor model not found (yet).');
+                    return null;
+                }
+
+                console.log(`[PAGE BUNDLED] Bridge: Bound to LeetCode editor model '${nativeModel.uri.toString()}'.`);
+                if (expectedNativeLanguage === null) expectedNativeLanguage = nativeModel.getLanguageId();
+                nativeListeners.push(nativeModel.onDidChangeContent(onNativeChange));
+                nativeListeners.push(nativeModel.onDidChangeLanguage(onNativeChange));
+                // A freshly created model may already hold the new language's code
+                if (nativeModel.getLanguageId() !== expectedNativeLanguage) onNativeChange();
+                return nativeModel;
+            }
+
+            // Flush our content into LeetCode's model; skipped mid language switch unless forced (Run/Submit).
+            function pushToNative(force = false) {
+                clearTimeout(debounceTimeout);
+                const nativeModel = bindNativeModel();
+                if (!nativeModel) return false;
+                if (!force && (pendingSwitch || nativeModel.getLanguageId() !== expectedNativeLanguage)) return false;
+                return writeToNative();
+            }
+
+            /**
+             * Called after our editor switched language. Waits for LeetCode's editor to switch too, then
+             * either takes its content (no saved draft for the new language) or overwrites it with ours.
+             */
+            function languageSwitched(preferNative) {
+                if (pendingSwitch) clearTimeout(pendingSwitch.timeout);
+                pendingSwitch = {
+                    preferNative,
+                    // If LeetCode keeps the same model language (or never follows), stop waiting
+                    timeout: setTimeout(() => {
+                        if (!pendingSwitch) return;
+                        console.warn('[PAGE BUNDLED] Bridge: LeetCode editor did not report a language switch in time.');
+                        finishLanguageSwitch();
+                    }, LANGUAGE_SWITCH_TIMEOUT_MS),
+                };
+                const nativeModel = bindNativeModel();
+                if (pendingSwitch && nativeModel && nativeModel.getLanguageId() !== expectedNativeLanguage) {
+                    finishLanguageSwitch(); // LeetCode already switched before we did
+                }
+            }
+
+            const disposables = window.leetCodeMonacoDisposables;
+            disposables.push(ourEditor.onDidChangeModelContent(() => {
+                if (applyingFromNative) return;
+                clearTimeout(debounceTimeout);
+                debounceTimeout = setTimeout(pushToNative, BRIDGE_DEBOUNCE_DELAY_MS);
+            }));
+
+            // LeetCode may recreate its model (e.g. after switching language), so rebind on new models.
+            disposables.push(window.monaco.editor.onDidCreateModel(() => setTimeout(bindNativeModel, 0)));
+
+            function flushBeforeRunSubmit(action) {
+                if (pushToNative(true)) console.log('[PAGE BUNDLED] Bridge: Flushed code to LeetCode editor before Run/Submit.');
+                window.dispatchEvent(new CustomEvent(runSubmitEventName, { detail: { action } }));
+            }
+
+            // Flush right before Run/Submit. Capture phase runs before LeetCode's own handlers.
+            const onClick = (event) => {
+                if (event.target instanceof Element && event.target.closest(actionButtonSelectors)) {
+                    flushBeforeRunSubmit(event.target.closest(runButtonSelector) ? 'run' : 'submit');
+                }
+            };
+            // Keyboard shortcuts for Run (Ctrl/Cmd+') and Submit (Ctrl/Cmd+Enter).
+            const onKeyDown = (event) => {
+                if ((event.ctrlKey || event.metaKey) && (event.key === 'Enter' || event.key === "'")) {
+                    flushBeforeRunSubmit(event.key === "'" ? 'run' : 'submit');
+                }
+            };
+            document.addEventListener('click', onClick, true);
+            document.addEventListener('keydown', onKeyDown, true);
+            disposables.push({
+                dispose: () => {
+                    clearTimeout(debounceTimeout);
+                    if (pendingSwitch) clearTimeout(pendingSwitch.timeout);
+                    nativeListeners.forEach(listener => listener.dispose());
+                    document.removeEventListener('click', onClick, true);
+                    document.removeEventListener('keydown', onKeyDown, true);
+                },
+            });
+
+            window.leetCodeMonacoBridge = { pushToNative, bindNativeModel, languageSwitched };
+            const initialNativeModel = bindNativeModel();
+            if (preferNativeOnStart && initialNativeModel && initialNativeModel.getValue().trim()) {
+                pullFromNative(); // No saved draft: start from whatever LeetCode's editor currently shows
+            } else {
+                pushToNative(); // Our editor is the source of truth (it holds a restored draft)
+            }
+            console.log('[PAGE BUNDLED] Native editor bridge attached successfully.');
+            window.monacoBridgeSetup = 'success';
+
+        }, [ORIGINAL_EDITOR_SELECTOR, LEETCODE_ACTION_BUTTON_SELECTORS, LEETCODE_RUN_BUTTON_SELECTOR, RUN_SUBMIT_EVENT_NAME, !initialCodeFromStorage]);
+        console.log(`[Background] (Tab ${tabId}) Step 5: Native editor bridge injected.`);
+
+
+        // --- Step 6: Inject Page Modules (history, ...) ---
+        console.log(`[Background] (Tab ${tabId}) Step 6: Injecting page modules:`, PAGE_SCRIPT_FILES);
+        await injectFilesInMainWorld(tabId, PAGE_SCRIPT_FILES);
+        await ensureKeybindingsLoaded(tabId, preferences.keybindings);
+        const resolvedTheme = await resolveThemePreference(tabId, theme);
+        const snippets = await LeetCodeSnippets.load();
+        // Missing typings or library data only cost IntelliSense, so the editor still attaches without them
+        const typingLibs = await loadTypingLibs().catch(error => {
+            console.error(`[Background] (Tab ${tabId}) Failed to load typing libraries. Continuing without them:`, error);
+            return [];
+        });
+        const libraryData = await loadLibraryData().catch(error => {
+            console.error(`[Background] (Tab ${tabId}) Failed to load library data. Continuing without it:`, error);
+            return {};
+        });
+        await executeInMainWorld(tabId, (passedContainerId, passedKeybindings, passedTheme, passedThemeDefinition, passedSnippets, passedTypingLibs, passedLibraryData, passedPythonWorkerUrl, passedFormattableLanguages, passedFormatOnSave, passedPyodideUrl, passedProblemData, passedTestcaseSelector) => {
+            window.leetCodeMonacoThemes.setPreference(passedTheme, passedThemeDefinition);
+            window.leetCodeMonacoHistory.attach(window.leetCodeMonacoInstance, { containerId: passedContainerId });
+            window.leetCodeMonacoKeybindings.attach(window.leetCodeMonacoInstance, { containerId: passedContainerId, mode: passedKeybindings });
+            window.leetCodeMonacoSnippets.attach(window.leetCodeMonacoInstance, { snippets: passedSnippets });
+            window.leetCodeMonacoTypings.attach(window.leetCodeMonacoInstance, { libs: passedTypingLibs });
+            window.leetCodeMonacoStarterDefinitions.attach(window.leetCodeMonacoInstance);
+            window.leetCodeMonacoLibraryIntellisense.attach(window.leetCodeMonacoInstance, { libraries: passedLibraryData });
+            window.leetCodeMonacoDocumentSymbols.attach(window.leetCodeMonacoInstance);
+            window.leetCodeMonacoScopeAnalysis.attach(window.leetCodeMonacoInstance);
+            window.leetCodeMonacoSyntaxDiagnostics.attach(window.leetCodeMonacoInstance, { containerId: passedContainerId });
+            window.leetCodeMonacoPythonAnalyzer.attach(window.leetCodeMonacoInstance, { workerUrl: passedPythonWorkerUrl });
+            window.leetCodeMonacoFormatting.attach(window.leetCodeMonacoInstance, {
+                containerId: passedContainerId, languages: passedFormattableLanguages, formatOnSave: passedFormatOnSave,
+            });
+            window.leetCodeMonacoTestcases.attach(window.leetCodeMonacoInstance, {
+                containerId: passedContainerId, problem: passedProblemData, testcaseSelector: passedTestcaseSelector,
+            });
+            window.leetCodeMonacoPythonRunner.attach({ indexUrl: passedPyodideUrl });
+            window.leetCodeMonacoTestRunner.attach(window.leetCodeMonacoInstance, { containerId: passedContainerId, problem: passedProblemData });
+            window.leetCodeMonacoStressTest.attach(window.leetCodeMonacoInstance, { containerId: passedContainerId, problem: passedProblemData });
+        }, [containerId, preferences.keybindings, resolvedTheme.theme, resolvedTheme.definition, snippets, typingLibs, libraryData, chrome.runtime.getURL(PYTHON_ANALYZER_WORKER_FILE),
+            Object.keys(FORMATTABLE_LANGUAGES), preferences.formatOnSave, chrome.runtime.getURL(PYODIDE_DIRECTORY), problemData, LEETCODE_TESTCASE_INPUT_SELECTOR]);
+        console.log(`[Background] (Tab ${tabId}) Step 6: Page modules attached.`);
+
+
+        // --- Step 7: Final Success Response ---
         console.log(`[Background] (Tab ${tabId}) Monaco (Bundled) injection and setup process completed successfully.`);
         sendResponse({ success: true });
 
@@ -399,6 +875,400 @@ async function injectAndSetupMonaco(tabId, options, sendResponse) {
     }
 }
 
+// --- Core Logic: Live Preference Updates ---
+async function applyEditorPreferences(tabId, rawPreferences, sendResponse) {
+    const preferences = LeetCodePreferences.normalize(rawPreferences);
+    try {
+        await ensureKeybindingsLoaded(tabId, preferences.keybindings);
+        const resolvedTheme = await resolveThemePreference(tabId, preferences.theme);
+        await executeInMainWorld(tabId, (passedTheme, passedThemeDefinition, passedEditorOptions, passedKeybindings, passedFormatOnSave) => {
+            const editor = window.leetCodeMonacoInstance;
+            if (!editor) return;
+            editor.updateOptions(passedEditorOptions);
+            // Indentation settings live on the model, not the editor
+            editor.getModel()?.updateOptions({ tabSize: passedEditorOptions.tabSize });
+            window.leetCodeMonacoThemes?.setPreference(passedTheme, passedThemeDefinition);
+            window.leetCodeMonacoKeybindings?.setMode(passedKeybindings);
+            window.leetCodeMonacoFormatting?.setFormatOnSave(passedFormatOnSave);
+            console.log('[PAGE BUNDLED] Applied updated editor preferences.');
+        }, [resolvedTheme.theme, resolvedTheme.definition, LeetCodePreferences.toEditorOptions(preferences), preferences.keybindings, preferences.formatOnSave]);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error(`[Background] (Tab ${tabId}) Error applying editor preferences:`, error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// --- Core Logic: Live Snippet Updates ---
+async function applySnippets(tabId, rawSnippets, sendResponse) {
+    const snippets = LeetCodeSnippets.normalize(rawSnippets);
+    try {
+        await executeInMainWorld(tabId, (passedSnippets) => {
+            window.leetCodeMonacoSnippets?.setSnippets(passedSnippets);
+        }, [snippets]);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error(`[Background] (Tab ${tabId}) Error applying snippets:`, error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// --- Core Logic: Language Switch ---
+async function switchMonacoLanguage(tabId, options, sendResponse) {
+    const { language, code, codeFromStorage, problemSlug } = options;
+    console.log(`[Background] (Tab ${tabId}) Switching Monaco language to '${language}' for slug '${problemSlug || 'N/A'}'...`);
+
+    try {
+        const previous = await executeInMainWorld(tabId, (passedLanguage, passedCode, preferNative) => {
+            const editor = window.leetCodeMonacoInstance;
+            const model = editor?.getModel();
+            if (!model) {
+                console.error('[PAGE BUNDLED] Language switch: No Monaco editor/model found.');
+                return null;
+            }
+            const previousCode = { code: model.getValue(), language: model.getLanguageId() };
+            if (previousCode.language === passedLanguage) return null;
+
+            window.leetCodeMonacoHistory?.snapshot('language-switch', previousCode);
+            // Language first, so the debounced save triggered by setValue stores the code under the new language
+            window.monaco.editor.setModelLanguage(model, passedLanguage);
+            model.setValue(passedCode); // A different language is a different buffer: don't keep its undo stack
+            window.leetCodeMonacoBridge?.languageSwitched(preferNative);
+            console.log(`[PAGE BUNDLED] Language switch: '${previousCode.language}' -> '${passedLanguage}'.`);
+            return previousCode;
+        }, [language, code, !codeFromStorage]);
+
+        // Keep the draft of the language we switched away from ('plaintext' only means the picker wasn't found yet)
+        if (previous && problemSlug && previous.language && previous.language !== 'plaintext') {
+            await LeetCodeStorage.saveCode(problemSlug, previous.language, previous.code);
+            console.log(`[Background] (Tab ${tabId}) Saved '${previous.language}' draft for slug '${problemSlug}' before switching.`);
+        }
+        sendResponse({ success: true, previousLanguage: previous?.language ?? null });
+    } catch (error) {
+        console.error(`[Background] (Tab ${tabId}) Error switching Monaco language:`, error);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// --- Core Logic: Monaco Teardown (client-side navigation) ---
+async function teardownMonaco(tabId, options, sendResponse) {
+    const { containerId, problemSlug } = options;
+    console.log(`[Background] (Tab ${tabId}) Tearing down Monaco for slug '${problemSlug || 'N/A'}'...`);
+
+    try {
+        const flushed = await executeInMainWorld(tabId, (passedContainerId) => {
+            const editor = window.leetCodeMonacoInstance;
+            const model = editor?.getModel();
+            // Capture the buffer before anything is disposed so pending (debounced) edits aren't lost
+            const flushedCode = model ? { code: model.getValue(), language: model.getLanguageId() } : null;
+
+            window.leetCodeMonacoHistory?.detach();
+            window.leetCodeMonacoKeybindings?.detach();
+            window.leetCodeMonacoSnippets?.detach();
+            window.leetCodeMonacoTypings?.detach();
+            window.leetCodeMonacoStarterDefinitions?.detach();
+            window.leetCodeMonacoLibraryIntellisense?.detach();
+            window.leetCodeMonacoDocumentSymbols?.detach();
+            window.leetCodeMonacoScopeAnalysis?.detach();
+            window.leetCodeMonacoSyntaxDiagnostics?.detach();
+            window.leetCodeMonacoPythonAnalyzer?.detach();
+            window.leetCodeMonacoFormatting?.detach();
+            window.leetCodeMonacoStressTest?.detach();
+            window.leetCodeMonacoTestRunner?.detach();
+            window.leetCodeMonacoTestcases?.detach();
+            window.leetCodeMonacoPythonRunner?.detach();
+            window.leetCodeMonacoThemes?.detach();
+            (window.leetCodeMonacoDisposables || []).forEach(disposable => {
+                try { disposable.dispose(); }
+                catch (error) { console.warn('[PAGE BUNDLED] Teardown: Error disposing listener:', error); }
+            });
+            window.leetCodeMonacoDisposables = [];
+
+            if (editor) editor.dispose();
+            if (model && !model.isDisposed()) model.dispose();
+            window.leetCodeMonacoInstance = null;
+            window.leetCodeMonacoBridge = null;
+            window.leetCodeMonacoSync = null;
+
+            // Reset status flags so the next injection's polling starts clean
+            window.monacoCreateStatus = undefined;
+            window.monacoInjectError = null;
+            window.monacoSyncSetup = undefined;
+            window.monacoSyncError = null;
+            window.monacoSyncStatus = undefined;
+            window.monacoBridgeSetup = undefined;
+
+            window.leetCodeMonacoRuntime?.removeEditorChrome();
+            document.getElementById(passedContainerId)?.remove();
+            console.log('[PAGE BUNDLED] Teardown: Monaco editor disposed.');
+            return flushedCode;
+        }, [containerId]);
+
+        if (flushed && problemSlug && flushed.language) {
+            await LeetCodeStorage.saveCode(problemSlug, flushed.language, flushed.code);
+            console.log(`[Background] (Tab ${tabId}) Flushed code for slug '${problemSlug}' (${flushed.language}) before teardown.`);
+        }
+        delete tabSlugs[tabId];
+        releaseSyntaxTree(tabId);
+        sendResponse({ success: true });
+    } catch (error) {
+        console.error(`[Background] (Tab ${tabId}) Error during Monaco teardown:`, error);
+        delete tabSlugs[tabId];
+        releaseSyntaxTree(tabId);
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// --- Core Logic: Syntax Diagnostics (tree-sitter) ---
+let treeSitterParserPromise = null; // The runtime is initialized once per service worker lifetime
+const grammarPromises = {};
+
+/**
+ * Initializes the tree-sitter runtime.
+ * @returns {Promise<Parser>} A parser shared by all tabs (parsing is synchronous, so it is never used concurrently).
+ */
+function loadTreeSitterParser() {
+    if (!treeSitterParserPromise) {
+        treeSitterParserPromise = Parser.init({ locateFile: () => chrome.runtime.getURL(TREE_SITTER_RUNTIME_FILE) })
+            .then(() => new Parser())
+            .catch(error => {
+                treeSitterParserPromise = null; // Retry on the next request
+                throw error;
+            });
+    }
+    return treeSitterParserPromise;
+}
+
+/**
+ * Loads the bundled tree-sitter grammar for a Monaco language.
+ * @param {string} languageId - Monaco language ID (a key of TREE_SITTER_GRAMMARS).
+ * @returns {Promise<Language>}
+ */
+function loadGrammar(languageId) {
+    if (!grammarPromises[languageId]) {
+        grammarPromises[languageId] = loadTreeSitterParser()
+            .then(() => Language.load(chrome.runtime.getURL(TREE_SITTER_GRAMMARS[languageId])))
+            .catch(error => {
+                delete grammarPromises[languageId];
+                throw error;
+            });
+    }
+    return grammarPromises[languageId];
+}
+
+function sourcePrefixFor(languageId, code) {
+    return languageId === 'php' && !/^\s*<\?php/.test(code) ? PHP_OPEN_TAG : '';
+}
+
+/**
+ * Converts a character offset to a tree-sitter point (both count UTF-16 code units, like Monaco).
+ */
+function pointAt(text, offset) {
+    let row = 0;
+    let lineStart = 0;
+    for (let newline = text.indexOf('\n'); newline !== -1 && newline < offset; newline = text.indexOf('\n', newline + 1)) {
+        row++;
+        lineStart = newline + 1;
+    }
+    return { row, column: offset - lineStart };
+}
+
+/**
+ * Applies buffer edits to the stored text and tree so the next parse can reuse unchanged subtrees.
+ * @param {{prefix: string, text: string, tree: object}} state - Last parse for the tab (mutated).
+ * @param {Array<{offset: number, length: number, text: string}>} edits - Replacements in application order,
+ *     with offsets into the buffer as it was when each one was applied.
+ */
+function applyEditsToSyntaxTree(state, edits) {
+    for (const edit of edits) {
+        const startIndex = state.prefix.length + edit.offset;
+        const oldEndIndex = startIndex + edit.length;
+        const newEndIndex = startIndex + edit.text.length;
+        const startPosition = pointAt(state.text, startIndex);
+        const oldEndPosition = pointAt(state.text, oldEndIndex);
+        state.text = state.text.slice(0, startIndex) + edit.text + state.text.slice(oldEndIndex);
+        state.tree.edit({ startIndex, oldEndIndex, newEndIndex, startPosition, oldEndPosition, newEndPosition: pointAt(state.text, newEndIndex) });
+    }
+}
+
+/**
+ * Collects ERROR and MISSING nodes, skipping subtrees without errors.
+ * @returns {Array<{start: number, end: number, message: string}>} Offsets into the buffer (without the source prefix).
+ */
+function collectSyntaxErrors(tree, text, prefixLength) {
+    const diagnostics = [];
+    const toBufferOffset = offset => Math.max(0, offset - prefixLength);
+    const visit = (node) => {
+        if (diagnostics.length >= MAX_SYNTAX_DIAGNOSTICS) return;
+        if (node.isMissing) {
+            const expected = node.isNamed ? node.type.replace(/_/g, ' ') : `'${node.type}'`;
+            diagnostics.push({ start: toBufferOffset(node.startIndex), end: toBufferOffset(node.endIndex), message: `Syntax error: missing ${expected}` });
+            return;
+        }
+        if (node.type === 'ERROR') {
+            // Squiggle only the first line: an ERROR node can swallow the rest of a function
+            const lineEnd = text.indexOf('\n', node.startIndex);
+            const end = lineEnd === -1 ? node.endIndex : Math.min(node.endIndex, lineEnd);
+            const snippet = text.slice(node.startIndex, node.endIndex);
+            const isSingleToken = node.childCount <= 1 && snippet.length <= 30 && !snippet.includes('\n');
+            const message = isSingleToken ? `Syntax error: unexpected '${snippet}'` : 'Syntax error';
+            diagnostics.push({ start: toBufferOffset(node.startIndex), end: toBufferOffset(end), message });
+            return;
+        }
+        if (!node.hasError) return;
+        for (const child of node.children) visit(child);
+    };
+    visit(tree.rootNode);
+    return diagnostics;
+}
+
+/**
+ * Frees the tab's stored tree (tree-sitter trees live in WASM memory).
+ */
+function releaseSyntaxTree(tabId) {
+    syntaxTrees[tabId]?.tree.delete();
+    delete syntaxTrees[tabId];
+}
+
+/**
+ * Parses the tab's buffer and reports its syntax errors. Requests carry either the full text or the
+ * edits made since `baseVersion`; the latter reuse the previous tree for an incremental parse.
+ * @param {number} tabId - Tab the buffer belongs to.
+ * @param {{languageId: string, version: number, text?: string, baseVersion?: number, edits?: Array<object>}} request
+ * @param {function} sendResponse - Receives { success, diagnostics } or { success, needsFullText } when the
+ *     edits can't be applied (e.g. the service worker restarted and lost the previous tree).
+ */
+async function parseSyntax(tabId, request, sendResponse) {
+    const { languageId, version } = request;
+    try {
+        if (!TREE_SITTER_GRAMMARS[languageId]) {
+            sendResponse({ success: true, supported: false, diagnostics: [] });
+            return;
+        }
+        const language = await loadGrammar(languageId);
+        const parser = await loadTreeSitterParser();
+
+        let state = syntaxTrees[tabId];
+        let oldTree = null;
+        if (typeof request.text === 'string') {
+            const prefix = sourcePrefixFor(languageId, request.text);
+            state = { languageId, prefix, text: prefix + request.text, version, tree: null };
+        } else if (state && state.languageId === languageId && state.version === request.baseVersion && Array.isArray(request.edits)) {
+            applyEditsToSyntaxTree(state, request.edits);
+            const code = state.text.slice(state.prefix.length);
+            if (sourcePrefixFor(languageId, code) === state.prefix) {
+                oldTree = state.tree;
+            } else {
+                // The PHP open tag was typed or deleted; the prefix shifts every offset, so parse from scratch
+                state.prefix = sourcePrefixFor(languageId, code);
+                state.text = state.prefix + code;
+            }
+            state.version = version;
+        } else {
+            sendResponse({ success: true, needsFullText: true });
+            return;
+        }
+
+        parser.setLanguage(language);
+        const tree = parser.parse(state.text, oldTree);
+        const previousTree = syntaxTrees[tabId]?.tree;
+        if (previousTree && previousTree !== tree) previousTree.delete();
+        state.tree = tree;
+        syntaxTrees[tabId] = state;
+
+        sendResponse({ success: true, supported: true, version, diagnostics: collectSyntaxErrors(tree, state.text, state.prefix.length) });
+    } catch (error) {
+        console.error(`[Background] (Tab ${tabId}) Error parsing ${languageId} for syntax diagnostics:`, error);
+        releaseSyntaxTree(tabId); // The next request resends the full text
+        sendResponse({ success: false, error: error.message });
+    }
+}
+
+// --- Core Logic: Formatting (Prettier, Ruff, clang-format) ---
+const formatterInitPromises = {}; // Each WASM formatter is initialized once per service worker lifetime
+
+/**
+ * Initializes a WASM formatter.
+ * @param {string} file - The formatter's .wasm file (relative to the extension root).
+ * @param {function(string): Promise} init - The formatter's initializer, given the file's URL.
+ */
+function loadWasmFormatter(file, init) {
+    if (!formatterInitPromises[file]) {
+        formatterInitPromises[file] = init(chrome.runtime.getURL(file)).catch(error => {
+            delete formatterInitPromises[file]; // Retry on the next request
+            throw error;
+        });
+    }
+    return formatterInitPromises[file];
+}
+
+// Each formatter takes (code, languageId, style, layout) and resolves to the formatted code.
+// `style` is the language's style preference; `layout` is { tabSize, insertSpaces, lineWidth }.
+const FORMATTERS = {
+    prettier: (code, languageId, style, layout) => prettier.format(code, {
+        parser: languageId === 'typescript' ? 'typescript' : 'babel',
+        plugins: [prettierBabel, prettierEstree, prettierTypeScript],
+        printWidth: layout.lineWidth,
+        tabWidth: layout.tabSize,
+        useTabs: !layout.insertSpaces,
+        singleQuote: style !== 'prettier',
+        semi: style !== 'standard',
+    }),
+    ruff: async (code, languageId, style, layout) => {
+        await loadWasmFormatter(RUFF_WASM_FILE, initRuff);
+        return ruffFormat(code, 'solution.py', {
+            indent_style: layout.insertSpaces ? 'space' : 'tab',
+            indent_width: layout.tabSize,
+            line_width: layout.lineWidth,
+            quote_style: style === 'ruff-single-quotes' ? 'single' : 'double',
+        });
+    },
+    clangFormat: async (code, languageId, style, layout) => {
+        await loadWasmFormatter(CLANG_FORMAT_WASM_FILE, initClangFormat);
+        // The base style's indentation is replaced by the editor's, so formatting doesn't fight the tab size
+        const options = [
+            `BasedOnStyle: ${style}`,
+            `IndentWidth: ${layout.tabSize}`,
+            `TabWidth: ${layout.tabSize}`,
+            `UseTab: ${layout.insertSpaces ? 'Never' : 'ForIndentation'}`,
+            `ColumnLimit: ${layout.lineWidth}`,
+        ];
+        return clangFormat(code, CLANG_FORMAT_FILE_NAMES[languageId], `{${options.join(', ')}}`);
+    },
+};
+
+/**
+ * Formats a buffer with the bundled formatter for its language, in the user's style for that language.
+ * @param {number} tabId - Tab the buffer belongs to.
+ * @param {{languageId: string, text: string, options?: {tabSize: number, insertSpaces: boolean}}} request
+ *     - The buffer and the editor's indentation (Monaco's FormattingOptions).
+ * @param {function} sendResponse - Receives { success, supported, formatted }, or { success: false, error }
+ *     when the formatter rejects the code (usually a syntax error).
+ */
+async function formatDocument(tabId, request, sendResponse) {
+    const { languageId, text, options = {} } = request;
+    const language = FORMATTABLE_LANGUAGES[languageId];
+    if (!language || typeof text !== 'string') {
+        sendResponse({ success: true, supported: !!language, formatted: text });
+        return;
+    }
+    try {
+        const preferences = await LeetCodePreferences.load();
+        const layout = {
+            tabSize: options.tabSize || preferences.tabSize,
+            insertSpaces: options.insertSpaces !== false,
+            lineWidth: preferences.formatLineWidth,
+        };
+        const formatted = await FORMATTERS[language.formatter](text, languageId, preferences[language.styleField], layout);
+        sendResponse({ success: true, supported: true, formatted });
+    } catch (error) {
+        // Ruff throws plain strings
+        const message = error?.message || String(error);
+        console.warn(`[Background] (Tab ${tabId}) Could not format ${languageId}:`, message);
+        sendResponse({ success: false, error: message });
+    }
+}
+
 // --- Message Listener ---
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
      if (!sender.tab?.id) {
@@ -426,6 +1296,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
          case 'saveCodeForTab':
              const slug = tabSlugs[tabId];
              const codeToSave = message.code;
+             const language = message.language;
              if (!slug) {
                   console.error(`[Background] (Tab ${tabId}) Cannot save code: No slug associated.`);
                   sendResponse({ success: false, error: `Cannot save: Slug for Tab ${tabId} not found.` });
@@ -436,16 +1307,152 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                   sendResponse({ success: false, error: `Cannot save: Code is missing.` });
                   return false;
              }
-             const storageKey = `leetcodeCode-${slug}`;
-             console.log(`[Background] (Tab ${tabId}) Saving code for slug '${slug}' (length: ${codeToSave.length}). Key: ${storageKey}`);
-             chrome.storage.local.set({ [storageKey]: codeToSave }, () => {
-                 if (chrome.runtime.lastError) {
-                     console.error(`[Background] (Tab ${tabId}) Error saving code to storage for slug '${slug}':`, chrome.runtime.lastError);
-                     sendResponse({ success: false, error: chrome.runtime.lastError.message });
-                 } else {
-                     sendResponse({ success: true });
-                 }
-             });
+             if (!language) {
+                  console.error(`[Background] (Tab ${tabId}) Cannot save code for slug '${slug}': Language is missing.`);
+                  sendResponse({ success: false, error: `Cannot save: Language is missing.` });
+                  return false;
+             }
+             console.log(`[Background] (Tab ${tabId}) Saving code for slug '${slug}' (length: ${codeToSave.length}). Key: ${LeetCodeStorage.codeKey(slug, language)}`);
+             LeetCodeStorage.saveCode(slug, language, codeToSave)
+                 .then(() => sendResponse({ success: true }))
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error saving code to storage for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+
+         case 'applyEditorPreferences':
+             applyEditorPreferences(tabId, message.preferences, sendResponse);
+             return true; // Async response will be sent
+
+         case 'applySnippets':
+             applySnippets(tabId, message.snippets, sendResponse);
+             return true; // Async response will be sent
+
+         case 'switchMonacoLanguage':
+             switchMonacoLanguage(tabId, message.options || {}, sendResponse);
+             return true; // Async response will be sent
+
+         case 'teardownMonaco':
+             teardownMonaco(tabId, message.options || {}, sendResponse);
+             return true; // Async response will be sent
+
+         case 'parseSyntax':
+             parseSyntax(tabId, message, sendResponse);
+             return true; // Async response will be sent
+
+         case 'formatDocument':
+             formatDocument(tabId, message, sendResponse);
+             return true; // Async response will be sent
+
+         case 'saveSnapshotForTab': {
+             const slug = tabSlugs[tabId];
+             if (!slug || !message.language || typeof message.code !== 'string') {
+                  console.error(`[Background] (Tab ${tabId}) Cannot save snapshot: slug, language or code missing.`);
+                  sendResponse({ success: false, error: 'Cannot save snapshot: slug, language or code missing.' });
+                  return false;
+             }
+             LeetCodeStorage.addSnapshot(slug, message.language, message.code, message.reason || 'manual')
+                 .then(stored => {
+                     if (stored) console.log(`[Background] (Tab ${tabId}) Stored '${message.reason}' snapshot for slug '${slug}' (${message.language}).`);
+                     sendResponse({ success: true, stored });
+                 })
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error saving snapshot for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+         }
+
+         case 'getHistoryForTab': {
+             const slug = tabSlugs[tabId];
+             if (!slug || !message.language) {
+                  sendResponse({ success: false, error: 'Cannot load history: slug or language missing.' });
+                  return false;
+             }
+             Promise.all([LeetCodeStorage.loadHistory(slug, message.language), LeetCodeStorage.getHistorySettings()])
+                 .then(([history, settings]) => sendResponse({ success: true, history, settings }))
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error loading history for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+         }
+
+         case 'getTestcasesForTab': {
+             const slug = tabSlugs[tabId];
+             if (!slug) {
+                  sendResponse({ success: false, error: 'Cannot load testcases: no slug associated with this tab.' });
+                  return false;
+             }
+             LeetCodeStorage.loadTestcases(slug)
+                 .then(testcases => sendResponse({
+                     success: true,
+                     testcases,
+                     tags: LeetCodeStorage.TESTCASE_TAGS,
+                     maxInputLength: LeetCodeStorage.MAX_TESTCASE_INPUT_LENGTH,
+                 }))
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error loading testcases for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+         }
+
+         case 'saveTestcasesForTab': {
+             const slug = tabSlugs[tabId];
+             if (!slug || !Array.isArray(message.testcases)) {
+                  console.error(`[Background] (Tab ${tabId}) Cannot save testcases: slug or testcases missing.`);
+                  sendResponse({ success: false, error: 'Cannot save testcases: slug or testcases missing.' });
+                  return false;
+             }
+             LeetCodeStorage.saveTestcases(slug, message.testcases)
+                 .then(testcases => sendResponse({ success: true, testcases }))
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error saving testcases for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+         }
+
+         case 'getReferenceForTab': {
+             const slug = tabSlugs[tabId];
+             if (!slug || !message.language) {
+                  sendResponse({ success: false, error: 'Cannot load reference solution: slug or language missing.' });
+                  return false;
+             }
+             LeetCodeStorage.loadReference(slug, message.language)
+                 .then(reference => sendResponse({ success: true, code: reference?.code ?? null }))
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error loading reference solution for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+         }
+
+         case 'saveReferenceForTab': {
+             const slug = tabSlugs[tabId];
+             if (!slug || !message.language || typeof message.code !== 'string') {
+                  console.error(`[Background] (Tab ${tabId}) Cannot save reference solution: slug, language or code missing.`);
+                  sendResponse({ success: false, error: 'Cannot save reference solution: slug, language or code missing.' });
+                  return false;
+             }
+             LeetCodeStorage.saveReference(slug, message.language, message.code)
+                 .then(() => sendResponse({ success: true }))
+                 .catch(error => {
+                     console.error(`[Background] (Tab ${tabId}) Error saving reference solution for slug '${slug}':`, error);
+                     sendResponse({ success: false, error: error.message });
+                 });
+             return true; // Async response will be sent
+         }
+
+         case 'setHistorySettings':
+             LeetCodeStorage.setHistorySettings(message.settings)
+                 .then(settings => sendResponse({ success: true, settings }))
+                 .catch(error => {
+                     console.error('[Background] Error updating history settings:', error);
+                     sendResponse({ success: false, error: error.message });
+                 });
              return true; // Async response will be sent
 
          default:
@@ -455,6 +1462,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 // --- Tab Lifecycle Management ---
 chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+    releaseSyntaxTree(tabId);
     if (tabSlugs[tabId]) {
         console.log(`[Background] Tab ${tabId} removed. Cleaning up associated slug '${tabSlugs[tabId]}'.`);
         delete tabSlugs[tabId];
@@ -475,6 +1483,9 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 // --- Extension Lifecycle ---
 chrome.runtime.onInstalled.addListener(details => {
     console.log(`[Background] Extension ${details.reason}. Version: ${chrome.runtime.getManifest().version}`);
+    // Move drafts saved under older key layouts to the current storage schema
+    LeetCodeStorage.migrate()
+        .catch(error => console.error('[Background] Storage migration failed:', error));
 });
 chrome.runtime.onStartup.addListener(() => {
     console.log("[Background] Extension started up.");
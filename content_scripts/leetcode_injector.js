@@ -4,16 +4,23 @@ console.log("[Content Script] LeetCode Monaco Injector: Loaded.");
 const EDITOR_CONTAINER_ID = 'monaco-editor-container';
 const ORIGINAL_EDITOR_SELECTOR = '#editor'; // LeetCode's original editor container
 const SAVE_EVENT_NAME = '__monaco_save_code__'; // Custom event for saving code
+const ROUTE_CHECK_INTERVAL_MS = 500; // How often to check for client-side navigation between problems
+const REQUEST_EVENT_NAME = '__monaco_extension_request__'; // Requests from page scripts (see page_scripts/page_runtime.js)
+const RESPONSE_EVENT_NAME = '__monaco_extension_response__';
+// Background actions page scripts may call through the relay below
+const RELAYED_ACTIONS = ['saveSnapshotForTab', 'getHistoryForTab', 'setHistorySettings', 'parseSyntax', 'formatDocument',
+    'getTestcasesForTab', 'saveTestcasesForTab', 'getReferenceForTab', 'saveReferenceForTab'];
 
 // --- Event Listener for Save Requests from Injected Script ---
 window.addEventListener(SAVE_EVENT_NAME, (event) => {
     console.log(`[Content Script] Received '${SAVE_EVENT_NAME}' event.`);
     if (event.detail && event.detail.code !== undefined) {
         const codeToSave = event.detail.code;
-        console.log(`[Content Script] Relaying 'saveCodeForTab' message to background (code length: ${codeToSave.length})`);
+        const language = event.detail.language;
+        console.log(`[Content Script] Relaying 'saveCodeForTab' message to background (code length: ${codeToSave.length}, language: ${language})`);
 
         chrome.runtime.sendMessage(
-            { action: 'saveCodeForTab', code: codeToSave },
+            { action: 'saveCodeForTab', code: codeToSave, language: language },
             (response) => {
                 if (chrome.runtime.lastError) {
                     console.error("[Content Script] Error sending 'saveCodeForTab' message:", chrome.runtime.lastError.message);
@@ -29,6 +36,30 @@ window.addEventListener(SAVE_EVENT_NAME, (event) => {
     }
 });
 
+// --- Relay for Requests from Injected Page Scripts ---
+// MAIN world scripts can't reach chrome.runtime, so forward whitelisted actions and send the response back.
+window.addEventListener(REQUEST_EVENT_NAME, (event) => {
+    const { requestId, action, payload } = event.detail || {};
+    const respond = (response) => {
+        window.dispatchEvent(new CustomEvent(RESPONSE_EVENT_NAME, { detail: { requestId, response } }));
+    };
+
+    if (!RELAYED_ACTIONS.includes(action)) {
+        console.warn(`[Content Script] Refusing to relay unknown action '${action}' from page.`);
+        respond({ success: false, error: `Action '${action}' is not allowed.` });
+        return;
+    }
+
+    chrome.runtime.sendMessage({ ...payload, action }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.error(`[Content Script] Error relaying '${action}' message:`, chrome.runtime.lastError.message);
+            respond({ success: false, error: chrome.runtime.lastError.message });
+        } else {
+            respond(response || { success: false, error: 'No response from background script.' });
+        }
+    });
+});
+
 /**
  * Finds LeetCode's original editor element, hides it, and creates/finds
  * the container div for our Monaco instance.
@@ -71,51 +102,84 @@ function findEditorContainerAndPrepare() {
     return EDITOR_CONTAINER_ID;
 }
 
+// --- !!! FRAGILE SELECTORS - ADJUST IF LEETCODE UI CHANGES !!! ---
+// Candidates for the language picker button, most specific first. A candidate only counts
+// if its text is a known language name.
+const LANGUAGE_BUTTON_SELECTORS = [
+    'button[aria-haspopup="dialog"][data-state="closed"] > button.group',
+    'button[aria-haspopup="dialog"] > button.group',
+    '#editor button[aria-haspopup="dialog"]',
+];
+
+// LeetCode's snippet langSlugs for Monaco language IDs whose slug differs (add more if LeetCode uses others)
+const SNIPPET_LANG_SLUGS = {
+    python: ['python3'],
+    python2: ['python'],
+    go: ['golang', 'go'],
+    cpp: ['cpp', 'c++'],
+    csharp: ['csharp', 'c#'],
+};
+
+// Map common LeetCode UI names to Monaco language IDs.
+// LeetCode's "Python" is Python 2: 'python2' (registered in Step 2 of background.js) keeps its drafts apart
+// from Python3's, and the Python 3 tooling (Ruff, Pyodide, the analyzer) off it.
+const LEETCODE_LANGUAGE_MAP = {
+    "python": "python2", "python3": "python",
+    "java": "java",
+    "c++": "cpp", "cpp": "cpp",
+    "c": "c",
+    "c#": "csharp", "csharp": "csharp",
+    "javascript": "javascript",
+    "typescript": "typescript",
+    "php": "php",
+    "swift": "swift",
+    "kotlin": "kotlin",
+    "dart": "dart", // Monaco might not support Dart out-of-the-box
+    "golang": "go", "go": "go",
+    "ruby": "ruby",
+    "scala": "scala",
+    "rust": "rust",
+    // Add other mappings as needed
+};
+
+/**
+ * Finds the language picker button: the first candidate showing a known language.
+ * @returns {Element | null}
+ */
+function findLanguageButton() {
+    for (const selector of LANGUAGE_BUTTON_SELECTORS) {
+        for (const element of document.querySelectorAll(selector)) {
+            const langText = element.textContent?.toLowerCase().trim();
+            if (langText && LEETCODE_LANGUAGE_MAP[langText]) {
+                return element;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Reads the language picker without logging (safe to call on every picker mutation).
+ * @returns {string | null} The Monaco language ID, or null if the picker wasn't found.
+ */
+function detectLeetCodeLanguage() {
+    const element = findLanguageButton();
+    return element ? LEETCODE_LANGUAGE_MAP[element.textContent.toLowerCase().trim()] : null;
+}
+
 /**
  * Attempts to detect the currently selected language from the LeetCode UI.
  * WARNING: Relies on specific LeetCode UI selectors, which are fragile.
  * @returns {string} The Monaco language ID or 'plaintext' as a fallback.
  */
 function getLeetCodeLanguage() {
-    // --- !!! FRAGILE SELECTOR - ADJUST IF LEETCODE UI CHANGES !!! ---
-    const langDropdownSelector = 'button[aria-haspopup="dialog"][data-state="closed"] > button.group';
     try {
-        const langDropdown = document.querySelector(langDropdownSelector);
-        if (langDropdown && langDropdown.textContent) {
-            const langText = langDropdown.textContent.toLowerCase().trim();
-            console.log("[Content Script] Detected language text from UI:", langText);
-
-            // Map common LeetCode UI names to Monaco language IDs
-            const langMap = {
-                "python": "python", "python3": "python",
-                "java": "java",
-                "c++": "cpp", "cpp": "cpp",
-                "c": "c",
-                "c#": "csharp", "csharp": "csharp",
-                "javascript": "javascript",
-                "typescript": "typescript",
-                "php": "php",
-                "swift": "swift",
-                "kotlin": "kotlin",
-                "dart": "dart", // Monaco might not support Dart out-of-the-box
-                "golang": "go", "go": "go",
-                "ruby": "ruby",
-                "scala": "scala",
-                "rust": "rust",
-                // Add other mappings as needed
-            };
-
-            const monacoLang = langMap[langText];
-            if (monacoLang) {
-                console.log(`[Content Script] Mapped to Monaco language: '${monacoLang}'`);
-                return monacoLang;
-            } else {
-                 console.warn(`[Content Script] No mapping found for UI language '${langText}'. Defaulting to 'plaintext'.`);
-                 return 'plaintext';
-            }
-        } else {
-            console.warn(`[Content Script] Could not find language dropdown element using selector: '${langDropdownSelector}' or it has no text content. Defaulting to 'plaintext'.`);
+        const monacoLang = detectLeetCodeLanguage();
+        if (monacoLang) {
+            console.log(`[Content Script] Detected Monaco language from UI: '${monacoLang}'`);
+            return monacoLang;
         }
+        console.warn(`[Content Script] Could not find a language picker with a known language (selectors: ${LANGUAGE_BUTTON_SELECTORS.join(' | ')}). Defaulting to 'plaintext'.`);
     } catch (e) {
         console.error("[Content Script] Error detecting language from UI:", e);
     }
@@ -126,18 +190,19 @@ function getLeetCodeLanguage() {
  * Helper function to recursively find a key within a nested object.
  * @param {object} obj - The object to search within.
  * @param {string} keyToFind - The key name to look for.
+ * @param {function(any): boolean} [isMatch] - Skips values of the key that fail this check (for generic key names).
  * @returns {any | null} The value associated with the key, or null if not found.
  */
-function findNestedKey(obj, keyToFind) {
+function findNestedKey(obj, keyToFind, isMatch = () => true) {
     if (typeof obj !== 'object' || obj === null) {
         return null;
     }
-    if (Object.prototype.hasOwnProperty.call(obj, keyToFind)) { // Use hasOwnProperty
+    if (Object.prototype.hasOwnProperty.call(obj, keyToFind) && isMatch(obj[keyToFind])) { // Use hasOwnProperty
         return obj[keyToFind];
     }
     for (const key in obj) {
         if (Object.prototype.hasOwnProperty.call(obj, key)) {
-            const result = findNestedKey(obj[key], keyToFind);
+            const result = findNestedKey(obj[key], keyToFind, isMatch);
             if (result !== null) {
                 return result;
             }
@@ -148,45 +213,58 @@ function findNestedKey(obj, keyToFind) {
 
 
 /**
- * Extracts the default code snippet for the currently selected language.
- * Uses findNestedKey to search common data locations.
- * @param {string} targetLanguageId - The Monaco language ID to search for (e.g., 'javascript', 'cpp').
- * @returns {string} The default code snippet, or a fallback message if not found.
+ * Looks up a key in the data LeetCode embeds in the page, searching common data locations.
+ * @param {string} keyToFind - The key name to look for.
+ * @param {function(any): boolean} isMatch - Accepts only valid values of the key.
+ * @returns {any | null} The first matching value, or null if not found.
  */
-function getDefaultCodeFromPageData(targetLanguageId) {
-    console.log(`[Content Script] Attempting to retrieve default code from page data ('codeSnippets') for language: ${targetLanguageId}...`);
-    const fallbackCode = `// Monaco Editor Injected! (Language: ${targetLanguageId})\n// Failed to retrieve default code snippet for this language.\n// Please check console logs.`;
-    let codeSnippets = null;
-
+function findPageData(keyToFind, isMatch) {
     // Strategy 1: Look in potential global variables
     const potentialGlobalVars = ['__INITIAL_STATE__', 'pageData', 'payload', 'appContext']; // Add common framework vars
     for (const varName of potentialGlobalVars) {
         if (typeof window[varName] === 'object' && window[varName] !== null) {
-            let found = findNestedKey(window[varName], 'codeSnippets');
-            if (found && Array.isArray(found)) {
-                 console.log(`[Content Script] Found 'codeSnippets' in window.${varName}`);
-                 codeSnippets = found;
-                 break;
+            let found = findNestedKey(window[varName], keyToFind, isMatch);
+            if (found !== null) {
+                 console.log(`[Content Script] Found '${keyToFind}' in window.${varName}`);
+                 return found;
              }
         }
     }
 
     // Strategy 2: Look in <script type="application/json"> tags
-    if (!codeSnippets) {
-        console.log("[Content Script] Not found in global vars, searching <script type='application/json'>...");
-        const scriptTags = document.querySelectorAll('script[type="application/json"]');
-        for (const tag of scriptTags) {
-            try {
-                const jsonData = JSON.parse(tag.textContent || "");
-                let found = findNestedKey(jsonData, 'codeSnippets');
-                if (found && Array.isArray(found)) {
-                    console.log("[Content Script] Found 'codeSnippets' in a <script type='application/json'> tag.");
-                    codeSnippets = found;
-                    break;
-                }
-            } catch (e) { /* Ignore scripts with invalid JSON */ }
-        }
+    console.log(`[Content Script] '${keyToFind}' not found in global vars, searching <script type='application/json'>...`);
+    const scriptTags = document.querySelectorAll('script[type="application/json"]');
+    for (const tag of scriptTags) {
+        try {
+            const jsonData = JSON.parse(tag.textContent || "");
+            let found = findNestedKey(jsonData, keyToFind, isMatch);
+            if (found !== null) {
+                console.log(`[Content Script] Found '${keyToFind}' in a <script type='application/json'> tag.`);
+                return found;
+            }
+        } catch (e) { /* Ignore scripts with invalid JSON */ }
     }
+    return null;
+}
+
+/**
+ * Extracts the default code snippet for the currently selected language.
+ * Uses findPageData to search common data locations.
+ * @param {string} targetLanguageId - The Monaco language ID to search for (e.g., 'javascript', 'cpp').
+ * @returns {string} The default code snippet, or a fallback message if not found.
+ */
+function getDefaultCodeFromPageData(targetLanguageId) {
+    console.log(`[Content Script] Attempting to retrieve default code from page data ('codeSnippets') for language: ${targetLanguageId}...`);
+    const fallbackCode = `// Monaco Editor Injected! (Language: ${targetLanguageId})\n// Failed to retrieve default code snippet for this language.\n// Please check console logs.`;
+
+    // Embedded page data is only written on full page loads; after client-side navigation it still
+    // describes the first problem. The native editor bridge pulls the real starter code instead.
+    if (getProblemSlug() !== pageLoadSlug) {
+        console.log(`[Content Script] Page data belongs to '${pageLoadSlug}', not the current problem. Deferring to LeetCode's editor for starter code.`);
+        return `// Loading starter code from LeetCode's editor... (Language: ${targetLanguageId})`;
+    }
+
+    const codeSnippets = findPageData('codeSnippets', Array.isArray);
 
     // Process the found codeSnippets
     if (!codeSnippets || !Array.isArray(codeSnippets)) {
@@ -200,13 +278,8 @@ function getDefaultCodeFromPageData(targetLanguageId) {
     const languageDefinition = codeSnippets.find(snippet => {
         const slug = snippet?.langSlug?.toLowerCase();
         if (!slug) return false;
-        // Direct match or known variations (add more aliases if LeetCode uses different slugs)
-        return slug === targetLanguageId ||
-               (targetLanguageId === 'python' && (slug === 'python3' || slug === 'python')) ||
-               (targetLanguageId === 'go' && slug === 'golang') ||
-               (targetLanguageId === 'cpp' && (slug === 'c++' || slug === 'cpp')) ||
-               (targetLanguageId === 'csharp' && slug === 'c#');
-               // Add other specific mappings here if needed
+        // Known variations ('python' is LeetCode's Python 2 slug), else a direct match
+        return (SNIPPET_LANG_SLUGS[targetLanguageId] || [targetLanguageId]).includes(slug);
     });
 
     // Extract code or use fallback
@@ -220,6 +293,56 @@ function getDefaultCodeFromPageData(targetLanguageId) {
     }
 }
 
+/**
+ * Pulls out the expected output of each example in the problem description
+ * (`<strong>Output:</strong> ...` in a <pre> block, or followed by a <span class="example-io"> in newer problems).
+ * @param {string} contentHtml - The problem description.
+ * @returns {string[]} The outputs as plain text, in example order.
+ */
+function parseExampleOutputs(contentHtml) {
+    const outputs = [];
+    const outputPattern = /<strong>\s*Output:?\s*<\/strong>:?([\s\S]*?)(?=<strong>|<\/pre>|<\/p>|\n)/g;
+    for (const match of contentHtml.matchAll(outputPattern)) {
+        // Parsing as HTML strips the tags and decodes entities (&quot; etc.)
+        const text = new DOMParser().parseFromString(match[1], 'text/html').documentElement.textContent.trim();
+        outputs.push(text);
+    }
+    return outputs;
+}
+
+/**
+ * Collects what the local test runner (page_scripts/test_runner.js) needs from the page data:
+ * the example inputs, the solution signature, the expected outputs and the constraints from the description.
+ * @returns {{exampleTestcases: string, metaData: object, expectedOutputs: string[], constraints: object | null} | null}
+ *     Null if the page data is missing or belongs to another problem (after client-side navigation).
+ */
+function getProblemTestData() {
+    if (getProblemSlug() !== pageLoadSlug) {
+        console.log(`[Content Script] Page data belongs to '${pageLoadSlug}', not the current problem. No example testcases for the local runner.`);
+        return null;
+    }
+    const exampleTestcases = findPageData('exampleTestcases', value => typeof value === 'string');
+    const metaDataJson = findPageData('metaData', value => typeof value === 'string');
+    if (exampleTestcases === null || metaDataJson === null) {
+        console.warn("[Content Script] Could not find 'exampleTestcases'/'metaData' in page data. Local test runs are unavailable.");
+        return null;
+    }
+    let metaData;
+    try {
+        metaData = JSON.parse(metaDataJson);
+    } catch (e) {
+        console.warn("[Content Script] Page data has invalid 'metaData'. Local test runs are unavailable.", e);
+        return null;
+    }
+    const content = findPageData('content', value => typeof value === 'string' && value.includes('Output'));
+    return {
+        exampleTestcases,
+        metaData,
+        expectedOutputs: content ? parseExampleOutputs(content) : [],
+        constraints: content ? LeetCodeConstraints.parseConstraints(content, metaData) : null,
+    };
+}
+
 /**
  * Extracts the problem slug from the current URL.
  * Assumes URL structure like /problems/two-sum/...
@@ -260,29 +383,37 @@ function initializeEditor() {
     console.warn(`[Content Script] FORCING LANGUAGE TO '${language}' FOR TESTING PURPOSES.`);
     // ---------------------------------------------
 
-    const theme = 'vs-dark'; // Theme preference
-    const storageKey = `leetcodeCode-${problemSlug}-${language}`; // Make storage key language-specific too
+    // Editor preferences (theme, font, ...) from the options page
+    const preferencesPromise = LeetCodePreferences.load().catch((error) => {
+        console.error("[Content Script] Error reading editor preferences. Using defaults:", error);
+        return LeetCodePreferences.normalize(null);
+    });
 
-    console.log(`[Content Script] Checking chrome.storage.local for key: '${storageKey}' (using language: ${language})`);
-    chrome.storage.local.get([storageKey], (result) => {
+    console.log(`[Content Script] Checking storage for key: '${LeetCodeStorage.codeKey(problemSlug, language)}' (using language: ${language})`);
+    LeetCodeStorage.loadCode(problemSlug, language).catch((error) => {
+        console.error("[Content Script] Error reading from chrome.storage:", error);
+        return undefined; // Distinguish a read failure from "nothing saved" (null)
+    }).then(async (savedEntry) => {
+        const preferences = await preferencesPromise;
         let initialCode = "";
         let codeSource = "";
+        let initialCodeFromStorage = false;
 
-        if (chrome.runtime.lastError) {
-            console.error("[Content Script] Error reading from chrome.storage:", chrome.runtime.lastError);
+        if (savedEntry === undefined) {
             initialCode = getDefaultCodeFromPageData(language); // Get default code for the TARGET language
             codeSource = `Default (Storage Error, Lang: ${language})`;
-        } else if (result && result[storageKey] !== undefined) {
+        } else if (savedEntry) {
             console.log(`[Content Script] Found saved code for slug '${problemSlug}' and lang '${language}' in storage.`);
-            initialCode = result[storageKey];
+            initialCode = savedEntry.code;
             codeSource = "Storage";
+            initialCodeFromStorage = true;
         } else {
             console.log(`[Content Script] No saved code found for slug '${problemSlug}' and lang '${language}'. Using default snippet.`);
             initialCode = getDefaultCodeFromPageData(language); // Get default code for the TARGET language
             codeSource = `Default (No Saved, Lang: ${language})`;
         }
 
-        console.log(`[Content Script] Requesting Monaco injection for slug '${problemSlug}'. Language: '${language}'. Code source: ${codeSource}. Options:`, { containerId, language, theme, initialCodeLength: initialCode?.length ?? 0 });
+        console.log(`[Content Script] Requesting Monaco injection for slug '${problemSlug}'. Language: '${language}'. Code source: ${codeSource}. Options:`, { containerId, language, preferences, initialCodeLength: initialCode?.length ?? 0 });
 
         // Send message to background script to perform the actual injection
         chrome.runtime.sendMessage(
@@ -291,9 +422,11 @@ function initializeEditor() {
                 options: {
                     containerId: containerId,
                     language: language, // Send the potentially overridden language
-                    theme: theme,
+                    preferences: preferences, // Theme and editor options
                     initialCode: initialCode, // Use stored or default code
-                    problemSlug: problemSlug  // Pass slug for background to associate with tab
+                    initialCodeFromStorage: initialCodeFromStorage, // Default code yields to LeetCode's editor content
+                    problemSlug: problemSlug, // Pass slug for background to associate with tab
+                    problemData: getProblemTestData() // Example testcases for the local test runner
                 }
             },
             (response) => {
@@ -306,6 +439,8 @@ function initializeEditor() {
                 } else if (response) {
                     if (response.success) {
                         console.log('[Content Script] Background script reported SUCCESSFUL Monaco injection!');
+                        // Only follow the language picker for the problem we injected for
+                        if (problemSlug === currentSlug) currentLanguage = language;
                     } else {
                         console.error('[Content Script] Background script reported Monaco injection FAILURE:', response.error);
                         // Display error in the placeholder container
@@ -321,7 +456,7 @@ function initializeEditor() {
                 }
             }
         );
-    }); // End of chrome.storage.local.get callback
+    }); // End of LeetCodeStorage.loadCode callback
 }
 
 // --- Initialization Trigger ---
@@ -345,9 +480,11 @@ function attemptInitialization() {
              console.log(`[Content Script] Found '${ORIGINAL_EDITOR_SELECTOR}' (attempt ${initAttempts}). Proceeding with initialization.`);
         }
         if (initCheckInterval) clearInterval(initCheckInterval);
+        initCheckInterval = null;
         initializeEditor(); // Call the main function
     } else if (initAttempts >= MAX_INIT_ATTEMPTS) {
         if (initCheckInterval) clearInterval(initCheckInterval);
+        initCheckInterval = null;
         console.error(`[Content Script] Timed out after ${initAttempts} attempts waiting for '${ORIGINAL_EDITOR_SELECTOR}' element. Monaco injection aborted.`);
     } else {
         // Still waiting...
@@ -355,7 +492,161 @@ function attemptInitialization() {
     }
 }
 
+/**
+ * (Re)starts waiting for LeetCode's editor and initializing ours.
+ */
+function startInitialization() {
+    initAttempts = 0;
+    if (initCheckInterval) clearInterval(initCheckInterval);
+    initCheckInterval = setInterval(attemptInitialization, INIT_CHECK_INTERVAL_MS);
+}
+
+// --- Language Picker ---
+// Follow LeetCode's language dropdown: keep a separate draft per language and swap the Monaco model language.
+const LANGUAGE_CHECK_DEBOUNCE_MS = 300;
+const LANGUAGE_PICKER_CHECK_INTERVAL_MS = 500; // How often to look for a re-rendered picker button
+let currentLanguage = null; // Language of the injected editor; null while no editor is injected
+let isSwitchingLanguage = false;
+let languageCheckTimeout = null;
+
+async function checkForLanguageChange() {
+    if (!currentLanguage || isSwitchingLanguage || isHandlingRouteChange) return;
+    const newLanguage = detectLeetCodeLanguage();
+    if (!newLanguage || newLanguage === currentLanguage) return;
+
+    const problemSlug = currentSlug;
+    console.log(`[Content Script] Language picker changed from '${currentLanguage}' to '${newLanguage}'.`);
+    isSwitchingLanguage = true;
+    try {
+        let savedEntry = null;
+        try {
+            savedEntry = await LeetCodeStorage.loadCode(problemSlug, newLanguage);
+        } catch (error) {
+            console.error("[Content Script] Error reading from chrome.storage:", error);
+        }
+        const code = savedEntry ? savedEntry.code : getDefaultCodeFromPageData(newLanguage);
+
+        const response = await chrome.runtime.sendMessage({
+            action: 'switchMonacoLanguage',
+            options: { language: newLanguage, code: code, codeFromStorage: !!savedEntry, problemSlug: problemSlug },
+        });
+        if (response && response.success) {
+            currentLanguage = newLanguage;
+        } else {
+            console.error("[Content Script] Background reported language switch FAILURE:", response?.error);
+        }
+    } catch (error) {
+        console.error("[Content Script] Error sending 'switchMonacoLanguage' message:", error.message);
+    } finally {
+        isSwitchingLanguage = false;
+    }
+    // The picker may have changed again while we were switching
+    scheduleLanguageCheck();
+}
+
+function scheduleLanguageCheck() {
+    clearTimeout(languageCheckTimeout);
+    languageCheckTimeout = setTimeout(checkForLanguageChange, LANGUAGE_CHECK_DEBOUNCE_MS);
+}
+
+// Only the picker's own subtree is observed: observing the whole page would restart the debounce on every
+// keystroke and timer tick. LeetCode re-renders the picker, so re-attach whenever the button is replaced.
+const languagePickerObserver = new MutationObserver(() => {
+    if (currentLanguage) scheduleLanguageCheck();
+});
+let observedLanguageButton = null;
+
+function watchLanguagePicker() {
+    const button = findLanguageButton();
+    if (!button || button === observedLanguageButton) return;
+    languagePickerObserver.disconnect();
+    languagePickerObserver.observe(button, { subtree: true, childList: true, characterData: true });
+    observedLanguageButton = button;
+    if (currentLanguage) scheduleLanguageCheck(); // The new button may already show another language
+}
+
+watchLanguagePicker();
+setInterval(watchLanguagePicker, LANGUAGE_PICKER_CHECK_INTERVAL_MS);
+
+// --- Live Preference Updates ---
+// Apply changes from the options page to the open editor without re-injecting it.
+function applyEditorPreferences(preferences) {
+    if (!currentLanguage) return; // No editor injected (yet); the next injection reads the new preferences
+    chrome.runtime.sendMessage({ action: 'applyEditorPreferences', preferences: preferences }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.error("[Content Script] Error sending 'applyEditorPreferences' message:", chrome.runtime.lastError.message);
+        } else if (response && !response.success) {
+            console.error("[Content Script] Background reported FAILURE applying preferences:", response.error);
+        }
+    });
+}
+
+LeetCodePreferences.onChanged(applyEditorPreferences);
+// Re-importing the selected theme changes its colors without changing the preference
+LeetCodeThemes.onImportedThemesChanged(async () => applyEditorPreferences(await LeetCodePreferences.load()));
+
+LeetCodeSnippets.onChanged((snippets) => {
+    if (!currentLanguage) return; // No editor injected (yet); the next injection loads the new snippets
+    chrome.runtime.sendMessage({ action: 'applySnippets', snippets: snippets }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.error("[Content Script] Error sending 'applySnippets' message:", chrome.runtime.lastError.message);
+        } else if (response && !response.success) {
+            console.error("[Content Script] Background reported FAILURE applying snippets:", response.error);
+        }
+    });
+});
+
+// --- Client-Side Navigation ---
+// LeetCode's SPA router changes the URL without reloading the page (e.g. "Next problem"),
+// so watch for slug changes and re-inject the editor for the new problem.
+const pageLoadSlug = getProblemSlug(); // Embedded page data belongs to this problem
+let currentSlug = pageLoadSlug;
+let isHandlingRouteChange = false;
+
+function checkForRouteChange() {
+    if (isHandlingRouteChange) return;
+    const match = window.location.pathname.match(/problems\/([^/]+)/);
+    const newSlug = match ? match[1] : null;
+    if (newSlug === currentSlug) return;
+
+    const previousSlug = currentSlug;
+    currentSlug = newSlug;
+    currentLanguage = null; // Stop following the picker until the new editor is injected
+    isHandlingRouteChange = true;
+    console.log(`[Content Script] Route changed from problem '${previousSlug}' to '${newSlug}'. Tearing down current editor...`);
+
+    // Stop any init still waiting for the previous problem
+    if (initCheckInterval) clearInterval(initCheckInterval);
+    initCheckInterval = null;
+
+    chrome.runtime.sendMessage(
+        { action: 'teardownMonaco', options: { containerId: EDITOR_CONTAINER_ID, problemSlug: previousSlug } },
+        (response) => {
+            isHandlingRouteChange = false;
+            if (chrome.runtime.lastError) {
+                console.error("[Content Script] Error sending 'teardownMonaco' message:", chrome.runtime.lastError.message);
+            } else if (response && !response.success) {
+                console.error("[Content Script] Background reported teardown FAILURE:", response.error);
+            }
+            // Our container may survive a failed teardown; drop it so the new one is placed next to the new editor
+            document.getElementById(EDITOR_CONTAINER_ID)?.remove();
+
+            if (currentSlug) {
+                startInitialization();
+            } else {
+                console.log("[Content Script] Left the problem pages. Restoring LeetCode's editor.");
+                const originalEditorElement = document.querySelector(ORIGINAL_EDITOR_SELECTOR);
+                if (originalEditorElement) originalEditorElement.style.display = '';
+            }
+            // The URL may have changed again while we were tearing down
+            checkForRouteChange();
+        }
+    );
+}
+
+setInterval(checkForRouteChange, ROUTE_CHECK_INTERVAL_MS);
+
 // Start the interval check
-initCheckInterval = setInterval(attemptInitialization, INIT_CHECK_INTERVAL_MS);
+startInitialization();
 // Also run once quickly in case element is already there
 // setTimeout(attemptInitialization, 100); // Or just rely on the interval
\ No newline at end of file
@@ -0,0 +1,274 @@
+// options/options.js
+// Options page: edits the preferences owned by shared/preferences.js and manages imported
+// VS Code themes (shared/themes.js) and snippets (shared/snippets.js). Open editors pick up changes through chrome.storage.onChanged
+// (see the content script).
+
+// --- Constants ---
+const STATUS_CLEAR_DELAY_MS = 1500;
+// Display names for choice values (values without an entry are shown as-is)
+const CHOICE_LABELS = {
+    'auto': 'Match LeetCode', 'leetcode-dark': 'LeetCode Dark', 'leetcode-light': 'LeetCode Light',
+    'vs': 'Light', 'vs-dark': 'Dark', 'hc-black': 'High contrast dark', 'hc-light': 'High contrast light',
+    'off': 'Off', 'on': 'On', 'wordWrapColumn': 'At column', 'bounded': 'Viewport or column',
+    'relative': 'Relative', 'interval': 'Every 10 lines',
+    'line': 'Line', 'block': 'Block', 'underline': 'Underline', 'line-thin': 'Thin line',
+    'block-outline': 'Block outline', 'underline-thin': 'Thin underline',
+    'all': 'Everywhere', 'code': 'In code only', 'smart': 'Smart',
+    'default': 'Default', 'vim': 'Vim', 'emacs': 'Emacs',
+    'prettier': 'Prettier', 'prettier-single-quotes': 'Prettier, single quotes',
+    'standard': 'Standard (single quotes, no semicolons)',
+    'ruff': 'Ruff (Black compatible)', 'ruff-single-quotes': 'Ruff, single quotes',
+};
+
+// Monaco language IDs of LeetCode's languages, offered in the snippet manager
+const SNIPPET_LANGUAGES = {
+    'cpp': 'C++', 'java': 'Java', 'python': 'Python', 'c': 'C', 'csharp': 'C#',
+    'javascript': 'JavaScript', 'typescript': 'TypeScript', 'php': 'PHP', 'swift': 'Swift',
+    'kotlin': 'Kotlin', 'dart': 'Dart', 'go': 'Go', 'ruby': 'Ruby', 'scala': 'Scala', 'rust': 'Rust',
+};
+
+let statusTimeout = null;
+let importedThemes = {};
+let snippets = {};
+
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.style.color = isError ? '#b00020' : '';
+    clearTimeout(statusTimeout);
+    statusTimeout = setTimeout(() => { status.textContent = ''; }, STATUS_CLEAR_DELAY_MS);
+}
+
+function populateChoices() {
+    document.querySelectorAll('select[data-pref]').forEach(select => {
+        for (const value of LeetCodePreferences.CHOICES[select.dataset.pref] || []) {
+            select.appendChild(new Option(CHOICE_LABELS[value] || value, value));
+        }
+    });
+    document.querySelectorAll('input[type="number"][data-pref]').forEach(input => {
+        const [min, max] = LeetCodePreferences.NUMBER_RANGES[input.dataset.pref];
+        input.min = min;
+        input.max = max;
+    });
+}
+
+// --- Imported Themes ---
+
+// Imported themes are listed after the built-in theme choices
+function renderImportedThemeChoices() {
+    const select = document.querySelector('select[data-pref="theme"]');
+    const selected = select.value;
+    select.querySelectorAll('option[data-imported]').forEach(option => option.remove());
+    for (const [themeId, theme] of Object.entries(importedThemes)) {
+        const option = new Option(theme.label, themeId);
+        option.dataset.imported = 'true';
+        select.appendChild(option);
+    }
+    select.value = selected;
+}
+
+function renderImportedThemeList() {
+    const list = document.getElementById('imported-theme-list');
+    list.innerHTML = '';
+    for (const [themeId, theme] of Object.entries(importedThemes)) {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${theme.label} (${theme.definition.base === 'vs' || theme.definition.base === 'hc-light' ? 'light' : 'dark'})`;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => removeTheme(themeId));
+        item.append(label, removeButton);
+        list.appendChild(item);
+    }
+}
+
+async function refreshImportedThemes() {
+    importedThemes = await LeetCodeThemes.loadImportedThemes();
+    renderImportedThemeChoices();
+    renderImportedThemeList();
+}
+
+async function importThemeFiles(files) {
+    const imported = [];
+    for (const file of files) {
+        try {
+            const theme = LeetCodeThemes.convertVSCodeTheme(await file.text(), file.name);
+            await LeetCodeThemes.saveImportedTheme(theme);
+            imported.push(theme.label);
+        } catch (error) {
+            console.error(`[Options] Failed to import theme '${file.name}':`, error);
+            showStatus(`Failed to import '${file.name}': ${error.message}`, true);
+            return; // Keep the error visible instead of overwriting it with a later success
+        } finally {
+            await refreshImportedThemes();
+        }
+    }
+    if (imported.length > 0) showStatus(`Imported ${imported.join(', ')}.`);
+}
+
+async function removeTheme(themeId) {
+    try {
+        const preferences = await LeetCodePreferences.load();
+        if (preferences.theme === themeId) {
+            renderPreferences(await LeetCodePreferences.save({ theme: LeetCodePreferences.DEFAULT_PREFERENCES.theme }));
+        }
+        await LeetCodeThemes.removeImportedTheme(themeId);
+        await refreshImportedThemes();
+        showStatus('Theme removed.');
+    } catch (error) {
+        console.error('[Options] Failed to remove theme:', error);
+        showStatus(`Failed to remove theme: ${error.message}`, true);
+    }
+}
+
+// --- Snippets ---
+
+function currentSnippetLanguage() {
+    return document.getElementById('snippet-language').value;
+}
+
+function renderSnippetList(selectedIndex = -1) {
+    const list = document.getElementById('snippet-list');
+    list.innerHTML = '';
+    (snippets[currentSnippetLanguage()] || []).forEach((entry, index) => {
+        list.appendChild(new Option(entry.prefix, String(index)));
+    });
+    list.value = String(selectedIndex);
+    renderSnippetForm(selectedIndex);
+}
+
+function renderSnippetForm(index) {
+    const entry = (snippets[currentSnippetLanguage()] || [])[index];
+    document.getElementById('snippet-prefix').value = entry?.prefix ?? '';
+    document.getElementById('snippet-description').value = entry?.description ?? '';
+    document.getElementById('snippet-body').value = entry?.body ?? '';
+    document.getElementById('snippet-delete').disabled = !entry;
+}
+
+async function saveSnippetLanguage(entries, selectedIndex, message) {
+    try {
+        snippets = await LeetCodeSnippets.saveLanguage(currentSnippetLanguage(), entries);
+        renderSnippetList(selectedIndex);
+        showStatus(message);
+    } catch (error) {
+        console.error('[Options] Failed to save snippets:', error);
+        showStatus(`Failed to save snippets: ${error.message}`, true);
+    }
+}
+
+async function saveSnippet() {
+    const prefix = document.getElementById('snippet-prefix').value.trim();
+    const body = document.getElementById('snippet-body').value;
+    if (!prefix || !body.trim()) {
+        showStatus('A snippet needs a prefix and a body.', true);
+        return;
+    }
+    const entries = [...(snippets[currentSnippetLanguage()] || [])];
+    const entry = { prefix, description: document.getElementById('snippet-description').value.trim(), body };
+    const selectedIndex = Number(document.getElementById('snippet-list').value || -1);
+    // Editing the selected snippet replaces it; otherwise a snippet with the same prefix is replaced
+    const existingIndex = selectedIndex >= 0 ? selectedIndex : entries.findIndex(e => e.prefix === prefix);
+    if (existingIndex >= 0) entries[existingIndex] = entry; else entries.push(entry);
+    await saveSnippetLanguage(entries, existingIndex >= 0 ? existingIndex : entries.length - 1, 'Snippet saved.');
+}
+
+async function deleteSnippet() {
+    const selectedIndex = Number(document.getElementById('snippet-list').value || -1);
+    if (selectedIndex < 0) return;
+    const entries = (snippets[currentSnippetLanguage()] || []).filter((_, index) => index !== selectedIndex);
+    await saveSnippetLanguage(entries, -1, 'Snippet deleted.');
+}
+
+async function initializeSnippetManager() {
+    const languageSelect = document.getElementById('snippet-language');
+    for (const [languageId, label] of Object.entries(SNIPPET_LANGUAGES)) {
+        languageSelect.appendChild(new Option(label, languageId));
+    }
+    snippets = await LeetCodeSnippets.load();
+    renderSnippetList();
+
+    languageSelect.addEventListener('change', () => renderSnippetList());
+    document.getElementById('snippet-list').addEventListener('change', (event) => renderSnippetForm(Number(event.target.value)));
+    document.getElementById('snippet-new').addEventListener('click', () => renderSnippetList());
+    document.getElementById('snippet-save').addEventListener('click', saveSnippet);
+    document.getElementById('snippet-delete').addEventListener('click', deleteSnippet);
+    document.getElementById('snippets-restore-defaults').addEventListener('click', async () => {
+        try {
+            snippets = await LeetCodeSnippets.restoreDefaults();
+            renderSnippetList();
+            showStatus('Default snippets restored.');
+        } catch (error) {
+            console.error('[Options] Failed to restore default snippets:', error);
+            showStatus(`Failed to restore default snippets: ${error.message}`, true);
+        }
+    });
+    // Tab inserts a tab in the body instead of leaving the field
+    document.getElementById('snippet-body').addEventListener('keydown', (event) => {
+        if (event.key !== 'Tab' || event.shiftKey) return;
+        event.preventDefault();
+        document.execCommand('insertText', false, '\t');
+    });
+}
+
+// --- Preferences ---
+
+function renderPreferences(preferences) {
+    document.querySelectorAll('[data-pref]').forEach(control => {
+        const value = preferences[control.dataset.pref];
+        if (control.type === 'checkbox') {
+            control.checked = value;
+        } else {
+            control.value = value;
+        }
+    });
+}
+
+function readControl(control) {
+    if (control.type === 'checkbox') return control.checked;
+    if (control.type === 'number') return Number(control.value);
+    return control.value;
+}
+
+async function savePreference(control) {
+    try {
+        const preferences = await LeetCodePreferences.save({ [control.dataset.pref]: readControl(control) });
+        renderPreferences(preferences); // Show the value as normalized (e.g. clamped numbers)
+        showStatus('Saved.');
+    } catch (error) {
+        console.error('[Options] Failed to save preferences:', error);
+        showStatus(`Failed to save: ${error.message}`, true);
+    }
+}
+
+async function initializeOptionsPage() {
+    populateChoices();
+    await refreshImportedThemes(); // Before rendering, so an imported theme preference can be selected
+    renderPreferences(await LeetCodePreferences.load());
+
+    document.querySelectorAll('[data-pref]').forEach(control => {
+        control.addEventListener('change', () => savePreference(control));
+    });
+    document.getElementById('reset-preferences').addEventListener('click', async () => {
+        try {
+            renderPreferences(await LeetCodePreferences.save(LeetCodePreferences.DEFAULT_PREFERENCES));
+            showStatus('Defaults restored.');
+        } catch (error) {
+            console.error('[Options] Failed to restore defaults:', error);
+            showStatus(`Failed to restore defaults: ${error.message}`, true);
+        }
+    });
+    const themeFileInput = document.getElementById('theme-file');
+    themeFileInput.addEventListener('change', async () => {
+        await importThemeFiles([...themeFileInput.files]);
+        themeFileInput.value = ''; // Allow importing the same file again after editing it
+    });
+    // Keep in sync if preferences change elsewhere (e.g. another options tab)
+    LeetCodePreferences.onChanged(renderPreferences);
+    await initializeSnippetManager();
+}
+
+initializeOptionsPage().catch(error => {
+    console.error('[Options] Failed to initialize options page:', error);
+    showStatus(`Failed to load preferences: ${error.message}`, true);
+});
@@ -0,0 +1,107 @@
+// page_scripts/code_analysis.js
+// Small text-level helpers shared by the page-world language features (starter definitions,
+// library IntelliSense, ...). No Monaco dependency; everything works on plain strings.
+
+(() => {
+    if (window.leetCodeMonacoCodeAnalysis) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const CALL_CONTEXT_LENGTH = 2000; // How far back findOpenCall looks for the '(' of the current call
+    // Comments and string/char literals per Monaco language ID (C-style syntax unless listed)
+    const MASKED_SYNTAX = {
+        python: /#[^\n]*|'''[\s\S]*?'''|"""[\s\S]*?"""|'(?:\\.|[^\\'\n])*'|"(?:\\.|[^\\"\n])*"/g,
+        rust: /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"(?:\\.|[^\\"])*"|'(?:\\.|[^\\'\n])'/g, // 'a lifetimes aren't literals
+        go: /\/\/[^\n]*|\/\*[\s\S]*?\*\/|`[^`]*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/g,
+        default: /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"""[\s\S]*?"""|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/g,
+    };
+
+    /**
+     * Escapes text for use inside a RegExp.
+     * @param {string} text - Literal text.
+     * @returns {string} The escaped pattern.
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Splits a parameter list at top-level commas, dropping Python/Rust receivers (self, &mut self).
+     * @param {string} text - Text between the parentheses.
+     * @returns {string[]} The trimmed parameters.
+     */
+    function splitParameters(text) {
+        const parameters = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if ('([<{'.includes(char)) depth++;
+            if (')]>}'.includes(char)) depth--;
+            if (char === ',' && depth === 0) {
+                parameters.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) parameters.push(current.trim());
+        return parameters.filter(parameter => !/^&?(?:mut\s+)?self$/.test(parameter));
+    }
+
+    /**
+     * Finds the call the cursor is in: the innermost unclosed '(' before the cursor.
+     * @param {string} code - Full source code.
+     * @param {number} offset - Cursor offset.
+     * @returns {{callee: string, activeParameter: number} | null} Text before the '(' (ending with the callee) and the argument index.
+     */
+    function findOpenCall(code, offset) {
+        const before = code.slice(Math.max(0, offset - CALL_CONTEXT_LENGTH), offset);
+        let depth = 0;
+        let commas = 0;
+        for (let i = before.length - 1; i >= 0; i--) {
+            const char = before[i];
+            if (')]}'.includes(char)) {
+                depth++;
+            } else if ('([{'.includes(char)) {
+                if (depth > 0) { depth--; continue; }
+                return char === '(' ? { callee: before.slice(0, i).replace(/\s+$/, ''), activeParameter: commas } : null;
+            } else if (char === ',' && depth === 0) {
+                commas++;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Blanks out comments and string literals, keeping offsets and line breaks, so that brackets
+     * and keywords inside them don't confuse the text-level parsers.
+     * @param {string} code - Source code.
+     * @param {string} languageId - Monaco language ID.
+     * @returns {string} Code of the same length with comments and literals replaced by spaces.
+     */
+    function maskCommentsAndStrings(code, languageId) {
+        const pattern = MASKED_SYNTAX[languageId] || MASKED_SYNTAX.default;
+        return code.replace(pattern, match => match.replace(/[^\n]/g, ' '));
+    }
+
+    /**
+     * Finds the bracket closing the one at `openIndex` (use on masked code).
+     * @param {string} code - Code, usually from maskCommentsAndStrings.
+     * @param {number} openIndex - Offset of '(', '[' or '{'.
+     * @returns {number} Offset of the matching bracket, or the last offset when it's unbalanced.
+     */
+    function findMatchingBracket(code, openIndex) {
+        const open = code[openIndex];
+        const close = { '(': ')', '[': ']', '{': '}' }[open];
+        let depth = 0;
+        for (let i = openIndex; i < code.length; i++) {
+            if (code[i] === open) depth++;
+            else if (code[i] === close && --depth === 0) return i;
+        }
+        return code.length - 1;
+    }
+
+    window.leetCodeMonacoCodeAnalysis = { escapeRegExp, splitParameters, findOpenCall, maskCommentsAndStrings, findMatchingBracket };
+    console.log('[PAGE BUNDLED] Code analysis helpers ready.');
+})();
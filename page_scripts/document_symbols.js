@@ -0,0 +1,308 @@
+// page_scripts/document_symbols.js
+// Document symbols (outline, Ctrl+Shift+O, sticky scroll) for languages whose Monaco support has no
+// worker: classes, methods, functions and top-level helpers found by a lightweight declaration scanner.
+
+(() => {
+    if (window.leetCodeMonacoDocumentSymbols) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const SWIFT_MODIFIERS = '(?:(?:public|private|fileprivate|internal|open|final|static|class|override|mutating|nonmutating|convenience|required|lazy|indirect|@\\w+(?:\\([^)]*\\))?)\\s+)*';
+    const KOTLIN_MODIFIERS = '(?:(?:public|private|protected|internal|open|final|abstract|override|inline|suspend|operator|infix|tailrec|external|data|sealed|enum|inner|annotation|value|@\\w+(?:\\([^)]*\\))?)\\s+)*';
+    const RUST_VISIBILITY = '(?:pub(?:\\([^)]*\\))?\\s+)?';
+    // C++/Java methods: optional return type and modifiers, then `name(` (or an operator), body required
+    const C_LIKE_FUNCTION = { pattern: /^(?:[\w:<>,*&[\]~.?@\s]*?[\s*&>\]])?(~?[A-Za-z_]\w*(?:::~?[A-Za-z_]\w*)*|operator\s*(?:\(\)|[^\s\w(]+))\s*\(/, kind: 'function', requiresBody: true };
+    const C_LIKE_STATEMENTS = ['if', 'for', 'while', 'switch', 'catch', 'return', 'new', 'else', 'throw', 'case', 'delete',
+        'do', 'try', 'synchronized', 'sizeof', 'decltype', 'static_assert', 'using', 'typedef', 'assert'];
+    // Declarations per Monaco language ID, tried in order; the first match on a line wins. The name is
+    // capture 1 (or `nameGroup`); `label` synthesizes the displayed name; `scanFromMatchEnd` looks for
+    // the body after the whole match (lambdas: `dfs = [&](...) {`) instead of after the name.
+    const DECLARATIONS = {
+        cpp: [
+            { pattern: /^\s*(?:template\s*<.*>\s*)?(?:class|struct|union)\s+(?:alignas\([^)]*\)\s+)?(\w+)/, kind: 'class', requiresBody: true },
+            { pattern: /^\s*enum\s+(?:class\s+|struct\s+)?(\w+)/, kind: 'enum', requiresBody: true },
+            { pattern: /^\s*namespace\s+(\w+)/, kind: 'namespace', requiresBody: true },
+            { pattern: /^\s*(?:[\w:<>,()*&\s]*\s)?(\w+)\s*=\s*\[[^\]]*\]\s*\(/, kind: 'function', requiresBody: true, scanFromMatchEnd: true }, // auto dfs = [&](...) {
+            C_LIKE_FUNCTION,
+        ],
+        java: [
+            { pattern: /^\s*(?:(?:public|private|protected|static|final|abstract|sealed|non-sealed|strictfp|@\w+(?:\([^)]*\))?)\s+)*(?:class|interface|enum|record|@interface)\s+(\w+)/, kind: 'class' },
+            C_LIKE_FUNCTION,
+        ],
+        go: [
+            { pattern: /^\s*func\s+\(\s*(?:\w+\s+)?\*?\s*(\w+)(?:\[[^\]]*\])?\s*\)\s*(\w+)/, kind: 'method', nameGroup: 2, container: 1 },
+            { pattern: /^\s*func\s+(\w+)/, kind: 'function' },
+            { pattern: /^\s*type\s+(\w+)(?:\[[^\]]*\])?\s+struct\b/, kind: 'struct' },
+            { pattern: /^\s*type\s+(\w+)(?:\[[^\]]*\])?\s+interface\b/, kind: 'interface' },
+            { pattern: /(?:^|[\s(])(\w+)\s*:?=\s*func\s*\(/, kind: 'function', requiresBody: true, scanFromMatchEnd: true }, // dfs := func(...) {
+        ],
+        rust: [
+            { pattern: new RegExp(`^\\s*${RUST_VISIBILITY}(?:(?:const|async|unsafe|extern(?:\\s+"[^"]*")?)\\s+)*fn\\s+(\\w+)`), kind: 'function' },
+            { pattern: new RegExp(`^\\s*${RUST_VISIBILITY}struct\\s+(\\w+)`), kind: 'struct' },
+            { pattern: new RegExp(`^\\s*${RUST_VISIBILITY}enum\\s+(\\w+)`), kind: 'enum' },
+            { pattern: new RegExp(`^\\s*${RUST_VISIBILITY}(?:unsafe\\s+)?trait\\s+(\\w+)`), kind: 'interface' },
+            { pattern: new RegExp(`^\\s*${RUST_VISIBILITY}mod\\s+(\\w+)`), kind: 'namespace' },
+            { pattern: /^\s*(?:unsafe\s+)?impl\b(?:\s*<[^{]*?>)?\s+([^{]+?)\s*(?:\bwhere\b[^{]*)?(?:\{|$)/, kind: 'namespace', label: m => `impl ${m[1]}` },
+        ],
+        kotlin: [
+            { pattern: new RegExp(`^\\s*${KOTLIN_MODIFIERS}fun\\s+(?:<[^>]*>\\s*)?(?:[\\w.<>?]+\\.)?(\\w+)\\s*\\(`), kind: 'function' },
+            { pattern: new RegExp(`^\\s*${KOTLIN_MODIFIERS}(?:class|interface)\\s+(\\w+)`), kind: 'class' },
+            { pattern: new RegExp(`^\\s*${KOTLIN_MODIFIERS}(companion\\s+)?object\\b\\s*(\\w*)`), kind: 'object', nameGroup: 2, label: m => m[2] || 'companion object' },
+            { pattern: new RegExp(`^\\s*${KOTLIN_MODIFIERS}constructor\\s*\\(`), kind: 'constructor', label: () => 'constructor' },
+        ],
+        swift: [
+            { pattern: new RegExp(`^\\s*${SWIFT_MODIFIERS}func\\s+([^\\s(<]+)`), kind: 'function' },
+            { pattern: new RegExp(`^\\s*${SWIFT_MODIFIERS}(init|deinit)\\s*[?!]?\\s*[(<{]`), kind: 'constructor' },
+            { pattern: new RegExp(`^\\s*${SWIFT_MODIFIERS}(?:class|struct|actor)\\s+(\\w+)`), kind: 'class' },
+            { pattern: new RegExp(`^\\s*${SWIFT_MODIFIERS}enum\\s+(\\w+)`), kind: 'enum' },
+            { pattern: new RegExp(`^\\s*${SWIFT_MODIFIERS}protocol\\s+(\\w+)`), kind: 'interface' },
+            { pattern: new RegExp(`^\\s*${SWIFT_MODIFIERS}extension\\s+([\\w.]+)`), kind: 'namespace', label: m => `extension ${m[1]}` },
+        ],
+        python: [
+            { pattern: /^\s*(?:async\s+)?def\s+(\w+)/, kind: 'function' },
+            { pattern: /^\s*class\s+(\w+)/, kind: 'class' },
+        ],
+    };
+    const TYPE_KINDS = ['class', 'struct', 'interface', 'enum', 'object', 'namespace'];
+    const CONSTRUCTOR_NAMES = ['__init__', 'init', 'constructor'];
+    // Lines after a header that still belong to it (Allman braces, initializer lists, where/throws clauses)
+    const HEADER_CONTINUATION = /^\s*(?:\{|:|->|where\b|throws\b|const\b|noexcept\b|override\b|final\b)/;
+    const MAX_DETAIL_LENGTH = 80;
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    // --- Parsing ---
+
+    /**
+     * Finds where a brace-language declaration ends, scanning from its name (or its '(').
+     * @returns {{hasBody: boolean, end: number}} Offset of the closing '}', or of the end of the header.
+     */
+    function findDeclarationEnd(masked, from) {
+        const { findMatchingBracket } = window.leetCodeMonacoCodeAnalysis;
+        let depth = 0;
+        for (let i = from; i < masked.length; i++) {
+            const char = masked[i];
+            if (char === '(' || char === '[') depth++;
+            else if (char === ')' || char === ']') depth--;
+            else if (depth > 0) continue;
+            else if (char === '{') return { hasBody: true, end: findMatchingBracket(masked, i) };
+            else if (char === ';' || char === '}') return { hasBody: false, end: i };
+            else if (char === '=' && !'=>'.includes(masked[i + 1]) && !'=!<>'.includes(masked[i - 1])) {
+                // Expression body (Kotlin `fun f() = ...`), `= default;`, type aliases: the header's line
+                const lineEnd = masked.indexOf('\n', i);
+                return { hasBody: false, end: lineEnd < 0 ? masked.length : lineEnd };
+            } else if (char === '\n' && !HEADER_CONTINUATION.test(masked.slice(i + 1, i + 200))) {
+                return { hasBody: false, end: i };
+            }
+        }
+        return { hasBody: false, end: masked.length };
+    }
+
+    /**
+     * Finds where a Python declaration ends: after its (possibly multi-line) header, the last line
+     * indented deeper than the header.
+     * @returns {number} Offset of the end of the declaration's last line.
+     */
+    function findIndentedEnd(lines, lineOffsets, start) {
+        const indentation = line => line.match(/^\s*/)[0].length;
+        let headerEnd = start;
+        let depth = 0;
+        for (let i = start; i < lines.length; i++) {
+            depth += (lines[i].match(/[([{]/g) || []).length - (lines[i].match(/[)\]}]/g) || []).length;
+            headerEnd = i;
+            if (depth <= 0) break;
+        }
+        let end = headerEnd;
+        for (let i = headerEnd + 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            if (indentation(lines[i]) <= indentation(lines[start])) break;
+            end = i;
+        }
+        return lineOffsets[end] + lines[end].length;
+    }
+
+    // `(int a, int b)` after a function name, with whitespace collapsed, for the symbol's detail
+    function parameterDetail(code, masked, nameEnd) {
+        const open = masked.slice(nameEnd, nameEnd + 200).match(/^\s*(?:<[^(){};]*>)?\s*\(/);
+        if (!open) return '';
+        const start = nameEnd + open[0].length - 1;
+        const close = window.leetCodeMonacoCodeAnalysis.findMatchingBracket(masked, start);
+        const detail = code.slice(start, close + 1).replace(/\s+/g, ' ').replace(/\(\s+/, '(').replace(/\s+\)$/, ')');
+        return detail.length > MAX_DETAIL_LENGTH ? `${detail.slice(0, MAX_DETAIL_LENGTH - 1)}…)` : detail;
+    }
+
+    function matchDeclaration(declarations, line, languageId) {
+        for (const declaration of declarations) {
+            let text = line;
+            let shift = 0;
+            if (declaration === C_LIKE_FUNCTION) {
+                shift = line.match(/^[\s}]*/)[0].length; // `} else if (...) {`, `}} int f() {`
+                text = line.slice(shift);
+            }
+            const match = text.match(declaration.pattern);
+            if (!match) continue;
+            if (declaration === C_LIKE_FUNCTION) {
+                const firstWord = text.match(/^\w+/)?.[0];
+                if (C_LIKE_STATEMENTS.includes(match[1]) || C_LIKE_STATEMENTS.includes(firstWord)) continue;
+            }
+            const located = match[declaration.nameGroup || 1];
+            const name = declaration.label ? declaration.label(match) : located;
+            if (!name || (languageId !== 'swift' && !/\w/.test(name))) continue;
+            // Where the name sits on the line (the keyword when there's no name, e.g. `companion object`)
+            const matchStart = match.index + shift;
+            const nameIndex = located ? matchStart + match[0].lastIndexOf(located) : matchStart + match[0].search(/\S/);
+            const nameLength = located ? located.length : match[0].trim().replace(/\s*\($/, '').length;
+            return {
+                declaration,
+                name,
+                nameIndex,
+                nameLength,
+                matchEnd: matchStart + match[0].length,
+                container: declaration.container ? match[declaration.container] : null,
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Lists the declarations of a buffer as a tree.
+     * @param {string} code - Source code.
+     * @param {string} languageId - Monaco language ID (one of the supported languages).
+     * @returns {Array<{name: string, detail: string, kind: string, start: number, end: number,
+     *   nameStart: number, nameEnd: number, container: string | null, children: object[]}>} Top-level symbols.
+     */
+    function parseSymbols(code, languageId) {
+        const declarations = DECLARATIONS[languageId];
+        if (!declarations) return [];
+        const masked = window.leetCodeMonacoCodeAnalysis.maskCommentsAndStrings(code, languageId);
+        const lines = masked.split('\n');
+        const lineOffsets = [];
+        lines.reduce((offset, line) => { lineOffsets.push(offset); return offset + line.length + 1; }, 0);
+
+        const symbols = [];
+        lines.forEach((line, lineIndex) => {
+            const found = matchDeclaration(declarations, line, languageId);
+            if (!found) return;
+            const nameStart = lineOffsets[lineIndex] + found.nameIndex;
+            const nameEnd = nameStart + found.nameLength;
+            let end;
+            if (languageId === 'python') {
+                end = findIndentedEnd(lines, lineOffsets, lineIndex);
+            } else {
+                const scanFrom = found.declaration.scanFromMatchEnd ? lineOffsets[lineIndex] + found.matchEnd - 1 : nameEnd;
+                const extent = findDeclarationEnd(masked, scanFrom);
+                if (found.declaration.requiresBody && !extent.hasBody) return; // Prototypes, calls, forward declarations
+                end = extent.end + 1;
+            }
+            const isFunction = ['function', 'method', 'constructor'].includes(found.declaration.kind);
+            symbols.push({
+                name: found.name,
+                detail: isFunction ? parameterDetail(code, masked, nameEnd) : '',
+                kind: found.declaration.kind,
+                start: lineOffsets[lineIndex] + line.search(/\S/),
+                end,
+                nameStart,
+                nameEnd,
+                container: found.container,
+                children: [],
+            });
+        });
+        return buildTree(symbols);
+    }
+
+    // Nests symbols by range containment; functions directly inside types become methods/constructors.
+    function buildTree(symbols) {
+        const roots = [];
+        const stack = [];
+        for (const symbol of symbols.sort((a, b) => a.start - b.start || b.end - a.end)) {
+            while (stack.length > 0 && stack[stack.length - 1].end < symbol.end) stack.pop();
+            const parent = stack[stack.length - 1];
+            if (parent && TYPE_KINDS.includes(parent.kind) && symbol.kind === 'function') {
+                const typeName = parent.name.replace(/^(?:impl|extension)\s+/, '').match(/\w+/)?.[0];
+                const isConstructor = CONSTRUCTOR_NAMES.includes(symbol.name) || symbol.name === typeName;
+                symbol.kind = isConstructor ? 'constructor' : 'method';
+            }
+            if (parent) {
+                symbol.container = symbol.container || parent.name;
+                parent.children.push(symbol);
+            } else {
+                roots.push(symbol);
+            }
+            stack.push(symbol);
+        }
+        return roots;
+    }
+
+    // --- Provider ---
+
+    function toDocumentSymbol(monaco, model, symbol) {
+        const kinds = monaco.languages.SymbolKind;
+        const kind = {
+            class: kinds.Class, struct: kinds.Struct, interface: kinds.Interface, enum: kinds.Enum, object: kinds.Object,
+            namespace: kinds.Namespace, function: kinds.Function, method: kinds.Method, constructor: kinds.Constructor,
+        }[symbol.kind];
+        const toRange = (start, end) => monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end));
+        return {
+            name: symbol.name,
+            detail: symbol.detail,
+            kind,
+            tags: [],
+            containerName: symbol.container || undefined,
+            range: toRange(symbol.start, symbol.end),
+            selectionRange: toRange(symbol.nameStart, symbol.nameEnd),
+            children: symbol.children.map(child => toDocumentSymbol(monaco, model, child)),
+        };
+    }
+
+    function documentSymbolProvider(monaco, editor) {
+        return {
+            displayName: 'LeetCode Monaco',
+            provideDocumentSymbols(model) {
+                if (model !== editor.getModel()) return []; // e.g. LeetCode's hidden native editor
+                return parseSymbols(model.getValue(), model.getLanguageId()).map(symbol => toDocumentSymbol(monaco, model, symbol));
+            },
+        };
+    }
+
+    // --- Lifecycle ---
+
+    function unregisterProvider() {
+        attached?.provider?.dispose();
+        if (attached) attached.provider = null;
+    }
+
+    // Registers the provider for the editor's current language only; re-run when the language changes.
+    function registerProvider() {
+        unregisterProvider();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        if (!DECLARATIONS[languageId]) return;
+        attached.provider = window.monaco.languages.registerDocumentSymbolProvider(languageId, documentSymbolProvider(window.monaco, attached.editor));
+        console.log(`[PAGE BUNDLED] Document symbols: Provider registered for '${languageId}'.`);
+    }
+
+    /**
+     * Starts providing document symbols for an editor, following its language.
+     * @param {object} editor - The injected Monaco editor instance.
+     */
+    function attach(editor) {
+        detach();
+        attached = { editor, provider: null, disposables: [] };
+        attached.disposables.push(editor.onDidChangeModelLanguage(registerProvider));
+        registerProvider();
+    }
+
+    /**
+     * Unregisters the provider and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProvider();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoDocumentSymbols = { attach, detach, parseSymbols };
+    console.log('[PAGE BUNDLED] Document symbols module ready.');
+})();
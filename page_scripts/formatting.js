@@ -0,0 +1,216 @@
+// page_scripts/formatting.js
+// Format Document with the bundled formatters (Prettier, Ruff, clang-format; they run in the background,
+// see formatDocument in background.js), plus format on save.
+
+(() => {
+    if (window.leetCodeMonacoFormatting) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const FORMAT_ACTION_ID = 'editor.action.formatDocument'; // Monaco's Format Document (Shift+Alt+F)
+    const FORMAT_BUTTON_ID = 'monaco-format-button';
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    /**
+     * The smallest single edit turning `text` into `formatted` (common prefix and suffix left alone),
+     * so the cursor and the untouched parts of the buffer stay where they are. `offset` is where `text`
+     * starts in the model, for edits to part of the buffer.
+     */
+    function minimalEdit(model, text, formatted, offset = 0) {
+        if (text === formatted) return null;
+        const maxPrefix = Math.min(text.length, formatted.length);
+        let prefix = 0;
+        while (prefix < maxPrefix && text[prefix] === formatted[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < maxPrefix - prefix && text[text.length - 1 - suffix] === formatted[formatted.length - 1 - suffix]) suffix++;
+
+        const start = model.getPositionAt(offset + prefix);
+        const end = model.getPositionAt(offset + text.length - suffix);
+        return {
+            range: new window.monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+            text: formatted.slice(prefix, formatted.length - suffix),
+        };
+    }
+
+    function showError(error) {
+        console.warn('[PAGE BUNDLED] Formatting: Formatter failed:', error.message);
+        const editor = attached?.editor;
+        // The same inline message Monaco shows for e.g. edits in a read-only editor
+        editor?.getContribution('editor.contrib.messageController')?.showMessage(`Cannot format: ${error.message}`, editor.getPosition());
+    }
+
+    async function requestFormatted(model, text, options) {
+        const response = await window.leetCodeMonacoRuntime.request('formatDocument', {
+            languageId: model.getLanguageId(),
+            text,
+            options: { tabSize: options.tabSize, insertSpaces: options.insertSpaces },
+        });
+        return response.formatted;
+    }
+
+    function documentFormattingProvider(editor) {
+        return {
+            displayName: 'LeetCode Monaco formatter',
+            provideDocumentFormattingEdits: async (model, options, token) => {
+                if (model !== editor.getModel()) return []; // LeetCode's hidden editor shares window.monaco
+                const text = model.getValue();
+                try {
+                    const formatted = await requestFormatted(model, text, options);
+                    if (token.isCancellationRequested || model.isDisposed() || model.getValue() !== text) return [];
+                    const edit = minimalEdit(model, text, formatted);
+                    return edit ? [edit] : [];
+                } catch (error) {
+                    if (!token.isCancellationRequested) showError(error);
+                    return [];
+                }
+            },
+        };
+    }
+
+    function formatDocument() {
+        return attached?.editor.getAction(FORMAT_ACTION_ID)?.run();
+    }
+
+    /**
+     * Edits formatting everything but one line, found in the formatted text by counting the non-whitespace
+     * characters before it. Null when the formatter would change that line as well (or move it into another
+     * line): leaving it as typed could then break the code, e.g. when Python's indentation changes.
+     * @returns {{edits: object[], lineNumber: number} | null} The edits, and where the line ends up.
+     */
+    function editsAroundLine(model, text, formatted, lineNumber) {
+        const line = model.getLineContent(lineNumber);
+        if (!/\S/.test(line)) return null; // A blank line has no position of its own in the formatted text
+        const lineStart = model.getOffsetAt({ lineNumber, column: 1 });
+        const lineEnd = lineStart + line.length;
+        const countVisible = part => part.replace(/\s/g, '').length;
+        const visibleBefore = countVisible(text.slice(0, lineStart));
+
+        let seen = 0;
+        let offset = 0;
+        const formattedLines = formatted.split('\n');
+        for (let index = 0; index < formattedLines.length; index++) {
+            const formattedLine = formattedLines[index];
+            if (seen === visibleBefore && /\S/.test(formattedLine)) {
+                if (formattedLine !== line) return null;
+                const edits = [
+                    minimalEdit(model, text.slice(0, lineStart), formatted.slice(0, offset)),
+                    minimalEdit(model, text.slice(lineEnd), formatted.slice(offset + line.length), lineEnd),
+                ].filter(Boolean);
+                return { edits, lineNumber: index + 1 };
+            }
+            seen += countVisible(formattedLine);
+            if (seen > visibleBefore) return null;
+            offset += formattedLine.length + 1;
+        }
+        return null;
+    }
+
+    /**
+     * Formats everything but the line being typed on, keeping the cursor on the same text; skipped when the
+     * formatter would change that line too (the next save with the cursor elsewhere formats it).
+     */
+    async function formatAroundCursor() {
+        const { editor } = attached;
+        const model = editor.getModel();
+        const selections = editor.getSelections() || [];
+        if (!model || selections.length !== 1 || !selections[0].isEmpty()) return;
+        const { lineNumber, column } = selections[0].getPosition();
+        const versionId = model.getVersionId();
+        const text = model.getValue();
+        let formatted;
+        try {
+            formatted = await requestFormatted(model, text, model.getOptions());
+        } catch {
+            return; // Half-typed code often doesn't parse; an explicit save shows the formatter's error
+        }
+        if (attached?.editor !== editor || model.isDisposed() || model.getVersionId() !== versionId
+            || !editor.getPosition()?.equals({ lineNumber, column })) return; // Typed or moved meanwhile
+
+        const result = editsAroundLine(model, text, formatted, lineNumber);
+        if (!result?.edits.length) return;
+        const cursor = new window.monaco.Selection(result.lineNumber, column, result.lineNumber, column);
+        editor.pushUndoStop(); // Undo takes back the formatting separately from the typing
+        editor.executeEdits('leetcode.formatOnSave', result.edits, [cursor]);
+        editor.pushUndoStop();
+    }
+
+    /**
+     * Formats the buffer if format on save is enabled and its language has a formatter. Called by the save
+     * trigger (Step 4 in background.js) before every save: an explicit save formats the whole buffer, a
+     * debounced one (the user is typing) everything but the cursor's line. Never rejects, so the save always
+     * happens.
+     * @param {boolean} [debounced=false] - Whether the save is the debounced one following edits.
+     * @returns {Promise<void>} Resolves once the formatting edits (if any) are applied.
+     */
+    async function formatBeforeSave(debounced = false) {
+        if (!attached?.formatOnSave || !attached.provider) return;
+        try {
+            await (debounced ? formatAroundCursor() : formatDocument());
+        } catch (error) {
+            console.warn('[PAGE BUNDLED] Formatting: Format on save failed:', error);
+        }
+    }
+
+    /**
+     * Turns format on save on or off (live preference update).
+     * @param {boolean} enabled
+     */
+    function setFormatOnSave(enabled) {
+        if (attached) attached.formatOnSave = !!enabled;
+    }
+
+    // --- Lifecycle ---
+
+    function unregisterProvider() {
+        attached?.provider?.dispose();
+        if (attached) attached.provider = null;
+        document.getElementById(FORMAT_BUTTON_ID)?.remove();
+    }
+
+    // Registers the provider (and shows the Format button) for the editor's current language only; re-run
+    // when the language changes.
+    function registerProvider() {
+        unregisterProvider();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        if (!attached.languages.includes(languageId)) return;
+        attached.provider = window.monaco.languages.registerDocumentFormattingEditProvider(languageId, documentFormattingProvider(attached.editor));
+        window.leetCodeMonacoRuntime.addToolbarButton(attached.containerId, FORMAT_BUTTON_ID, 'Format', formatDocument);
+        console.log(`[PAGE BUNDLED] Formatting: Provider registered for '${languageId}'.`);
+    }
+
+    /**
+     * Starts providing Format Document for an editor, following its language.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string, languages: string[], formatOnSave: boolean}} options - Where the editor
+     *     lives, the Monaco language IDs the background has a formatter for, and the format on save preference.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            containerId: options.containerId,
+            languages: options.languages || [],
+            formatOnSave: !!options.formatOnSave,
+            provider: null,
+            disposables: [],
+        };
+        attached.disposables.push(editor.onDidChangeModelLanguage(registerProvider));
+        registerProvider();
+    }
+
+    /**
+     * Unregisters the provider, removes the Format button and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProvider();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoFormatting = { attach, detach, setFormatOnSave, formatBeforeSave };
+    console.log('[PAGE BUNDLED] Formatting module ready.');
+})();
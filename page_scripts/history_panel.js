@@ -0,0 +1,264 @@
+// page_scripts/history_panel.js
+// Per-problem code history: takes snapshots of the injected editor and shows a timeline panel
+// where a snapshot can be compared against the current buffer and restored.
+
+(() => {
+    if (window.leetCodeMonacoHistory) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const IDLE_SNAPSHOT_DELAY_MS = 10000; // Snapshot after this long without edits
+    const RUN_SUBMIT_EVENT_NAME = '__monaco_run_submit__'; // Dispatched by the native editor bridge
+    const PANEL_ID = 'monaco-history-panel';
+    const TOGGLE_BUTTON_ID = 'monaco-history-toggle';
+    const REASON_LABELS = {
+        'idle': 'Idle',
+        'run-submit': 'Run / Submit',
+        'language-switch': 'Language switch',
+        'before-restore': 'Before restore',
+    };
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    /**
+     * Requests a snapshot of the current buffer. Identical consecutive snapshots are skipped by storage.
+     * @param {string} reason - Snapshot trigger (see REASON_LABELS).
+     * @param {{code?: string, language?: string}} [override] - Code/language to record instead of the editor's current ones.
+     * @returns {Promise<boolean>} True if a new snapshot was stored.
+     */
+    async function snapshot(reason, override = {}) {
+        if (!attached) return false;
+        const code = override.code ?? attached.editor.getValue();
+        const language = override.language ?? attached.editor.getModel()?.getLanguageId();
+        if (!language || !code.trim()) return false;
+
+        try {
+            const response = await window.leetCodeMonacoRuntime.request('saveSnapshotForTab', { code, language, reason });
+            if (response.stored && attached?.panel) {
+                refreshPanel();
+            }
+            return !!response.stored;
+        } catch (error) {
+            console.error(`[PAGE BUNDLED] History: Failed to save '${reason}' snapshot:`, error);
+            return false;
+        }
+    }
+
+    function formatTimestamp(createdAt) {
+        return new Date(createdAt).toLocaleString(undefined, { dateStyle: 'short', timeStyle: 'medium' });
+    }
+
+    // --- Panel ---
+
+    function createPanel() {
+        const panelArea = window.leetCodeMonacoRuntime.getPanelArea(attached.containerId);
+        if (!panelArea) {
+            console.warn(`[PAGE BUNDLED] History: Container #${attached.containerId} not found, cannot open panel.`);
+            return null;
+        }
+
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.innerHTML = `
+            <div class="monaco-history-header">
+                <strong>History</strong>
+                <label>Keep last <input type="number" min="1" data-setting="maxSnapshots"></label>
+                <label>Max age (days, 0 = forever) <input type="number" min="0" data-setting="maxAgeDays"></label>
+                <button type="button" class="monaco-toolbar-button" data-action="close">Close</button>
+            </div>
+            <div class="monaco-history-body">
+                <ol class="monaco-history-list"></ol>
+                <div class="monaco-history-preview">
+                    <div class="monaco-history-preview-actions">
+                        <span class="monaco-history-preview-title">Select a snapshot to compare with the current code.</span>
+                        <button type="button" class="monaco-toolbar-button" data-action="restore" disabled>Restore</button>
+                    </div>
+                    <div class="monaco-history-diff"></div>
+                </div>
+            </div>`;
+        panelArea.appendChild(panel);
+
+        panel.querySelector('[data-action="close"]').addEventListener('click', closePanel);
+        panel.querySelector('[data-action="restore"]').addEventListener('click', restoreSelected);
+        panel.querySelectorAll('input[data-setting]').forEach(input => {
+            input.addEventListener('change', async () => {
+                try {
+                    const response = await window.leetCodeMonacoRuntime.request('setHistorySettings', {
+                        settings: { [input.dataset.setting]: Number(input.value) },
+                    });
+                    renderSettings(response.settings);
+                    refreshPanel(); // The new limits may have dropped snapshots
+                } catch (error) {
+                    console.error('[PAGE BUNDLED] History: Failed to update settings:', error);
+                }
+            });
+        });
+        return panel;
+    }
+
+    function renderSettings(settings) {
+        attached.panel?.querySelectorAll('input[data-setting]').forEach(input => {
+            input.value = settings[input.dataset.setting];
+        });
+    }
+
+    async function refreshPanel() {
+        if (!attached?.panel) return;
+        const language = attached.editor.getModel()?.getLanguageId();
+        try {
+            const response = await window.leetCodeMonacoRuntime.request('getHistoryForTab', { language });
+            if (!attached?.panel) return; // Closed while loading
+            attached.snapshots = response.history;
+            renderSettings(response.settings);
+            renderList();
+        } catch (error) {
+            console.error('[PAGE BUNDLED] History: Failed to load history:', error);
+        }
+    }
+
+    function renderList() {
+        const list = attached.panel.querySelector('.monaco-history-list');
+        list.innerHTML = '';
+        if (attached.snapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'monaco-history-empty';
+            empty.textContent = 'No snapshots yet.';
+            list.appendChild(empty);
+            return;
+        }
+        for (const entry of attached.snapshots) {
+            const item = document.createElement('li');
+            item.className = 'monaco-history-item';
+            item.classList.toggle('selected', entry.id === attached.selectedId);
+            item.textContent = `${formatTimestamp(entry.createdAt)} — ${REASON_LABELS[entry.reason] || entry.reason}`;
+            item.addEventListener('click', () => selectSnapshot(entry.id));
+            list.appendChild(item);
+        }
+    }
+
+    function selectSnapshot(snapshotId) {
+        const entry = attached.snapshots.find(s => s.id === snapshotId);
+        if (!entry) return;
+        attached.selectedId = snapshotId;
+        renderList();
+
+        const monaco = window.monaco;
+        const language = attached.editor.getModel()?.getLanguageId() || 'plaintext';
+        if (!attached.diffEditor) {
+            attached.diffEditor = monaco.editor.createDiffEditor(attached.panel.querySelector('.monaco-history-diff'), {
+                readOnly: true,
+                automaticLayout: true,
+                renderSideBySide: true,
+                scrollBeyondLastLine: false,
+            });
+        }
+        // Swap in the new models before disposing the old ones (the diff editor must never hold disposed models)
+        const previousModels = attached.diffModels;
+        attached.diffModels = {
+            original: monaco.editor.createModel(entry.code, language),
+            modified: monaco.editor.createModel(attached.editor.getValue(), language),
+        };
+        attached.diffEditor.setModel(attached.diffModels);
+        if (previousModels) {
+            previousModels.original.dispose();
+            previousModels.modified.dispose();
+        }
+
+        attached.panel.querySelector('.monaco-history-preview-title').textContent =
+            `Snapshot from ${formatTimestamp(entry.createdAt)} (left) vs current code (right)`;
+        attached.panel.querySelector('[data-action="restore"]').disabled = false;
+    }
+
+    async function restoreSelected() {
+        const entry = attached?.snapshots.find(s => s.id === attached.selectedId);
+        if (!entry) return;
+
+        await snapshot('before-restore'); // Keep the code we're about to replace
+        const model = attached.editor.getModel();
+        // executeEdits keeps the restore undoable with Ctrl+Z
+        attached.editor.pushUndoStop();
+        attached.editor.executeEdits('leetcode-history-restore', [{ range: model.getFullModelRange(), text: entry.code }]);
+        attached.editor.pushUndoStop();
+        console.log(`[PAGE BUNDLED] History: Restored snapshot ${entry.id}.`);
+        selectSnapshot(entry.id); // Refresh the diff against the new buffer
+    }
+
+    function disposeDiffModels() {
+        if (!attached?.diffModels) return;
+        attached.diffModels.original.dispose();
+        attached.diffModels.modified.dispose();
+        attached.diffModels = null;
+    }
+
+    function openPanel() {
+        if (!attached || attached.panel) return;
+        attached.panel = createPanel();
+        if (attached.panel) refreshPanel();
+    }
+
+    function closePanel() {
+        if (!attached?.panel) return;
+        if (attached.diffEditor) {
+            attached.diffEditor.setModel(null);
+            attached.diffEditor.dispose();
+            attached.diffEditor = null;
+        }
+        disposeDiffModels();
+        attached.panel.remove();
+        attached.panel = null;
+        attached.selectedId = null;
+    }
+
+    // --- Lifecycle ---
+
+    /**
+     * Starts recording history for an editor and adds the History toolbar button.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string}} options - Where the editor lives.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            containerId: options.containerId,
+            idleTimeout: null,
+            panel: null,
+            diffEditor: null,
+            diffModels: null,
+            snapshots: [],
+            selectedId: null,
+            disposables: [],
+        };
+
+        attached.disposables.push(editor.onDidChangeModelContent(() => {
+            clearTimeout(attached.idleTimeout);
+            attached.idleTimeout = setTimeout(() => snapshot('idle'), IDLE_SNAPSHOT_DELAY_MS);
+        }));
+
+        const onRunSubmit = () => snapshot('run-submit');
+        window.addEventListener(RUN_SUBMIT_EVENT_NAME, onRunSubmit);
+        attached.disposables.push({ dispose: () => window.removeEventListener(RUN_SUBMIT_EVENT_NAME, onRunSubmit) });
+
+        window.leetCodeMonacoRuntime.addToolbarButton(options.containerId, TOGGLE_BUTTON_ID, 'History', () => {
+            if (attached?.panel) closePanel(); else openPanel();
+        });
+        console.log('[PAGE BUNDLED] History: Attached to editor.');
+    }
+
+    /**
+     * Stops recording history and removes the panel and toolbar button.
+     */
+    function detach() {
+        if (!attached) return;
+        clearTimeout(attached.idleTimeout);
+        closePanel();
+        attached.disposables.forEach(d => d.dispose());
+        document.getElementById(TOGGLE_BUTTON_ID)?.remove();
+        attached = null;
+    }
+
+    window.leetCodeMonacoHistory = { attach, detach, snapshot };
+    console.log('[PAGE BUNDLED] History module ready.');
+})();
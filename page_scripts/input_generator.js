@@ -0,0 +1,272 @@
+// page_scripts/input_generator.js
+// Random testcase inputs in LeetCode's format, derived from the problem's metaData types (design problems
+// get a random sequence of method calls). Value and length ranges come from a spec per parameter, usually
+// parsed from the problem's constraints; edge and worst-case modes pick the extremes of those ranges.
+
+(() => {
+    if (window.leetCodeMonacoInputGenerator) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    // Used for anything a spec leaves out; small values and alphabets make collisions (and bugs) likely
+    const DEFAULT_SPEC = {
+        min: -10,
+        max: 10,
+        minLength: 1,
+        maxLength: 8,
+        charset: 'abc',
+    };
+    const DOUBLE_DECIMALS = 5;
+    const MODES = ['random', 'edge', 'worst'];
+    // Inputs are capped so they can still be pasted into a testcase box
+    const MAX_VALUES = 100000; // Per parameter
+    const MAX_CALLS = 10000;
+
+    /**
+     * A seeded pseudo-random number generator (mulberry32), so a run can be reproduced.
+     * @param {number} seed - 32-bit seed.
+     * @returns {function(): number} Returns numbers in [0, 1).
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function randomInt(random, min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+
+    // A bound is a number or another parameter's length ({lengthOf, offset}), e.g. `1 <= k <= nums.length`
+    function resolveBound(bound, values) {
+        if (typeof bound === 'number' || !bound) return bound ?? undefined;
+        const value = values?.[bound.lengthOf];
+        if (value === undefined) return undefined; // Not generated (yet): fall back to the defaults
+        // Trees are in level order, where only the non-null entries are nodes
+        const length = typeof value === 'string' ? value.length : value.filter(item => item !== null).length;
+        return length + bound.offset;
+    }
+
+    function referencesOf(spec) {
+        return [spec.min, spec.max, ...(spec.lengths || []).flat()].filter(bound => bound && typeof bound === 'object');
+    }
+
+    // Fills a missing bound from the default range, widened to fit the other bound
+    function orderedRange(min, max, defaultMin, defaultMax) {
+        if (min === undefined) min = Math.min(defaultMin, max ?? defaultMin);
+        if (max === undefined) max = Math.max(defaultMax, min);
+        return [min, Math.max(min, max)];
+    }
+
+    function valueRange(spec, context) {
+        return orderedRange(resolveBound(spec.min, context.values), resolveBound(spec.max, context.values), DEFAULT_SPEC.min, DEFAULT_SPEC.max);
+    }
+
+    // Lengths by nesting depth (`lengths`) take precedence over minLength/maxLength, which apply at every depth
+    function lengthRange(spec, depth, context) {
+        const [min, max] = spec.lengths?.[depth] || [];
+        return orderedRange(
+            Math.max(0, resolveBound(min, context.values) ?? spec.minLength ?? DEFAULT_SPEC.minLength),
+            resolveBound(max, context.values) ?? spec.maxLength,
+            DEFAULT_SPEC.minLength, DEFAULT_SPEC.maxLength,
+        );
+    }
+
+    // Edge inputs are as short as allowed, worst-case ones as long as allowed (within the budget of values).
+    // Random lengths are spread evenly over orders of magnitude, so large ranges still give small inputs.
+    function pickLength(context, [min, max], perItem = 1) {
+        if (context.mode === 'edge') return min;
+        const longest = Math.max(min, Math.min(max, Math.floor(context.budget / Math.max(1, perItem))));
+        if (context.mode === 'worst') return longest;
+        const scale = Math.log(longest + 1) - Math.log(min + 1);
+        return Math.min(longest, Math.floor((min + 1) * Math.exp(context.random() * scale)) - 1);
+    }
+
+    // Edge values are the extremes of the range
+    function pickNumber(context, [min, max], integer) {
+        context.budget--;
+        if (context.mode === 'edge') return context.random() < 0.5 ? min : max;
+        return integer ? randomInt(context.random, min, max) : Number((min + context.random() * (max - min)).toFixed(DOUBLE_DECIMALS));
+    }
+
+    function pickChar(context, spec) {
+        const charset = spec.charset || DEFAULT_SPEC.charset;
+        return charset[randomInt(context.random, 0, charset.length - 1)];
+    }
+
+    // `count` integers in the range, distinct if the spec says so (as many as the range has) and sorted if it says so
+    function pickIntegers(context, spec, count) {
+        const [min, max] = valueRange(spec, context);
+        let values;
+        if (!spec.unique) {
+            values = Array.from({ length: count }, () => pickNumber(context, [min, max], true));
+        } else if (count > (max - min + 1) / 2) {
+            // Dense: shuffle the whole range and take a prefix
+            values = Array.from({ length: max - min + 1 }, (_, i) => min + i);
+            for (let i = values.length - 1; i > 0; i--) {
+                const j = randomInt(context.random, 0, i);
+                [values[i], values[j]] = [values[j], values[i]];
+            }
+            values = values.slice(0, count);
+        } else {
+            const seen = new Set(context.mode === 'edge' ? [min, max].slice(0, count) : []);
+            while (seen.size < count) seen.add(randomInt(context.random, min, max));
+            values = [...seen];
+        }
+        context.budget -= values.length;
+        return spec.sorted ? values.sort((a, b) => a - b) : values;
+    }
+
+    // A binary tree holding `values` in LeetCode's level order notation: a random shape, or for worst-case
+    // inputs a path (the deepest tree, which is what breaks recursive solutions)
+    function buildTree(context, values) {
+        if (values.length === 0) return [];
+        const root = { val: values[0], left: null, right: null };
+        const openSlots = [[root, 'left'], [root, 'right']];
+        for (let i = 1; i < values.length; i++) {
+            const slot = context.mode === 'worst' ? openSlots.length - 1 : randomInt(context.random, 0, openSlots.length - 1);
+            const [parent, side] = openSlots.splice(slot, 1)[0];
+            const node = { val: values[i], left: null, right: null };
+            parent[side] = node;
+            openSlots.push([node, 'left'], [node, 'right']);
+        }
+        const levelOrder = [];
+        const queue = [root];
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            levelOrder.push(node ? node.val : null);
+            if (node) queue.push(node.left, node.right);
+        }
+        while (levelOrder[levelOrder.length - 1] === null) levelOrder.pop();
+        return levelOrder;
+    }
+
+    function generate(type, spec, context, depth) {
+        const codec = window.leetCodeMonacoCodec;
+        switch (type) {
+            case 'integer':
+            case 'long':
+            case 'double':
+            case 'float':
+                return pickNumber(context, valueRange(spec, context), type === 'integer' || type === 'long');
+            case 'boolean':
+                context.budget--;
+                return context.random() < 0.5;
+            case 'character':
+                context.budget--;
+                return pickChar(context, spec);
+            case 'string': {
+                const length = pickLength(context, lengthRange(spec, depth, context));
+                context.budget -= length;
+                return Array.from({ length }, () => pickChar(context, spec)).join('');
+            }
+            case 'ListNode':
+                return pickIntegers(context, spec, pickLength(context, lengthRange(spec, depth, context)));
+            case 'TreeNode':
+                return buildTree(context, pickIntegers(context, { ...spec, sorted: false }, pickLength(context, lengthRange(spec, depth, context))));
+            default: {
+                const element = codec.elementType(type);
+                if (!element) throw new Error(`Cannot generate values of type ${type}.`);
+                if (element === 'integer' || element === 'long') {
+                    return pickIntegers(context, spec, pickLength(context, lengthRange(spec, depth, context)));
+                }
+                const innerElement = codec.elementType(element);
+                if (innerElement && !codec.elementType(innerElement)) {
+                    // A grid (m x n): every row gets the same length
+                    const rowLength = pickLength(context, lengthRange(spec, depth + 1, context));
+                    const rows = pickLength(context, lengthRange(spec, depth, context), rowLength);
+                    return Array.from({ length: rows }, () => Array.from({ length: rowLength }, () => generate(innerElement, spec, context, depth + 2)));
+                }
+                const length = pickLength(context, lengthRange(spec, depth, context));
+                return Array.from({ length }, () => generate(element, spec, context, depth + 1));
+            }
+        }
+    }
+
+    /**
+     * Generates a (parsed) value of a metaData type.
+     * @param {string} type - e.g. 'integer', 'string[]', 'list<list<integer>>', 'TreeNode'.
+     * @param {object} spec - Ranges (see DEFAULT_SPEC, and `lengths`, `sorted` and `unique` in the content
+     *     script's parseConstraints); arrays of arrays of values are rectangular.
+     * @param {function(): number} random - See createRandom.
+     * @param {string} [mode='random'] - One of MODES: random, edge (shortest lengths, extreme values) or
+     *     worst (longest lengths).
+     * @throws {Error} For types that can't be generated (e.g. the custom `Node` of graph problems).
+     */
+    function generateValue(type, spec, random, mode = 'random') {
+        return generate(type, spec || {}, { random, mode, budget: MAX_VALUES, values: {} }, 0);
+    }
+
+    // Parameters bounded by another's length (`k <= nums.length`) are generated after the others
+    function generateArguments(params, specs, random, mode) {
+        const values = {};
+        const specOf = param => specs?.[param.name] || {};
+        const ordered = [...(params || [])].sort((a, b) => referencesOf(specOf(a)).length - referencesOf(specOf(b)).length);
+        for (const param of ordered) {
+            values[param.name] = generate(param.type, specOf(param), { random, mode, budget: MAX_VALUES, values }, 0);
+        }
+        return (params || []).map(param => values[param.name]);
+    }
+
+    /**
+     * Narrows a spec to small inputs for stress testing: lengths are capped at `limits.maxLength`, and values
+     * are kept in [limits.min, limits.max] where that overlaps the spec's range, so the inputs stay valid.
+     * @param {object} [spec] - e.g. a parameter's spec from the problem's constraints.
+     * @param {{min: number, max: number, maxLength: number}} limits
+     * @returns {object} The narrowed spec.
+     */
+    function limitSpec(spec = {}, limits) {
+        const narrowed = { ...spec, maxLength: limits.maxLength };
+        if (spec.lengths) {
+            narrowed.lengths = spec.lengths.map(([min, max] = []) => {
+                const floor = typeof min === 'number' ? min : 0;
+                return [min, typeof max === 'object' ? max : Math.max(floor, Math.min(max ?? limits.maxLength, limits.maxLength))];
+            });
+        }
+        const min = spec.min ?? -Infinity;
+        const max = spec.max ?? Infinity;
+        if (typeof min === 'number' && typeof max === 'number' && Math.max(min, limits.min) <= Math.min(max, limits.max)) {
+            narrowed.min = Math.max(min, limits.min);
+            narrowed.max = Math.min(max, limits.max);
+        }
+        return narrowed;
+    }
+
+    /**
+     * Generates a testcase for a problem.
+     * @param {object} metaData - LeetCode's signature metadata for the problem.
+     * @param {{random: function(): number, specs?: Object<string, object>, calls?: number, mode?: string}} options -
+     *     The random source, ranges by parameter name, (design problems) how many method calls to make, and
+     *     the kind of input (see generateValue).
+     * @returns {string[]} The testcase's lines.
+     * @throws {Error} If a parameter's type can't be generated.
+     */
+    function generateCase(metaData, options) {
+        const { random, specs, mode = 'random' } = options;
+        if (!metaData.systemdesign) {
+            return generateArguments(metaData.params, specs, random, mode).map(value => window.leetCodeMonacoCodec.formatValue(value));
+        }
+        const methods = metaData.methods || [];
+        if (methods.length === 0) throw new Error(`${metaData.classname} has no methods to call.`);
+        // A parsed object always has a `constructor` (Object), so check it is LeetCode's entry
+        const constructorParams = Array.isArray(metaData.constructor?.params) ? metaData.constructor.params : [];
+        const calls = [{ name: metaData.classname, args: generateArguments(constructorParams, specs, random, mode) }];
+        const count = mode === 'worst'
+            ? Math.min(options.calls ?? MAX_CALLS, MAX_CALLS)
+            : Math.min(options.calls ?? DEFAULT_SPEC.maxLength, MAX_CALLS);
+        for (let i = 0; i < count; i++) {
+            const method = methods[randomInt(random, 0, methods.length - 1)];
+            calls.push({ name: method.name, args: generateArguments(method.params, specs, random, mode) });
+        }
+        return window.leetCodeMonacoCodec.formatCalls(calls);
+    }
+
+    window.leetCodeMonacoInputGenerator = { DEFAULT_SPEC, MODES, createRandom, generateValue, generateCase, limitSpec };
+    console.log('[PAGE BUNDLED] Input generator module ready.');
+})();
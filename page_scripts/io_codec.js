@@ -0,0 +1,261 @@
+// page_scripts/io_codec.js
+// LeetCode's testcase format: one JSON value per line, one line per parameter (design problems: a line of
+// calls and a line of their arguments). Decodes values into the types named in the problem's metaData
+// (TreeNode, ListNode, nested arrays, ...) and encodes results back. Shared by the test runner's worker and
+// the page; the Python harness in page_scripts/python_runner.js mirrors it.
+
+(() => {
+    if (window.leetCodeMonacoCodec) {
+        return; // Already injected into this page
+    }
+
+    // LeetCode's JavaScript definitions (the test runner's worker also declares them for the solution)
+    function ListNode(val, next) {
+        this.val = (val === undefined ? 0 : val);
+        this.next = (next === undefined ? null : next);
+    }
+
+    function TreeNode(val, left, right) {
+        this.val = (val === undefined ? 0 : val);
+        this.left = (left === undefined ? null : left);
+        this.right = (right === undefined ? null : right);
+    }
+
+    /**
+     * Builds the codec around the ListNode and TreeNode constructors to decode into. Also runs inside the test
+     * runner's worker: it is serialized with toString(), so it must not reference anything outside itself.
+     * @param {function} ListNode
+     * @param {function} TreeNode
+     */
+    function createCodec(ListNode, TreeNode) {
+        const MAX_LIST_LENGTH = 10000; // Stops encoding a list that loops back on itself
+        const INT_RANGE = [-(2 ** 31), 2 ** 31 - 1];
+
+        function toList(values) {
+            let head = null;
+            for (let i = values.length - 1; i >= 0; i--) head = new ListNode(values[i], head);
+            return head;
+        }
+
+        function fromList(head) {
+            const values = [];
+            for (let node = head; node && values.length < MAX_LIST_LENGTH; node = node.next) values.push(node.val);
+            return values;
+        }
+
+        // Level order, with null for missing children (LeetCode's tree notation)
+        function toTree(values) {
+            if (!values.length || values[0] === null) return null;
+            const root = new TreeNode(values[0]);
+            const queue = [root];
+            let index = 1;
+            for (let head = 0; head < queue.length && index < values.length; head++) {
+                const node = queue[head];
+                for (const side of ['left', 'right']) {
+                    if (index >= values.length) break;
+                    const value = values[index++];
+                    if (value !== null) queue.push(node[side] = new TreeNode(value));
+                }
+            }
+            return root;
+        }
+
+        function fromTree(root) {
+            const values = [];
+            const queue = [root];
+            for (let head = 0; head < queue.length; head++) {
+                const node = queue[head];
+                values.push(node ? node.val : null);
+                if (node) queue.push(node.left, node.right);
+            }
+            while (values.length && values[values.length - 1] === null) values.pop();
+            return values;
+        }
+
+        /**
+         * Element type of 'integer[]' or 'list<integer>'.
+         * @returns {string | null} null for non-array types.
+         */
+        function elementType(type) {
+            if (type.endsWith('[]')) return type.slice(0, -2);
+            const match = /^list<(.+)>$/.exec(type);
+            return match ? match[1] : null;
+        }
+
+        /**
+         * Parses one line of a testcase.
+         * @throws {SyntaxError} If the line is not a JSON value.
+         */
+        function parseLine(line) {
+            try {
+                return JSON.parse(line);
+            } catch (e) {
+                throw new SyntaxError(`Not a valid value: ${line.trim()}`);
+            }
+        }
+
+        function formatValue(value) {
+            return JSON.stringify(value === undefined ? null : value);
+        }
+
+        // Prefixes an error with where it is, e.g. 'matrix' + '[0][1]: expected integer, ...'
+        function errorAt(location, error) {
+            return error.startsWith('[') ? `${location}${error}` : `${location}: ${error}`;
+        }
+
+        /**
+         * Checks a parsed value against a metaData type. Unknown types (e.g. the custom `Node` of graph
+         * problems) accept anything.
+         * @returns {string | null} Why the value doesn't fit, or null if it does.
+         */
+        function checkValue(value, type = '') {
+            const describe = () => `expected ${type}, got ${formatValue(value)}`;
+            switch (type) {
+                case 'integer':
+                    return Number.isInteger(value) && value >= INT_RANGE[0] && value <= INT_RANGE[1] ? null : describe();
+                case 'long':
+                    return Number.isInteger(value) ? null : describe();
+                case 'double':
+                case 'float':
+                    return typeof value === 'number' ? null : describe();
+                case 'boolean':
+                    return typeof value === 'boolean' ? null : describe();
+                case 'string':
+                    return typeof value === 'string' ? null : describe();
+                case 'character':
+                    return typeof value === 'string' && value.length === 1 ? null : describe();
+                case 'ListNode':
+                    return Array.isArray(value) && value.every(item => typeof item === 'number') ? null : describe();
+                case 'TreeNode':
+                    return Array.isArray(value) && value.every(item => item === null || typeof item === 'number') && value[0] !== null
+                        ? null : describe();
+                default: {
+                    const element = elementType(type);
+                    if (!element) return null;
+                    if (!Array.isArray(value)) return describe();
+                    for (let index = 0; index < value.length; index++) {
+                        const error = checkValue(value[index], element);
+                        if (error) return errorAt(`[${index}]`, error);
+                    }
+                    return null;
+                }
+            }
+        }
+
+        function decode(value, type = '') {
+            if (type === 'ListNode') return Array.isArray(value) ? toList(value) : null;
+            if (type === 'TreeNode') return Array.isArray(value) ? toTree(value) : null;
+            const element = elementType(type);
+            return element && Array.isArray(value) ? value.map(item => decode(item, element)) : value;
+        }
+
+        function encode(value, type = '') {
+            if (value === undefined) return null;
+            if (type === 'ListNode') return value ? fromList(value) : [];
+            if (type === 'TreeNode') return value ? fromTree(value) : [];
+            const element = elementType(type);
+            return element && Array.isArray(value) ? value.map(item => encode(item, element)) : value;
+        }
+
+        function decodeArguments(values, params = []) {
+            return values.map((value, index) => decode(value, params[index]?.type));
+        }
+
+        function checkArguments(values, params = []) {
+            if (values.length !== params.length) return `expected ${params.length} argument(s), got ${values.length}`;
+            for (let index = 0; index < values.length; index++) {
+                const error = checkValue(values[index], params[index].type);
+                if (error) return errorAt(params[index].name || `argument ${index + 1}`, error);
+            }
+            return null;
+        }
+
+        function linesPerCase(metaData) {
+            return metaData.systemdesign ? 2 : (metaData.params || []).length;
+        }
+
+        /**
+         * Parses and decodes a function problem's testcase.
+         * @param {string[]} lines - One line per parameter.
+         * @param {object} metaData - LeetCode's signature metadata for the problem.
+         * @returns {Array} The arguments, ready to pass to the solution.
+         */
+        function decodeArgumentsCase(lines, metaData) {
+            return decodeArguments(lines.map(parseLine), metaData.params);
+        }
+
+        /**
+         * Parses and decodes a design problem's testcase: `["LRUCache","put","get"]` and `[[2],[1,1],[1]]`.
+         * @param {string[]} lines - The calls line and the arguments line.
+         * @param {object} metaData - LeetCode's signature metadata for the problem.
+         * @returns {Array<{name: string, args: Array, returnType: string | undefined}>} The constructor call
+         *     first, then each method call.
+         * @throws {Error} If the lines are not a call sequence of the right length.
+         */
+        function decodeCalls(lines, metaData) {
+            const names = parseLine(lines[0]);
+            const callArgs = parseLine(lines[1]);
+            if (!Array.isArray(names) || !Array.isArray(callArgs) || names.length !== callArgs.length) {
+                throw new Error('Design testcases need a list of calls and a list of their arguments, of the same length.');
+            }
+            // A parsed object always has a `constructor` (Object), so check it is LeetCode's entry
+            const constructorParams = Array.isArray(metaData.constructor?.params) ? metaData.constructor.params : [];
+            return names.map((name, index) => {
+                const args = Array.isArray(callArgs[index]) ? callArgs[index] : [];
+                if (index === 0) return { name, args: decodeArguments(args, constructorParams), returnType: undefined };
+                const method = (metaData.methods || []).find(m => m.name === name);
+                return { name, args: decodeArguments(args, method?.params), returnType: method?.return?.type };
+            });
+        }
+
+        /**
+         * Formats a design problem's calls (undecoded arguments) as a testcase's two lines.
+         * @param {Array<{name: string, args: Array}>} calls - The constructor call first.
+         */
+        function formatCalls(calls) {
+            return [formatValue(calls.map(call => call.name)), formatValue(calls.map(call => call.args))];
+        }
+
+        /**
+         * Checks a testcase against the problem's signature without running it.
+         * @param {string[]} lines - The testcase's lines.
+         * @param {object} metaData - LeetCode's signature metadata for the problem.
+         * @returns {string | null} What is wrong with the testcase, or null if it is valid.
+         */
+        function checkCase(lines, metaData) {
+            if (lines.length !== linesPerCase(metaData)) {
+                return `expected ${linesPerCase(metaData)} line(s), got ${lines.length}`;
+            }
+            let values;
+            try {
+                values = lines.map(parseLine);
+            } catch (error) {
+                return error.message;
+            }
+            if (!metaData.systemdesign) return checkArguments(values, metaData.params);
+
+            const [names, callArgs] = values;
+            if (!Array.isArray(names) || !Array.isArray(callArgs) || names.length !== callArgs.length || names.length === 0) {
+                return 'expected a list of calls and a list of their arguments, of the same length';
+            }
+            if (names[0] !== metaData.classname) return `the first call must be the constructor, ${metaData.classname}`;
+            const constructorParams = Array.isArray(metaData.constructor?.params) ? metaData.constructor.params : [];
+            for (let index = 0; index < names.length; index++) {
+                const method = index === 0 ? { params: constructorParams } : (metaData.methods || []).find(m => m.name === names[index]);
+                if (!method) return `call ${index + 1}: ${metaData.classname} has no method ${formatValue(names[index])}`;
+                if (!Array.isArray(callArgs[index])) return `call ${index + 1}: arguments must be a list`;
+                const error = checkArguments(callArgs[index], method.params);
+                if (error) return `call ${index + 1} (${names[index]}): ${error}`;
+            }
+            return null;
+        }
+
+        return {
+            toList, fromList, toTree, fromTree, elementType, parseLine, formatValue, checkValue, checkCase, decode, encode,
+            decodeArguments, decodeArgumentsCase, decodeCalls, formatCalls, linesPerCase,
+        };
+    }
+
+    window.leetCodeMonacoCodec = { ListNode, TreeNode, createCodec, ...createCodec(ListNode, TreeNode) };
+    console.log('[PAGE BUNDLED] I/O codec module ready.');
+})();
@@ -0,0 +1,128 @@
+// page_scripts/keybindings.js
+// Alternative keymaps for the injected editor. Keymap libraries are vendored UMD builds that bind to
+// the page's window.monaco; the background injects them on demand (see KEYBINDING_VENDOR_FILES).
+
+(() => {
+    if (window.leetCodeMonacoKeybindings) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const STATUS_LINE_ID = 'monaco-keybinding-status';
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+    let vimExCommandsDefined = false;
+    let emacsCommandsDefined = false;
+
+    function createStatusLine() {
+        const panelArea = window.leetCodeMonacoRuntime.getPanelArea(attached.containerId);
+        if (!panelArea) return null;
+        const statusLine = document.createElement('div');
+        statusLine.id = STATUS_LINE_ID;
+        statusLine.className = 'monaco-keybinding-status';
+        panelArea.prepend(statusLine); // Always directly under the editor, above any open panel
+        return statusLine;
+    }
+
+    // Ex commands are registered on the shared Vim keymap, so only once per page.
+    function defineVimExCommands() {
+        if (vimExCommandsDefined) return;
+        const Vim = window.MonacoVim.VimMode.Vim;
+        Vim.defineEx('write', 'w', () => window.leetCodeMonacoSync?.saveNow());
+        vimExCommandsDefined = true;
+    }
+
+    // Emacs commands are registered globally by monaco-emacs, so only once per page.
+    function defineEmacsCommands() {
+        if (emacsCommandsDefined) return;
+        window.MonacoEmacs.registerGlobalCommand('C-x C-s', {
+            description: 'Save code',
+            run: () => window.leetCodeMonacoSync?.saveNow(),
+        });
+        emacsCommandsDefined = true;
+    }
+
+    const KEYMAPS = {
+        vim: {
+            isLoaded: () => typeof window.MonacoVim?.initVimMode === 'function',
+            enable(editor, statusLine) {
+                defineVimExCommands();
+                // monaco-vim draws the mode indicator (-- INSERT --, -- VISUAL --, ...) and the `:`/`/` prompt into statusLine
+                return window.MonacoVim.initVimMode(editor, statusLine);
+            },
+        },
+        emacs: {
+            isLoaded: () => typeof window.MonacoEmacs?.EmacsExtension === 'function',
+            enable(editor, statusLine) {
+                defineEmacsCommands();
+                // Kill ring (C-k/C-y), mark (C-SPC) and C-s search come from monaco-emacs itself
+                const emacs = new window.MonacoEmacs.EmacsExtension(editor);
+                let markActive = false;
+                const render = (pendingKeys) => {
+                    if (!statusLine) return;
+                    statusLine.textContent = [markActive ? 'Mark set' : '', pendingKeys || ''].filter(Boolean).join('  ') || 'Emacs';
+                };
+                emacs.onDidMarkChange((active) => { markActive = active; render(); });
+                emacs.onDidChangeKey((pendingKeys) => render(pendingKeys));
+                emacs.start();
+                render();
+                return emacs;
+            },
+        },
+    };
+
+    function disableKeymap() {
+        if (!attached?.keymap) return;
+        attached.keymap.dispose();
+        attached.keymap = null;
+        document.getElementById(STATUS_LINE_ID)?.remove();
+    }
+
+    /**
+     * Switches the attached editor to a keymap ('default' restores Monaco's own bindings).
+     * @param {string} mode - Keymap name ('default' or a key of KEYMAPS).
+     * @returns {boolean} True if the keymap is active.
+     */
+    function setMode(mode) {
+        if (!attached) return false;
+        if (mode === attached.mode && (mode === 'default' || attached.keymap)) return true;
+
+        disableKeymap();
+        attached.mode = 'default';
+        if (mode === 'default') return true;
+
+        const keymap = KEYMAPS[mode];
+        if (!keymap || !keymap.isLoaded()) {
+            console.error(`[PAGE BUNDLED] Keybindings: '${mode}' keymap is not available. Falling back to default keybindings.`);
+            return false;
+        }
+        attached.keymap = keymap.enable(attached.editor, createStatusLine());
+        attached.mode = mode;
+        console.log(`[PAGE BUNDLED] Keybindings: '${mode}' mode enabled.`);
+        return true;
+    }
+
+    /**
+     * Attaches to an editor and enables the given keymap.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string, mode: string}} options - Editor location and initial keymap.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = { editor, containerId: options.containerId, mode: 'default', keymap: null };
+        setMode(options.mode);
+    }
+
+    /**
+     * Restores default keybindings and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        disableKeymap();
+        attached = null;
+    }
+
+    window.leetCodeMonacoKeybindings = { attach, detach, setMode };
+    console.log('[PAGE BUNDLED] Keybindings module ready.');
+})();
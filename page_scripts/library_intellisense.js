@@ -0,0 +1,321 @@
+// page_scripts/library_intellisense.js
+// Offline IntelliSense for standard libraries (library_data/*.json): member completion, hover and
+// signature help for the STL, java.util, Python builtins/collections/heapq/bisect and Go's sort and
+// container packages. Variable types come from the nearest declaration before the cursor.
+
+(() => {
+    if (window.leetCodeMonacoLibraryIntellisense) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    // Access to a member of a namespace or variable: `std::`, `heapq.`, `pq.`, `it->`
+    const MEMBER_ACCESS_PATTERN = /([A-Za-z_]\w*)\s*(?:\.|->|::)\s*(\w*)$/;
+    const CALLEE_PATTERN = /(?:([A-Za-z_]\w*)\s*(?:\.|->|::)\s*)?([A-Za-z_]\w*)$/;
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+    const indexCache = new Map(); // languageId -> index built from the library data
+
+    // --- Library Index ---
+
+    /**
+     * Builds lookup tables for one language: types (with inherited members), aliases and namespaces.
+     * @param {object} data - Parsed library_data/<language>.json.
+     * @returns {object} The index.
+     */
+    function buildIndex(data) {
+        const types = new Map();
+        const resolveType = (name, seen = new Set()) => {
+            if (types.has(name)) return types.get(name);
+            const raw = data.types[name];
+            if (!raw || seen.has(name)) return null;
+            seen.add(name);
+            const members = [...raw.members];
+            for (const parentName of raw.extends || []) {
+                for (const member of resolveType(parentName, seen)?.members || []) {
+                    // Overloads are kept; an identical signature in the subtype replaces the inherited one
+                    if (!members.some(m => m.name === member.name && m.signature === member.signature)) members.push(member);
+                }
+            }
+            const type = { name, doc: raw.doc, members, constructors: raw.constructors || [] };
+            types.set(name, type);
+            return type;
+        };
+        const typeNames = new Map(); // Spelling in code (name or alias) -> canonical type name
+        for (const [name, raw] of Object.entries(data.types)) {
+            resolveType(name);
+            typeNames.set(name, name);
+            (raw.aliases || []).forEach(alias => typeNames.set(alias, name));
+        }
+        const namespaces = new Map(Object.entries(data.namespaces || {}));
+        const globals = (data.globalNamespaces || []).flatMap(name => namespaces.get(name)?.members || []);
+        return { types, typeNames, namespaces, globals };
+    }
+
+    function getIndex(languageId) {
+        if (!indexCache.has(languageId)) {
+            const data = attached.libraries[languageId];
+            indexCache.set(languageId, data ? buildIndex(data) : null);
+        }
+        return indexCache.get(languageId);
+    }
+
+    // --- Type Resolution ---
+
+    function typeFromText(text, index) {
+        for (const word of text.match(/[A-Za-z_][\w.]*/g) || []) {
+            const name = index.typeNames.get(word) || index.typeNames.get(word.split('.').pop());
+            if (name) return index.types.get(name);
+        }
+        return null;
+    }
+
+    // Python: classify the annotation or the assigned value
+    function pythonTypeFromValue(value, index) {
+        const text = value.trim();
+        if (/^\[/.test(text) || /^(?:sorted|list)\(/.test(text)) return index.types.get('list');
+        if (/^\{\s*\}/.test(text) || /^\{[^}]*:/.test(text)) return index.types.get('dict');
+        if (/^\{/.test(text)) return index.types.get('set');
+        if (/^(?:[rbf]?['"]|''\.join|""\.join|str\()/.test(text)) return index.types.get('str');
+        const call = text.match(/^(?:collections\.)?(\w+)\s*\(/);
+        return call ? index.types.get(index.typeNames.get(call[1])) || null : null;
+    }
+
+    /**
+     * Finds the library type of a variable from its nearest declaration before `offset`.
+     * @returns {object | null} The type, if it's one of the library's types.
+     */
+    function resolveVariableType(code, identifier, offset, languageId, index) {
+        const { escapeRegExp } = window.leetCodeMonacoCodeAnalysis;
+        const name = `(?<![\\w.])${escapeRegExp(identifier)}(?!\\w)`;
+        const candidates = []; // { start, end, type }
+        const collect = (pattern, toType) => {
+            for (const match of code.matchAll(pattern)) {
+                if (match.index >= offset) break;
+                const type = toType(match);
+                if (type) candidates.push({ start: match.index, end: match.index + match[0].length, type });
+            }
+        };
+
+        if (languageId === 'python') {
+            collect(new RegExp(`${name}\\s*:\\s*([^=,)\\n]+)`, 'g'), m => typeFromText(m[1], index));
+            collect(new RegExp(`${name}\\s*=(?!=)\\s*([^\\n]+)`, 'g'), m => pythonTypeFromValue(m[1], index));
+        } else {
+            const spellings = [...index.typeNames.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+            if (languageId === 'go') {
+                collect(new RegExp(`${name}\\s+(?:\\*|\\[\\])*\\s*(${spellings})\\b`, 'g'), m => typeFromText(m[1], index));
+                for (const type of index.types.values()) {
+                    for (const constructor of type.constructors) {
+                        collect(new RegExp(`${name}\\s*:?=\\s*${escapeRegExp(constructor)}\\s*\\(`, 'g'), () => type);
+                    }
+                }
+            } else {
+                // Type<...> name (C++, Java), and Java's `var name = new Type<>()`
+                collect(new RegExp(`(?:std::)?\\b(${spellings})\\s*(?:<[^;{}()]*?>)?\\s*[*&]*\\s*${name}`, 'g'), m => typeFromText(m[1], index));
+                collect(new RegExp(`${name}\\s*=\\s*new\\s+(${spellings})\\b`, 'g'), m => typeFromText(m[1], index));
+            }
+        }
+        if (candidates.length === 0) return null;
+        // Nearest declaration; for nested generics (map<int, vector<int>> m) the outermost type wins
+        candidates.sort((a, b) => b.end - a.end || a.start - b.start);
+        return candidates[0].type;
+    }
+
+    /**
+     * Resolves what `root.` / `root::` / `root->` refers to: a namespace or a typed variable.
+     * @returns {{name: string, doc: string, members: object[]} | null}
+     */
+    function resolveRoot(model, root, offset, index) {
+        const namespace = index.namespaces.get(root);
+        if (namespace) return { name: root, doc: namespace.doc, members: namespace.members };
+        return resolveVariableType(model.getValue(), root, offset, model.getLanguageId(), index);
+    }
+
+    // --- Presentation ---
+
+    function completionKind(monaco, kind) {
+        const kinds = monaco.languages.CompletionItemKind;
+        return { method: kinds.Method, function: kinds.Function, field: kinds.Field, class: kinds.Class }[kind] || kinds.Property;
+    }
+
+    function toSuggestions(monaco, members, range) {
+        const seen = new Set(); // One item per name; overloads show up in signature help
+        return members.filter(member => !seen.has(member.name) && seen.add(member.name)).map(member => ({
+            label: member.name,
+            kind: completionKind(monaco, member.kind),
+            detail: member.signature,
+            documentation: member.doc,
+            insertText: member.name,
+            sortText: `0${member.name}`, // Ahead of word-based suggestions
+            range,
+        }));
+    }
+
+    function memberHover(languageId, owner, members) {
+        const signatures = members.map(member => member.signature).join('\n');
+        return [
+            { value: `\`\`\`${languageId}\n${signatures}\n\`\`\`` },
+            { value: `${members[0].doc}${owner ? ` _(${owner})_` : ''}` },
+        ];
+    }
+
+    // Parameter offsets of a signature such as `void push_back(const T& value)` or `func (l *List) PushBack(v any)`
+    function toSignatureInformation(member) {
+        const { splitParameters } = window.leetCodeMonacoCodeAnalysis;
+        const open = member.signature.indexOf(`${member.name}(`);
+        if (open < 0) return { label: member.signature, documentation: member.doc, parameters: [] };
+        const start = open + member.name.length + 1;
+        let depth = 1;
+        let end = start;
+        while (end < member.signature.length && depth > 0) {
+            if (member.signature[end] === '(') depth++;
+            if (member.signature[end] === ')') depth--;
+            end++;
+        }
+        const parameterText = member.signature.slice(start, end - 1);
+        const parameters = [];
+        let searchFrom = start;
+        for (const parameter of splitParameters(parameterText)) {
+            const parameterStart = member.signature.indexOf(parameter, searchFrom);
+            parameters.push({ label: [parameterStart, parameterStart + parameter.length] });
+            searchFrom = parameterStart + parameter.length;
+        }
+        return { label: member.signature, documentation: member.doc, parameters };
+    }
+
+    // --- Providers ---
+
+    function completionProvider(monaco, editor, index) {
+        return {
+            triggerCharacters: ['.', '>', ':'],
+            provideCompletionItems(model, position) {
+                if (model !== editor.getModel()) return { suggestions: [] }; // e.g. LeetCode's hidden native editor
+                if (window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) return { suggestions: [] }; // It knows the real types
+                const linePrefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+                const access = linePrefix.match(MEMBER_ACCESS_PATTERN);
+                if (access) {
+                    const owner = resolveRoot(model, access[1], model.getOffsetAt(position), index);
+                    if (!owner) return { suggestions: [] };
+                    const range = new monaco.Range(position.lineNumber, position.column - access[2].length, position.lineNumber, position.column);
+                    return { suggestions: toSuggestions(monaco, owner.members, range) };
+                }
+                // Bare identifiers: builtins (Python) and functions usable unqualified (`using namespace std`)
+                const word = model.getWordUntilPosition(position);
+                if (!word.word || index.globals.length === 0) return { suggestions: [] };
+                const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+                return { suggestions: toSuggestions(monaco, index.globals, range) };
+            },
+        };
+    }
+
+    function hoverProvider(editor, index) {
+        return {
+            provideHover(model, position) {
+                if (model !== editor.getModel() || window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) return null;
+                const word = model.getWordAtPosition(position);
+                if (!word) return null;
+                const languageId = model.getLanguageId();
+                const range = { startLineNumber: position.lineNumber, startColumn: word.startColumn, endLineNumber: position.lineNumber, endColumn: word.endColumn };
+
+                const linePrefix = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1);
+                const access = linePrefix.match(MEMBER_ACCESS_PATTERN);
+                if (access && !access[2]) {
+                    const owner = resolveRoot(model, access[1], model.getOffsetAt(position), index);
+                    const members = owner?.members.filter(member => member.name === word.word) || [];
+                    return members.length > 0 ? { range, contents: memberHover(languageId, owner.name, members) } : null;
+                }
+
+                const typeName = index.typeNames.get(word.word);
+                if (typeName) return { range, contents: [{ value: `**${typeName}**` }, { value: index.types.get(typeName).doc }] };
+                const namespace = index.namespaces.get(word.word);
+                if (namespace) return { range, contents: [{ value: `**${word.word}**` }, { value: namespace.doc }] };
+                const globals = index.globals.filter(member => member.name === word.word);
+                return globals.length > 0 ? { range, contents: memberHover(languageId, null, globals) } : null;
+            },
+        };
+    }
+
+    function signatureHelpProvider(editor, index) {
+        return {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [','],
+            provideSignatureHelp(model, position) {
+                if (model !== editor.getModel() || window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) return null;
+                const offset = model.getOffsetAt(position);
+                const call = window.leetCodeMonacoCodeAnalysis.findOpenCall(model.getValue(), offset);
+                const callee = call?.callee.match(CALLEE_PATTERN);
+                if (!callee) return null;
+
+                let candidates;
+                if (callee[1]) {
+                    candidates = resolveRoot(model, callee[1], offset, index)?.members || [];
+                } else {
+                    // Bare calls: globals, and library classes imported by name (deque(...), Counter(...))
+                    const classes = [...index.namespaces.values()].flatMap(ns => ns.members.filter(m => m.kind === 'class'));
+                    candidates = [...index.globals, ...classes];
+                }
+                const members = candidates.filter(member => member.name === callee[2] && member.kind !== 'field');
+                if (members.length === 0) return null;
+
+                const signatures = members.map(toSignatureInformation);
+                const activeSignature = Math.max(0, signatures.findIndex(s => s.parameters.length > call.activeParameter));
+                return {
+                    value: { signatures, activeSignature, activeParameter: call.activeParameter },
+                    dispose() {},
+                };
+            },
+        };
+    }
+
+    // --- Lifecycle ---
+
+    function unregisterProviders() {
+        if (!attached) return;
+        attached.providers.forEach(provider => provider.dispose());
+        attached.providers = [];
+    }
+
+    // Registers providers for the editor's current language only; re-run when the language changes.
+    function registerProviders() {
+        unregisterProviders();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        const index = languageId && getIndex(languageId);
+        if (!index) return;
+
+        const monaco = window.monaco;
+        const editor = attached.editor;
+        attached.providers.push(
+            monaco.languages.registerCompletionItemProvider(languageId, completionProvider(monaco, editor, index)),
+            monaco.languages.registerHoverProvider(languageId, hoverProvider(editor, index)),
+            monaco.languages.registerSignatureHelpProvider(languageId, signatureHelpProvider(editor, index)),
+        );
+        console.log(`[PAGE BUNDLED] Library IntelliSense: Providers registered for '${languageId}'.`);
+    }
+
+    /**
+     * Starts offering library IntelliSense in an editor, following its language.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{libraries: Object<string, object>}} options - Library data by Monaco language ID.
+     */
+    function attach(editor, options) {
+        detach();
+        indexCache.clear();
+        attached = { editor, libraries: options.libraries || {}, providers: [], disposables: [] };
+        attached.disposables.push(editor.onDidChangeModelLanguage(registerProviders));
+        registerProviders();
+    }
+
+    /**
+     * Unregisters the providers and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProviders();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoLibraryIntellisense = { attach, detach };
+    console.log('[PAGE BUNDLED] Library IntelliSense module ready.');
+})();
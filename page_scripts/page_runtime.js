@@ -0,0 +1,148 @@
+// page_scripts/page_runtime.js
+// Shared helpers for scripts injected into the page's MAIN world (where window.monaco lives).
+// MAIN world scripts cannot use chrome.* APIs, so requests are relayed by the content script.
+
+(() => {
+    if (window.leetCodeMonacoRuntime) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const REQUEST_EVENT_NAME = '__monaco_extension_request__';
+    const RESPONSE_EVENT_NAME = '__monaco_extension_response__';
+    const REQUEST_TIMEOUT_MS = 10000;
+    const TOOLBAR_ID = 'monaco-editor-toolbar';
+    const PANEL_AREA_ID = 'monaco-editor-panels';
+
+    // --- State ---
+    let nextRequestId = 1;
+    const pendingRequests = new Map();
+
+    window.addEventListener(RESPONSE_EVENT_NAME, (event) => {
+        const { requestId, response } = event.detail || {};
+        const pending = pendingRequests.get(requestId);
+        if (!pending) return;
+
+        pendingRequests.delete(requestId);
+        clearTimeout(pending.timeout);
+        if (response && response.success) {
+            pending.resolve(response);
+        } else {
+            pending.reject(new Error(response?.error || 'Unknown extension error'));
+        }
+    });
+
+    /**
+     * Sends a request to the background script through the content script relay.
+     * @param {string} action - Background message action (must be whitelisted by the content script).
+     * @param {object} [payload] - Extra message fields.
+     * @returns {Promise<object>} The background response (rejects if it reports failure).
+     */
+    function request(action, payload = {}) {
+        const requestId = nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                pendingRequests.delete(requestId);
+                reject(new Error(`Request '${action}' timed out after ${REQUEST_TIMEOUT_MS}ms`));
+            }, REQUEST_TIMEOUT_MS);
+            pendingRequests.set(requestId, { resolve, reject, timeout });
+            window.dispatchEvent(new CustomEvent(REQUEST_EVENT_NAME, { detail: { requestId, action, payload } }));
+        });
+    }
+
+    /**
+     * Finds or creates the toolbar shown above the Monaco container.
+     * @param {string} containerId - ID of the Monaco container element.
+     * @returns {HTMLElement | null} The toolbar, or null if the container is missing.
+     */
+    function getToolbar(containerId) {
+        let toolbar = document.getElementById(TOOLBAR_ID);
+        if (toolbar) return toolbar;
+
+        const container = document.getElementById(containerId);
+        if (!container || !container.parentElement) {
+            console.warn(`[PAGE BUNDLED] Cannot create toolbar: container #${containerId} not found.`);
+            return null;
+        }
+        toolbar = document.createElement('div');
+        toolbar.id = TOOLBAR_ID;
+        container.parentElement.insertBefore(toolbar, container);
+        return toolbar;
+    }
+
+    /**
+     * Adds (or replaces) a button in the editor toolbar.
+     * @param {string} containerId - ID of the Monaco container element.
+     * @param {string} buttonId - Unique ID for the button.
+     * @param {string} label - Button text.
+     * @param {function(MouseEvent): void} onClick - Click handler.
+     * @returns {HTMLButtonElement | null} The button, or null if the toolbar could not be created.
+     */
+    function addToolbarButton(containerId, buttonId, label, onClick) {
+        const toolbar = getToolbar(containerId);
+        if (!toolbar) return null;
+
+        document.getElementById(buttonId)?.remove();
+        const button = document.createElement('button');
+        button.id = buttonId;
+        button.type = 'button';
+        button.className = 'monaco-toolbar-button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        toolbar.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Finds or creates the area directly below the Monaco container where modules add
+     * status lines and panels (in the order they are appended).
+     * @param {string} containerId - ID of the Monaco container element.
+     * @returns {HTMLElement | null} The panel area, or null if the container is missing.
+     */
+    function getPanelArea(containerId) {
+        let area = document.getElementById(PANEL_AREA_ID);
+        if (area) return area;
+
+        const container = document.getElementById(containerId);
+        if (!container || !container.parentElement) {
+            console.warn(`[PAGE BUNDLED] Cannot create panel area: container #${containerId} not found.`);
+            return null;
+        }
+        area = document.createElement('div');
+        area.id = PANEL_AREA_ID;
+        container.parentElement.insertBefore(area, container.nextSibling);
+        return area;
+    }
+
+    /**
+     * Removes the toolbar and panel area (used when the editor is torn down).
+     */
+    function removeEditorChrome() {
+        document.getElementById(TOOLBAR_ID)?.remove();
+        document.getElementById(PANEL_AREA_ID)?.remove();
+    }
+
+    /**
+     * Runs first inside the workers that execute the user's code (serialized with toString(), so it must not
+     * reference anything outside itself). Those workers are built from blob: URLs, so they share LeetCode's
+     * origin and cookies: this removes the APIs that reach the network or the origin's stored data.
+     * Still exposed: dynamic import() can send a GET request with the cookies (its response can't be read,
+     * as it is not a script), and the code can use as much CPU and memory as the worker gets.
+     */
+    function lockDownWorker() {
+        const names = [
+            'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts',
+            'Worker', 'SharedWorker', 'BroadcastChannel', 'caches', 'indexedDB',
+        ];
+        // Delete the prototypes' copies too, so WorkerGlobalScope.prototype.fetch.call(self) can't bring fetch back
+        for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+            for (const name of names) {
+                if (Object.prototype.hasOwnProperty.call(scope, name)) delete scope[name];
+            }
+        }
+        for (const name of names) Object.defineProperty(self, name, { value: undefined, configurable: false });
+    }
+
+    window.leetCodeMonacoRuntime = { request, getToolbar, addToolbarButton, getPanelArea, removeEditorChrome, lockDownWorker };
+    console.log('[PAGE BUNDLED] Page runtime ready.');
+})();
@@ -0,0 +1,523 @@
+// page_scripts/python_analyzer.js
+// Python IntelliSense from a bundled static analyzer (basedpyright's browser build) running in web workers:
+// type-aware completion, hover, signature help and diagnostics such as undefined names. This module is a
+// minimal Language Server Protocol client for the one buffer in the injected editor.
+
+(() => {
+    if (window.leetCodeMonacoPythonAnalyzer) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const LANGUAGE_ID = 'python';
+    const WORKSPACE_URI = 'file:///workspace';
+    const DOCUMENT_URI = `${WORKSPACE_URI}/solution.py`;
+    // A __builtins__.pyi at the workspace root adds names to every module's builtins
+    const BUILTINS_PATH = '/workspace/__builtins__.pyi';
+    const BUILTINS_URI = `file://${BUILTINS_PATH}`;
+    const MARKER_OWNER = 'leetcode-python-analyzer';
+    const MARKER_SOURCE = 'basedpyright';
+    const BUILTINS_UPDATE_DELAY_MS = 500;
+    // What LeetCode's Python 3 runtime imports before running a solution. The last import restores the
+    // builtins the star imports shadow, so pow(a, b, m) keeps its builtin signature
+    const LEETCODE_PRELUDE = [
+        'from typing import *',
+        'from collections import *',
+        'from heapq import *',
+        'from bisect import *',
+        'from itertools import *',
+        'from functools import *',
+        'from math import *',
+        'import collections as collections',
+        'import heapq as heapq',
+        'import bisect as bisect',
+        'import itertools as itertools',
+        'import functools as functools',
+        'import math as math',
+        'import string as string',
+        'import re as re',
+        'import random as random',
+        'import operator as operator',
+        'import sys as sys',
+        'from builtins import *',
+    ].join('\n');
+    // Node types LeetCode defines at runtime, used when the starter code's commented definition was removed
+    const DEFAULT_NODE_DEFINITIONS = {
+        ListNode: [
+            'class ListNode:',
+            '    def __init__(self, val: int = 0, next: Optional[ListNode] = None) -> None:',
+            '        self.val = val',
+            '        self.next = next',
+        ].join('\n'),
+        TreeNode: [
+            'class TreeNode:',
+            '    def __init__(self, val: int = 0, left: Optional[TreeNode] = None, right: Optional[TreeNode] = None) -> None:',
+            '        self.val = val',
+            '        self.left = left',
+            '        self.right = right',
+        ].join('\n'),
+    };
+    // Answers to the server's workspace/configuration requests, by section
+    const SETTINGS = {
+        'basedpyright.analysis': {
+            typeCheckingMode: 'standard',
+            diagnosticMode: 'openFilesOnly',
+            typeshedPaths: ['/typeshed'], // Bundled in the worker's in-memory file system
+            autoImportCompletions: false,
+            // LeetCode solutions routinely dereference Optional[TreeNode] / Optional[ListNode] after their own checks
+            diagnosticSeverityOverrides: {
+                reportOptionalMemberAccess: 'none',
+                reportOptionalSubscript: 'none',
+                reportOptionalIterable: 'none',
+                reportOptionalOperand: 'none',
+                reportOptionalCall: 'none',
+            },
+        },
+    };
+    // LSP CompletionItemKind (1-based) to Monaco CompletionItemKind names
+    const COMPLETION_KINDS = [null, 'Text', 'Method', 'Function', 'Constructor', 'Field', 'Variable', 'Class', 'Interface',
+        'Module', 'Property', 'Unit', 'Value', 'Enum', 'Keyword', 'Snippet', 'Color', 'File', 'Reference', 'Folder',
+        'EnumMember', 'Constant', 'Struct', 'Event', 'Operator', 'TypeParameter'];
+    const LSP_INSERT_TEXT_FORMAT_SNIPPET = 2;
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    // --- Conversions ---
+
+    function toLspPosition(position) {
+        return { line: position.lineNumber - 1, character: position.column - 1 };
+    }
+
+    function toLspRange(range) {
+        return { start: { line: range.startLineNumber - 1, character: range.startColumn - 1 }, end: { line: range.endLineNumber - 1, character: range.endColumn - 1 } };
+    }
+
+    function toMonacoRange(monaco, range) {
+        return new monaco.Range(range.start.line + 1, range.start.character + 1, range.end.line + 1, range.end.character + 1);
+    }
+
+    function toMarkdown(content) {
+        if (!content) return undefined;
+        return { value: typeof content === 'string' ? content : content.value };
+    }
+
+    function toMarkerSeverity(monaco, severity) {
+        return [null, monaco.MarkerSeverity.Error, monaco.MarkerSeverity.Warning, monaco.MarkerSeverity.Info, monaco.MarkerSeverity.Hint][severity]
+            || monaco.MarkerSeverity.Error;
+    }
+
+    // --- Language Server Connection ---
+
+    /**
+     * Starts a worker from the extension's script. Pages can't construct workers from another origin,
+     * but a same-origin blob worker can import the (web-accessible) script.
+     */
+    function createWorker(server, name) {
+        const worker = new Worker(server.scriptUrl, { name });
+        server.workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Boots the analyzer: a foreground worker speaking LSP, which asks the page for background workers
+     * that do the actual analysis.
+     * @param {string} workerUrl - URL of the bundled analyzer script.
+     */
+    function startServer(workerUrl) {
+        const server = {
+            scriptUrl: URL.createObjectURL(new Blob([`importScripts(${JSON.stringify(workerUrl)});`], { type: 'text/javascript' })),
+            workers: [],
+            foreground: null,
+            nextRequestId: 1,
+            pendingRequests: new Map(),
+            ready: null,
+        };
+        server.foreground = createWorker(server, 'python-analyzer');
+        server.foreground.addEventListener('message', (event) => handleServerMessage(server, event.data));
+        server.foreground.addEventListener('error', (event) => {
+            console.error('[PAGE BUNDLED] Python analyzer: Worker error:', event.message || event);
+        });
+        server.foreground.postMessage({ type: 'browser/boot', mode: 'foreground' });
+
+        server.ready = sendRequest(server, 'initialize', {
+            processId: null,
+            rootUri: WORKSPACE_URI,
+            workspaceFolders: [{ uri: WORKSPACE_URI, name: 'leetcode' }],
+            capabilities: {
+                textDocument: {
+                    synchronization: { didSave: false },
+                    completion: { completionItem: { snippetSupport: true, documentationFormat: ['markdown', 'plaintext'] }, contextSupport: true },
+                    hover: { contentFormat: ['markdown', 'plaintext'] },
+                    signatureHelp: {
+                        signatureInformation: { documentationFormat: ['markdown', 'plaintext'], parameterInformation: { labelOffsetSupport: true }, activeParameterSupport: true },
+                        contextSupport: true,
+                    },
+                    publishDiagnostics: { tagSupport: { valueSet: [1, 2] } },
+                },
+                workspace: { configuration: true, workspaceFolders: true },
+            },
+            // Files for the worker's in-memory file system; passing the option also loads the bundled typeshed
+            initializationOptions: { files: { [BUILTINS_PATH]: LEETCODE_PRELUDE } },
+        }).then(() => {
+            sendNotification(server, 'initialized', {});
+            console.log('[PAGE BUNDLED] Python analyzer: Language server initialized.');
+        });
+        return server;
+    }
+
+    function stopServer(server) {
+        server.pendingRequests.forEach(pending => pending.reject(new Error('Python analyzer stopped')));
+        server.pendingRequests.clear();
+        server.workers.forEach(worker => worker.terminate());
+        URL.revokeObjectURL(server.scriptUrl);
+    }
+
+    function sendRequest(server, method, params, token) {
+        const id = server.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            server.pendingRequests.set(id, { resolve, reject });
+            server.foreground.postMessage({ jsonrpc: '2.0', id, method, params });
+            token?.onCancellationRequested(() => {
+                if (server.pendingRequests.has(id)) sendNotification(server, '$/cancelRequest', { id });
+            });
+        });
+    }
+
+    /**
+     * Sends a request for a provider, resolving to null when it fails or is cancelled (Monaco would
+     * otherwise report every cancelled request as an error).
+     */
+    async function providerRequest(method, params, token) {
+        try {
+            return await sendRequest(attached.server, method, params, token);
+        } catch (error) {
+            if (!token.isCancellationRequested) console.warn(`[PAGE BUNDLED] Python analyzer: '${method}' failed:`, error.message);
+            return null;
+        }
+    }
+
+    function sendNotification(server, method, params) {
+        server.foreground.postMessage({ jsonrpc: '2.0', method, params });
+    }
+
+    function handleServerMessage(server, message) {
+        if (message?.type === 'browser/newWorker') {
+            // The foreground worker can't start workers itself; boot one in background mode on its port
+            const worker = createWorker(server, `python-analyzer-background-${server.workers.length}`);
+            worker.postMessage({ type: 'browser/boot', mode: 'background', initialData: message.initialData, port: message.port }, [message.port]);
+            return;
+        }
+        if (!message || message.jsonrpc !== '2.0') return;
+
+        if (message.method && message.id !== undefined) {
+            // Requests from the server: only configuration needs a real answer
+            const result = message.method === 'workspace/configuration'
+                ? message.params.items.map(item => SETTINGS[item.section] ?? {})
+                : null;
+            server.foreground.postMessage({ jsonrpc: '2.0', id: message.id, result });
+        } else if (message.method === 'textDocument/publishDiagnostics') {
+            if (message.params.uri === DOCUMENT_URI) setMarkers(message.params.diagnostics);
+        } else if (message.id !== undefined) {
+            const pending = server.pendingRequests.get(message.id);
+            if (!pending) return;
+            server.pendingRequests.delete(message.id);
+            if (message.error) pending.reject(new Error(message.error.message));
+            else pending.resolve(message.result);
+        }
+    }
+
+    // --- Document Synchronization ---
+
+    /**
+     * The builtins stub: LeetCode's prelude plus the node classes defined in the starter code's comments
+     * (falling back to LeetCode's ListNode/TreeNode), so `Optional['Node']` and friends resolve.
+     */
+    function buildBuiltinsStub(code) {
+        const definitions = window.leetCodeMonacoStarterDefinitions?.parseDefinitions(code) || new Map();
+        const classes = [...definitions.values()].map(definition => definition.source)
+            .filter(source => /^class\s/.test(source));
+        for (const [name, source] of Object.entries(DEFAULT_NODE_DEFINITIONS)) {
+            if (!definitions.has(name)) classes.push(source);
+        }
+        return [LEETCODE_PRELUDE, ...classes].join('\n\n') + '\n';
+    }
+
+    function isAnalyzedModel(model) {
+        return !!model && model.getLanguageId() === LANGUAGE_ID;
+    }
+
+    /**
+     * Opens the buffer (and the builtins stub) in the server once it is ready, starting it if needed.
+     */
+    async function openDocument() {
+        const model = attached.editor.getModel();
+        if (!isAnalyzedModel(model) || attached.document) return;
+        if (!attached.server) attached.server = startServer(attached.workerUrl);
+        const current = attached;
+        const server = current.server;
+        try {
+            await server.ready;
+        } catch (error) {
+            console.error('[PAGE BUNDLED] Python analyzer: Failed to start the language server:', error);
+            return;
+        }
+        // The buffer may have been closed, switched or detached while the server started
+        if (attached !== current || current.document || model !== current.editor.getModel() || !isAnalyzedModel(model)) return;
+
+        current.builtins = buildBuiltinsStub(model.getValue());
+        sendNotification(server, 'textDocument/didOpen', { textDocument: { uri: BUILTINS_URI, languageId: LANGUAGE_ID, version: 1, text: current.builtins } });
+        sendNotification(server, 'textDocument/didOpen', { textDocument: { uri: DOCUMENT_URI, languageId: LANGUAGE_ID, version: model.getVersionId(), text: model.getValue() } });
+        current.document = { model, builtinsVersion: 1 };
+        console.log('[PAGE BUNDLED] Python analyzer: Analyzing the buffer.');
+    }
+
+    function closeDocument() {
+        if (!attached.document) return;
+        clearTimeout(attached.builtinsTimeout);
+        sendNotification(attached.server, 'textDocument/didClose', { textDocument: { uri: DOCUMENT_URI } });
+        sendNotification(attached.server, 'textDocument/didClose', { textDocument: { uri: BUILTINS_URI } });
+        clearMarkers(attached.document.model);
+        attached.document = null;
+    }
+
+    function onContentChanged(event) {
+        const document = attached.document;
+        if (!document || document.model !== attached.editor.getModel()) return;
+        // Changes within one event refer to the buffer before the event; applying them from the end of the
+        // buffer backwards keeps every range valid
+        const contentChanges = [...event.changes]
+            .sort((a, b) => b.rangeOffset - a.rangeOffset)
+            .map(change => ({ range: toLspRange(change.range), text: change.text }));
+        sendNotification(attached.server, 'textDocument/didChange', {
+            textDocument: { uri: DOCUMENT_URI, version: event.versionId },
+            contentChanges,
+        });
+
+        clearTimeout(attached.builtinsTimeout);
+        attached.builtinsTimeout = setTimeout(updateBuiltins, BUILTINS_UPDATE_DELAY_MS);
+    }
+
+    // Re-sends the builtins stub when the starter code's node definitions change
+    function updateBuiltins() {
+        const document = attached?.document;
+        if (!document) return;
+        const builtins = buildBuiltinsStub(document.model.getValue());
+        if (builtins === attached.builtins) return;
+        attached.builtins = builtins;
+        sendNotification(attached.server, 'textDocument/didChange', {
+            textDocument: { uri: BUILTINS_URI, version: ++document.builtinsVersion },
+            contentChanges: [{ text: builtins }],
+        });
+    }
+
+    // Follows the editor's language and model: Python buffers are opened in the server, others closed
+    function syncDocument() {
+        const model = attached.editor.getModel();
+        if (attached.document && (attached.document.model !== model || !isAnalyzedModel(model))) closeDocument();
+        if (isAnalyzedModel(model)) openDocument();
+    }
+
+    // --- Diagnostics ---
+
+    function setMarkers(diagnostics) {
+        const model = attached?.document?.model;
+        if (!model || model.isDisposed()) return;
+        const monaco = window.monaco;
+        monaco.editor.setModelMarkers(model, MARKER_OWNER, diagnostics.map(diagnostic => {
+            const range = toMonacoRange(monaco, diagnostic.range);
+            return {
+                severity: toMarkerSeverity(monaco, diagnostic.severity),
+                message: diagnostic.message,
+                source: MARKER_SOURCE,
+                code: diagnostic.code === undefined ? undefined : String(diagnostic.code),
+                tags: diagnostic.tags,
+                startLineNumber: range.startLineNumber,
+                startColumn: range.startColumn,
+                endLineNumber: range.endLineNumber,
+                endColumn: range.endColumn,
+            };
+        }));
+    }
+
+    function clearMarkers(model) {
+        if (model && !model.isDisposed()) window.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+    }
+
+    // --- Providers ---
+
+    /**
+     * True while the analyzer serves the model, so the heuristic Python providers and tree-sitter
+     * diagnostics can step aside.
+     * @param {object} model - A Monaco text model.
+     * @returns {boolean}
+     */
+    function isAnalyzing(model) {
+        return !!attached?.document && attached.document.model === model && isAnalyzedModel(model);
+    }
+
+    function toCompletionItem(monaco, item, defaultRange) {
+        const edit = item.textEdit;
+        let range = defaultRange;
+        if (edit?.range) range = toMonacoRange(monaco, edit.range);
+        else if (edit?.insert) range = { insert: toMonacoRange(monaco, edit.insert), replace: toMonacoRange(monaco, edit.replace) };
+        return {
+            label: item.label,
+            kind: monaco.languages.CompletionItemKind[COMPLETION_KINDS[item.kind]] ?? monaco.languages.CompletionItemKind.Text,
+            detail: item.detail,
+            documentation: toMarkdown(item.documentation),
+            sortText: item.sortText,
+            filterText: item.filterText,
+            insertText: edit?.newText ?? item.insertText ?? item.label,
+            insertTextRules: item.insertTextFormat === LSP_INSERT_TEXT_FORMAT_SNIPPET
+                ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet
+                : undefined,
+            range,
+            lspItem: item, // For completionItem/resolve
+        };
+    }
+
+    function completionProvider(monaco, editor) {
+        return {
+            triggerCharacters: ['.', '[', '"', "'"],
+            async provideCompletionItems(model, position, context, token) {
+                if (model !== editor.getModel() || !isAnalyzing(model)) return { suggestions: [] };
+                const word = model.getWordUntilPosition(position);
+                const defaultRange = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+                const result = await providerRequest('textDocument/completion', {
+                    textDocument: { uri: DOCUMENT_URI },
+                    position: toLspPosition(position),
+                    context: { triggerKind: context.triggerKind + 1, triggerCharacter: context.triggerCharacter },
+                }, token);
+                const items = Array.isArray(result) ? result : result?.items || [];
+                return {
+                    suggestions: items.map(item => toCompletionItem(monaco, item, defaultRange)),
+                    incomplete: !!result?.isIncomplete,
+                };
+            },
+            async resolveCompletionItem(item, token) {
+                if (!attached?.document || !item.lspItem || item.documentation) return item;
+                const resolved = await providerRequest('completionItem/resolve', item.lspItem, token);
+                if (!resolved) return item;
+                return { ...item, detail: resolved.detail ?? item.detail, documentation: toMarkdown(resolved.documentation) };
+            },
+        };
+    }
+
+    function hoverProvider(monaco, editor) {
+        return {
+            async provideHover(model, position, token) {
+                if (model !== editor.getModel() || !isAnalyzing(model)) return null;
+                const result = await providerRequest('textDocument/hover', {
+                    textDocument: { uri: DOCUMENT_URI },
+                    position: toLspPosition(position),
+                }, token);
+                if (!result?.contents) return null;
+                const contents = (Array.isArray(result.contents) ? result.contents : [result.contents]).map(toMarkdown);
+                return { contents, range: result.range ? toMonacoRange(monaco, result.range) : undefined };
+            },
+        };
+    }
+
+    function signatureHelpProvider(editor) {
+        return {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [')'],
+            async provideSignatureHelp(model, position, token, context) {
+                if (model !== editor.getModel() || !isAnalyzing(model)) return null;
+                const result = await providerRequest('textDocument/signatureHelp', {
+                    textDocument: { uri: DOCUMENT_URI },
+                    position: toLspPosition(position),
+                    context: {
+                        triggerKind: context.triggerKind,
+                        triggerCharacter: context.triggerCharacter,
+                        isRetrigger: context.isRetrigger,
+                    },
+                }, token);
+                if (!result?.signatures?.length) return null;
+                return {
+                    value: {
+                        signatures: result.signatures.map(signature => ({
+                            label: signature.label,
+                            documentation: toMarkdown(signature.documentation),
+                            parameters: (signature.parameters || []).map(parameter => ({
+                                label: parameter.label,
+                                documentation: toMarkdown(parameter.documentation),
+                            })),
+                            activeParameter: signature.activeParameter,
+                        })),
+                        activeSignature: result.activeSignature ?? 0,
+                        activeParameter: result.activeParameter ?? 0,
+                    },
+                    dispose() {},
+                };
+            },
+        };
+    }
+
+    // --- Lifecycle ---
+
+    function unregisterProviders() {
+        if (!attached) return;
+        attached.providers.forEach(provider => provider.dispose());
+        attached.providers = [];
+    }
+
+    // Registers providers while the buffer is Python; re-run when the language changes.
+    function registerProviders() {
+        unregisterProviders();
+        if (!isAnalyzedModel(attached.editor.getModel())) return;
+
+        const monaco = window.monaco;
+        const editor = attached.editor;
+        attached.providers.push(
+            monaco.languages.registerCompletionItemProvider(LANGUAGE_ID, completionProvider(monaco, editor)),
+            monaco.languages.registerHoverProvider(LANGUAGE_ID, hoverProvider(monaco, editor)),
+            monaco.languages.registerSignatureHelpProvider(LANGUAGE_ID, signatureHelpProvider(editor)),
+        );
+        console.log('[PAGE BUNDLED] Python analyzer: Providers registered.');
+    }
+
+    /**
+     * Starts the analyzer for an editor's Python buffers (the workers start the first time one is open).
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{workerUrl: string}} options - URL of the bundled analyzer worker script.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            workerUrl: options.workerUrl,
+            server: null,
+            document: null,
+            builtins: null,
+            builtinsTimeout: null,
+            providers: [],
+            disposables: [],
+        };
+        attached.disposables.push(editor.onDidChangeModelContent(onContentChanged));
+        attached.disposables.push(editor.onDidChangeModelLanguage(() => {
+            registerProviders();
+            syncDocument();
+        }));
+        attached.disposables.push(editor.onDidChangeModel(syncDocument));
+        registerProviders();
+        syncDocument();
+    }
+
+    /**
+     * Unregisters the providers, clears the markers and stops the workers.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProviders();
+        clearTimeout(attached.builtinsTimeout);
+        clearMarkers(attached.document?.model);
+        attached.disposables.forEach(d => d.dispose());
+        if (attached.server) stopServer(attached.server);
+        attached = null;
+    }
+
+    window.leetCodeMonacoPythonAnalyzer = { attach, detach, isAnalyzing };
+    console.log('[PAGE BUNDLED] Python analyzer module ready.');
+})();
@@ -0,0 +1,363 @@
+// page_scripts/python_runner.js
+// Python backend for the local test runner (page_scripts/test_runner.js): the bundled Pyodide runtime in a
+// dedicated worker, and a harness that calls the editor's `class Solution` the way LeetCode's judge does,
+// driven by the problem's metaData.
+
+(() => {
+    if (window.leetCodeMonacoPythonRunner) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    // LeetCode's Python 3 environment has these in scope for every solution. Like LeetCode's, it ends by
+    // restoring the builtins the star imports shadow (math.pow over pow(base, exp, mod), ...)
+    const LEETCODE_PRELUDE = [
+        'from typing import *',
+        'from collections import *',
+        'from heapq import *',
+        'from bisect import *',
+        'from itertools import *',
+        'from functools import *',
+        'from math import *',
+        'import bisect, collections, functools, heapq, itertools, math, operator, random, re, string, sys',
+        'from builtins import *',
+    ].join('\n');
+
+    // Loaded into Pyodide once per runtime; run_testcases() is called for each run. Its (de)serialization
+    // mirrors the testcase codec in page_scripts/io_codec.js.
+    const HARNESS = String.raw`
+import io
+import json
+import sys
+import time
+import traceback
+
+SOLUTION_FILE = '<solution>'
+MAX_LIST_LENGTH = 10000  # Stops printing a list that loops back on itself
+# Third-party modules LeetCode's judge provides but the bundled Pyodide doesn't: only the standard library is
+# bundled, and the worker can't fetch more once it is locked down
+LEETCODE_ONLY_MODULES = {'sortedcontainers'}
+
+
+class ListNode:
+    def __init__(self, val=0, next=None):
+        self.val = val
+        self.next = next
+
+
+class TreeNode:
+    def __init__(self, val=0, left=None, right=None):
+        self.val = val
+        self.left = left
+        self.right = right
+
+
+def to_list(values):
+    head = None
+    for value in reversed(values):
+        head = ListNode(value, head)
+    return head
+
+
+def from_list(head):
+    values = []
+    while head is not None and len(values) < MAX_LIST_LENGTH:
+        values.append(head.val)
+        head = head.next
+    return values
+
+
+def to_tree(values):
+    """Builds a tree from LeetCode's level order notation (None for missing children)."""
+    if not values or values[0] is None:
+        return None
+    root = TreeNode(values[0])
+    queue = [root]
+    head = 0
+    index = 1
+    while head < len(queue) and index < len(values):
+        node = queue[head]
+        head += 1
+        for side in ('left', 'right'):
+            if index >= len(values):
+                break
+            value = values[index]
+            index += 1
+            if value is not None:
+                child = TreeNode(value)
+                setattr(node, side, child)
+                queue.append(child)
+    return root
+
+
+def from_tree(root):
+    values = []
+    queue = [root]
+    head = 0
+    while head < len(queue):
+        node = queue[head]
+        head += 1
+        values.append(None if node is None else node.val)
+        if node is not None:
+            queue.append(node.left)
+            queue.append(node.right)
+    while values and values[-1] is None:
+        values.pop()
+    return values
+
+
+def element_type(type_name):
+    """Element type of 'integer[]' or 'list<integer>', or None for other types."""
+    if type_name.endswith('[]'):
+        return type_name[:-2]
+    if type_name.startswith('list<') and type_name.endswith('>'):
+        return type_name[5:-1]
+    return None
+
+
+def deserialize(value, type_name):
+    if type_name == 'ListNode':
+        return to_list(value) if isinstance(value, list) else None
+    if type_name == 'TreeNode':
+        return to_tree(value) if isinstance(value, list) else None
+    element = element_type(type_name)
+    if element and isinstance(value, list):
+        return [deserialize(item, element) for item in value]
+    return value
+
+
+def serialize(value, type_name):
+    if type_name == 'ListNode':
+        return from_list(value)
+    if type_name == 'TreeNode':
+        return from_tree(value)
+    element = element_type(type_name)
+    if element and isinstance(value, (list, tuple)):
+        return [serialize(item, element) for item in value]
+    return value
+
+
+def deserialize_arguments(values, params):
+    return [deserialize(value, params[i].get('type', '') if i < len(params) else '') for i, value in enumerate(values)]
+
+
+def run_function(namespace, meta, lines):
+    if 'Solution' not in namespace:
+        raise NameError("name 'Solution' is not defined")
+    method = getattr(namespace['Solution'](), meta['name'])
+    params = meta.get('params', [])
+    args = deserialize_arguments([json.loads(line) for line in lines], params)
+    start = time.perf_counter()
+    result = method(*args)
+    elapsed = (time.perf_counter() - start) * 1000
+    # In-place problems ("Do not return anything") are judged on the modified argument
+    output_index = (meta.get('output') or {}).get('paramindex')
+    if meta.get('return', {}).get('type') == 'void' and output_index is not None:
+        return serialize(args[output_index], params[output_index].get('type', '')), elapsed
+    return serialize(result, meta.get('return', {}).get('type', '')), elapsed
+
+
+def run_design(namespace, meta, lines):
+    """Design problems: line 1 lists the constructor and method calls, line 2 their arguments."""
+    if meta['classname'] not in namespace:
+        raise NameError(f"name '{meta['classname']}' is not defined")
+    calls = json.loads(lines[0])
+    call_args = json.loads(lines[1])
+    methods = {method['name']: method for method in meta.get('methods', [])}
+    start = time.perf_counter()
+    instance = namespace[meta['classname']](*deserialize_arguments(call_args[0], (meta.get('constructor') or {}).get('params', [])))
+    output = [None]
+    for name, args in zip(calls[1:], call_args[1:]):
+        method = methods.get(name, {})
+        result = getattr(instance, name)(*deserialize_arguments(args, method.get('params', [])))
+        output.append(serialize(result, method.get('return', {}).get('type', '')))
+    return output, (time.perf_counter() - start) * 1000
+
+
+def error_details(error):
+    """The exception as 'Name: message', and the solution line it was raised on (None if not in the solution)."""
+    line = None
+    if isinstance(error, SyntaxError) and error.filename == SOLUTION_FILE:
+        line = error.lineno
+    for frame in traceback.extract_tb(error.__traceback__):
+        if frame.filename == SOLUTION_FILE:
+            line = frame.lineno  # The innermost solution frame
+    if isinstance(error, ModuleNotFoundError) and error.name in LEETCODE_ONLY_MODULES:
+        return (f"{error.name} is only available on LeetCode: local runs have Python's standard library only. "
+                "Use LeetCode's Run to test this solution."), line
+    return f'{type(error).__name__}: {error}', line
+
+
+def run_testcases(code, prelude, meta_json, cases_json, post):
+    """Runs the solution against each case, posting a 'result' message per case and then 'done'
+    (or a single 'failure' if the solution itself can't be loaded)."""
+    meta = json.loads(meta_json)
+    cases = json.loads(cases_json)
+    send = lambda message: post(json.dumps(message))
+    namespace = {'__name__': '__main__', 'ListNode': ListNode, 'TreeNode': TreeNode}
+    exec(prelude, namespace)
+    real_stdout = sys.stdout
+    try:
+        stdout = sys.stdout = io.StringIO()
+        try:
+            exec(compile(code, SOLUTION_FILE, 'exec'), namespace)
+        except BaseException as error:  # Including SystemExit from a stray exit()
+            message, line = error_details(error)
+            send({'type': 'failure', 'error': message, 'line': line, 'logs': stdout.getvalue().splitlines()})
+            return
+        run = run_design if meta.get('systemdesign') else run_function
+        for index, lines in enumerate(cases):
+            stdout = sys.stdout = io.StringIO()
+            try:
+                output, elapsed = run(namespace, meta, lines)
+                send({'type': 'result', 'index': index, 'output': json.dumps(output, separators=(',', ':')),
+                      'logs': stdout.getvalue().splitlines(), 'time': elapsed})
+            except BaseException as error:
+                message, line = error_details(error)
+                send({'type': 'result', 'index': index, 'error': message, 'line': line, 'logs': stdout.getvalue().splitlines()})
+    finally:
+        sys.stdout = real_stdout
+    send({'type': 'done'})
+`;
+
+    // --- State ---
+    let attached = null; // { indexUrl, runtime }
+
+    /**
+     * Runs inside the Pyodide worker (serialized with toString(), so it must not reference anything outside
+     * itself). Posts 'ready' once Python is loaded, then runs the testcases of each message it receives.
+     * Pyodide loads its files over the network, so the worker is locked down (`lockDown`, see
+     * leetCodeMonacoRuntime.lockDownWorker) only once it has, before any solution runs.
+     */
+    function pythonWorkerMain(indexUrl, harness, lockDown) {
+        importScripts(`${indexUrl}pyodide.js`);
+        const pyodideReady = loadPyodide({ indexURL: indexUrl }).then((pyodide) => {
+            pyodide.runPython(harness);
+            lockDown();
+            return pyodide;
+        });
+        pyodideReady.then(
+            () => postMessage({ type: 'ready' }),
+            error => postMessage({ type: 'loadFailed', error: String(error?.message || error) }),
+        );
+        self.onmessage = async (event) => {
+            const pyodide = await pyodideReady;
+            const { code, prelude, metaData, cases } = event.data;
+            const runTestcases = pyodide.globals.get('run_testcases');
+            try {
+                runTestcases(code, prelude, JSON.stringify(metaData), JSON.stringify(cases), message => postMessage(JSON.parse(message)));
+            } catch (error) {
+                postMessage({ type: 'failure', error: String(error?.message || error) }); // A bug in the harness itself
+            } finally {
+                runTestcases.destroy();
+            }
+        };
+    }
+
+    /**
+     * Starts the Pyodide worker, or returns the running one (loading Python takes seconds, so it is kept
+     * between runs).
+     */
+    function ensureRuntime() {
+        if (attached.runtime) return attached.runtime;
+        const lockDown = window.leetCodeMonacoRuntime.lockDownWorker;
+        const source = `(${pythonWorkerMain})(${JSON.stringify(attached.indexUrl)}, ${JSON.stringify(HARNESS)}, ${lockDown});`;
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        const runtime = { worker: new Worker(url), url, onMessage: null };
+        runtime.ready = new Promise((resolve, reject) => {
+            runtime.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') resolve();
+                else if (event.data.type === 'loadFailed') reject(new Error(event.data.error));
+                else runtime.onMessage?.(event.data);
+            };
+            runtime.worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'The Python worker failed to start.'));
+            };
+        });
+        runtime.ready.catch(() => stopRuntime(runtime)); // Retry with a fresh worker on the next run
+        attached.runtime = runtime;
+        console.log('[PAGE BUNDLED] Python runner: Loading Pyodide...');
+        return runtime;
+    }
+
+    function stopRuntime(runtime) {
+        runtime.worker.terminate();
+        URL.revokeObjectURL(runtime.url);
+        if (attached?.runtime === runtime) attached.runtime = null;
+    }
+
+    /**
+     * Runs Python code against testcases.
+     * @param {string} code - The solution.
+     * @param {object} metaData - LeetCode's signature metadata for the problem.
+     * @param {Array<string[]>} cases - Each case's input lines (JSON).
+     * @param {{onStart: function(): void, onResult: function(object): void, onDone: function(): void,
+     *     onFailure: function(string, number=, string[]=): void}} handlers - Called as the run progresses;
+     *     onResult receives { index, output, logs, time } or { index, error, line, logs }.
+     * @returns {{stop: function(): void}} Stops the run (terminating Python if the solution is still running).
+     */
+    function start(code, metaData, cases, handlers) {
+        if (!attached) throw new Error('The Python runner is not attached.');
+        const runtime = ensureRuntime();
+        const run = { finished: false };
+        const finish = () => {
+            run.finished = true;
+            if (runtime.onMessage === onMessage) runtime.onMessage = null;
+        };
+        const onMessage = (message) => {
+            if (message.type === 'result') {
+                handlers.onResult(message);
+            } else if (message.type === 'failure') {
+                finish();
+                handlers.onFailure(message.error, message.line, message.logs);
+            } else if (message.type === 'done') {
+                finish();
+                handlers.onDone();
+            }
+        };
+
+        runtime.ready.then(() => {
+            if (run.finished) return;
+            runtime.onMessage = onMessage;
+            handlers.onStart();
+            runtime.worker.postMessage({ code, prelude: LEETCODE_PRELUDE, metaData, cases });
+        }, (error) => {
+            if (run.finished) return;
+            finish();
+            console.error('[PAGE BUNDLED] Python runner: Failed to load Pyodide:', error);
+            handlers.onFailure(`Could not load Python: ${error.message}`);
+        });
+
+        run.stop = () => {
+            if (run.finished) return;
+            const running = runtime.onMessage === onMessage; // Otherwise Python is still loading; keep it for the next run
+            finish();
+            // Python can't be interrupted from here, so a solution that is still running takes the runtime with it
+            if (running) stopRuntime(runtime);
+        };
+        return run;
+    }
+
+    // --- Lifecycle ---
+
+    /**
+     * @param {{indexUrl: string}} options - URL of the bundled Pyodide distribution (ending in '/').
+     */
+    function attach(options) {
+        detach();
+        attached = { indexUrl: options.indexUrl, runtime: null };
+    }
+
+    /**
+     * Terminates the Pyodide worker.
+     */
+    function detach() {
+        if (!attached) return;
+        if (attached.runtime) stopRuntime(attached.runtime);
+        attached = null;
+    }
+
+    window.leetCodeMonacoPythonRunner = { attach, detach, start };
+    console.log('[PAGE BUNDLED] Python runner module ready.');
+})();
@@ -0,0 +1,832 @@
+// page_scripts/scope_analysis.js
+// In-file go-to-definition (F12), find-references (Shift+F12) and rename (F2) for C++, Java and Python.
+// A token-level analysis builds the file's scopes (C++/Java blocks, for/catch/lambda headers and class
+// bodies; Python modules, classes, functions, lambdas and comprehensions) and binds every identifier to
+// the declaration it refers to, so two loops' `i` stay separate symbols.
+
+(() => {
+    if (window.leetCodeMonacoScopeAnalysis) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const SUPPORTED_LANGUAGES = ['cpp', 'java', 'python'];
+    const PUNCTUATORS = ['<<=', '>>=', '**=', '//=', '...', '::', '->', '&&', '||', '==', '!=', '<=', '>=', '+=', '-=',
+        '*=', '/=', '%=', '&=', '|=', '^=', '@=', '++', '--', ':=', '**', '//', '<<'];
+    const TOKEN_PATTERN = new RegExp(`[A-Za-z_]\\w*|\\d[\\w.']*|${PUNCTUATORS.map(p => p.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')).join('|')}|\\n|\\S`, 'g');
+    const IDENTIFIER_PATTERN = /^[A-Za-z_]\w*$/;
+    const OPENERS = { '(': ')', '[': ']', '{': '}' };
+    const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+
+    const C_FAMILY_KEYWORDS = new Set([
+        'alignas', 'alignof', 'and', 'asm', 'auto', 'bool', 'break', 'case', 'catch', 'char', 'class', 'const', 'constexpr',
+        'const_cast', 'continue', 'decltype', 'default', 'delete', 'do', 'double', 'dynamic_cast', 'else', 'enum', 'explicit',
+        'export', 'extern', 'false', 'float', 'for', 'friend', 'goto', 'if', 'inline', 'int', 'long', 'mutable', 'namespace',
+        'new', 'noexcept', 'not', 'nullptr', 'operator', 'or', 'private', 'protected', 'public', 'register', 'reinterpret_cast',
+        'return', 'short', 'signed', 'sizeof', 'static', 'static_assert', 'static_cast', 'struct', 'switch', 'template', 'this',
+        'throw', 'true', 'try', 'typedef', 'typeid', 'typename', 'union', 'unsigned', 'using', 'virtual', 'void', 'volatile',
+        'while', 'abstract', 'assert', 'boolean', 'byte', 'extends', 'final', 'finally', 'implements', 'import', 'instanceof',
+        'interface', 'native', 'null', 'package', 'strictfp', 'super', 'synchronized', 'throws', 'transient', 'var', 'record',
+    ]);
+    // Keywords that can start or be a declaration's type
+    const C_FAMILY_TYPE_WORDS = new Set(['auto', 'bool', 'char', 'double', 'float', 'int', 'long', 'short', 'signed', 'unsigned',
+        'void', 'boolean', 'byte', 'var']);
+    const C_FAMILY_DECLARATION_MODIFIERS = new Set(['const', 'constexpr', 'static', 'final', 'volatile', 'mutable', 'inline',
+        'extern', 'register', 'struct', 'enum', 'typename', 'public', 'private', 'protected', 'abstract', 'synchronized',
+        'transient', 'virtual', 'explicit', 'friend', 'native', 'strictfp', 'thread_local']);
+    const C_FAMILY_TYPE_DECLARATIONS = ['class', 'struct', 'union', 'enum', 'interface', 'record', 'namespace'];
+    // Calls with these keywords before '(' never declare anything in the parentheses
+    const C_FAMILY_CONDITION_WORDS = ['if', 'while', 'switch', 'synchronized', 'return', 'sizeof', 'decltype', 'alignof',
+        'typeid', 'static_assert', 'throw', 'assert'];
+    const ACCESS_SPECIFIERS = ['public', 'private', 'protected'];
+    // Tokens allowed between a parameter list's ')' and its body's '{' (qualifiers, trailing return types,
+    // initializer lists, throws clauses)
+    const FUNCTION_TRAILER_TOKENS = new Set(['::', '<', '>', '*', '&', '&&', '->', ':', ',', '.', '[', ']']);
+    const MAX_TRAILER_TOKENS = 64;
+
+    const PYTHON_KEYWORDS = new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class',
+        'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+        'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield']);
+    const PYTHON_COMPOUND_KEYWORDS = ['if', 'elif', 'else', 'for', 'while', 'with', 'try', 'except', 'finally', 'def', 'class', 'async'];
+    const PYTHON_AUGMENTED_ASSIGNMENTS = ['+=', '-=', '*=', '/=', '//=', '%=', '**=', '&=', '|=', '^=', '>>=', '<<=', '@='];
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    // --- Tokens and Symbols ---
+
+    /**
+     * Splits masked code into identifier, number and punctuation tokens (and line breaks for Python).
+     * @returns {Array<{text: string, start: number, end: number, identifier: boolean}>} The tokens.
+     */
+    function tokenize(masked, keepLineBreaks) {
+        const tokens = [];
+        for (const match of masked.matchAll(TOKEN_PATTERN)) {
+            if (match[0] === '\n' && !keepLineBreaks) continue;
+            tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length, identifier: IDENTIFIER_PATTERN.test(match[0]) });
+        }
+        return tokens;
+    }
+
+    // Index of the matching bracket for every bracket token (-1 when unbalanced)
+    function matchBrackets(tokens) {
+        const matches = new Array(tokens.length).fill(-1);
+        const stack = [];
+        tokens.forEach((token, index) => {
+            if (OPENERS[token.text]) {
+                stack.push(index);
+            } else if (CLOSERS[token.text]) {
+                // Skip unbalanced openers of another kind (`a[i)` while typing)
+                while (stack.length > 0 && tokens[stack[stack.length - 1]].text !== CLOSERS[token.text]) stack.pop();
+                const open = stack.pop();
+                if (open !== undefined) {
+                    matches[open] = index;
+                    matches[index] = open;
+                }
+            }
+        });
+        return matches;
+    }
+
+    function createScope(kind, parent) {
+        return { kind, parent, declarations: new Map(), globals: new Set(), nonlocals: new Set() };
+    }
+
+    /**
+     * Tracks symbols and their occurrences during one analysis.
+     */
+    function createIndex(tokens) {
+        const occurrences = [];
+        const declaredTokens = new Set();
+        const addOccurrence = (symbol, tokenIndex, isDeclaration) => {
+            const token = tokens[tokenIndex];
+            const occurrence = { start: token.start, end: token.end, symbol, isDeclaration };
+            symbol.occurrences.push(occurrence);
+            occurrences.push(occurrence);
+        };
+        return {
+            occurrences,
+            declaredTokens,
+            // Declares a name in a scope; redeclarations (Python reassignments, overloads) join the existing symbol
+            declare(scope, tokenIndex) {
+                if (!scope || declaredTokens.has(tokenIndex)) return;
+                const name = tokens[tokenIndex].text;
+                let symbol = scope.declarations.get(name);
+                if (!symbol) {
+                    symbol = { name, offset: tokens[tokenIndex].start, occurrences: [] };
+                    scope.declarations.set(name, symbol);
+                }
+                declaredTokens.add(tokenIndex);
+                addOccurrence(symbol, tokenIndex, true);
+            },
+            reference(symbol, tokenIndex) {
+                if (symbol) addOccurrence(symbol, tokenIndex, false);
+            },
+        };
+    }
+
+    // --- C++ / Java ---
+
+    /**
+     * Walks back over a type before `index` (`const vector<int>&`, `Map.Entry<K, V>[]`, `unsigned long long`).
+     * @returns {number} Index of the token before the type, or -2 when there's no type.
+     */
+    function skipTypeBackward(tokens, matches, index) {
+        let j = index;
+        while (j >= 0 && ['*', '&', '&&', '...'].includes(tokens[j].text)) j--;
+        while (j >= 1 && tokens[j].text === ']' && tokens[j - 1].text === '[') j -= 2;
+
+        // Core type name, possibly qualified and generic: std::vector<int>, Map.Entry<K, V>, T::iterator
+        let sawName = false;
+        for (;;) {
+            if (tokens[j]?.text === '>') {
+                let depth = 0;
+                let k = j;
+                for (; k >= 0; k--) {
+                    const text = tokens[k].text;
+                    if (text === '>') depth++;
+                    else if (text === '<' && --depth === 0) break;
+                    else if (!tokens[k].identifier && !/^\d/.test(text) && !['<', '::', '.', ',', '*', '&', '[', ']', '?'].includes(text)) return -2;
+                }
+                if (k < 0) return -2;
+                j = k - 1;
+            }
+            const token = tokens[j];
+            if (!token?.identifier) return -2;
+            if (C_FAMILY_KEYWORDS.has(token.text) && !C_FAMILY_TYPE_WORDS.has(token.text)) return -2;
+            sawName = true;
+            j--;
+            if (tokens[j]?.text === '::' || tokens[j]?.text === '.') {
+                j--;
+                continue;
+            }
+            break;
+        }
+        if (!sawName) return -2;
+
+        // Modifiers, further type words (unsigned long) and annotations (@Override, @SuppressWarnings(...))
+        for (;;) {
+            const token = tokens[j];
+            if (token?.identifier && (C_FAMILY_DECLARATION_MODIFIERS.has(token.text) || C_FAMILY_TYPE_WORDS.has(token.text))) {
+                j--;
+            } else if (token?.identifier && tokens[j - 1]?.text === '@') {
+                j -= 2;
+            } else if (token?.text === ')' && tokens[matches[j] - 1]?.identifier && tokens[matches[j] - 2]?.text === '@') {
+                j = matches[j] - 3;
+            } else {
+                return j;
+            }
+        }
+    }
+
+    // The '{' of a function body after a parameter list's ')', or -1 when the parentheses are a call
+    function findFunctionBody(tokens, matches, index) {
+        for (let k = index, steps = 0; k < tokens.length && steps < MAX_TRAILER_TOKENS; steps++) {
+            const token = tokens[k];
+            if (token.text === '{') return k;
+            if (token.text === '(' && matches[k] > k) {
+                k = matches[k] + 1; // Member initializers: `: val(x), next(nullptr)`
+            } else if (token.identifier || FUNCTION_TRAILER_TOKENS.has(token.text)) {
+                k++;
+            } else {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    // Last token of the statement starting at `index` (a block, or everything up to ';')
+    function findStatementEnd(tokens, matches, index) {
+        if (tokens[index]?.text === '{') return matches[index] >= 0 ? matches[index] : tokens.length - 1;
+        for (let k = index; k < tokens.length; k++) {
+            const text = tokens[k].text;
+            if (OPENERS[text] && matches[k] > k) k = matches[k];
+            else if (text === ';') return k;
+            else if (CLOSERS[text]) return k - 1;
+        }
+        return tokens.length - 1;
+    }
+
+    // Last token of a Java lambda body after its '->'
+    function findLambdaEnd(tokens, matches, arrowIndex) {
+        if (tokens[arrowIndex + 1]?.text === '{') return findStatementEnd(tokens, matches, arrowIndex + 1);
+        for (let k = arrowIndex + 1; k < tokens.length; k++) {
+            const text = tokens[k].text;
+            if (OPENERS[text] && matches[k] > k) k = matches[k];
+            else if (text === ',' || text === ';' || CLOSERS[text]) return k - 1;
+        }
+        return tokens.length - 1;
+    }
+
+    // Is the callee before the '(' at `index` an anonymous class instantiation (`new Comparator<T>() {`)?
+    function isInstantiation(tokens, matches, index) {
+        let j = index - 1;
+        if (tokens[j]?.text === '>') {
+            let depth = 0;
+            for (; j >= 0; j--) {
+                if (tokens[j].text === '>') depth++;
+                else if (tokens[j].text === '<' && --depth === 0) break;
+            }
+            j--;
+        }
+        while (tokens[j]?.identifier && tokens[j - 1]?.text === '.') j -= 2;
+        return tokens[j - 1]?.text === 'new';
+    }
+
+    /**
+     * Decides what a '(' opens: a parameter list or for/catch header (with the scope it starts), or
+     * an expression.
+     */
+    function classifyParenthesis(tokens, matches, index, languageId) {
+        const close = matches[index];
+        if (close < 0) return { declares: false };
+        const previous = tokens[index - 1]?.text;
+        if (previous === 'for') return { declares: true, isFor: true, scopeEnd: findStatementEnd(tokens, matches, close + 1) };
+        if (languageId === 'java' && tokens[close + 1]?.text === '->') {
+            return { declares: true, isLambda: true, scopeEnd: findLambdaEnd(tokens, matches, close + 1) };
+        }
+        if (C_FAMILY_CONDITION_WORDS.includes(previous)) return { declares: false };
+        if (previous === 'catch' || previous === ']' || previous === '>' || tokens[index - 1]?.identifier) {
+            const body = findFunctionBody(tokens, matches, close + 1);
+            if (body < 0) return { declares: false };
+            if (isInstantiation(tokens, matches, index)) return { declares: false, classBody: body };
+            const isRecord = tokens[index - 2]?.text === 'record';
+            return { declares: true, body, scopeEnd: matches[body], scopeKind: isRecord ? 'class' : 'block' };
+        }
+        return { declares: false };
+    }
+
+    // The '{' of the body of the class/struct/enum/namespace named at `nameIndex`, or -1 (forward declarations, template parameters)
+    function findTypeBody(tokens, matches, nameIndex) {
+        let k = nameIndex + 1;
+        if (tokens[k]?.text === '<') {
+            for (let depth = 0; k < tokens.length; k++) {
+                if (tokens[k].text === '<') depth++;
+                else if (tokens[k].text === '>' && --depth === 0) break;
+            }
+            k++;
+        }
+        for (let steps = 0; k < tokens.length && steps < MAX_TRAILER_TOKENS; steps++) {
+            const text = tokens[k].text;
+            if (text === '{') return k;
+            if (text === '(' && matches[k] > k) k = matches[k] + 1;
+            else if ([';', '=', ')', ',', '>'].includes(text)) return -1;
+            else k++;
+        }
+        return -1;
+    }
+
+    function analyzeCFamily(code, masked, languageId) {
+        // Preprocessor lines (#include <...>, #define) aren't declarations or references
+        const source = languageId === 'cpp' ? masked.replace(/^[ \t]*#.*$/gm, line => ' '.repeat(line.length)) : masked;
+        const tokens = tokenize(source, false);
+        const matches = matchBrackets(tokens);
+        const index = createIndex(tokens);
+        const references = []; // { tokenIndex, scope, viaThis }
+
+        const globalScope = createScope('class', null); // Top-level names are visible throughout the file
+        const scopeStack = [{ scope: globalScope, end: tokens.length }];
+        const groups = []; // Open brackets: { kind: 'paren' | 'bracket' | 'brace' | 'binding', classification }
+        const bodyScopes = new Map(); // '{' token index -> scope opened at its parameter list
+        const typeBodies = new Set(); // '{' token indexes of class/struct/enum/namespace bodies
+        const typeNames = new Set(); // Token indexes of names after class/struct/...
+        let declarationStatement = null; // { depth } while `int a = 1, b = 2;` can declare more names
+
+        const currentScope = () => scopeStack[scopeStack.length - 1].scope;
+        const pushScope = (kind, end) => {
+            const scope = createScope(kind, currentScope());
+            scopeStack.push({ scope, end });
+            return scope;
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            while (scopeStack.length > 1 && scopeStack[scopeStack.length - 1].end < i) scopeStack.pop();
+            const token = tokens[i];
+            const text = token.text;
+
+            if (text === '(') {
+                const classification = classifyParenthesis(tokens, matches, i, languageId);
+                if (classification.scopeEnd !== undefined) {
+                    const scope = pushScope(classification.scopeKind || 'block', classification.scopeEnd);
+                    if (classification.body !== undefined) bodyScopes.set(classification.body, scope);
+                }
+                if (classification.classBody !== undefined) typeBodies.add(classification.classBody);
+                groups.push({ kind: 'paren', classification });
+                continue;
+            }
+            if (text === '[') {
+                // Structured bindings: auto [a, b] = ..., for (auto& [key, value] : map)
+                let k = i - 1;
+                while (['&', '&&'].includes(tokens[k]?.text)) k--;
+                groups.push({ kind: tokens[k]?.text === 'auto' ? 'binding' : 'bracket' });
+                continue;
+            }
+            if (text === '{') {
+                if (!bodyScopes.has(i)) pushScope(typeBodies.has(i) ? 'class' : 'block', matches[i] >= 0 ? matches[i] : tokens.length);
+                if (bodyScopes.has(i) || typeBodies.has(i)) declarationStatement = null;
+                groups.push({ kind: 'brace' });
+                continue;
+            }
+            if (CLOSERS[text]) {
+                groups.pop();
+                if (declarationStatement && groups.length < declarationStatement.depth) declarationStatement = null;
+                continue;
+            }
+            if (text === ';' && declarationStatement && groups.length <= declarationStatement.depth) {
+                declarationStatement = null;
+                continue;
+            }
+            if (!token.identifier) continue;
+
+            // class Name { ... }: the name is visible in the enclosing scope
+            if (C_FAMILY_TYPE_DECLARATIONS.includes(text) && !['.', 'enum', 'using'].includes(tokens[i - 1]?.text)) {
+                const nameIndex = ['class', 'struct'].includes(tokens[i + 1]?.text) ? i + 2 : i + 1; // enum class Name
+                if (tokens[nameIndex]?.identifier && !C_FAMILY_KEYWORDS.has(tokens[nameIndex].text)) {
+                    const body = findTypeBody(tokens, matches, nameIndex);
+                    if (body >= 0) typeBodies.add(body);
+                    // Definitions and forward declarations; not `template <class T>` or `struct Node* node`
+                    if (body >= 0 || tokens[nameIndex + 1]?.text === ';') typeNames.add(nameIndex);
+                }
+                continue;
+            }
+            if (typeNames.has(i)) {
+                index.declare(currentScope(), i);
+                continue;
+            }
+            if (C_FAMILY_KEYWORDS.has(text)) continue;
+
+            // Java lambda with a single untyped parameter: x -> ...
+            if (languageId === 'java' && tokens[i + 1]?.text === '->') {
+                pushScope('block', findLambdaEnd(tokens, matches, i + 1));
+                index.declare(currentScope(), i);
+                continue;
+            }
+
+            const previous = tokens[i - 1]?.text;
+            if (previous === '.' || (previous === '->' && languageId === 'cpp')) {
+                if (tokens[i - 2]?.text === 'this') references.push({ tokenIndex: i, scope: currentScope(), viaThis: true });
+                continue; // Other members depend on types this analysis doesn't track
+            }
+            if (previous === '::' || previous === '@' || previous === 'goto') continue;
+
+            const group = groups[groups.length - 1];
+            const next = tokens[i + 1]?.text;
+            const context = !group || group.kind === 'brace' ? 'statement'
+                : group.kind === 'binding' ? 'binding'
+                : group.kind === 'paren' && group.classification.declares ? (group.classification.isFor ? 'for' : 'parameters')
+                : 'expression';
+
+            let isDeclaration = false;
+            if (context === 'binding') {
+                isDeclaration = ['[', ','].includes(previous);
+            } else if (context !== 'expression' && ['=', ';', ',', ')', '(', '[', '{', ':'].includes(next)) {
+                const before = skipTypeBackward(tokens, matches, i - 1);
+                if (before !== -2) {
+                    const boundary = tokens[before]?.text;
+                    if (context === 'statement') {
+                        isDeclaration = before < 0 || [';', '{', '}'].includes(boundary)
+                            || (boundary === ':' && ACCESS_SPECIFIERS.includes(tokens[before - 1]?.text));
+                    } else if (context === 'for') {
+                        isDeclaration = boundary === '(';
+                    } else {
+                        isDeclaration = boundary === '(' || boundary === ',';
+                    }
+                }
+                // Untyped Java lambda parameters: (a, b) -> ...
+                if (!isDeclaration && context === 'parameters' && group.classification.isLambda) {
+                    isDeclaration = ['(', ','].includes(previous) && [',', ')'].includes(next);
+                }
+                if (isDeclaration && context !== 'parameters') declarationStatement = { depth: groups.length };
+            }
+            if (!isDeclaration && declarationStatement && groups.length === declarationStatement.depth) {
+                // More declarators: int a = 1, *b, c[10];
+                let k = i - 1;
+                while (['*', '&', '&&'].includes(tokens[k]?.text)) k--;
+                isDeclaration = tokens[k]?.text === ',' && ['=', ';', ',', ')', '[', '{', '(', ':'].includes(next);
+            }
+
+            if (isDeclaration) index.declare(currentScope(), i);
+            else references.push({ tokenIndex: i, scope: currentScope(), viaThis: false });
+        }
+
+        // Bind references once every declaration is known (class members are visible before their declaration)
+        for (const { tokenIndex, scope, viaThis } of references) {
+            const token = tokens[tokenIndex];
+            let current = scope;
+            if (viaThis) {
+                while (current && current.kind !== 'class') current = current.parent;
+            }
+            for (; current; current = current.parent) {
+                const symbol = current.declarations.get(token.text);
+                if (symbol && (current.kind === 'class' || symbol.offset <= token.start)) {
+                    index.reference(symbol, tokenIndex);
+                    break;
+                }
+                if (viaThis) break;
+            }
+        }
+        return index.occurrences;
+    }
+
+    // --- Python ---
+
+    // Logical statements (token index ranges), split at line breaks and ';' outside brackets and after
+    // compound statement headers (`if x: y = 1`)
+    function splitPythonStatements(tokens, matches) {
+        const statements = [];
+        let start = 0;
+        const push = (end) => {
+            if (end > start) statements.push({ start, end });
+        };
+        for (let i = 0; i < tokens.length; i++) {
+            const text = tokens[i].text;
+            if (OPENERS[text] && matches[i] > i) {
+                i = matches[i];
+            } else if ((text === '\n' && tokens[i - 1]?.text !== '\\') || text === ';') {
+                push(i);
+                start = i + 1;
+            } else if (text === ':' && PYTHON_COMPOUND_KEYWORDS.includes(tokens[start]?.text)) {
+                statements.push({ start, end: i });
+                start = i + 1;
+            }
+        }
+        push(tokens.length);
+        return statements;
+    }
+
+    // Column of a statement's first token, or Infinity when it doesn't start its line (`def f(): return 1`)
+    function statementIndentation(code, token) {
+        const lineStart = code.lastIndexOf('\n', token.start - 1) + 1;
+        const prefix = code.slice(lineStart, token.start);
+        return /^[ \t]*$/.test(prefix) ? prefix.length : Infinity;
+    }
+
+    /**
+     * Finds the Python scopes (functions, classes, lambdas, comprehensions) as token ranges.
+     */
+    function findPythonScopes(code, tokens, matches, statements) {
+        const scopes = [];
+        statements.forEach((statement, statementIndex) => {
+            let k = statement.start;
+            if (tokens[k].text === 'async') k++;
+            if (!['def', 'class'].includes(tokens[k]?.text) || !tokens[k + 1]?.identifier) return;
+            const indentation = statementIndentation(code, tokens[statement.start]);
+            const next = statements.slice(statementIndex + 1).find(s => statementIndentation(code, tokens[s.start]) <= indentation);
+            scopes.push({
+                kind: tokens[k].text === 'def' ? 'function' : 'class',
+                start: k + 2, // Parameters belong to the function; its name to the enclosing scope
+                end: next ? next.start - 1 : tokens.length - 1,
+                nameIndex: k + 1,
+            });
+        });
+        tokens.forEach((token, i) => {
+            if (token.text === 'lambda') {
+                let end = tokens.length - 1;
+                for (let k = i + 1; k < tokens.length; k++) {
+                    const text = tokens[k].text;
+                    if (OPENERS[text] && matches[k] > k) k = matches[k];
+                    else if (CLOSERS[text] || text === '\n' || text === ';') { end = k - 1; break; }
+                    else if (text === ',' && tokens.slice(i, k).some(t => t.text === ':')) { end = k - 1; break; }
+                }
+                scopes.push({ kind: 'lambda', start: i, end });
+            } else if (OPENERS[token.text] && matches[i] > i) {
+                // Comprehensions and generator expressions: a `for` directly inside the brackets
+                for (let k = i + 1; k < matches[i]; k++) {
+                    if (OPENERS[tokens[k].text] && matches[k] > k) k = matches[k];
+                    else if (tokens[k].text === 'for') {
+                        scopes.push({ kind: 'comprehension', start: i, end: matches[i] });
+                        break;
+                    }
+                }
+            }
+        });
+        return scopes;
+    }
+
+    function analyzePython(code, masked) {
+        const tokens = tokenize(masked, true);
+        const matches = matchBrackets(tokens);
+        const index = createIndex(tokens);
+        const statements = splitPythonStatements(tokens, matches);
+
+        // Scope tree, and the innermost scope of every token
+        const moduleScope = createScope('module', null);
+        const ranges = findPythonScopes(code, tokens, matches, statements).sort((a, b) => a.start - b.start || b.end - a.end);
+        const tokenScopes = new Array(tokens.length).fill(moduleScope);
+        const open = [];
+        for (const range of ranges) {
+            while (open.length > 0 && open[open.length - 1].end < range.start) open.pop();
+            range.scope = createScope(range.kind, open.length > 0 ? open[open.length - 1].scope : moduleScope);
+            for (let k = range.start; k <= range.end; k++) tokenScopes[k] = range.scope;
+            open.push(range);
+        }
+        const functionScopeOf = (scope) => {
+            while (scope.kind === 'comprehension') scope = scope.parent;
+            return scope;
+        };
+        const classScopeOf = (scope) => {
+            for (let current = scope; current; current = current.parent) {
+                if (current.kind === 'function' && current.parent?.kind === 'class') return current.parent;
+            }
+            return null;
+        };
+
+        // `global` / `nonlocal` names are bound in the module / the enclosing function
+        for (const { start, end } of statements) {
+            const keyword = tokens[start].text;
+            if (keyword !== 'global' && keyword !== 'nonlocal') continue;
+            for (let k = start + 1; k < end; k++) {
+                if (tokens[k].identifier) (keyword === 'global' ? tokenScopes[k].globals : tokenScopes[k].nonlocals).add(tokens[k].text);
+            }
+        }
+        const declare = (scope, k) => {
+            const name = tokens[k].text;
+            if (scope.globals.has(name)) {
+                scope = moduleScope;
+            } else if (scope.nonlocals.has(name)) {
+                let outer = scope.parent;
+                while (outer && outer.kind !== 'function') outer = outer.parent;
+                scope = outer || moduleScope;
+            }
+            index.declare(scope, k);
+        };
+
+        // Names bound by a target list: a, (b, c), *rest; attribute and subscript targets bind nothing
+        const declareTargets = (from, to, scope) => {
+            for (let k = from; k < to; k++) {
+                const token = tokens[k];
+                if (!token.identifier || PYTHON_KEYWORDS.has(token.text)) continue;
+                if (tokens[k - 1]?.text === '.') continue;
+                let end = k;
+                while (['.', '[', '('].includes(tokens[end + 1]?.text)) {
+                    end = tokens[end + 1].text === '.' ? end + 2 : Math.max(matches[end + 1], end + 1);
+                }
+                if (end === k) declare(scope || tokenScopes[k], k);
+                k = end;
+            }
+        };
+        const findAtDepthZero = (from, to, predicate) => {
+            const found = [];
+            for (let k = from; k < to; k++) {
+                if (OPENERS[tokens[k].text] && matches[k] > k) k = matches[k];
+                else if (predicate(tokens[k].text)) found.push(k);
+            }
+            return found;
+        };
+
+        for (const range of ranges) {
+            if (range.nameIndex !== undefined) index.declare(tokenScopes[range.nameIndex], range.nameIndex);
+            if (range.kind === 'function' && tokens[range.start]?.text === '(') {
+                for (let k = range.start + 1; k < matches[range.start]; k++) {
+                    if (OPENERS[tokens[k].text] && matches[k] > k) { k = matches[k]; continue; }
+                    const isParameter = tokens[k].identifier && ['(', ',', '*', '**'].includes(tokens[k - 1].text)
+                        && [',', ')', ':', '='].includes(tokens[k + 1]?.text);
+                    if (isParameter) index.declare(range.scope, k);
+                }
+            } else if (range.kind === 'lambda') {
+                for (let k = range.start + 1; k <= range.end && tokens[k].text !== ':'; k++) {
+                    if (tokens[k].identifier && ['lambda', ',', '*', '**'].includes(tokens[k - 1].text)) index.declare(range.scope, k);
+                }
+            } else if (range.kind === 'comprehension') {
+                for (const forIndex of findAtDepthZero(range.start + 1, range.end, text => text === 'for')) {
+                    const inIndex = findAtDepthZero(forIndex + 1, range.end, text => text === 'in')[0] ?? range.end;
+                    declareTargets(forIndex + 1, inIndex, range.scope);
+                }
+            }
+        }
+
+        for (const statement of statements) {
+            const { start, end } = statement;
+            let first = start;
+            if (tokens[first].text === 'async') first++;
+            const keyword = tokens[first].text;
+            const scope = tokenScopes[start];
+            if (['def', 'class', 'global', 'nonlocal'].includes(keyword)) continue;
+            if (keyword === 'for') {
+                const inIndex = findAtDepthZero(first + 1, end, text => text === 'in')[0] ?? end;
+                declareTargets(first + 1, inIndex);
+            } else if (keyword === 'import' || keyword === 'from') {
+                const importIndex = keyword === 'from' ? findAtDepthZero(first, end, text => text === 'import')[0] : first;
+                if (importIndex === undefined) continue;
+                let from = importIndex + 1;
+                let to = end;
+                if (tokens[from]?.text === '(' && matches[from] > from) {
+                    to = matches[from];
+                    from++;
+                }
+                // `import a.b as c` binds c, `import a.b` binds a, `from m import x as y` binds y
+                for (let k = from; k < to;) {
+                    const clauseEnd = findAtDepthZero(k, to, text => text === ',')[0] ?? to;
+                    const clause = tokens.slice(k, clauseEnd);
+                    const asIndex = clause.findIndex(t => t.text === 'as');
+                    const bound = asIndex >= 0 ? k + asIndex + 1 : k + clause.findIndex(t => t.identifier);
+                    if (bound >= k && tokens[bound]?.identifier) declare(scope, bound);
+                    k = clauseEnd + 1;
+                }
+            } else if (keyword === 'with' || keyword === 'except') {
+                for (const asIndex of findAtDepthZero(first, end, text => text === 'as')) {
+                    const targetEnd = findAtDepthZero(asIndex + 1, end, text => text === ',')[0] ?? end;
+                    declareTargets(asIndex + 1, targetEnd);
+                }
+            } else if (!PYTHON_KEYWORDS.has(keyword)) {
+                const operators = findAtDepthZero(start, end, text => text === '=' || PYTHON_AUGMENTED_ASSIGNMENTS.includes(text));
+                if (tokens[start].identifier && tokens[start + 1]?.text === ':') {
+                    declare(scope, start); // Annotated: x: int = 0
+                } else if (operators.length > 0 && tokens[operators[0]].text !== '=') {
+                    declareTargets(start, operators[0]); // Augmented assignment makes the name local
+                } else {
+                    // Chained assignment: every segment before the last '=' is a target list
+                    let segmentStart = start;
+                    for (const operator of operators) {
+                        declareTargets(segmentStart, operator);
+                        segmentStart = operator + 1;
+                    }
+                }
+            }
+        }
+
+        tokens.forEach((token, k) => {
+            if (!token.identifier) return;
+            // Walrus: bound in the enclosing function, even inside a comprehension
+            if (tokens[k + 1]?.text === ':=') index.declare(functionScopeOf(tokenScopes[k]), k);
+            // self.name = ...: an attribute of the enclosing class
+            const isAttributeAssignment = ['self', 'cls'].includes(token.text) && tokens[k - 1]?.text !== '.'
+                && tokens[k + 1]?.text === '.' && tokens[k + 2]?.identifier
+                && (tokens[k + 3]?.text === '=' || PYTHON_AUGMENTED_ASSIGNMENTS.includes(tokens[k + 3]?.text));
+            const classScope = isAttributeAssignment && classScopeOf(tokenScopes[k]);
+            if (classScope && !classScope.declarations.has(tokens[k + 2].text)) index.declare(classScope, k + 2);
+        });
+
+        // References
+        tokens.forEach((token, k) => {
+            if (!token.identifier || PYTHON_KEYWORDS.has(token.text) || index.declaredTokens.has(k)) return;
+            const previous = tokens[k - 1]?.text;
+            if (previous === '.') {
+                if (['self', 'cls'].includes(tokens[k - 2]?.text) && tokens[k - 3]?.text !== '.') {
+                    index.reference(classScopeOf(tokenScopes[k - 2])?.declarations.get(token.text), k);
+                }
+                return;
+            }
+            if (tokens[k + 1]?.text === '=' && ['(', ','].includes(previous)) return; // Keyword argument: f(key=value)
+
+            const start = tokenScopes[k];
+            let scope = start;
+            while (scope) {
+                if (scope.globals.has(token.text)) {
+                    scope = moduleScope;
+                } else if (scope.nonlocals.has(token.text)) {
+                    scope = scope.parent;
+                    continue;
+                }
+                // Class bodies aren't visible from the functions nested in them
+                const symbol = scope.kind !== 'class' || scope === start ? scope.declarations.get(token.text) : null;
+                if (symbol) {
+                    index.reference(symbol, k);
+                    return;
+                }
+                if (scope === moduleScope) return;
+                scope = scope.parent;
+            }
+        });
+        return index.occurrences;
+    }
+
+    /**
+     * Binds the identifiers of a file to their declarations.
+     * @param {string} code - Source code.
+     * @param {string} languageId - 'cpp', 'java' or 'python'.
+     * @returns {Array<{start: number, end: number, isDeclaration: boolean, symbol: {name: string, occurrences: object[]}}>}
+     *   Every identifier occurrence that belongs to a symbol declared in the file.
+     */
+    function analyze(code, languageId) {
+        const masked = window.leetCodeMonacoCodeAnalysis.maskCommentsAndStrings(code, languageId);
+        if (languageId === 'python') return analyzePython(code, masked);
+        if (SUPPORTED_LANGUAGES.includes(languageId)) return analyzeCFamily(code, masked, languageId);
+        return [];
+    }
+
+    function getOccurrences(model) {
+        if (attached.cache?.versionId !== model.getVersionId()) {
+            attached.cache = { versionId: model.getVersionId(), occurrences: analyze(model.getValue(), model.getLanguageId()) };
+        }
+        return attached.cache.occurrences;
+    }
+
+    function occurrenceAt(model, position) {
+        const offset = model.getOffsetAt(position);
+        return getOccurrences(model).find(o => o.start <= offset && offset <= o.end) || null;
+    }
+
+    // --- Providers ---
+
+    function toRange(monaco, model, occurrence) {
+        return monaco.Range.fromPositions(model.getPositionAt(occurrence.start), model.getPositionAt(occurrence.end));
+    }
+
+    function isKeyword(name, languageId) {
+        return languageId === 'python' ? PYTHON_KEYWORDS.has(name) : C_FAMILY_KEYWORDS.has(name);
+    }
+
+    function definitionProvider(monaco, editor) {
+        return {
+            provideDefinition(model, position) {
+                if (model !== editor.getModel()) return null; // e.g. LeetCode's hidden native editor
+                const occurrence = occurrenceAt(model, position);
+                const declaration = occurrence?.symbol.occurrences.find(o => o.isDeclaration);
+                return declaration ? { uri: model.uri, range: toRange(monaco, model, declaration) } : null;
+            },
+        };
+    }
+
+    function referenceProvider(monaco, editor) {
+        return {
+            provideReferences(model, position, context) {
+                if (model !== editor.getModel()) return null;
+                const occurrence = occurrenceAt(model, position);
+                if (!occurrence) return null;
+                return occurrence.symbol.occurrences
+                    .filter(o => context.includeDeclaration || !o.isDeclaration)
+                    .map(o => ({ uri: model.uri, range: toRange(monaco, model, o) }));
+            },
+        };
+    }
+
+    function renameProvider(monaco, editor) {
+        return {
+            resolveRenameLocation(model, position) {
+                const occurrence = model === editor.getModel() ? occurrenceAt(model, position) : null;
+                if (occurrence) return { range: toRange(monaco, model, occurrence), text: occurrence.symbol.name };
+                const word = model.getWordAtPosition(position);
+                const range = word
+                    ? new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn)
+                    : monaco.Range.fromPositions(position);
+                return { range, text: word?.word || '', rejectReason: 'Only names declared in this file can be renamed.' };
+            },
+            provideRenameEdits(model, position, newName) {
+                if (model !== editor.getModel()) return null;
+                const occurrence = occurrenceAt(model, position);
+                if (!occurrence) return { edits: [], rejectReason: 'Only names declared in this file can be renamed.' };
+                if (!IDENTIFIER_PATTERN.test(newName) || isKeyword(newName, model.getLanguageId())) {
+                    return { edits: [], rejectReason: `'${newName}' is not a valid identifier.` };
+                }
+                const versionId = model.getVersionId();
+                return {
+                    edits: occurrence.symbol.occurrences.map(o => ({
+                        resource: model.uri,
+                        versionId,
+                        textEdit: { range: toRange(monaco, model, o), text: newName },
+                    })),
+                };
+            },
+        };
+    }
+
+    // --- Lifecycle ---
+
+    function unregisterProviders() {
+        if (!attached) return;
+        attached.providers.forEach(provider => provider.dispose());
+        attached.providers = [];
+    }
+
+    // Registers providers for the editor's current language only; re-run when the language changes.
+    function registerProviders() {
+        unregisterProviders();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        if (!SUPPORTED_LANGUAGES.includes(languageId)) return;
+
+        const monaco = window.monaco;
+        const editor = attached.editor;
+        attached.cache = null;
+        attached.providers.push(
+            monaco.languages.registerDefinitionProvider(languageId, definitionProvider(monaco, editor)),
+            monaco.languages.registerReferenceProvider(languageId, referenceProvider(monaco, editor)),
+            monaco.languages.registerRenameProvider(languageId, renameProvider(monaco, editor)),
+        );
+        console.log(`[PAGE BUNDLED] Scope analysis: Providers registered for '${languageId}'.`);
+    }
+
+    /**
+     * Starts providing definitions, references and rename for an editor, following its language.
+     * @param {object} editor - The injected Monaco editor instance.
+     */
+    function attach(editor) {
+        detach();
+        attached = { editor, providers: [], disposables: [], cache: null };
+        attached.disposables.push(editor.onDidChangeModelLanguage(registerProviders));
+        registerProviders();
+    }
+
+    /**
+     * Unregisters the providers and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProviders();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoScopeAnalysis = { attach, detach, analyze };
+    console.log('[PAGE BUNDLED] Scope analysis module ready.');
+})();
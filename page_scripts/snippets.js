@@ -0,0 +1,82 @@
+// page_scripts/snippets.js
+// User snippets (see shared/snippets.js) offered as completions in the injected editor. Providers are
+// registered on the page's shared window.monaco, so they only answer for the injected editor's model.
+
+(() => {
+    if (window.leetCodeMonacoSnippets) {
+        return; // Already injected into this page
+    }
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    function unregisterProvider() {
+        attached?.provider?.dispose();
+        if (attached) attached.provider = null;
+    }
+
+    // Registers a provider for the editor's current language only; re-run when the language changes.
+    function registerProvider() {
+        unregisterProvider();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        const entries = attached.snippets[languageId] || [];
+        if (entries.length === 0) return;
+
+        const monaco = window.monaco;
+        const editor = attached.editor;
+        attached.provider = monaco.languages.registerCompletionItemProvider(languageId, {
+            provideCompletionItems(model, position) {
+                if (model !== editor.getModel()) return { suggestions: [] }; // e.g. LeetCode's hidden native editor
+                const word = model.getWordUntilPosition(position);
+                const range = new monaco.Range(position.lineNumber, word.startColumn, position.lineNumber, word.endColumn);
+                return {
+                    suggestions: entries.map(entry => ({
+                        label: entry.prefix,
+                        kind: monaco.languages.CompletionItemKind.Snippet,
+                        detail: entry.description || 'User snippet',
+                        documentation: { value: `\`\`\`${languageId}\n${entry.body}\n\`\`\`` },
+                        insertText: entry.body,
+                        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                        range,
+                    })),
+                };
+            },
+        });
+        console.log(`[PAGE BUNDLED] Snippets: Registered ${entries.length} snippet(s) for '${languageId}'.`);
+    }
+
+    /**
+     * Replaces the snippets offered by the attached editor.
+     * @param {Object<string, Array<{prefix: string, description: string, body: string}>>} snippets - Snippets by language ID.
+     */
+    function setSnippets(snippets) {
+        if (!attached) return;
+        attached.snippets = snippets || {};
+        registerProvider();
+    }
+
+    /**
+     * Starts offering snippets in an editor, following its language.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{snippets: object}} options - Snippets by language ID.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = { editor, snippets: options.snippets || {}, provider: null, disposables: [] };
+        attached.disposables.push(editor.onDidChangeModelLanguage(registerProvider));
+        registerProvider();
+    }
+
+    /**
+     * Unregisters the completion provider and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProvider();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoSnippets = { attach, detach, setSnippets };
+    console.log('[PAGE BUNDLED] Snippets module ready.');
+})();
@@ -0,0 +1,380 @@
+// page_scripts/starter_definitions.js
+// Completion, hover and signature help for the node types that LeetCode describes in commented-out
+// definitions at the top of starter code ("Definition for a binary tree node." ...). The comments are
+// parsed from the editor's own buffer, so `node->` / `node.` suggests `val`, `left`, `right`, ... in
+// languages without a language server. JavaScript/TypeScript get real declarations instead (typings.js).
+
+(() => {
+    if (window.leetCodeMonacoStarterDefinitions) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const SKIPPED_LANGUAGES = ['javascript', 'typescript', 'plaintext'];
+    // Comment line markers: /**, */, *, //, #
+    const COMMENT_LINE_PATTERN = /^\s*(?:\/\*+|\*\/|\*(?!\/)|\/\/+|#)(.*)$/;
+    const HEADER_PATTERN = /^\s*(?:(?:public|private|pub|export|final|open|data)\s+)*(?:struct|class|type|impl|function)\s+(\w+)/;
+    // Pointer-like fields whose type isn't spelled out (Python, Ruby, JS, PHP) refer to the node's own type
+    const SELF_REFERENCE_FIELDS = ['next', 'prev', 'left', 'right', 'random', 'child', 'parent',
+        'topLeft', 'topRight', 'bottomLeft', 'bottomRight'];
+    const NON_TYPE_WORDS = ['return', 'delete', 'throw', 'else', 'new', 'goto'];
+    // Member access before the cursor: root, then .field / ->field / ?.field / !!.field segments
+    // (no-argument calls such as Rust's `.as_ref().unwrap().borrow()` don't change the node type)
+    const MEMBER_ACCESS_PATTERN = /([A-Za-z_$][\w$]*)((?:\s*(?:\.|->|\?\.|!!\.)\s*[A-Za-z_]\w*(?:\(\))?)*)\s*(?:\.|->|\?\.|!!\.)\s*(\w*)$/;
+    const SEGMENT_PATTERN = /(?:\.|->|\?\.|!!\.)\s*([A-Za-z_]\w*)(\(\))?/g;
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    // --- Parsing ---
+
+    /**
+     * Groups consecutive comment lines into blocks, with comment markers stripped.
+     * @param {string} code - Source code.
+     * @returns {string[][]} Lines of each comment block.
+     */
+    function extractCommentBlocks(code) {
+        const blocks = [];
+        let current = null;
+        for (const line of code.split('\n')) {
+            const match = line.match(COMMENT_LINE_PATTERN);
+            if (!match) {
+                current = null;
+                continue;
+            }
+            if (!current) blocks.push(current = []);
+            current.push(match[1].replace(/^ /, '')); // Keep indentation relative to the marker
+        }
+        return blocks;
+    }
+
+    function indentation(line) {
+        return line.match(/^\s*/)[0].length;
+    }
+
+    function braceDelta(line) {
+        return (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
+    }
+
+    /**
+     * Finds where a definition starting at `start` ends: at the matching brace, or for Python/Ruby
+     * (and brace-less one-liners) at the first line that isn't indented deeper than the header.
+     * @returns {number} Index of the definition's last line.
+     */
+    function findDefinitionEnd(lines, start) {
+        const header = lines[start];
+        const nextLine = lines.slice(start + 1).find(line => line.trim()) || '';
+        if (header.includes('{') || (!header.trim().endsWith(':') && nextLine.trim().startsWith('{'))) {
+            let depth = 0;
+            for (let i = start; i < lines.length; i++) {
+                depth += braceDelta(lines[i]);
+                if (depth <= 0 && (i > start || header.includes('}'))) return i;
+            }
+            return lines.length - 1;
+        }
+        const headerIndent = indentation(header);
+        let end = start;
+        for (let i = start + 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            if (indentation(lines[i]) > headerIndent) { end = i; continue; }
+            if (lines[i].trim() === 'end') end = i; // Ruby
+            break;
+        }
+        return end;
+    }
+
+    /**
+     * Reads one field declaration from a member-level line.
+     * @returns {Array<{name: string, type: string | null, quoted: boolean}>} Fields declared on the line.
+     */
+    function parseFieldLine(line, braceMode) {
+        let match = line.match(/^\s*attr_(?:accessor|reader)\s+(.+)$/); // Ruby
+        if (match) return [...match[1].matchAll(/:(\w+)/g)].map(m => ({ name: m[1], type: null, quoted: false }));
+
+        match = line.match(/^\s*(?:(?:public|private|protected)\s+)+\$(\w+)/); // PHP
+        if (match) return [{ name: match[1], type: null, quoted: false }];
+
+        // name: Type (Rust, Swift, Kotlin, Scala, TypeScript)
+        match = line.match(/^\s*(?:(?:public|private|pub|readonly|internal|lateinit|override)\s+)*(?:(?:var|let|val)\s+)?(`?)(\w+)`?\??\s*:\s*([^=;{]+?)\s*(?:=.*?)?[;,]?\s*$/);
+        if (match && !['def', 'case', 'default', 'else'].includes(match[2])) {
+            return [{ name: match[2], type: match[3], quoted: match[1] === '`' }];
+        }
+
+        // Type name; (C, C++, Java, C#, Dart)
+        match = line.match(/^\s*(?:(?:public|private|protected|internal|final|static)\s+)*(?:struct\s+)?([A-Za-z_][\w<>,\[\]?.*]*(?:\s*[*&]+)?)\s+([*&]*)(\w+)\s*(?:=[^;]*)?;\s*$/);
+        if (match && !NON_TYPE_WORDS.includes(match[1])) {
+            return [{ name: match[3], type: `${match[1]}${match[2]}`.replace(/\s+/g, ''), quoted: false }];
+        }
+
+        // Name Type (Go struct fields)
+        match = braceMode && line.match(/^\s*([A-Za-z_]\w*)\s+(\*?(?:\[\])?\*?[A-Za-z_][\w.]*)\s*$/);
+        if (match) return [{ name: match[1], type: match[2], quoted: false }];
+        return [];
+    }
+
+    /**
+     * Parses one definition (from its header line to its end) into fields and constructors.
+     */
+    function parseDefinition(name, lines) {
+        const fields = [];
+        const constructors = [];
+        const addField = (field) => {
+            if (!fields.some(existing => existing.name === field.name)) fields.push(field);
+        };
+        const braceMode = lines[0].includes('{') || lines.some(line => line.trim().startsWith('{'));
+
+        // Kotlin/Scala primary constructor properties: class ListNode(var `val`: Int)
+        for (const m of lines[0].matchAll(/\b(?:var|val)\s+(`?)(\w+)`?\s*:\s*([^,)=]+)/g)) {
+            addField({ name: m[2], type: m[3].trim(), quoted: m[1] === '`' });
+        }
+
+        let depth = 0;
+        lines.forEach((line, index) => {
+            const memberLevel = braceMode ? depth === 1 : index > 0;
+            if (memberLevel) parseFieldLine(line, braceMode).forEach(addField);
+            // Assignments in constructors: this.val = ..., self.val = ..., $this->val = ..., @val = ...
+            for (const m of line.matchAll(/(?:\bthis\.|\bself\.|\$this->|(?<![\w@])@)(\w+)\s*=(?!=)/g)) {
+                addField({ name: m[1], type: null, quoted: false });
+            }
+            // Constructors: the type's own name, or init / constructor / __init__ / initialize / __construct / new
+            const constructorPattern = new RegExp(`\\b(${name}|__init__|initialize|__construct|constructor|init|new)\\s*\\(([^()]*)\\)\\s*(?:[{:;]|->|$)`, 'g');
+            for (const m of line.matchAll(constructorPattern)) {
+                const parameters = window.leetCodeMonacoCodeAnalysis.splitParameters(m[2]);
+                const callee = m[1] === 'new' ? `${name}::new` : name; // Rust
+                constructors.push({ label: `${callee}(${parameters.join(', ')})`, parameters });
+            }
+            if (braceMode) depth += braceDelta(line);
+        });
+
+        for (const field of fields) {
+            if (!field.type && SELF_REFERENCE_FIELDS.includes(field.name)) field.type = name;
+        }
+        return { name, fields, constructors, source: lines.join('\n').trim() };
+    }
+
+    /**
+     * Parses the commented-out type definitions in a buffer.
+     * @param {string} code - Source code.
+     * @returns {Map<string, {name: string, fields: object[], constructors: object[], source: string}>} Definitions by type name.
+     */
+    function parseDefinitions(code) {
+        const definitions = new Map();
+        for (const lines of extractCommentBlocks(code)) {
+            for (let i = 0; i < lines.length; i++) {
+                const header = lines[i].match(HEADER_PATTERN);
+                if (!header) continue;
+                const end = findDefinitionEnd(lines, i);
+                const definition = parseDefinition(header[1], lines.slice(i, end + 1));
+                const existing = definitions.get(definition.name);
+                if (existing) {
+                    // e.g. Rust's `impl ListNode { fn new(...) }` after `pub struct ListNode { ... }`
+                    definition.fields.forEach(field => {
+                        if (!existing.fields.some(f => f.name === field.name)) existing.fields.push(field);
+                    });
+                    existing.constructors.push(...definition.constructors);
+                    existing.source += `\n\n${definition.source}`;
+                } else if (definition.fields.length > 0 || definition.constructors.length > 0) {
+                    definitions.set(definition.name, definition);
+                }
+                i = end;
+            }
+        }
+        return definitions;
+    }
+
+    function getDefinitions(model) {
+        if (attached.cache?.versionId !== model.getVersionId()) {
+            attached.cache = { versionId: model.getVersionId(), definitions: parseDefinitions(model.getValue()) };
+        }
+        return attached.cache.definitions;
+    }
+
+    // --- Type Resolution ---
+
+    // The first definition named in a type string: 'TreeNode*', 'Optional[TreeNode]', 'Option<Rc<RefCell<TreeNode>>>'
+    function definitionForType(type, definitions) {
+        if (!type) return null;
+        for (const word of type.match(/\w+/g) || []) {
+            if (definitions.has(word)) return definitions.get(word);
+        }
+        return null;
+    }
+
+    /**
+     * Finds the type of a variable from its nearest declaration before `offset`.
+     * @returns {object | null} The variable's definition, if it's one of the parsed node types.
+     */
+    function resolveVariable(code, identifier, offset, definitions) {
+        const name = `(?<![\\w$])${window.leetCodeMonacoCodeAnalysis.escapeRegExp(identifier)}(?![\\w$])`;
+        let best = null;
+        for (const definition of definitions.values()) {
+            const type = `\\b${definition.name}\\b`;
+            const patterns = [
+                new RegExp(`${type}\\s*(?:[*&?]\\s*)*(?:const\\s+)?${name}`, 'g'),          // TreeNode* node, TreeNode node
+                new RegExp(`${name}\\s*:\\s*[^=,;)\\n{]*${type}`, 'g'),                       // node: Optional[TreeNode]
+                new RegExp(`${name}\\s+\\*?${type}`, 'g'),                                    // node *TreeNode (Go)
+                new RegExp(`${name}\\s*:?=\\s*(?:new\\s+|&)?${definition.name}\\s*[({]`, 'g'), // node = new TreeNode(...)
+            ];
+            for (const pattern of patterns) {
+                for (const match of code.matchAll(pattern)) {
+                    if (match.index >= offset) break;
+                    if (!best || match.index > best.index) best = { index: match.index, definition };
+                }
+            }
+        }
+        return best?.definition || null;
+    }
+
+    /**
+     * Resolves the node type of a member access chain such as `root->left->` or `node.next.`.
+     * @returns {object | null} The definition whose members apply.
+     */
+    function resolveChain(model, root, segments, offset, definitions) {
+        let definition = resolveVariable(model.getValue(), root, offset, definitions);
+        for (const [, member, call] of segments.matchAll(SEGMENT_PATTERN)) {
+            if (!definition) return null;
+            if (call) continue; // as_ref(), unwrap(), borrow(), ...
+            const field = definition.fields.find(f => f.name === member);
+            definition = definitionForType(field?.type, definitions);
+        }
+        return definition;
+    }
+
+    // --- Providers ---
+
+    function completionProvider(monaco, editor) {
+        return {
+            triggerCharacters: ['.', '>'],
+            provideCompletionItems(model, position) {
+                if (model !== editor.getModel()) return { suggestions: [] }; // e.g. LeetCode's hidden native editor
+                if (window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) return { suggestions: [] }; // It knows the real types
+                const linePrefix = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+                const access = linePrefix.match(MEMBER_ACCESS_PATTERN);
+                if (!access) return { suggestions: [] };
+
+                const definitions = getDefinitions(model);
+                const definition = resolveChain(model, access[1], access[2], model.getOffsetAt(position), definitions);
+                if (!definition) return { suggestions: [] };
+
+                const range = new monaco.Range(position.lineNumber, position.column - access[3].length, position.lineNumber, position.column);
+                return {
+                    suggestions: definition.fields.map(field => ({
+                        label: field.name,
+                        kind: monaco.languages.CompletionItemKind.Field,
+                        detail: field.type ? `${definition.name}.${field.name}: ${field.type}` : `${definition.name}.${field.name}`,
+                        documentation: { value: `\`\`\`${model.getLanguageId()}\n${definition.source}\n\`\`\`` },
+                        insertText: field.quoted ? `\`${field.name}\`` : field.name,
+                        sortText: `0${field.name}`, // Ahead of word-based suggestions
+                        range,
+                    })),
+                };
+            },
+        };
+    }
+
+    function hoverProvider(editor) {
+        return {
+            provideHover(model, position) {
+                if (model !== editor.getModel() || window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) return null;
+                const word = model.getWordAtPosition(position);
+                if (!word) return null;
+                const definitions = getDefinitions(model);
+                const languageId = model.getLanguageId();
+                const range = { startLineNumber: position.lineNumber, startColumn: word.startColumn, endLineNumber: position.lineNumber, endColumn: word.endColumn };
+
+                const definition = definitions.get(word.word);
+                if (definition) {
+                    return { range, contents: [{ value: `\`\`\`${languageId}\n${definition.source}\n\`\`\`` }] };
+                }
+                // A field in a member access chain
+                const linePrefix = model.getLineContent(position.lineNumber).slice(0, word.startColumn - 1);
+                const access = linePrefix.match(MEMBER_ACCESS_PATTERN);
+                if (!access || access[3]) return null;
+                const owner = resolveChain(model, access[1], access[2], model.getOffsetAt(position), definitions);
+                const field = owner?.fields.find(f => f.name === word.word);
+                if (!field) return null;
+                return {
+                    range,
+                    contents: [{ value: `\`\`\`${languageId}\n(field) ${owner.name}.${field.name}${field.type ? `: ${field.type}` : ''}\n\`\`\`` }],
+                };
+            },
+        };
+    }
+
+    function signatureHelpProvider(editor) {
+        return {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [','],
+            provideSignatureHelp(model, position) {
+                if (model !== editor.getModel() || window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) return null;
+                const call = window.leetCodeMonacoCodeAnalysis.findOpenCall(model.getValue(), model.getOffsetAt(position));
+                if (!call) return null;
+                const commas = call.activeParameter;
+
+                const callee = call.callee.match(/(?:(\w+)::)?(\w+)$/);
+                if (!callee) return null;
+                const definitions = getDefinitions(model);
+                const definition = definitions.get(callee[2]) || (callee[2] === 'new' && definitions.get(callee[1]));
+                if (!definition || definition.constructors.length === 0) return null;
+
+                const signatures = definition.constructors.map(constructor => ({
+                    label: constructor.label,
+                    parameters: constructor.parameters.map(label => ({ label })),
+                }));
+                const activeSignature = Math.max(0, definition.constructors.findIndex(c => c.parameters.length > commas));
+                return {
+                    value: { signatures, activeSignature, activeParameter: commas },
+                    dispose() {},
+                };
+            },
+        };
+    }
+
+    // --- Lifecycle ---
+
+    function unregisterProviders() {
+        if (!attached) return;
+        attached.providers.forEach(provider => provider.dispose());
+        attached.providers = [];
+    }
+
+    // Registers providers for the editor's current language only; re-run when the language changes.
+    function registerProviders() {
+        unregisterProviders();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        if (!languageId || SKIPPED_LANGUAGES.includes(languageId)) return;
+
+        const monaco = window.monaco;
+        const editor = attached.editor;
+        attached.providers.push(
+            monaco.languages.registerCompletionItemProvider(languageId, completionProvider(monaco, editor)),
+            monaco.languages.registerHoverProvider(languageId, hoverProvider(editor)),
+            monaco.languages.registerSignatureHelpProvider(languageId, signatureHelpProvider(editor)),
+        );
+        console.log(`[PAGE BUNDLED] Starter definitions: Providers registered for '${languageId}'.`);
+    }
+
+    /**
+     * Starts offering starter-code node members in an editor, following its language.
+     * @param {object} editor - The injected Monaco editor instance.
+     */
+    function attach(editor) {
+        detach();
+        attached = { editor, providers: [], cache: null, disposables: [] };
+        attached.disposables.push(editor.onDidChangeModelLanguage(registerProviders));
+        registerProviders();
+    }
+
+    /**
+     * Unregisters the providers and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterProviders();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoStarterDefinitions = { attach, detach, parseDefinitions };
+    console.log('[PAGE BUNDLED] Starter definitions module ready.');
+})();
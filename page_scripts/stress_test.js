@@ -0,0 +1,385 @@
+// page_scripts/stress_test.js
+// Stress testing: runs the solution and a reference (brute-force) solution, kept per problem and language,
+// on random inputs from page_scripts/input_generator.js until their outputs differ, then shows the
+// shortest differing input found (as generated; it isn't shrunk further) in a diff view. Both run locally
+// through the test runner's backends.
+
+(() => {
+    if (window.leetCodeMonacoStressTest) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const PANEL_ID = 'monaco-stress-panel';
+    const TOGGLE_BUTTON_ID = 'monaco-stress-toggle';
+    const BATCH_SIZE = 100; // Inputs per worker run
+    const REFERENCE_SAVE_DELAY_MS = 500;
+    const DEFAULT_SETTINGS = { tests: 1000, maxSize: 8, min: -10, max: 10 };
+    const SETTING_RANGES = { tests: [1, 100000], maxSize: [1, 1000], min: [-1e9, 1e9], max: [-1e9, 1e9] };
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    function setStatus(message) {
+        const status = attached?.panel?.querySelector('.monaco-stress-status');
+        if (status) status.textContent = message;
+    }
+
+    function readSettings() {
+        const settings = { ...DEFAULT_SETTINGS };
+        attached.panel.querySelectorAll('input[data-setting]').forEach((input) => {
+            const [min, max] = SETTING_RANGES[input.dataset.setting];
+            const value = Math.round(Number(input.value));
+            if (input.value.trim() !== '' && Number.isFinite(value)) settings[input.dataset.setting] = Math.min(max, Math.max(min, value));
+            input.value = settings[input.dataset.setting];
+        });
+        if (settings.min > settings.max) [settings.min, settings.max] = [settings.max, settings.min];
+        return settings;
+    }
+
+    // --- Reference Solution ---
+
+    async function loadReference(languageId) {
+        const current = attached;
+        let code = null;
+        try {
+            code = (await window.leetCodeMonacoRuntime.request('getReferenceForTab', { language: languageId })).code;
+        } catch (error) {
+            console.error('[PAGE BUNDLED] Stress test: Failed to load the reference solution:', error);
+        }
+        if (attached !== current || !current.panel || current.editor.getModel()?.getLanguageId() !== languageId) return;
+        // No reference yet: start from the solution, which already has the right signature
+        current.referenceModel = window.monaco.editor.createModel(code ?? current.editor.getValue(), languageId);
+        current.referenceEditor.setModel(current.referenceModel);
+        current.referenceListener = current.referenceModel.onDidChangeContent(() => {
+            clearTimeout(current.referenceSaveTimeout);
+            current.referenceSaveTimeout = setTimeout(() => saveReference(current), REFERENCE_SAVE_DELAY_MS);
+        });
+        updateButtons();
+    }
+
+    function saveReference(current) {
+        clearTimeout(current.referenceSaveTimeout);
+        current.referenceSaveTimeout = null;
+        const model = current.referenceModel;
+        if (!model || model.isDisposed()) return;
+        window.leetCodeMonacoRuntime.request('saveReferenceForTab', { language: model.getLanguageId(), code: model.getValue() })
+            .catch(error => console.error('[PAGE BUNDLED] Stress test: Failed to save the reference solution:', error));
+    }
+
+    function disposeReference() {
+        if (!attached?.referenceModel) return;
+        if (attached.referenceSaveTimeout) saveReference(attached);
+        attached.referenceListener.dispose();
+        attached.referenceEditor?.setModel(null);
+        attached.referenceModel.dispose();
+        attached.referenceModel = null;
+    }
+
+    // --- Stress Test ---
+
+    function stopStressTest() {
+        if (!attached?.run) return;
+        attached.run.execution?.stop();
+        attached.run = null;
+        updateButtons();
+    }
+
+    /**
+     * Runs code against a batch of inputs.
+     * @returns {Promise<Array<object> | null>} Each input's result (see execute in test_runner.js), or null if stopped.
+     */
+    function runBatch(run, languageId, code, metaData, cases) {
+        run.execution = window.leetCodeMonacoTestRunner.execute(languageId, code, metaData, cases);
+        return run.execution.done;
+    }
+
+    async function startStressTest() {
+        if (!attached?.referenceModel || attached.run) return;
+        const current = attached;
+        if (!current.problem) {
+            setStatus('Problem data is not available. Reload the page to stress test this problem.');
+            return;
+        }
+        const { metaData } = current.problem;
+        const settings = readSettings();
+        const model = current.editor.getModel();
+        const languageId = model.getLanguageId();
+        const run = { execution: null };
+        current.run = run;
+        updateButtons();
+        clearCounterexample();
+        const isCurrent = () => attached === current && current.run === run;
+
+        let solutionCode;
+        let referenceCode;
+        try {
+            solutionCode = await window.leetCodeMonacoTestRunner.compiledSource(model);
+            referenceCode = await window.leetCodeMonacoTestRunner.compiledSource(current.referenceModel);
+        } catch (error) {
+            if (isCurrent()) {
+                setStatus(`Could not compile: ${error.message}`);
+                stopStressTest();
+            }
+            return;
+        }
+        if (!isCurrent()) return; // Stopped while compiling
+
+        const seed = Date.now() >>> 0;
+        const random = window.leetCodeMonacoInputGenerator.createRandom(seed);
+        // Ranges parsed from the problem's constraints keep the inputs valid; the settings keep them small
+        const constraintSpecs = current.problem.constraints?.specs || {};
+        const names = [
+            ...(metaData.params || []),
+            ...(Array.isArray(metaData.constructor?.params) ? metaData.constructor.params : []),
+            ...(metaData.methods || []).flatMap(method => method.params || []),
+        ].map(param => param.name);
+        let tested = 0;
+        let skipped = 0; // Inputs the reference itself rejected (e.g. outside the problem's constraints)
+        console.log(`[PAGE BUNDLED] Stress test: Starting ${settings.tests} tests (seed ${seed}).`);
+
+        while (tested < settings.tests) {
+            const cases = [];
+            try {
+                for (let i = 0; i < Math.min(BATCH_SIZE, settings.tests - tested); i++) {
+                    // Inputs start tiny and grow up to the maximum size, so the first differences found are small ones
+                    const size = 1 + Math.floor(((tested + i) * settings.maxSize) / settings.tests);
+                    const limits = { min: settings.min, max: settings.max, maxLength: size };
+                    const sizedSpecs = Object.fromEntries(names.map(name => [name,
+                        window.leetCodeMonacoInputGenerator.limitSpec(constraintSpecs[name], limits)]));
+                    cases.push(window.leetCodeMonacoInputGenerator.generateCase(metaData, { random, specs: sizedSpecs, calls: size }));
+                }
+            } catch (error) {
+                setStatus(`Cannot generate inputs for this problem: ${error.message}`);
+                stopStressTest();
+                return;
+            }
+
+            const expected = await runBatch(run, languageId, referenceCode, metaData, cases);
+            if (!expected || !isCurrent()) return;
+            if (tested === 0 && expected.every(result => result.error)) {
+                setStatus(`The reference solution failed on every input: ${expected[0].error}`);
+                stopStressTest();
+                return;
+            }
+            const actual = await runBatch(run, languageId, solutionCode, metaData, cases);
+            if (!actual || !isCurrent()) return;
+
+            const differing = [];
+            cases.forEach((lines, index) => {
+                if (expected[index].error) {
+                    skipped++;
+                } else if (actual[index].error || window.leetCodeMonacoTestRunner.judge(actual[index].output, expected[index].output) !== 'passed') {
+                    differing.push(index);
+                }
+            });
+            tested += cases.length;
+            if (differing.length > 0) {
+                // Sizes only grow, so no earlier batch had a difference; take this batch's shortest differing input
+                const index = differing.reduce((best, i) => (cases[i].join('').length < cases[best].join('').length ? i : best));
+                stopStressTest();
+                showCounterexample(cases[index], expected[index], actual[index]);
+                setStatus(`Found a difference after ${tested} inputs (${differing.length} in the last batch).`);
+                return;
+            }
+            setStatus(`Tested ${tested}/${settings.tests} inputs, no differences${skipped ? ` (${skipped} rejected by the reference)` : ''}...`);
+        }
+        stopStressTest();
+        setStatus(`No differences in ${tested} inputs${skipped ? ` (${skipped} rejected by the reference)` : ''}.`);
+    }
+
+    // --- Counterexample ---
+
+    // One array element per line, so the diff lines up element by element
+    function formatOutput(result) {
+        if (result.error) return `${result.error}\n`;
+        try {
+            const value = JSON.parse(result.output);
+            if (Array.isArray(value)) return `[\n${value.map(item => `  ${JSON.stringify(item)}`).join(',\n')}\n]\n`;
+        } catch (e) {
+            // Not JSON: shown as is
+        }
+        return `${result.output}\n`;
+    }
+
+    function clearCounterexample() {
+        if (!attached?.panel) return;
+        attached.counterexample = null;
+        attached.panel.querySelector('.monaco-stress-result').hidden = true;
+        if (attached.diffEditor) {
+            attached.diffEditor.setModel(null);
+            attached.diffEditor.dispose();
+            attached.diffEditor = null;
+        }
+        if (attached.diffModels) {
+            attached.diffModels.original.dispose();
+            attached.diffModels.modified.dispose();
+            attached.diffModels = null;
+        }
+    }
+
+    function showCounterexample(lines, expected, actual) {
+        if (!attached?.panel) return;
+        const result = attached.panel.querySelector('.monaco-stress-result');
+        result.hidden = false;
+        attached.counterexample = lines;
+        result.querySelector('.monaco-stress-input').textContent = lines.join('\n');
+        attached.diffModels = {
+            original: window.monaco.editor.createModel(formatOutput(expected), 'plaintext'),
+            modified: window.monaco.editor.createModel(formatOutput(actual), 'plaintext'),
+        };
+        attached.diffEditor = window.monaco.editor.createDiffEditor(result.querySelector('.monaco-stress-diff'), {
+            readOnly: true,
+            automaticLayout: true,
+            renderSideBySide: true,
+            scrollBeyondLastLine: false,
+            minimap: { enabled: false },
+        });
+        attached.diffEditor.setModel(attached.diffModels);
+    }
+
+    function addCounterexampleTestcase() {
+        if (!attached?.counterexample) return;
+        const id = window.leetCodeMonacoTestcases.addTestcase({
+            name: 'Stress test counterexample',
+            input: attached.counterexample.join('\n'),
+            tags: ['regression'],
+        });
+        setStatus(id ? 'Added the counterexample to Testcases (tagged regression).' : 'Could not add the counterexample to Testcases (too large to store).');
+    }
+
+    // --- Panel ---
+
+    function updateButtons() {
+        const panel = attached?.panel;
+        if (!panel) return;
+        panel.querySelector('[data-action="start"]').disabled = !!attached.run || !attached.referenceModel;
+        panel.querySelector('[data-action="stop"]').disabled = !attached.run;
+    }
+
+    function createPanel() {
+        const panelArea = window.leetCodeMonacoRuntime.getPanelArea(attached.containerId);
+        if (!panelArea) {
+            console.warn(`[PAGE BUNDLED] Stress test: Container #${attached.containerId} not found, cannot open panel.`);
+            return null;
+        }
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.innerHTML = `
+            <div class="monaco-stress-header">
+                <strong>Stress test</strong>
+                <label>Inputs <input type="number" data-setting="tests"></label>
+                <label>Max size <input type="number" data-setting="maxSize"></label>
+                <label>Values <input type="number" data-setting="min"> to <input type="number" data-setting="max"></label>
+                <button type="button" class="monaco-toolbar-button" data-action="start" disabled>Start</button>
+                <button type="button" class="monaco-toolbar-button" data-action="stop" disabled>Stop</button>
+                <button type="button" class="monaco-toolbar-button" data-action="close">Close</button>
+            </div>
+            <div class="monaco-stress-status">Write a brute-force reference solution below (same signature as your solution).</div>
+            <div class="monaco-stress-body">
+                <div class="monaco-stress-reference"></div>
+                <div class="monaco-stress-result" hidden>
+                    <div class="monaco-stress-result-header">
+                        <span>Shortest differing input found: reference output (left) vs your output (right)</span>
+                        <button type="button" class="monaco-toolbar-button" data-action="add-testcase">Add to Testcases</button>
+                    </div>
+                    <pre class="monaco-stress-input"></pre>
+                    <div class="monaco-stress-diff"></div>
+                </div>
+            </div>`;
+        panelArea.appendChild(panel);
+
+        panel.querySelectorAll('input[data-setting]').forEach((input) => {
+            input.value = DEFAULT_SETTINGS[input.dataset.setting];
+        });
+        panel.querySelector('[data-action="start"]').addEventListener('click', startStressTest);
+        panel.querySelector('[data-action="stop"]').addEventListener('click', () => {
+            stopStressTest();
+            setStatus('Stopped.');
+        });
+        panel.querySelector('[data-action="close"]').addEventListener('click', closePanel);
+        panel.querySelector('[data-action="add-testcase"]').addEventListener('click', addCounterexampleTestcase);
+        return panel;
+    }
+
+    function openPanel() {
+        if (!attached || attached.panel) return;
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        attached.panel = createPanel();
+        if (!attached.panel) return;
+        attached.referenceEditor = window.monaco.editor.create(attached.panel.querySelector('.monaco-stress-reference'), {
+            model: null,
+            automaticLayout: true,
+            minimap: { enabled: false },
+            scrollBeyondLastLine: false,
+            fontSize: attached.editor.getOption(window.monaco.editor.EditorOption.fontSize),
+        });
+        loadReference(languageId);
+    }
+
+    function closePanel() {
+        if (!attached?.panel) return;
+        stopStressTest();
+        clearCounterexample();
+        disposeReference();
+        attached.referenceEditor.dispose();
+        attached.referenceEditor = null;
+        attached.panel.remove();
+        attached.panel = null;
+    }
+
+    // --- Lifecycle ---
+
+    // The Stress Test button is shown for the test runner's languages; re-run when the language changes.
+    function updateToolbar() {
+        closePanel();
+        document.getElementById(TOGGLE_BUTTON_ID)?.remove();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        if (!window.leetCodeMonacoTestRunner.RUNNER_LANGUAGES.includes(languageId)) return;
+        window.leetCodeMonacoRuntime.addToolbarButton(attached.containerId, TOGGLE_BUTTON_ID, 'Stress Test', () => {
+            if (attached?.panel) closePanel(); else openPanel();
+        });
+    }
+
+    /**
+     * Adds the Stress Test button for the languages the test runner can run.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string, problem: object | null}} options - Where the editor lives, and the
+     *     problem's page data (metaData and constraints; null if unavailable).
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            containerId: options.containerId,
+            problem: options.problem || null,
+            panel: null,
+            referenceEditor: null,
+            referenceModel: null,
+            referenceListener: null,
+            referenceSaveTimeout: null,
+            diffEditor: null,
+            diffModels: null,
+            counterexample: null,
+            run: null,
+            disposables: [],
+        };
+        attached.disposables.push(editor.onDidChangeModelLanguage(updateToolbar));
+        updateToolbar();
+        console.log('[PAGE BUNDLED] Stress test: Attached to editor.');
+    }
+
+    /**
+     * Stops a running stress test, saves the reference solution and removes the panel and toolbar button.
+     */
+    function detach() {
+        if (!attached) return;
+        closePanel();
+        attached.disposables.forEach(d => d.dispose());
+        document.getElementById(TOGGLE_BUTTON_ID)?.remove();
+        attached = null;
+    }
+
+    window.leetCodeMonacoStressTest = { attach, detach };
+    console.log('[PAGE BUNDLED] Stress test module ready.');
+})();
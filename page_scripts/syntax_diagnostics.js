@@ -0,0 +1,279 @@
+// page_scripts/syntax_diagnostics.js
+// Syntax-error squiggles from the bundled tree-sitter grammars (parsed in the background, incrementally),
+// plus a Problems panel listing every marker on the buffer.
+
+(() => {
+    if (window.leetCodeMonacoSyntaxDiagnostics) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const MARKER_OWNER = 'leetcode-tree-sitter';
+    const MARKER_SOURCE = 'tree-sitter';
+    const PARSE_DELAY_MS = 300;
+    const PANEL_ID = 'monaco-problems-panel';
+    const TOGGLE_BUTTON_ID = 'monaco-problems-toggle';
+    // Monaco's TypeScript worker already reports syntax errors for these unless syntax validation is off
+    // (and so does the Python analyzer while it serves the buffer)
+    const TYPESCRIPT_DEFAULTS = { javascript: 'javascriptDefaults', typescript: 'typescriptDefaults' };
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    function hasNativeSyntaxValidation(languageId) {
+        const defaults = window.monaco.languages.typescript?.[TYPESCRIPT_DEFAULTS[languageId]];
+        return !!defaults && !defaults.getDiagnosticsOptions().noSyntaxValidation;
+    }
+
+    function isParsed(model) {
+        const languageId = model.getLanguageId();
+        return languageId !== attached.unsupportedLanguage && !hasNativeSyntaxValidation(languageId)
+            && !window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model);
+    }
+
+    // --- Parsing ---
+
+    function scheduleParse() {
+        clearTimeout(attached.parseTimeout);
+        attached.parseTimeout = setTimeout(parse, PARSE_DELAY_MS);
+    }
+
+    /**
+     * Sends the edits made since the last parse (or the whole buffer when the background has no tree for
+     * it yet) and applies the returned syntax errors as markers. Requests are serialized so the background
+     * always receives edits against the version it parsed last.
+     */
+    async function parse() {
+        if (!attached) return;
+        if (attached.parsing) {
+            attached.parseAgain = true;
+            return;
+        }
+        const current = attached;
+        const model = current.editor.getModel();
+        if (!model || !isParsed(model)) {
+            current.needsFullText = true; // Don't collect edits for a buffer that isn't parsed
+            current.pendingEdits = [];
+            clearMarkers(model);
+            return;
+        }
+
+        const languageId = model.getLanguageId();
+        const version = model.getVersionId();
+        const payload = current.needsFullText
+            ? { languageId, version, text: model.getValue() }
+            : { languageId, version, baseVersion: current.parsedVersion, edits: current.pendingEdits };
+        current.pendingEdits = [];
+        current.needsFullText = false;
+        current.parsing = true;
+
+        try {
+            const response = await window.leetCodeMonacoRuntime.request('parseSyntax', payload);
+            if (attached !== current) return; // Detached while parsing
+            if (response.needsFullText) {
+                current.needsFullText = true;
+                current.pendingEdits = [];
+                current.parseAgain = true;
+            } else if (!response.supported) {
+                current.unsupportedLanguage = languageId;
+                console.log(`[PAGE BUNDLED] Syntax diagnostics: No grammar bundled for '${languageId}'.`);
+            } else {
+                current.parsedVersion = version;
+                // Newer edits are already queued; their parse will set markers that match the buffer
+                if (model === current.editor.getModel() && !model.isDisposed()
+                    && model.getVersionId() === version && model.getLanguageId() === languageId) {
+                    setMarkers(model, response.diagnostics);
+                }
+            }
+        } catch (error) {
+            if (attached !== current) return;
+            console.error('[PAGE BUNDLED] Syntax diagnostics: Parse request failed:', error);
+            current.needsFullText = true; // The background dropped its tree
+            current.pendingEdits = [];
+        } finally {
+            current.parsing = false;
+        }
+        if (attached === current && current.parseAgain) {
+            current.parseAgain = false;
+            parse();
+        }
+    }
+
+    function setMarkers(model, diagnostics) {
+        const monaco = window.monaco;
+        monaco.editor.setModelMarkers(model, MARKER_OWNER, diagnostics.map(diagnostic => {
+            const start = model.getPositionAt(diagnostic.start);
+            const end = model.getPositionAt(diagnostic.end);
+            return {
+                severity: monaco.MarkerSeverity.Error,
+                message: diagnostic.message,
+                source: MARKER_SOURCE,
+                startLineNumber: start.lineNumber,
+                startColumn: start.column,
+                endLineNumber: end.lineNumber,
+                endColumn: end.column,
+            };
+        }));
+    }
+
+    function clearMarkers(model) {
+        if (model && !model.isDisposed()) window.monaco.editor.setModelMarkers(model, MARKER_OWNER, []);
+    }
+
+    /**
+     * Forgets the background's tree and parses the whole buffer (new language or new model).
+     */
+    function resync() {
+        clearTimeout(attached.parseTimeout);
+        clearMarkers(attached.editor.getModel());
+        attached.unsupportedLanguage = null;
+        attached.needsFullText = true;
+        attached.pendingEdits = [];
+        parse();
+    }
+
+    // --- Problems Panel ---
+
+    function getProblems() {
+        const model = attached.editor.getModel();
+        if (!model) return [];
+        const monaco = window.monaco;
+        return monaco.editor.getModelMarkers({ resource: model.uri })
+            .filter(marker => marker.severity >= monaco.MarkerSeverity.Warning) // Hints and infos are only shown inline
+            .sort((a, b) => b.severity - a.severity || a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn);
+    }
+
+    function renderProblems() {
+        if (!attached) return;
+        const problems = getProblems();
+        const button = document.getElementById(TOGGLE_BUTTON_ID);
+        if (button) button.textContent = `Problems (${problems.length})`;
+        if (!attached.panel) return;
+
+        const list = attached.panel.querySelector('.monaco-problems-list');
+        list.innerHTML = '';
+        if (problems.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'monaco-problems-empty';
+            empty.textContent = 'No problems detected.';
+            list.appendChild(empty);
+            return;
+        }
+        const monaco = window.monaco;
+        for (const problem of problems) {
+            const item = document.createElement('li');
+            item.className = 'monaco-problems-item';
+            item.classList.add(problem.severity === monaco.MarkerSeverity.Error ? 'error' : 'warning');
+            const source = problem.source ? ` [${problem.source}]` : '';
+            item.textContent = `Ln ${problem.startLineNumber}, Col ${problem.startColumn}: ${problem.message}${source}`;
+            item.addEventListener('click', () => {
+                const position = { lineNumber: problem.startLineNumber, column: problem.startColumn };
+                attached.editor.setPosition(position);
+                attached.editor.revealPositionInCenterIfOutsideViewport(position);
+                attached.editor.focus();
+            });
+            list.appendChild(item);
+        }
+    }
+
+    function openPanel() {
+        if (!attached || attached.panel) return;
+        const panelArea = window.leetCodeMonacoRuntime.getPanelArea(attached.containerId);
+        if (!panelArea) {
+            console.warn(`[PAGE BUNDLED] Syntax diagnostics: Container #${attached.containerId} not found, cannot open panel.`);
+            return;
+        }
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.innerHTML = `
+            <div class="monaco-problems-header">
+                <strong>Problems</strong>
+                <button type="button" class="monaco-toolbar-button" data-action="close">Close</button>
+            </div>
+            <ol class="monaco-problems-list"></ol>`;
+        panel.querySelector('[data-action="close"]').addEventListener('click', closePanel);
+        panelArea.appendChild(panel);
+        attached.panel = panel;
+        renderProblems();
+    }
+
+    function closePanel() {
+        if (!attached?.panel) return;
+        attached.panel.remove();
+        attached.panel = null;
+    }
+
+    // --- Lifecycle ---
+
+    /**
+     * Starts parsing the editor's buffer on change and adds the Problems toolbar button.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string}} options - Where the editor lives.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            containerId: options.containerId,
+            parseTimeout: null,
+            parsing: false,
+            parseAgain: false,
+            needsFullText: true,
+            parsedVersion: null,
+            pendingEdits: [],
+            unsupportedLanguage: null,
+            panel: null,
+            disposables: [],
+        };
+
+        attached.disposables.push(editor.onDidChangeModelContent((event) => {
+            if (event.isFlush) {
+                attached.needsFullText = true;
+                attached.pendingEdits = [];
+            } else if (!attached.needsFullText) {
+                // Changes within one event refer to the buffer before the event; applying them from the
+                // end of the buffer backwards keeps every offset valid
+                const changes = [...event.changes].sort((a, b) => b.rangeOffset - a.rangeOffset);
+                for (const change of changes) {
+                    attached.pendingEdits.push({ offset: change.rangeOffset, length: change.rangeLength, text: change.text });
+                }
+            }
+            scheduleParse();
+        }));
+        attached.disposables.push(editor.onDidChangeModelLanguage(resync));
+        attached.disposables.push(editor.onDidChangeModel((event) => {
+            if (event.oldModelUrl) clearMarkers(window.monaco.editor.getModel(event.oldModelUrl));
+            resync();
+        }));
+        attached.disposables.push(window.monaco.editor.onDidChangeMarkers((uris) => {
+            const model = attached?.editor.getModel();
+            if (!model || !uris.some(uri => uri.toString() === model.uri.toString())) return;
+            // The Python analyzer took over the buffer (its first diagnostics just arrived)
+            if (window.leetCodeMonacoPythonAnalyzer?.isAnalyzing(model)) clearMarkers(model);
+            renderProblems();
+        }));
+
+        window.leetCodeMonacoRuntime.addToolbarButton(options.containerId, TOGGLE_BUTTON_ID, 'Problems (0)', () => {
+            if (attached?.panel) closePanel(); else openPanel();
+        });
+        renderProblems();
+        parse();
+        console.log('[PAGE BUNDLED] Syntax diagnostics: Attached to editor.');
+    }
+
+    /**
+     * Stops parsing, clears the markers and removes the panel and toolbar button.
+     */
+    function detach() {
+        if (!attached) return;
+        clearTimeout(attached.parseTimeout);
+        clearMarkers(attached.editor.getModel());
+        closePanel();
+        attached.disposables.forEach(d => d.dispose());
+        document.getElementById(TOGGLE_BUTTON_ID)?.remove();
+        attached = null;
+    }
+
+    window.leetCodeMonacoSyntaxDiagnostics = { attach, detach };
+    console.log('[PAGE BUNDLED] Syntax diagnostics module ready.');
+})();
@@ -0,0 +1,605 @@
+// page_scripts/test_runner.js
+// Runs solutions locally against the problem's example testcases (and the selected custom ones, see
+// page_scripts/testcase_manager.js), without LeetCode's judge queue, and shows the per-case results in a
+// panel under the editor. JavaScript/TypeScript run in a worker built here (no DOM, no network, terminated on
+// timeout; see lockDownWorker in page_scripts/page_runtime.js); Python runs in the bundled Pyodide runtime
+// (page_scripts/python_runner.js). Errors are marked on the lines they were raised on.
+
+(() => {
+    if (window.leetCodeMonacoTestRunner) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const RUNNER_LANGUAGES = ['javascript', 'typescript', 'python'];
+    const CASE_TIMEOUT_MS = 3000; // Without a result by then, the solution is assumed to loop forever
+    const FLOAT_TOLERANCE = 1e-5; // LeetCode accepts doubles within 10^-5
+    const PANEL_ID = 'monaco-test-results-panel';
+    const RUN_BUTTON_ID = 'monaco-run-tests';
+    const MARKER_OWNER = 'leetcode-test-runner';
+    const MARKER_SOURCE = 'local run';
+    const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'; // Source map VLQ digits
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    // --- Worker Side ---
+    // Everything below up to the next section runs inside the worker: it is serialized with toString(),
+    // so it must not reference anything outside itself.
+
+    /**
+     * Runs the testcases against the solution and posts one message per case, then `{ done: true }`.
+     * @param {function | undefined} solution - The solution function (or class, for design problems).
+     * @param {object} codec - The testcase codec (createCodec in page_scripts/io_codec.js).
+     * @param {object} metaData - LeetCode's signature metadata for the problem.
+     * @param {Array<string[]>} cases - Each case's input lines (JSON).
+     * @param {{first: number, last: number}} solutionLines - Where the solution is in the worker script.
+     */
+    function runTestcases(solution, codec, metaData, cases, solutionLines) {
+        const logs = [];
+        const show = (value) => {
+            if (typeof value === 'string') return value;
+            try { return JSON.stringify(value) ?? String(value); } catch (e) { return String(value); }
+        };
+        for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+            console[method] = (...args) => logs.push(args.map(show).join(' '));
+        }
+
+        function runFunction(lines) {
+            const args = codec.decodeArgumentsCase(lines, metaData);
+            const start = performance.now();
+            const result = solution(...args);
+            const time = performance.now() - start;
+            // In-place problems ("Do not return anything") are judged on the modified argument
+            const outputIndex = metaData.output?.paramindex;
+            const output = metaData.return?.type === 'void' && outputIndex !== undefined
+                ? codec.encode(args[outputIndex], metaData.params[outputIndex]?.type)
+                : codec.encode(result, metaData.return?.type);
+            return { output, time };
+        }
+
+        // Design problems: line 1 lists the constructor and method calls, line 2 their arguments
+        function runDesign(lines) {
+            const [construct, ...calls] = codec.decodeCalls(lines, metaData);
+            const start = performance.now();
+            const instance = new solution(...construct.args);
+            const output = [null];
+            for (const { name, args, returnType } of calls) {
+                if (typeof instance[name] !== 'function') throw new TypeError(`${metaData.classname}.${name} is not a function`);
+                output.push(codec.encode(instance[name](...args), returnType));
+            }
+            return { output, time: performance.now() - start };
+        }
+
+        // Solution line of the innermost stack frame in the solution (V8's "at f (blob:...:line:column)")
+        function errorLine(error) {
+            for (const frame of String(error?.stack || '').split('\n')) {
+                const match = /blob:.*:(\d+):\d+\)?$/.exec(frame);
+                const line = match ? Number(match[1]) : 0;
+                if (line >= solutionLines.first && line <= solutionLines.last) return line - solutionLines.first + 1;
+            }
+            return undefined;
+        }
+
+        const name = metaData.systemdesign ? metaData.classname : metaData.name;
+        cases.forEach((lines, index) => {
+            logs.length = 0;
+            try {
+                if (typeof solution !== 'function') throw new ReferenceError(`${name} is not defined`);
+                const { output, time } = metaData.systemdesign ? runDesign(lines) : runFunction(lines);
+                postMessage({ index, output: JSON.stringify(output), logs: [...logs], time });
+            } catch (error) {
+                postMessage({ index, error: `${error?.name || 'Error'}: ${error?.message ?? error}`, line: errorLine(error), logs: [...logs] });
+            }
+        });
+        postMessage({ done: true });
+    }
+
+    // --- Testcases ---
+
+    /**
+     * Splits testcases in LeetCode's format (one JSON value per line, one line per parameter) into cases.
+     * @param {string} text - The testcases.
+     * @param {object} metaData - LeetCode's signature metadata for the problem.
+     * @returns {{cases: string[][], leftover: number}} The cases, and the number of lines left over at the end.
+     */
+    function splitTestcases(text, metaData) {
+        const lines = text.split('\n').filter(line => line.trim() !== '');
+        const perCase = window.leetCodeMonacoCodec.linesPerCase(metaData);
+        if (perCase === 0) return { cases: [], leftover: lines.length };
+        const cases = [];
+        for (let start = 0; start + perCase <= lines.length; start += perCase) {
+            cases.push(lines.slice(start, start + perCase));
+        }
+        return { cases, leftover: lines.length % perCase };
+    }
+
+    function parseValue(text) {
+        try {
+            return { value: JSON.parse(text) };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function outputsEqual(actual, expected) {
+        if (typeof actual === 'number' && typeof expected === 'number') {
+            return Math.abs(actual - expected) <= FLOAT_TOLERANCE * Math.max(1, Math.abs(expected));
+        }
+        if (Array.isArray(actual) && Array.isArray(expected)) {
+            return actual.length === expected.length && actual.every((item, index) => outputsEqual(item, expected[index]));
+        }
+        return actual === expected;
+    }
+
+    /**
+     * Judges a case's output against the expected output from the problem description.
+     * @returns {'passed' | 'failed' | 'unknown'} 'unknown' if the description has no (parsable) expected output.
+     */
+    function judge(output, expected) {
+        if (expected === undefined) return 'unknown';
+        const expectedValue = parseValue(expected);
+        if (!expectedValue) {
+            // Not JSON (e.g. an unquoted string): compare the text, ignoring whitespace
+            return output.replace(/\s+/g, '') === expected.replace(/\s+/g, '') ? 'passed' : 'failed';
+        }
+        return outputsEqual(JSON.parse(output), expectedValue.value) ? 'passed' : 'failed';
+    }
+
+    // --- Running ---
+
+    function decodeVlq(segment) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+        for (const char of segment) {
+            const digit = BASE64_DIGITS.indexOf(char);
+            value += (digit & 31) * 2 ** shift;
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+                value = 0;
+                shift = 0;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Maps lines of the emitted JavaScript back to the TypeScript buffer. `mappings` has one group of
+     * segments per emitted line; a segment's third field is the change in source line since the last one.
+     * @param {string} mappings - The source map's mappings.
+     * @returns {function(number): (number | undefined)} Emitted line to buffer line (both 1-based); undefined
+     *     for lines with no source, like TypeScript's helpers.
+     */
+    function sourceLineMapper(mappings) {
+        const lines = [];
+        let sourceLine = 0;
+        for (const group of mappings.split(';')) {
+            let first;
+            for (const segment of group.split(',')) {
+                const fields = segment ? decodeVlq(segment) : [];
+                if (fields.length < 4) continue;
+                sourceLine += fields[2];
+                first = first ?? sourceLine + 1;
+            }
+            lines.push(first);
+        }
+        return line => lines[line - 1];
+    }
+
+    /**
+     * Compiles the buffer for its runner (TypeScript to JavaScript through Monaco's TypeScript worker, with a
+     * source map so errors can be placed on the buffer's lines).
+     * @returns {Promise<{code: string, mapLine: function(number): (number | undefined)}>} The code, and how
+     *     its lines map to the buffer's.
+     */
+    async function compile(model) {
+        if (model.getLanguageId() !== 'typescript') return { code: model.getValue(), mapLine: line => line };
+        const defaults = window.monaco.languages.typescript.typescriptDefaults;
+        if (!defaults.getCompilerOptions().sourceMap) {
+            defaults.setCompilerOptions({ ...defaults.getCompilerOptions(), sourceMap: true });
+        }
+        const getWorker = await window.monaco.languages.typescript.getTypeScriptWorker();
+        const client = await getWorker(model.uri);
+        const emitted = await client.getEmitOutput(model.uri.toString());
+        const output = emitted.outputFiles.find(file => file.name.endsWith('.js'));
+        if (!output) throw new Error('TypeScript produced no JavaScript output.');
+        const sourceMap = emitted.outputFiles.find(file => file.name.endsWith('.js.map'));
+        // The map is referenced from the last line; the worker runs the code from a blob, where it can't be loaded
+        const code = output.text.replace(/\n\/\/# sourceMappingURL=.*\s*$/, '\n');
+        if (!sourceMap) return { code, mapLine: () => undefined };
+        return { code, mapLine: sourceLineMapper(JSON.parse(sourceMap.text).mappings) };
+    }
+
+    /**
+     * Compiles the buffer for its runner (see compile).
+     * @returns {Promise<string>}
+     */
+    async function compiledSource(model) {
+        return (await compile(model)).code;
+    }
+
+    /**
+     * Builds the worker script: the network lockdown, LeetCode's definitions, the testcase codec, the solution
+     * in its own scope (so it may redeclare the definitions) and the harness.
+     * @returns {{source: string, lineOffset: number}} The script, and the number of lines before the solution.
+     */
+    function buildWorkerSource(code, metaData, cases) {
+        const name = metaData.systemdesign ? metaData.classname : metaData.name;
+        const { ListNode, TreeNode, createCodec } = window.leetCodeMonacoCodec;
+        const prelude = `(${window.leetCodeMonacoRuntime.lockDownWorker})();\n`
+            + `${ListNode}\n${TreeNode}\nconst __leetCodeCodec = (${createCodec})(ListNode, TreeNode);\n`
+            + 'const __leetCodeSolution = (() => {\n';
+        const lineOffset = prelude.split('\n').length - 1;
+        const solutionLines = { first: lineOffset + 1, last: lineOffset + code.split('\n').length };
+        const source = `${prelude}${code}\n;return typeof ${name} === 'undefined' ? undefined : ${name};\n})();\n`
+            + `(${runTestcases})(__leetCodeSolution, __leetCodeCodec, ${JSON.stringify(metaData)}, ${JSON.stringify(cases)}, ${JSON.stringify(solutionLines)});\n`;
+        return { source, lineOffset };
+    }
+
+    /**
+     * Runs JavaScript against testcases in a fresh worker. Same interface as the Python runner's start()
+     * (page_scripts/python_runner.js).
+     * @returns {{stop: function(): void}}
+     */
+    function startJavaScriptRun(code, metaData, cases, handlers) {
+        const { source, lineOffset } = buildWorkerSource(code, metaData, cases);
+        const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+        const run = { stopped: false };
+        run.stop = () => {
+            if (run.stopped) return;
+            run.stopped = true;
+            worker.terminate();
+            URL.revokeObjectURL(url);
+        };
+        worker.onmessage = (event) => {
+            if (run.stopped) return;
+            if (event.data.done) {
+                run.stop();
+                handlers.onDone();
+            } else {
+                handlers.onResult(event.data);
+            }
+        };
+        // Uncaught errors outside the cases, e.g. a syntax error in the solution
+        worker.onerror = (event) => {
+            event.preventDefault();
+            if (run.stopped) return;
+            run.stop();
+            handlers.onFailure(event.message, event.lineno > lineOffset ? event.lineno - lineOffset : undefined);
+        };
+        handlers.onStart();
+        return run;
+    }
+
+    function startBackend(languageId, code, metaData, cases, handlers) {
+        if (languageId === 'python') return window.leetCodeMonacoPythonRunner.start(code, metaData, cases, handlers);
+        return startJavaScriptRun(code, metaData, cases, handlers);
+    }
+
+    /**
+     * Runs code against testcases with its language's backend, giving each case CASE_TIMEOUT_MS to finish
+     * (the run ends with the first case that doesn't).
+     * @param {string} languageId - Monaco language ID of the buffer the code came from.
+     * @param {string} code - The solution (compiled, for TypeScript).
+     * @param {object} metaData - LeetCode's signature metadata for the problem.
+     * @param {Array<string[]>} cases - Each case's input lines (JSON).
+     * @param {{onStart?: function(): void, onResult?: function(object): void}} [callbacks] - Progress: the
+     *     solution started running, and each result as it comes in.
+     * @returns {{stop: function(): void, done: Promise<Array<object> | null>}} done resolves with each case's
+     *     { output, logs, time } or { error, line, logs } once all are finished, or null if stopped.
+     */
+    function execute(languageId, code, metaData, cases, callbacks = {}) {
+        const results = cases.map(() => null);
+        let backend = null;
+        let timeout = null;
+        let resolveDone;
+        const done = new Promise((resolve) => { resolveDone = resolve; });
+        const isRunning = () => resolveDone !== null;
+        const finish = (value) => {
+            if (!isRunning()) return;
+            const resolve = resolveDone;
+            resolveDone = null;
+            clearTimeout(timeout);
+            backend?.stop();
+            resolve(value);
+        };
+        const failRemaining = (error, line, logs) => {
+            results.forEach((result, index) => {
+                if (result) return;
+                results[index] = { index, error, line, logs: logs || [] };
+                logs = undefined; // Output printed before the failure goes with the first case only
+            });
+            finish(results);
+        };
+        const armTimeout = () => {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => failRemaining(`Time limit exceeded (no result after ${CASE_TIMEOUT_MS / 1000}s)`), CASE_TIMEOUT_MS);
+        };
+
+        backend = startBackend(languageId, code, metaData, cases, {
+            onStart: () => {
+                if (!isRunning()) return;
+                armTimeout();
+                callbacks.onStart?.();
+            },
+            onResult: (message) => {
+                if (!isRunning()) return;
+                results[message.index] = message;
+                armTimeout();
+                callbacks.onResult?.(message);
+            },
+            onDone: () => finish(results),
+            // The solution couldn't be loaded at all (e.g. a syntax error)
+            onFailure: (error, line, logs) => {
+                if (isRunning()) failRemaining(error, line, logs);
+            },
+        });
+        return { stop: () => finish(null), done };
+    }
+
+    function stopRun() {
+        if (!attached?.run) return;
+        attached.run.execution?.stop();
+        attached.run = null;
+        updateRunButton();
+    }
+
+    // --- Error Markers ---
+
+    function clearMarkers() {
+        if (!attached?.markedModel) return;
+        if (!attached.markedModel.isDisposed()) window.monaco.editor.setModelMarkers(attached.markedModel, MARKER_OWNER, []);
+        attached.markedModel = null;
+    }
+
+    // Marks each line an error was raised on (first error per line), until the buffer is edited
+    function setErrorMarkers(model, results) {
+        clearMarkers();
+        if (model.isDisposed() || model !== attached.editor.getModel()) return;
+        const markers = new Map();
+        for (const result of results) {
+            if (!result.error || !result.line || result.line > model.getLineCount() || markers.has(result.line)) continue;
+            markers.set(result.line, {
+                severity: window.monaco.MarkerSeverity.Error,
+                message: `${result.error} (${result.label})`,
+                source: MARKER_SOURCE,
+                startLineNumber: result.line,
+                startColumn: model.getLineFirstNonWhitespaceColumn(result.line) || 1,
+                endLineNumber: result.line,
+                endColumn: model.getLineMaxColumn(result.line),
+            });
+        }
+        if (markers.size === 0) return;
+        window.monaco.editor.setModelMarkers(model, MARKER_OWNER, [...markers.values()]);
+        attached.markedModel = model;
+    }
+
+    /**
+     * Runs the buffer against the example testcases and the selected custom ones, rendering the results as they
+     * come in.
+     */
+    async function runTests() {
+        if (!attached || attached.run) return;
+        openPanel();
+        const current = attached;
+        if (!current.problem) {
+            renderMessage('Example testcases are not available. Reload the page to run this problem locally.');
+            return;
+        }
+        const { metaData } = current.problem;
+        const name = metaData.systemdesign ? metaData.classname : metaData.name;
+        const examples = splitTestcases(current.problem.exampleTestcases, metaData).cases;
+        const custom = window.leetCodeMonacoTestcases.getSelectedCases();
+        const invalid = custom.filter(testcase => testcase.error).map(testcase => `${testcase.name}: ${testcase.error}`);
+        if (invalid.length > 0) {
+            renderMessage(`Invalid custom testcases (fix or deselect them under Testcases). ${invalid.join('; ')}`);
+            return;
+        }
+        if (examples.length + custom.length === 0 || !name || !/^[A-Za-z_$][\w$]*$/.test(name)) {
+            renderMessage('This problem has no testcases that can be run locally.');
+            return;
+        }
+
+        const model = current.editor.getModel();
+        const languageId = model.getLanguageId();
+        let code;
+        let mapLine;
+        try {
+            ({ code, mapLine } = await compile(model));
+        } catch (error) {
+            console.error('[PAGE BUNDLED] Test runner: Compilation failed:', error);
+            renderMessage(`Could not compile the solution: ${error.message}`);
+            return;
+        }
+        if (attached !== current || current.run) return; // Detached or started again while compiling
+
+        const results = [
+            ...examples.map((lines, index) => ({ label: `Case ${index + 1}`, lines, expected: current.problem.expectedOutputs[index] })),
+            ...custom.map(testcase => ({ label: testcase.name, lines: testcase.lines, expected: undefined })),
+        ].map(result => ({ ...result, status: 'pending' }));
+        const run = { execution: null, started: false };
+        current.run = run;
+        clearMarkers();
+        updateRunButton();
+
+        const isCurrent = () => attached === current && current.run === run;
+        const applyResult = (result, message) => {
+            Object.assign(result, message, { line: message.line && mapLine(message.line) });
+            result.status = message.error ? 'error' : judge(message.output, result.expected);
+        };
+        run.execution = execute(languageId, code, metaData, results.map(result => result.lines), {
+            onStart: () => {
+                if (!isCurrent()) return;
+                run.started = true;
+                renderResults(results);
+            },
+            onResult: (message) => {
+                if (!isCurrent()) return;
+                applyResult(results[message.index], message);
+                renderResults(results);
+            },
+        });
+        renderResults(results);
+
+        const outcomes = await run.execution.done;
+        if (!outcomes || !isCurrent()) return; // Stopped
+        outcomes.forEach((outcome, index) => {
+            if (results[index].status === 'pending') applyResult(results[index], outcome);
+        });
+        stopRun();
+        setErrorMarkers(model, results);
+        renderResults(results);
+    }
+
+    // --- Results Panel ---
+
+    function getPanelList() {
+        return attached?.panel?.querySelector('.monaco-test-results-list') || null;
+    }
+
+    function renderMessage(message) {
+        const list = getPanelList();
+        if (!list) return;
+        attached.panel.querySelector('.monaco-test-results-summary').textContent = '';
+        list.innerHTML = '';
+        const item = document.createElement('li');
+        item.className = 'monaco-test-results-empty';
+        item.textContent = message;
+        list.appendChild(item);
+    }
+
+    function appendField(parent, label, text) {
+        const field = document.createElement('div');
+        field.className = 'monaco-test-results-field';
+        const name = document.createElement('span');
+        name.className = 'monaco-test-results-label';
+        name.textContent = label;
+        const value = document.createElement('pre');
+        value.textContent = text;
+        field.append(name, value);
+        parent.appendChild(field);
+    }
+
+    function renderResults(results) {
+        const list = getPanelList();
+        if (!list) return;
+        const params = attached.problem.metaData.systemdesign ? [] : attached.problem.metaData.params || [];
+        const passed = results.filter(result => result.status === 'passed').length;
+        const finished = results.filter(result => result.status !== 'pending').length;
+        let summary = `${passed}/${results.length} passed`;
+        if (attached.run && !attached.run.started) summary = 'Starting...'; // e.g. Python still loading
+        else if (finished < results.length) summary = `Running... (${finished}/${results.length})`;
+        attached.panel.querySelector('.monaco-test-results-summary').textContent = summary;
+
+        list.innerHTML = '';
+        results.forEach((result) => {
+            const item = document.createElement('li');
+            item.className = `monaco-test-results-item ${result.status}`;
+            const header = document.createElement('div');
+            header.className = 'monaco-test-results-case';
+            const time = result.time !== undefined ? ` (${result.time.toFixed(1)} ms)` : '';
+            const status = { passed: 'Passed', failed: 'Wrong answer', error: 'Error', unknown: 'Ran', pending: 'Running...' }[result.status];
+            header.textContent = `${result.label}: ${status}${time}`;
+            item.appendChild(header);
+
+            const input = result.lines.map((line, i) => (params[i] ? `${params[i].name} = ${line}` : line)).join('\n');
+            appendField(item, 'Input', input);
+            if (result.output !== undefined) appendField(item, 'Output', result.output);
+            if (result.expected !== undefined) appendField(item, 'Expected', result.expected);
+            if (result.logs?.length) appendField(item, 'Stdout', result.logs.join('\n'));
+            if (result.error) appendField(item, 'Error', result.line ? `Line ${result.line}: ${result.error}` : result.error);
+            list.appendChild(item);
+        });
+    }
+
+    function openPanel() {
+        if (!attached || attached.panel) return;
+        const panelArea = window.leetCodeMonacoRuntime.getPanelArea(attached.containerId);
+        if (!panelArea) {
+            console.warn(`[PAGE BUNDLED] Test runner: Container #${attached.containerId} not found, cannot open panel.`);
+            return;
+        }
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.innerHTML = `
+            <div class="monaco-test-results-header">
+                <strong>Local run</strong>
+                <span class="monaco-test-results-summary"></span>
+                <button type="button" class="monaco-toolbar-button" data-action="close">Close</button>
+            </div>
+            <ol class="monaco-test-results-list"></ol>`;
+        panel.querySelector('[data-action="close"]').addEventListener('click', closePanel);
+        panelArea.appendChild(panel);
+        attached.panel = panel;
+    }
+
+    function closePanel() {
+        if (!attached?.panel) return;
+        stopRun();
+        attached.panel.remove();
+        attached.panel = null;
+    }
+
+    // --- Lifecycle ---
+
+    function updateRunButton() {
+        const button = document.getElementById(RUN_BUTTON_ID);
+        if (button) button.disabled = !!attached?.run;
+    }
+
+    // The Run Locally button is only shown for RUNNER_LANGUAGES; re-run when the language changes.
+    function updateToolbar() {
+        stopRun();
+        clearMarkers();
+        document.getElementById(RUN_BUTTON_ID)?.remove();
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        if (!RUNNER_LANGUAGES.includes(languageId)) {
+            closePanel();
+            return;
+        }
+        window.leetCodeMonacoRuntime.addToolbarButton(attached.containerId, RUN_BUTTON_ID, 'Run Locally', runTests);
+    }
+
+    /**
+     * Adds the Run Locally button for JavaScript, TypeScript and Python buffers.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string, problem: object | null}} options - Where the editor lives, and the example
+     *     testcases, metaData and expected outputs from the page data (null if unavailable).
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            containerId: options.containerId,
+            problem: options.problem || null,
+            run: null,
+            panel: null,
+            markedModel: null,
+            disposables: [],
+        };
+        attached.disposables.push(editor.onDidChangeModelLanguage(updateToolbar));
+        attached.disposables.push(editor.onDidChangeModelContent(clearMarkers)); // Error lines are stale once edited
+        updateToolbar();
+        console.log('[PAGE BUNDLED] Test runner: Attached to editor.');
+    }
+
+    /**
+     * Stops a running test run and removes the panel, error markers and toolbar button.
+     */
+    function detach() {
+        if (!attached) return;
+        closePanel();
+        stopRun();
+        clearMarkers();
+        attached.disposables.forEach(d => d.dispose());
+        document.getElementById(RUN_BUTTON_ID)?.remove();
+        attached = null;
+    }
+
+    window.leetCodeMonacoTestRunner = { RUNNER_LANGUAGES, attach, detach, compiledSource, execute, judge };
+    console.log('[PAGE BUNDLED] Test runner module ready.');
+})();
@@ -0,0 +1,466 @@
+// page_scripts/testcase_manager.js
+// Per-problem custom testcases: a panel of named, taggable testcases stored with the problem (see
+// getTestcasesForTab in background.js), checked against the problem's metaData. Selected testcases are
+// run by the local test runner and filled into LeetCode's testcase input right before Run. Random, edge and
+// worst-case testcases can be generated from the problem's parsed constraints (page_scripts/input_generator.js).
+
+(() => {
+    if (window.leetCodeMonacoTestcases) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const SAVE_DELAY_MS = 500; // Batches keystrokes into one storage write
+    const RUN_SUBMIT_EVENT_NAME = '__monaco_run_submit__'; // Dispatched by the native editor bridge
+    const PANEL_ID = 'monaco-testcases-panel';
+    const TOGGLE_BUTTON_ID = 'monaco-testcases-toggle';
+    const ALL_TAGS_FILTER = 'all';
+    const GENERATE_MODES = { random: 'Random', edge: 'Edge', worst: 'Worst case' };
+    const GENERATED_TAGS = { random: [], edge: ['edge'], worst: ['large'] };
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    function newId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    function caseLines(testcase) {
+        return testcase.input.split('\n').filter(line => line.trim() !== '');
+    }
+
+    /**
+     * Checks a testcase against the problem's signature.
+     * @returns {string | null} What is wrong with it, or null if it is valid (or can't be checked).
+     */
+    function validate(testcase) {
+        if (!attached?.problem) return null; // Page data unavailable (e.g. after client-side navigation)
+        return window.leetCodeMonacoCodec.checkCase(caseLines(testcase), attached.problem.metaData);
+    }
+
+    // --- Storage ---
+
+    async function load() {
+        const current = attached;
+        try {
+            const response = await window.leetCodeMonacoRuntime.request('getTestcasesForTab');
+            if (attached !== current) return;
+            current.tags = response.tags;
+            current.maxInputLength = response.maxInputLength;
+            // Keep anything addTestcase() added before the stored testcases arrived
+            current.testcases = [...response.testcases, ...current.testcases];
+            current.loaded = true;
+            if (current.testcases.length > response.testcases.length) scheduleSave();
+            renderPanel();
+        } catch (error) {
+            console.error('[PAGE BUNDLED] Testcases: Failed to load testcases:', error);
+        }
+    }
+
+    async function save() {
+        if (!attached) return;
+        clearTimeout(attached.saveTimeout);
+        attached.saveTimeout = null;
+        try {
+            await window.leetCodeMonacoRuntime.request('saveTestcasesForTab', { testcases: attached.testcases });
+        } catch (error) {
+            console.error('[PAGE BUNDLED] Testcases: Failed to save testcases:', error);
+            setStatus(`Could not save testcases: ${error.message}`);
+        }
+    }
+
+    function scheduleSave() {
+        if (!attached?.loaded) return; // Saved once the stored testcases are merged in (see load)
+        clearTimeout(attached.saveTimeout);
+        attached.saveTimeout = setTimeout(save, SAVE_DELAY_MS);
+    }
+
+    function updateTestcase(id, changes) {
+        const testcase = attached?.testcases.find(t => t.id === id);
+        if (!testcase) return null;
+        Object.assign(testcase, changes, { updatedAt: Date.now() });
+        scheduleSave();
+        return testcase;
+    }
+
+    /**
+     * Adds a testcase to the problem's list.
+     * @param {{name?: string, input: string, tags?: string[], selected?: boolean}} testcase - The input is in
+     *     LeetCode's format (one line per parameter).
+     * @returns {string | null} The new testcase's ID, or null if not attached or the input is too large to store.
+     */
+    function addTestcase(testcase) {
+        if (!attached) return null;
+        if (attached.maxInputLength && testcase.input.length > attached.maxInputLength) {
+            setStatus(`Testcase not added: its input is ${Math.ceil(testcase.input.length / 1024)} KB, over the `
+                + `${attached.maxInputLength / 1024} KB that can be stored.`);
+            return null;
+        }
+        const id = newId();
+        attached.testcases.push({
+            id,
+            name: testcase.name || `Testcase ${attached.testcases.length + 1}`,
+            input: testcase.input,
+            tags: testcase.tags || [],
+            selected: testcase.selected !== false,
+            updatedAt: Date.now(),
+        });
+        scheduleSave();
+        renderPanel();
+        return id;
+    }
+
+    /**
+     * The selected testcases, in order.
+     * @returns {Array<{name: string, lines: string[], error: string | null}>} Each with its validation error.
+     */
+    function getSelectedCases() {
+        if (!attached) return [];
+        return attached.testcases
+            .filter(testcase => testcase.selected)
+            .map(testcase => ({ name: testcase.name, lines: caseLines(testcase), error: validate(testcase) }));
+    }
+
+    /**
+     * Generates a testcase from the problem's parsed constraints (see parseConstraints in the content script);
+     * parameters without constraints get the generator's small defaults.
+     * @param {string} mode - 'random', 'edge' or 'worst' (see leetCodeMonacoInputGenerator.generateValue).
+     * @returns {string[]} The testcase's lines.
+     * @throws {Error} If the page data is unavailable or a parameter's type can't be generated.
+     */
+    function generateTestcase(mode) {
+        if (!attached?.problem) throw new Error('Problem data is not available. Reload the page to generate testcases.');
+        const { metaData, constraints } = attached.problem;
+        return window.leetCodeMonacoInputGenerator.generateCase(metaData, {
+            random: window.leetCodeMonacoInputGenerator.createRandom(Date.now()),
+            specs: constraints?.specs,
+            mode,
+            calls: mode === 'worst' ? constraints?.calls ?? undefined : undefined,
+        });
+    }
+
+    // --- LeetCode's Testcase Input ---
+
+    /**
+     * Finds LeetCode's testcase input: a Monaco editor in its Testcase tab, or a plain textarea.
+     * @returns {{read: function(): string, write: function(string)} | null} Null if the input isn't on the page
+     *     (e.g. the Testcase tab was never opened).
+     */
+    function findLeetCodeTestcaseInput() {
+        const selector = attached.testcaseSelector;
+        const editors = typeof window.monaco.editor.getEditors === 'function' ? window.monaco.editor.getEditors() : [];
+        const testcaseEditor = editors.find(editor => editor !== attached.editor && editor.getContainerDomNode()?.closest(selector));
+        const model = testcaseEditor?.getModel();
+        if (model) {
+            return {
+                read: () => model.getValue(),
+                write: (text) => {
+                    if (model.getValue() !== text) model.pushEditOperations([], [{ range: model.getFullModelRange(), text }], () => null);
+                },
+            };
+        }
+        const textarea = [...document.querySelectorAll(selector)]
+            .map(element => (element instanceof HTMLTextAreaElement ? element : element.querySelector('textarea')))
+            .find(Boolean);
+        if (!textarea) return null;
+        return {
+            read: () => textarea.value,
+            write: (text) => {
+                // LeetCode's React state only follows the input event; the value setter on the element itself is patched by React
+                Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set.call(textarea, text);
+                textarea.dispatchEvent(new Event('input', { bubbles: true }));
+            },
+        };
+    }
+
+    /**
+     * Replaces the content of LeetCode's testcase input.
+     * @returns {boolean} False if the input isn't on the page.
+     */
+    function writeLeetCodeTestcases(text) {
+        const input = findLeetCodeTestcaseInput();
+        input?.write(text);
+        return !!input;
+    }
+
+    /**
+     * Adds a testcase after the ones already in LeetCode's testcase input.
+     * @returns {boolean} False if the input isn't on the page.
+     */
+    function appendLeetCodeTestcase(lines) {
+        const input = findLeetCodeTestcaseInput();
+        if (!input) return false;
+        const existing = input.read().trimEnd();
+        input.write(existing ? `${existing}\n${lines.join('\n')}` : lines.join('\n'));
+        return true;
+    }
+
+    /**
+     * Fills the valid selected testcases into LeetCode's testcase input.
+     * @returns {{filled: number, skipped: number, found: boolean}} found is false if LeetCode's input is missing.
+     */
+    function fillLeetCodeTestcases() {
+        const selected = getSelectedCases();
+        const valid = selected.filter(testcase => !testcase.error);
+        if (valid.length === 0) return { filled: 0, skipped: selected.length, found: true };
+        const found = writeLeetCodeTestcases(valid.map(testcase => testcase.lines.join('\n')).join('\n'));
+        return { filled: found ? valid.length : 0, skipped: selected.length - valid.length, found };
+    }
+
+    function onRunSubmit(event) {
+        if (event.detail?.action !== 'run' || !attached?.testcases.some(testcase => testcase.selected)) return;
+        const { filled, skipped, found } = fillLeetCodeTestcases();
+        if (!found) console.warn('[PAGE BUNDLED] Testcases: LeetCode testcase input not found; open its Testcase tab to fill in testcases on Run.');
+        else console.log(`[PAGE BUNDLED] Testcases: Filled ${filled} testcase(s) before Run (${skipped} invalid skipped).`);
+        setStatus(found ? `Filled ${filled} testcase(s) into LeetCode before Run.` : 'LeetCode\'s testcase input was not found; open its Testcase tab.');
+    }
+
+    // --- Panel ---
+
+    function setStatus(message) {
+        const status = attached?.panel?.querySelector('.monaco-testcases-status');
+        if (status) status.textContent = message;
+    }
+
+    function renderConstraints() {
+        const info = attached?.panel?.querySelector('.monaco-testcases-constraints');
+        if (!info) return;
+        const constraints = attached.problem?.constraints;
+        if (!constraints) {
+            info.textContent = 'No constraints found: generated values use small defaults.';
+            info.title = '';
+            return;
+        }
+        const constrained = Object.keys(constraints.specs).length;
+        const unparsed = constraints.unparsed.length;
+        info.textContent = `Constraints for ${constrained} parameter(s)${unparsed ? `, ${unparsed} not understood` : ''}.`;
+        info.title = unparsed ? `Not understood (not applied):\n${constraints.unparsed.join('\n')}` : '';
+    }
+
+    function renderSummary() {
+        const summary = attached?.panel?.querySelector('.monaco-testcases-summary');
+        if (!summary) return;
+        const selected = attached.testcases.filter(testcase => testcase.selected).length;
+        summary.textContent = `${selected}/${attached.testcases.length} selected`;
+    }
+
+    function renderError(item, testcase) {
+        const error = validate(testcase);
+        item.classList.toggle('invalid', !!error);
+        item.querySelector('.monaco-testcases-error').textContent = error ? `Invalid: ${error}` : '';
+    }
+
+    function createItem(testcase) {
+        const item = document.createElement('li');
+        item.className = 'monaco-testcases-item';
+
+        const row = document.createElement('div');
+        row.className = 'monaco-testcases-row';
+        const selected = document.createElement('input');
+        selected.type = 'checkbox';
+        selected.title = 'Run this testcase';
+        selected.checked = testcase.selected;
+        selected.addEventListener('change', () => {
+            updateTestcase(testcase.id, { selected: selected.checked });
+            renderSummary();
+        });
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'monaco-testcases-name';
+        name.value = testcase.name;
+        name.addEventListener('input', () => updateTestcase(testcase.id, { name: name.value }));
+        row.append(selected, name);
+
+        for (const tag of attached.tags) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'monaco-testcases-tag';
+            button.classList.toggle('active', testcase.tags.includes(tag));
+            button.textContent = tag;
+            button.addEventListener('click', () => {
+                const tags = testcase.tags.includes(tag) ? testcase.tags.filter(t => t !== tag) : [...testcase.tags, tag];
+                updateTestcase(testcase.id, { tags: attached.tags.filter(t => tags.includes(t)) });
+                renderPanel();
+            });
+            row.appendChild(button);
+        }
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'monaco-toolbar-button';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => {
+            attached.testcases = attached.testcases.filter(t => t.id !== testcase.id);
+            scheduleSave();
+            renderPanel();
+        });
+        row.appendChild(remove);
+
+        const input = document.createElement('textarea');
+        input.spellcheck = false;
+        input.placeholder = 'One line per parameter, in LeetCode\'s testcase format';
+        if (attached.maxInputLength) input.maxLength = attached.maxInputLength;
+        input.value = testcase.input;
+        input.addEventListener('input', () => {
+            renderError(item, updateTestcase(testcase.id, { input: input.value }));
+        });
+        const error = document.createElement('div');
+        error.className = 'monaco-testcases-error';
+        item.append(row, input, error);
+        renderError(item, testcase);
+        return item;
+    }
+
+    function renderPanel() {
+        if (!attached?.panel) return;
+        const filter = attached.panel.querySelector('[data-field="filter"]');
+        if (filter.options.length !== attached.tags.length + 1) {
+            filter.innerHTML = '';
+            filter.add(new Option('All tags', ALL_TAGS_FILTER));
+            attached.tags.forEach(tag => filter.add(new Option(tag, tag)));
+        }
+        filter.value = attached.filter;
+        renderSummary();
+        renderConstraints();
+
+        const list = attached.panel.querySelector('.monaco-testcases-list');
+        list.innerHTML = '';
+        const shown = attached.testcases.filter(testcase => attached.filter === ALL_TAGS_FILTER || testcase.tags.includes(attached.filter));
+        if (shown.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'monaco-testcases-empty';
+            empty.textContent = !attached.loaded ? 'Loading...' : attached.testcases.length === 0 ? 'No testcases yet.' : 'No testcases with this tag.';
+            list.appendChild(empty);
+            return;
+        }
+        shown.forEach(testcase => list.appendChild(createItem(testcase)));
+    }
+
+    function createPanel() {
+        const panelArea = window.leetCodeMonacoRuntime.getPanelArea(attached.containerId);
+        if (!panelArea) {
+            console.warn(`[PAGE BUNDLED] Testcases: Container #${attached.containerId} not found, cannot open panel.`);
+            return null;
+        }
+        const panel = document.createElement('div');
+        panel.id = PANEL_ID;
+        panel.innerHTML = `
+            <div class="monaco-testcases-header">
+                <strong>Testcases</strong>
+                <span class="monaco-testcases-summary"></span>
+                <select data-field="filter" title="Show testcases with this tag"></select>
+                <button type="button" class="monaco-toolbar-button" data-action="add">Add</button>
+                <button type="button" class="monaco-toolbar-button" data-action="fill" title="Replace LeetCode's testcases with the selected ones">Fill LeetCode</button>
+                <button type="button" class="monaco-toolbar-button" data-action="close">Close</button>
+            </div>
+            <div class="monaco-testcases-generate">
+                <select data-field="mode" title="Kind of testcase to generate from the problem's constraints: random, edge (shortest lengths, extreme values) or worst case (longest lengths)"></select>
+                <button type="button" class="monaco-toolbar-button" data-action="generate" title="Add a generated testcase to this list">Generate</button>
+                <button type="button" class="monaco-toolbar-button" data-action="generate-leetcode" title="Add a generated testcase to LeetCode's testcases">Generate into LeetCode</button>
+                <span class="monaco-testcases-constraints"></span>
+            </div>
+            <div class="monaco-testcases-status"></div>
+            <ol class="monaco-testcases-list"></ol>`;
+        panelArea.appendChild(panel);
+
+        const mode = panel.querySelector('[data-field="mode"]');
+        Object.entries(GENERATE_MODES).forEach(([value, label]) => mode.add(new Option(label, value)));
+        const generate = (insert) => {
+            let lines;
+            try {
+                lines = generateTestcase(mode.value);
+            } catch (error) {
+                setStatus(`Cannot generate a testcase: ${error.message}`);
+                return;
+            }
+            insert(lines);
+        };
+        panel.querySelector('[data-action="generate"]').addEventListener('click', () => generate((lines) => {
+            const count = attached.testcases.filter(testcase => testcase.name.startsWith(GENERATE_MODES[mode.value])).length;
+            const name = `${GENERATE_MODES[mode.value]} ${count + 1}`;
+            // (addTestcase explains why when the input is too large to store)
+            if (addTestcase({ name, input: lines.join('\n'), tags: GENERATED_TAGS[mode.value] })) setStatus(`Generated testcase "${name}".`);
+        }));
+        panel.querySelector('[data-action="generate-leetcode"]').addEventListener('click', () => generate((lines) => {
+            if (!appendLeetCodeTestcase(lines)) setStatus('LeetCode\'s testcase input was not found; open its Testcase tab and try again.');
+            else setStatus(`Added a generated testcase (${GENERATE_MODES[mode.value]}) to LeetCode's testcases.`);
+        }));
+        panel.querySelector('[data-field="filter"]').addEventListener('change', (event) => {
+            attached.filter = event.target.value;
+            renderPanel();
+        });
+        panel.querySelector('[data-action="add"]').addEventListener('click', () => {
+            const tags = attached.filter === ALL_TAGS_FILTER ? [] : [attached.filter];
+            addTestcase({ input: '', tags });
+            panel.querySelector('.monaco-testcases-item:last-child textarea')?.focus();
+        });
+        panel.querySelector('[data-action="fill"]').addEventListener('click', () => {
+            const { filled, skipped, found } = fillLeetCodeTestcases();
+            if (!found) setStatus('LeetCode\'s testcase input was not found; open its Testcase tab and try again.');
+            else setStatus(`Filled ${filled} testcase(s) into LeetCode${skipped ? ` (${skipped} invalid skipped)` : ''}.`);
+        });
+        panel.querySelector('[data-action="close"]').addEventListener('click', closePanel);
+        return panel;
+    }
+
+    function openPanel() {
+        if (!attached || attached.panel) return;
+        attached.panel = createPanel();
+        renderPanel();
+    }
+
+    function closePanel() {
+        if (!attached?.panel) return;
+        attached.panel.remove();
+        attached.panel = null;
+    }
+
+    // --- Lifecycle ---
+
+    /**
+     * Loads the problem's testcases and adds the Testcases toolbar button.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{containerId: string, problem: object | null, testcaseSelector: string}} options - Where the
+     *     editor lives, the problem's page data (metaData for validation, constraints for generating testcases;
+     *     null if unavailable) and where LeetCode's testcase input is.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = {
+            editor,
+            containerId: options.containerId,
+            problem: options.problem || null,
+            testcaseSelector: options.testcaseSelector,
+            testcases: [],
+            tags: [],
+            maxInputLength: null, // Known once the stored testcases are loaded
+            loaded: false,
+            filter: ALL_TAGS_FILTER,
+            saveTimeout: null,
+            panel: null,
+            disposables: [],
+        };
+        window.addEventListener(RUN_SUBMIT_EVENT_NAME, onRunSubmit);
+        attached.disposables.push({ dispose: () => window.removeEventListener(RUN_SUBMIT_EVENT_NAME, onRunSubmit) });
+        window.leetCodeMonacoRuntime.addToolbarButton(options.containerId, TOGGLE_BUTTON_ID, 'Testcases', () => {
+            if (attached?.panel) closePanel(); else openPanel();
+        });
+        load();
+        console.log('[PAGE BUNDLED] Testcases: Attached to editor.');
+    }
+
+    /**
+     * Saves pending changes and removes the panel and toolbar button.
+     */
+    function detach() {
+        if (!attached) return;
+        if (attached.saveTimeout) save();
+        closePanel();
+        attached.disposables.forEach(d => d.dispose());
+        document.getElementById(TOGGLE_BUTTON_ID)?.remove();
+        attached = null;
+    }
+
+    window.leetCodeMonacoTestcases = { attach, detach, addTestcase, getSelectedCases, fillLeetCodeTestcases };
+    console.log('[PAGE BUNDLED] Testcases module ready.');
+})();
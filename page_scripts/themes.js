@@ -0,0 +1,129 @@
+// page_scripts/themes.js
+// LeetCode-styled Monaco themes and the 'auto' theme preference, which follows LeetCode's own
+// light/dark mode (the `dark` class on <html>) while the page is open.
+
+(() => {
+    if (window.leetCodeMonacoThemes) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const AUTO_THEME = 'auto';
+    const LEETCODE_DARK_THEME = 'leetcode-dark';
+    const LEETCODE_LIGHT_THEME = 'leetcode-light';
+    const PAGE_DARK_CLASS = 'dark'; // Set on <html> by LeetCode in dark mode
+
+    // Palettes approximate LeetCode's editor surfaces; token colors stay close to the base themes.
+    const THEME_DEFINITIONS = {
+        [LEETCODE_DARK_THEME]: {
+            base: 'vs-dark',
+            inherit: true,
+            rules: [
+                { token: 'comment', foreground: '7f848e', fontStyle: 'italic' },
+                { token: 'keyword', foreground: 'c678dd' },
+                { token: 'string', foreground: '98c379' },
+                { token: 'number', foreground: 'd19a66' },
+                { token: 'type', foreground: 'e5c07b' },
+                { token: 'identifier', foreground: 'e6e6e6' },
+                { token: 'delimiter', foreground: 'abb2bf' },
+            ],
+            colors: {
+                'editor.background': '#262626',
+                'editor.foreground': '#e6e6e6',
+                'editor.lineHighlightBackground': '#2f2f2f',
+                'editor.selectionBackground': '#3e4451',
+                'editorCursor.foreground': '#ffa116', // LeetCode orange
+                'editorLineNumber.foreground': '#6b6b6b',
+                'editorLineNumber.activeForeground': '#cfcfcf',
+                'editorIndentGuide.background': '#333333',
+                'editorWidget.background': '#303030',
+                'editorSuggestWidget.background': '#303030',
+                'editorSuggestWidget.selectedBackground': '#3e3e3e',
+            },
+        },
+        [LEETCODE_LIGHT_THEME]: {
+            base: 'vs',
+            inherit: true,
+            rules: [
+                { token: 'comment', foreground: '8c8c8c', fontStyle: 'italic' },
+                { token: 'keyword', foreground: 'a626a4' },
+                { token: 'string', foreground: '50a14f' },
+                { token: 'number', foreground: '986801' },
+                { token: 'type', foreground: 'c18401' },
+                { token: 'identifier', foreground: '262626' },
+                { token: 'delimiter', foreground: '383a42' },
+            ],
+            colors: {
+                'editor.background': '#ffffff',
+                'editor.foreground': '#262626',
+                'editor.lineHighlightBackground': '#f7f8fa',
+                'editor.selectionBackground': '#dbe6f5',
+                'editorCursor.foreground': '#262626',
+                'editorLineNumber.foreground': '#b3b3b3',
+                'editorLineNumber.activeForeground': '#595959',
+                'editorIndentGuide.background': '#eeeeee',
+                'editorWidget.background': '#f7f8fa',
+                'editorSuggestWidget.background': '#ffffff',
+                'editorSuggestWidget.selectedBackground': '#f0f0f0',
+            },
+        },
+    };
+
+    // --- State ---
+    let themesDefined = false;
+    let pageThemeObserver = null;
+
+    function defineThemes() {
+        if (themesDefined) return;
+        for (const [name, definition] of Object.entries(THEME_DEFINITIONS)) {
+            window.monaco.editor.defineTheme(name, definition);
+        }
+        themesDefined = true;
+    }
+
+    function isPageDark() {
+        return document.documentElement.classList.contains(PAGE_DARK_CLASS);
+    }
+
+    function applyAutoTheme() {
+        window.monaco.editor.setTheme(isPageDark() ? LEETCODE_DARK_THEME : LEETCODE_LIGHT_THEME);
+    }
+
+    function stopFollowingPage() {
+        if (pageThemeObserver) pageThemeObserver.disconnect();
+        pageThemeObserver = null;
+    }
+
+    /**
+     * Applies a theme preference: 'auto' follows LeetCode's light/dark mode, anything else is a Monaco theme name.
+     * @param {string} theme - The theme preference.
+     * @param {object | null} [definition] - defineTheme data for an imported VS Code theme (see shared/themes.js).
+     */
+    function setPreference(theme, definition = null) {
+        defineThemes();
+        stopFollowingPage();
+        if (definition) {
+            // (Re)define on every apply so a re-imported theme replaces the old colors
+            window.monaco.editor.defineTheme(theme, definition);
+        }
+
+        if (theme !== AUTO_THEME) {
+            window.monaco.editor.setTheme(theme);
+            return;
+        }
+        applyAutoTheme();
+        pageThemeObserver = new MutationObserver(applyAutoTheme);
+        pageThemeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+        console.log(`[PAGE BUNDLED] Themes: Following LeetCode's theme (currently ${isPageDark() ? 'dark' : 'light'}).`);
+    }
+
+    /**
+     * Stops following LeetCode's theme (used when the editor is torn down).
+     */
+    function detach() {
+        stopFollowingPage();
+    }
+
+    window.leetCodeMonacoThemes = { setPreference, detach };
+    console.log('[PAGE BUNDLED] Themes module ready.');
+})();
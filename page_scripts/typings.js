@@ -0,0 +1,69 @@
+// page_scripts/typings.js
+// Declarations for the globals of LeetCode's JavaScript/TypeScript runtime (typings/*.d.ts), registered
+// as extra libs with the TypeScript worker while the injected editor is in javascript or typescript mode.
+
+(() => {
+    if (window.leetCodeMonacoTypings) {
+        return; // Already injected into this page
+    }
+
+    // --- Constants ---
+    const TYPED_LANGUAGES = ['javascript', 'typescript'];
+    const LIB_URI_PREFIX = 'file:///leetcode-monaco/'; // Virtual paths of the extra libs
+
+    // --- State (one attached editor at a time) ---
+    let attached = null;
+
+    function unregisterLibs() {
+        if (!attached) return;
+        attached.registeredLibs.forEach(lib => lib.dispose());
+        attached.registeredLibs = [];
+    }
+
+    // The extra libs live on the page's shared TypeScript defaults, so they're only registered
+    // while our editor needs them.
+    function updateLibs() {
+        const typescript = window.monaco.languages.typescript;
+        const languageId = attached.editor.getModel()?.getLanguageId();
+        const needed = TYPED_LANGUAGES.includes(languageId);
+        if (!needed || !typescript) {
+            unregisterLibs();
+            if (needed) console.warn('[PAGE BUNDLED] Typings: The page\'s Monaco has no TypeScript support; globals stay untyped.');
+            return;
+        }
+        if (attached.registeredLibs.length > 0) return; // Already registered (javascript <-> typescript)
+
+        for (const lib of attached.libs) {
+            const uri = `${LIB_URI_PREFIX}${lib.fileName}`;
+            // javascriptDefaults and typescriptDefaults keep separate extra libs, so register with both
+            attached.registeredLibs.push(typescript.javascriptDefaults.addExtraLib(lib.content, uri));
+            attached.registeredLibs.push(typescript.typescriptDefaults.addExtraLib(lib.content, uri));
+        }
+        console.log(`[PAGE BUNDLED] Typings: Registered ${attached.libs.length} declaration file(s) for '${languageId}'.`);
+    }
+
+    /**
+     * Registers the LeetCode runtime declarations whenever the editor is in javascript or typescript mode.
+     * @param {object} editor - The injected Monaco editor instance.
+     * @param {{libs: Array<{fileName: string, content: string}>}} options - Declaration files to register.
+     */
+    function attach(editor, options) {
+        detach();
+        attached = { editor, libs: options.libs || [], registeredLibs: [], disposables: [] };
+        attached.disposables.push(editor.onDidChangeModelLanguage(updateLibs));
+        updateLibs();
+    }
+
+    /**
+     * Unregisters the declarations and forgets the editor.
+     */
+    function detach() {
+        if (!attached) return;
+        unregisterLibs();
+        attached.disposables.forEach(d => d.dispose());
+        attached = null;
+    }
+
+    window.leetCodeMonacoTypings = { attach, detach };
+    console.log('[PAGE BUNDLED] Typings module ready.');
+})();
@@ -0,0 +1,252 @@
+// shared/constraints.js
+// The Constraints section of a problem description, parsed into value and length ranges per parameter for
+// generating testcases (page_scripts/input_generator.js). Loaded as a plain script by the content script;
+// everything but extractConstraintItems works without a DOM, so it also runs under Node.
+
+const LeetCodeConstraints = (() => {
+    // --- Constants ---
+    const CHARSETS = {
+        lowercase: 'abcdefghijklmnopqrstuvwxyz',
+        uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+        digits: '0123456789',
+    };
+
+    /**
+     * Evaluates a number as written in constraints: "10^9", "-10^4", "2 * 10^5", "2^31 - 1".
+     * @returns {number | null} null if the text is not a number expression.
+     */
+    function evaluateNumber(text) {
+        const compact = text.replace(/\s+/g, '');
+        const tokens = compact.match(/\d+(?:\.\d+)?|[-+*^()]/g);
+        if (!tokens || tokens.join('') !== compact) return null;
+        let position = 0;
+        const parseSum = () => {
+            let value = parseProduct();
+            while (tokens[position] === '+' || tokens[position] === '-') {
+                const operator = tokens[position++];
+                value = operator === '+' ? value + parseProduct() : value - parseProduct();
+            }
+            return value;
+        };
+        const parseProduct = () => {
+            let value = parseUnary();
+            while (tokens[position] === '*') {
+                position++;
+                value *= parseUnary();
+            }
+            return value;
+        };
+        // "-10^4" is -(10^4)
+        const parseUnary = () => {
+            if (tokens[position] === '-') {
+                position++;
+                return -parseUnary();
+            }
+            const base = parseAtom();
+            if (tokens[position] !== '^') return base;
+            position++;
+            return base ** parseUnary();
+        };
+        const parseAtom = () => {
+            const token = tokens[position++];
+            if (token === '(') {
+                const value = parseSum();
+                return tokens[position++] === ')' ? value : NaN;
+            }
+            return /^\d/.test(token || '') ? Number(token) : NaN;
+        };
+        const value = parseSum();
+        return position === tokens.length && Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Parses constraints into a spec per parameter, in the shape page_scripts/input_generator.js takes:
+     * - `min`/`max`: value range of the parameter (or of its elements, for arrays, lists and trees);
+     * - `lengths`: `[min, max]` lengths by nesting depth (`nums.length` is depth 0, `grid[i].length` depth 1;
+     *   the node count for trees and lists);
+     * - `charset` for strings and characters, `sorted` and `unique` for arrays and lists.
+     * A bound can be another parameter's length (`1 <= k <= nums.length`): `{lengthOf: 'nums', offset: 0}`.
+     * @param {string[]} items - The constraints as plain text (see extractConstraintItems).
+     * @param {object} metaData - LeetCode's signature metadata, to match constraints to parameters.
+     * @returns {{specs: Object<string, object>, calls: number | null, unparsed: string[]}} The specs by
+     *     parameter name, the most method calls a design problem allows, and the constraints that weren't
+     *     understood.
+     */
+    function parseConstraintItems(items, metaData) {
+        const params = [
+            ...(metaData.params || []),
+            ...(Array.isArray(metaData.constructor?.params) ? metaData.constructor.params : []),
+            ...(metaData.methods || []).flatMap(method => method.params || []),
+        ];
+        const typeOf = name => params.find(param => param.name === name)?.type;
+        const nodeParams = params
+            .filter(param => /\b(TreeNode|ListNode)\b/.test(param.type))
+            .map(param => param.name);
+        const specs = {};
+        const specFor = name => (specs[name] = specs[name] || {});
+        const aliases = {}; // "m == grid.length": m names grid's length at depth 0
+        const unparsed = [];
+        let calls = null;
+
+        // "nums.length", "grid[i].length", "nums[i]", "Node.val", or a bare name (parameter or alias)
+        const parseSubject = text => {
+            let match = /^([A-Za-z_]\w*)((?:\[\w+\])*)\.length$/.exec(text);
+            if (match) return { targets: [match[1]], depth: match[2].split('[').length - 1, kind: 'length' };
+            if (/^node\.val$/i.test(text)) return { targets: nodeParams, kind: 'value' };
+            match = /^([A-Za-z_]\w*)((?:\[\w+\])*)$/.exec(text);
+            if (!match) return null;
+            const alias = match[2] ? null : aliases[match[1]];
+            if (alias && !typeOf(match[1])) return alias;
+            return { targets: [match[1]], kind: 'value', alias };
+        };
+        const parseBound = text => {
+            const value = evaluateNumber(text);
+            if (value !== null) return value;
+            const match = /^(.+?)(?:\s*([-+])\s*(\d+))?$/.exec(text);
+            const subject = match && parseSubject(match[1].trim());
+            const length = subject?.kind === 'length' ? subject : subject?.alias;
+            if (!length || length.depth || length.targets.length !== 1) return null;
+            return { lengthOf: length.targets[0], offset: match[2] ? Number(`${match[2]}${match[3]}`) : 0 };
+        };
+        // Strict bounds (`0 <= i < n`) are one step tighter for integers
+        const tighten = (bound, step) => (typeof bound === 'number' ? bound + step : { ...bound, offset: bound.offset + step });
+        const applyRange = (subject, min, max) => {
+            const targets = subject.targets.filter(name => typeOf(name));
+            for (const name of targets) {
+                const spec = specFor(name);
+                if (subject.kind === 'length') {
+                    spec.lengths = spec.lengths || [];
+                    const [oldMin, oldMax] = spec.lengths[subject.depth] || [];
+                    spec.lengths[subject.depth] = [min ?? oldMin, max ?? oldMax];
+                } else if (!(spec.min && spec.min === spec.max)) {
+                    // (A parameter set equal to a length, `n == nums.length`, keeps that over its own range)
+                    if (min !== null) spec.min = min;
+                    if (max !== null) spec.max = max;
+                }
+            }
+            return targets.length > 0;
+        };
+
+        // "1 <= k <= nums.length <= 10^5" is "1 <= k", "k <= nums.length" and "nums.length <= 10^5"
+        const splitChain = text => {
+            const parts = text.split(/ (<=|<) /);
+            if (parts.length < 7) return [text];
+            const pairs = [];
+            for (let i = 0; i + 2 < parts.length; i += 2) pairs.push(parts.slice(i, i + 3).join(' '));
+            return pairs;
+        };
+        const applyConstraint = text => {
+            let understood = false;
+            let match;
+            if ((match = /^(\w+) == ([\w[\].]+)$/.exec(text) || /^([\w[\].]+) == (\w+)$/.exec(text))) {
+                const [name, other] = match[1].includes('.') ? [match[2], match[1]] : [match[1], match[2]];
+                const subject = parseSubject(other);
+                if (subject?.kind === 'length') {
+                    aliases[name] = subject;
+                    // An `n` that is also a parameter must be that length
+                    const bound = parseBound(other);
+                    if (bound) applyRange({ targets: [name], kind: 'value' }, bound, bound);
+                    understood = true;
+                }
+            } else if ((match = /^(.+?) (<=|<) (.+?) (<=|<) (.+)$/.exec(text))) {
+                const min = parseBound(match[1]);
+                const max = parseBound(match[5]);
+                // "1 <= n <= 10^4" with `n == nums.length` bounds both n and the length
+                const subjects = match[3].split(/\s*,\s*/).map(parseSubject)
+                    .flatMap(subject => (subject?.alias ? [subject, subject.alias] : [subject]));
+                if (subjects.every(Boolean) && min !== null && max !== null) {
+                    understood = subjects.map(subject => applyRange(subject,
+                        tighten(min, match[2] === '<' ? 1 : 0),
+                        tighten(max, match[4] === '<' ? -1 : 0))).some(Boolean);
+                }
+            } else if ((match = /^([\w[\].^*+ -]+?) (<=|<|>=|>) ([\w[\].^*+ -]+)$/.exec(text))) {
+                // Either side can be the subject: "k <= nums.length", "1 <= k"
+                const flipped = { '<=': '>=', '<': '>', '>=': '<=', '>': '<' }[match[2]];
+                for (const [left, operator, right] of [[match[1], match[2], match[3]], [match[3], flipped, match[1]]]) {
+                    const subject = parseSubject(left);
+                    const bound = parseBound(right);
+                    if (understood || !subject || bound === null) continue;
+                    const step = { '<': -1, '>': 1 }[operator] || 0;
+                    understood = operator.startsWith('<')
+                        ? applyRange(subject, null, tighten(bound, step))
+                        : applyRange(subject, tighten(bound, step), null);
+                }
+            } else if ((match = /number of nodes in .*? is in the range \[(.+?), ?(.+?)\]/i.exec(text))) {
+                const min = evaluateNumber(match[1]);
+                const max = evaluateNumber(match[2]);
+                understood = applyRange({ targets: nodeParams, depth: 0, kind: 'length' }, min, max);
+            } else if ((match = /number of nodes in .*? is (\w+)$/i.exec(text))) {
+                aliases[match[1]] = { targets: nodeParams, depth: 0, kind: 'length' };
+                understood = nodeParams.length > 0;
+            } else if ((match = /^at most (.+?) calls/i.exec(text))) {
+                calls = evaluateNumber(match[1]);
+                understood = calls !== null;
+            } else if ((match = /^(.+?) (?:consists?|contains?|is|are)\b(.*)$/i.exec(text))) {
+                const names = [...match[1].matchAll(/\b([A-Za-z_]\w*)(?:\[\w+\])*/g)].map(m => m[1]).filter(name => typeOf(name));
+                const description = match[2];
+                let charset = [...description.matchAll(/'(.)'/g)].map(m => m[1]).join('');
+                if (/lower-?case/i.test(description)) charset += CHARSETS.lowercase;
+                if (/upper-?case/i.test(description)) charset += CHARSETS.uppercase;
+                if (/English letters/i.test(description) && !/(lower|upper)-?case/i.test(description)) {
+                    charset += CHARSETS.lowercase + CHARSETS.uppercase;
+                }
+                if (/digits/i.test(description)) charset += CHARSETS.digits;
+                const sorted = /sorted in (?:non-decreasing|ascending|increasing) order/i.test(description);
+                const unique = /\b(?:unique|distinct)\b/i.test(text) && !/not (?:necessarily )?(?:unique|distinct)/i.test(text);
+                // "All the values of nums are unique" puts the name after the verb
+                const subjects = names.length ? names
+                    : [...description.matchAll(/\b([A-Za-z_]\w*)\b/g)].map(m => m[1]).filter(name => typeOf(name));
+                const targets = /\bNode\.val\b|\b(?:nodes?|tree|list)\b/i.test(text) && !subjects.length ? nodeParams : subjects;
+                for (const name of targets) {
+                    if (charset) specFor(name).charset = [...new Set(charset)].join('');
+                    if (sorted) specFor(name).sorted = true;
+                    if (unique) specFor(name).unique = true;
+                }
+                understood = targets.length > 0 && Boolean(charset || sorted || unique);
+            }
+            return understood;
+        };
+        for (const text of items) {
+            // Every part of a chain is applied, but the item only counts as understood if all of them were
+            const understood = splitChain(text).map(applyConstraint);
+            if (!understood.every(Boolean)) unparsed.push(text);
+        }
+        return { specs, calls, unparsed };
+    }
+
+    /**
+     * Extracts the items of a problem description's Constraints section as plain text: exponents written as `^`
+     * (`10<sup>9</sup>` is `10^9`), entities decoded and `≤`/`≥` spelled `<=`/`>=`. Needs DOMParser.
+     * @param {string} contentHtml - The problem description.
+     * @returns {string[] | null} Null if the description has no Constraints section.
+     */
+    function extractConstraintItems(contentHtml) {
+        const section = /Constraints:?[\s\S]*?<ul[^>]*>([\s\S]*?)<\/ul>/i.exec(contentHtml);
+        if (!section) return null;
+        return [...section[1].matchAll(/<li[^>]*>([\s\S]*?)<\/li>/gi)].map(match => {
+            // Parsing as HTML strips the other tags and decodes entities (&lt; etc.)
+            const html = match[1].replace(/<sup>\s*([\s\S]*?)\s*<\/sup>/gi, '^$1');
+            return new DOMParser().parseFromString(html, 'text/html').documentElement.textContent
+                .replace(/\s+/g, ' ').replace(/≤/g, '<=').replace(/≥/g, '>=').replace(/[−–]/g, '-')
+                .trim().replace(/\.$/, '');
+        });
+    }
+
+    /**
+     * Parses the Constraints section of a problem description (see parseConstraintItems).
+     * @param {string} contentHtml - The problem description.
+     * @param {object} metaData - LeetCode's signature metadata.
+     * @returns {{specs: Object<string, object>, calls: number | null, unparsed: string[]} | null} Null if the
+     *     description has no Constraints section.
+     */
+    function parseConstraints(contentHtml, metaData) {
+        const items = extractConstraintItems(contentHtml);
+        return items ? parseConstraintItems(items, metaData) : null;
+    }
+
+    return { evaluateNumber, extractConstraintItems, parseConstraintItems, parseConstraints };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeetCodeConstraints;
+}
@@ -0,0 +1,139 @@
+// shared/preferences.js
+// Editor preferences stored in chrome.storage.sync, shared by the options page, content script and background.
+// Loaded as a plain script by the options page and content script, and bundled into background.js.
+
+const LeetCodePreferences = (() => {
+    // --- Constants ---
+    const PREFERENCES_KEY = 'leetcodeEditorPreferences';
+    const DEFAULT_PREFERENCES = {
+        theme: 'auto',           // 'auto' follows LeetCode's light/dark mode (see page_scripts/themes.js), or an imported theme ID
+        fontFamily: "Menlo, Monaco, Consolas, 'Courier New', monospace",
+        fontSize: 14,
+        tabSize: 4,
+        minimap: true,
+        wordWrap: 'on',          // 'off' | 'on' | 'wordWrapColumn' | 'bounded'
+        lineNumbers: 'on',       // 'on' | 'off' | 'relative' | 'interval'
+        cursorStyle: 'line',     // 'line' | 'block' | 'underline' | 'line-thin' | 'block-outline' | 'underline-thin'
+        suggestions: 'all',      // 'all' (code, comments, strings) | 'code' | 'off'
+        acceptSuggestionOnEnter: 'on', // 'on' | 'smart' | 'off'
+        keybindings: 'default',  // 'default' | 'vim' | 'emacs'
+        formatOnSave: false,     // Format before saving (all but the cursor's line on the saves while typing)
+        formatLineWidth: 100,    // Line width the formatters wrap at
+        formatStyleJavaScript: 'prettier', // JavaScript and TypeScript (Prettier): 'prettier' | 'prettier-single-quotes' | 'standard'
+        formatStylePython: 'ruff',         // Python (Ruff): 'ruff' | 'ruff-single-quotes'
+        formatStyleCpp: 'Google',          // C and C++ (clang-format): a clang-format base style
+        formatStyleJava: 'Google',         // Java (clang-format): a clang-format base style
+    };
+    const CLANG_FORMAT_STYLES = ['LLVM', 'Google', 'Chromium', 'Mozilla', 'WebKit', 'Microsoft', 'GNU'];
+    const CHOICES = {
+        theme: ['auto', 'leetcode-dark', 'leetcode-light', 'vs', 'vs-dark', 'hc-black', 'hc-light'],
+        wordWrap: ['off', 'on', 'wordWrapColumn', 'bounded'],
+        lineNumbers: ['on', 'off', 'relative', 'interval'],
+        cursorStyle: ['line', 'block', 'underline', 'line-thin', 'block-outline', 'underline-thin'],
+        suggestions: ['all', 'code', 'off'],
+        acceptSuggestionOnEnter: ['on', 'smart', 'off'],
+        keybindings: ['default', 'vim', 'emacs'],
+        formatStyleJavaScript: ['prettier', 'prettier-single-quotes', 'standard'],
+        formatStylePython: ['ruff', 'ruff-single-quotes'],
+        formatStyleCpp: CLANG_FORMAT_STYLES,
+        formatStyleJava: CLANG_FORMAT_STYLES,
+    };
+    // Themes imported on the options page (IDs from shared/themes.js) are valid theme values too
+    const IMPORTED_THEME_PATTERN = /^vscode-[a-z0-9-]+$/;
+    const NUMBER_RANGES = {
+        fontSize: [8, 40],
+        tabSize: [1, 8],
+        formatLineWidth: [40, 200],
+    };
+
+    /**
+     * Drops unknown fields and invalid values, falling back to defaults.
+     * @param {object} raw - Preferences as stored (possibly from an older version).
+     * @returns {object} A complete, valid preferences object.
+     */
+    function normalize(raw) {
+        const preferences = { ...DEFAULT_PREFERENCES };
+        if (!raw || typeof raw !== 'object') return preferences;
+
+        for (const [field, defaultValue] of Object.entries(DEFAULT_PREFERENCES)) {
+            const value = raw[field];
+            if (value === undefined) continue;
+            if (CHOICES[field]) {
+                if (CHOICES[field].includes(value) || (field === 'theme' && IMPORTED_THEME_PATTERN.test(value))) {
+                    preferences[field] = value;
+                }
+            } else if (NUMBER_RANGES[field]) {
+                const [min, max] = NUMBER_RANGES[field];
+                const number = Number(value);
+                if (Number.isFinite(number)) preferences[field] = Math.min(max, Math.max(min, Math.round(number)));
+            } else if (typeof value === typeof defaultValue) {
+                preferences[field] = value;
+            }
+        }
+        return preferences;
+    }
+
+    /**
+     * Loads the user's preferences.
+     * @returns {Promise<object>} The preferences, with defaults for anything unset.
+     */
+    async function load() {
+        const result = await chrome.storage.sync.get(PREFERENCES_KEY);
+        return normalize(result[PREFERENCES_KEY]);
+    }
+
+    /**
+     * Saves (part of) the user's preferences.
+     * @param {object} changes - Fields to change.
+     * @returns {Promise<object>} The resulting preferences.
+     */
+    async function save(changes) {
+        const preferences = normalize({ ...(await load()), ...changes });
+        await chrome.storage.sync.set({ [PREFERENCES_KEY]: preferences });
+        return preferences;
+    }
+
+    /**
+     * Calls back with the new preferences whenever they change (in any tab or the options page).
+     * @param {function(object): void} callback - Receives the normalized preferences.
+     */
+    function onChanged(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'sync' && changes[PREFERENCES_KEY]) {
+                callback(normalize(changes[PREFERENCES_KEY].newValue));
+            }
+        });
+    }
+
+    /**
+     * Converts preferences into Monaco editor options.
+     * The theme (page_scripts/themes.js), keybindings (page_scripts/keybindings.js) and formatting
+     * (page_scripts/formatting.js) are applied separately.
+     * @param {object} preferences - Normalized preferences.
+     * @returns {object} Options for monaco.editor.create / editor.updateOptions.
+     */
+    function toEditorOptions(preferences) {
+        const suggestionsEnabled = preferences.suggestions !== 'off';
+        return {
+            fontSize: preferences.fontSize,
+            tabSize: preferences.tabSize,
+            detectIndentation: false, // Otherwise the file's indentation overrides the tabSize preference
+            minimap: { enabled: preferences.minimap },
+            wordWrap: preferences.wordWrap,
+            lineNumbers: preferences.lineNumbers,
+            cursorStyle: preferences.cursorStyle,
+            quickSuggestions: suggestionsEnabled
+                ? { other: true, comments: preferences.suggestions === 'all', strings: preferences.suggestions === 'all' }
+                : false,
+            suggestOnTriggerCharacters: suggestionsEnabled,
+            acceptSuggestionOnEnter: preferences.acceptSuggestionOnEnter,
+            fontFamily: preferences.fontFamily.trim() || DEFAULT_PREFERENCES.fontFamily,
+        };
+    }
+
+    return { DEFAULT_PREFERENCES, CHOICES, NUMBER_RANGES, IMPORTED_THEME_PATTERN, normalize, load, save, onChanged, toEditorOptions };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeetCodePreferences;
+}
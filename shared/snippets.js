@@ -0,0 +1,634 @@
+// shared/snippets.js
+// User snippets per Monaco language ID, stored in chrome.storage.local, plus the default template pack.
+// Bodies use Monaco/VS Code snippet syntax: $1, ${1:placeholder}, ${1|a,b|} and $0 (final cursor).
+// Loaded as a plain script by the options page and content script, and bundled into background.js.
+
+const LeetCodeSnippets = (() => {
+    // --- Constants ---
+    const SNIPPETS_KEY = 'leetcodeSnippets';
+
+    // Default pack: the templates that come up again and again on LeetCode.
+    // Bodies are arrays of lines (as in VS Code snippet files); stored snippets use a single string.
+    const DEFAULT_SNIPPETS = {
+        cpp: [
+            {
+                prefix: 'unionfind',
+                description: 'Union-find with path compression and union by size',
+                body: [
+                    'struct ${1:DSU} {',
+                    '    vector<int> parent, size;',
+                    '    $1(int n) : parent(n), size(n, 1) { iota(parent.begin(), parent.end(), 0); }',
+                    '    int find(int x) { return parent[x] == x ? x : parent[x] = find(parent[x]); }',
+                    '    bool unite(int a, int b) {',
+                    '        a = find(a), b = find(b);',
+                    '        if (a == b) return false;',
+                    '        if (size[a] < size[b]) swap(a, b);',
+                    '        parent[b] = a;',
+                    '        size[a] += size[b];',
+                    '        return true;',
+                    '    }',
+                    '};$0',
+                ],
+            },
+            {
+                prefix: 'segtree',
+                description: 'Segment tree: point update, range sum query',
+                body: [
+                    'struct ${1:SegmentTree} {',
+                    '    int n;',
+                    '    vector<${2:long long}> tree;',
+                    '    $1(int n) : n(n), tree(2 * n) {}',
+                    '    void update(int i, $2 value) {',
+                    '        for (tree[i += n] = value; i > 1; i >>= 1) tree[i >> 1] = tree[i] + tree[i ^ 1];',
+                    '    }',
+                    '    $2 query(int l, int r) { // [l, r)',
+                    '        $2 result = 0;',
+                    '        for (l += n, r += n; l < r; l >>= 1, r >>= 1) {',
+                    '            if (l & 1) result += tree[l++];',
+                    '            if (r & 1) result += tree[--r];',
+                    '        }',
+                    '        return result;',
+                    '    }',
+                    '};$0',
+                ],
+            },
+            {
+                prefix: 'dijkstra',
+                description: 'Dijkstra over an adjacency list of {node, weight}',
+                body: [
+                    'vector<long long> ${1:dijkstra}(const vector<vector<pair<int, int>>>& ${2:graph}, int ${3:source}) {',
+                    '    vector<long long> dist($2.size(), LLONG_MAX);',
+                    '    priority_queue<pair<long long, int>, vector<pair<long long, int>>, greater<>> pq;',
+                    '    dist[$3] = 0;',
+                    '    pq.emplace(0, $3);',
+                    '    while (!pq.empty()) {',
+                    '        auto [d, u] = pq.top();',
+                    '        pq.pop();',
+                    '        if (d > dist[u]) continue;',
+                    '        for (auto [v, w] : $2[u]) {',
+                    '            if (d + w < dist[v]) {',
+                    '                dist[v] = d + w;',
+                    '                pq.emplace(dist[v], v);',
+                    '            }',
+                    '        }',
+                    '    }',
+                    '    return dist;',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'binsearch',
+                description: 'Binary search for the first index where the predicate holds',
+                body: [
+                    'int ${1:lo} = ${2:0}, ${3:hi} = ${4:n};',
+                    'while ($1 < $3) {',
+                    '    int mid = $1 + ($3 - $1) / 2;',
+                    '    if (${5:check(mid)}) $3 = mid;',
+                    '    else $1 = mid + 1;',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'fastio',
+                description: 'Untie C++ streams from C stdio',
+                body: [
+                    'static const auto ${1:fastIO} = [] {',
+                    '    ios::sync_with_stdio(false);',
+                    '    cin.tie(nullptr);',
+                    '    return 0;',
+                    '}();$0',
+                ],
+            },
+        ],
+        java: [
+            {
+                prefix: 'unionfind',
+                description: 'Union-find with path compression and union by size',
+                body: [
+                    'class ${1:DSU} {',
+                    '    private final int[] parent, size;',
+                    '',
+                    '    $1(int n) {',
+                    '        parent = new int[n];',
+                    '        size = new int[n];',
+                    '        for (int i = 0; i < n; i++) {',
+                    '            parent[i] = i;',
+                    '            size[i] = 1;',
+                    '        }',
+                    '    }',
+                    '',
+                    '    int find(int x) {',
+                    '        while (parent[x] != x) x = parent[x] = parent[parent[x]];',
+                    '        return x;',
+                    '    }',
+                    '',
+                    '    boolean union(int a, int b) {',
+                    '        a = find(a);',
+                    '        b = find(b);',
+                    '        if (a == b) return false;',
+                    '        if (size[a] < size[b]) { int t = a; a = b; b = t; }',
+                    '        parent[b] = a;',
+                    '        size[a] += size[b];',
+                    '        return true;',
+                    '    }',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'segtree',
+                description: 'Segment tree: point update, range sum query',
+                body: [
+                    'class ${1:SegmentTree} {',
+                    '    private final int n;',
+                    '    private final long[] tree;',
+                    '',
+                    '    $1(int n) {',
+                    '        this.n = n;',
+                    '        tree = new long[2 * n];',
+                    '    }',
+                    '',
+                    '    void update(int i, long value) {',
+                    '        for (tree[i += n] = value; i > 1; i >>= 1) tree[i >> 1] = tree[i] + tree[i ^ 1];',
+                    '    }',
+                    '',
+                    '    long query(int l, int r) { // [l, r)',
+                    '        long result = 0;',
+                    '        for (l += n, r += n; l < r; l >>= 1, r >>= 1) {',
+                    '            if ((l & 1) == 1) result += tree[l++];',
+                    '            if ((r & 1) == 1) result += tree[--r];',
+                    '        }',
+                    '        return result;',
+                    '    }',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'dijkstra',
+                description: 'Dijkstra over an adjacency list of {node, weight}',
+                body: [
+                    'long[] ${1:dijkstra}(List<int[]>[] ${2:graph}, int ${3:source}) {',
+                    '    long[] dist = new long[$2.length];',
+                    '    Arrays.fill(dist, Long.MAX_VALUE);',
+                    '    PriorityQueue<long[]> pq = new PriorityQueue<>((a, b) -> Long.compare(a[0], b[0]));',
+                    '    dist[$3] = 0;',
+                    '    pq.offer(new long[] {0, $3});',
+                    '    while (!pq.isEmpty()) {',
+                    '        long[] top = pq.poll();',
+                    '        int u = (int) top[1];',
+                    '        if (top[0] > dist[u]) continue;',
+                    '        for (int[] edge : $2[u]) {',
+                    '            if (top[0] + edge[1] < dist[edge[0]]) {',
+                    '                dist[edge[0]] = top[0] + edge[1];',
+                    '                pq.offer(new long[] {dist[edge[0]], edge[0]});',
+                    '            }',
+                    '        }',
+                    '    }',
+                    '    return dist;',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'binsearch',
+                description: 'Binary search for the first index where the predicate holds',
+                body: [
+                    'int ${1:lo} = ${2:0}, ${3:hi} = ${4:n};',
+                    'while ($1 < $3) {',
+                    '    int mid = $1 + ($3 - $1) / 2;',
+                    '    if (${5:check(mid)}) $3 = mid;',
+                    '    else $1 = mid + 1;',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'fastio',
+                description: 'Buffered stdin tokenizer',
+                body: [
+                    'static class ${1:FastReader} {',
+                    '    private final BufferedReader reader = new BufferedReader(new InputStreamReader(System.in));',
+                    '    private StringTokenizer tokens;',
+                    '',
+                    '    String next() throws IOException {',
+                    '        while (tokens == null || !tokens.hasMoreTokens()) tokens = new StringTokenizer(reader.readLine());',
+                    '        return tokens.nextToken();',
+                    '    }',
+                    '',
+                    '    int nextInt() throws IOException {',
+                    '        return Integer.parseInt(next());',
+                    '    }',
+                    '}$0',
+                ],
+            },
+        ],
+        python: [
+            {
+                prefix: 'unionfind',
+                description: 'Union-find with path compression and union by size',
+                body: [
+                    'class ${1:DSU}:',
+                    '    def __init__(self, n: int):',
+                    '        self.parent = list(range(n))',
+                    '        self.size = [1] * n',
+                    '',
+                    '    def find(self, x: int) -> int:',
+                    '        while self.parent[x] != x:',
+                    '            self.parent[x] = self.parent[self.parent[x]]',
+                    '            x = self.parent[x]',
+                    '        return x',
+                    '',
+                    '    def union(self, a: int, b: int) -> bool:',
+                    '        a, b = self.find(a), self.find(b)',
+                    '        if a == b:',
+                    '            return False',
+                    '        if self.size[a] < self.size[b]:',
+                    '            a, b = b, a',
+                    '        self.parent[b] = a',
+                    '        self.size[a] += self.size[b]',
+                    '        return True',
+                    '$0',
+                ],
+            },
+            {
+                prefix: 'segtree',
+                description: 'Segment tree: point update, range sum query',
+                body: [
+                    'class ${1:SegmentTree}:',
+                    '    def __init__(self, n: int):',
+                    '        self.n = n',
+                    '        self.tree = [0] * (2 * n)',
+                    '',
+                    '    def update(self, i: int, value: int) -> None:',
+                    '        i += self.n',
+                    '        self.tree[i] = value',
+                    '        while i > 1:',
+                    '            self.tree[i >> 1] = self.tree[i] + self.tree[i ^ 1]',
+                    '            i >>= 1',
+                    '',
+                    '    def query(self, l: int, r: int) -> int:  # [l, r)',
+                    '        result = 0',
+                    '        l += self.n',
+                    '        r += self.n',
+                    '        while l < r:',
+                    '            if l & 1:',
+                    '                result += self.tree[l]',
+                    '                l += 1',
+                    '            if r & 1:',
+                    '                r -= 1',
+                    '                result += self.tree[r]',
+                    '            l >>= 1',
+                    '            r >>= 1',
+                    '        return result',
+                    '$0',
+                ],
+            },
+            {
+                prefix: 'dijkstra',
+                description: 'Dijkstra over an adjacency list of (node, weight)',
+                body: [
+                    'def ${1:dijkstra}(${2:graph}: List[List[Tuple[int, int]]], ${3:source}: int) -> List[float]:',
+                    '    dist = [math.inf] * len($2)',
+                    '    dist[$3] = 0',
+                    '    heap = [(0, $3)]',
+                    '    while heap:',
+                    '        d, u = heapq.heappop(heap)',
+                    '        if d > dist[u]:',
+                    '            continue',
+                    '        for v, w in $2[u]:',
+                    '            if d + w < dist[v]:',
+                    '                dist[v] = d + w',
+                    '                heapq.heappush(heap, (dist[v], v))',
+                    '    return dist',
+                    '$0',
+                ],
+            },
+            {
+                prefix: 'binsearch',
+                description: 'Binary search for the first index where the predicate holds',
+                body: [
+                    '${1:lo}, ${2:hi} = ${3:0}, ${4:n}',
+                    'while $1 < $2:',
+                    '    mid = ($1 + $2) // 2',
+                    '    if ${5:check(mid)}:',
+                    '        $2 = mid',
+                    '    else:',
+                    '        $1 = mid + 1',
+                    '$0',
+                ],
+            },
+            {
+                prefix: 'fastio',
+                description: 'Read stdin through sys.stdin',
+                body: [
+                    'import sys',
+                    'input = sys.stdin.readline',
+                    '${1:data} = sys.stdin.buffer.read().split()$0',
+                ],
+            },
+        ],
+        go: [
+            {
+                prefix: 'unionfind',
+                description: 'Union-find with path compression and union by size',
+                body: [
+                    'type ${1:DSU} struct {',
+                    '\tparent, size []int',
+                    '}',
+                    '',
+                    'func New$1(n int) *$1 {',
+                    '\td := &$1{parent: make([]int, n), size: make([]int, n)}',
+                    '\tfor i := range d.parent {',
+                    '\t\td.parent[i] = i',
+                    '\t\td.size[i] = 1',
+                    '\t}',
+                    '\treturn d',
+                    '}',
+                    '',
+                    'func (d *$1) Find(x int) int {',
+                    '\tfor d.parent[x] != x {',
+                    '\t\td.parent[x] = d.parent[d.parent[x]]',
+                    '\t\tx = d.parent[x]',
+                    '\t}',
+                    '\treturn x',
+                    '}',
+                    '',
+                    'func (d *$1) Union(a, b int) bool {',
+                    '\ta, b = d.Find(a), d.Find(b)',
+                    '\tif a == b {',
+                    '\t\treturn false',
+                    '\t}',
+                    '\tif d.size[a] < d.size[b] {',
+                    '\t\ta, b = b, a',
+                    '\t}',
+                    '\td.parent[b] = a',
+                    '\td.size[a] += d.size[b]',
+                    '\treturn true',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'segtree',
+                description: 'Segment tree: point update, range sum query',
+                body: [
+                    'type ${1:SegmentTree} struct {',
+                    '\tn    int',
+                    '\ttree []int',
+                    '}',
+                    '',
+                    'func New$1(n int) *$1 {',
+                    '\treturn &$1{n: n, tree: make([]int, 2*n)}',
+                    '}',
+                    '',
+                    'func (s *$1) Update(i, value int) {',
+                    '\ti += s.n',
+                    '\tfor s.tree[i] = value; i > 1; i >>= 1 {',
+                    '\t\ts.tree[i>>1] = s.tree[i] + s.tree[i^1]',
+                    '\t}',
+                    '}',
+                    '',
+                    '// Query returns the sum over [l, r).',
+                    'func (s *$1) Query(l, r int) int {',
+                    '\tresult := 0',
+                    '\tfor l, r = l+s.n, r+s.n; l < r; l, r = l>>1, r>>1 {',
+                    '\t\tif l&1 == 1 {',
+                    '\t\t\tresult += s.tree[l]',
+                    '\t\t\tl++',
+                    '\t\t}',
+                    '\t\tif r&1 == 1 {',
+                    '\t\t\tr--',
+                    '\t\t\tresult += s.tree[r]',
+                    '\t\t}',
+                    '\t}',
+                    '\treturn result',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'dijkstra',
+                description: 'Dijkstra over an adjacency list of [node, weight]',
+                body: [
+                    'type ${1:distHeap} [][2]int // {distance, node}',
+                    '',
+                    'func (h $1) Len() int            { return len(h) }',
+                    'func (h $1) Less(i, j int) bool  { return h[i][0] < h[j][0] }',
+                    'func (h $1) Swap(i, j int)       { h[i], h[j] = h[j], h[i] }',
+                    'func (h *$1) Push(x interface{}) { *h = append(*h, x.([2]int)) }',
+                    'func (h *$1) Pop() interface{} {',
+                    '\told := *h',
+                    '\tx := old[len(old)-1]',
+                    '\t*h = old[:len(old)-1]',
+                    '\treturn x',
+                    '}',
+                    '',
+                    'func ${2:dijkstra}(graph [][][2]int, source int) []int {',
+                    '\tdist := make([]int, len(graph))',
+                    '\tfor i := range dist {',
+                    '\t\tdist[i] = math.MaxInt64',
+                    '\t}',
+                    '\tdist[source] = 0',
+                    '\th := &$1{{0, source}}',
+                    '\tfor h.Len() > 0 {',
+                    '\t\ttop := heap.Pop(h).([2]int)',
+                    '\t\td, u := top[0], top[1]',
+                    '\t\tif d > dist[u] {',
+                    '\t\t\tcontinue',
+                    '\t\t}',
+                    '\t\tfor _, edge := range graph[u] {',
+                    '\t\t\tif v, w := edge[0], edge[1]; d+w < dist[v] {',
+                    '\t\t\t\tdist[v] = d + w',
+                    '\t\t\t\theap.Push(h, [2]int{dist[v], v})',
+                    '\t\t\t}',
+                    '\t\t}',
+                    '\t}',
+                    '\treturn dist',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'binsearch',
+                description: 'Binary search for the first index where the predicate holds',
+                body: [
+                    '${1:i} := sort.Search(${2:n}, func(${3:mid} int) bool {',
+                    '\treturn ${4:check($3)}',
+                    '})$0',
+                ],
+            },
+            {
+                prefix: 'fastio',
+                description: 'Buffered stdin reader and stdout writer',
+                body: [
+                    '${1:reader} := bufio.NewReader(os.Stdin)',
+                    '${2:writer} := bufio.NewWriter(os.Stdout)',
+                    'defer $2.Flush()$0',
+                ],
+            },
+        ],
+        javascript: [
+            {
+                prefix: 'unionfind',
+                description: 'Union-find with path compression and union by size',
+                body: [
+                    'class ${1:DSU} {',
+                    '    constructor(n) {',
+                    '        this.parent = Array.from({ length: n }, (_, i) => i);',
+                    '        this.size = new Array(n).fill(1);',
+                    '    }',
+                    '',
+                    '    find(x) {',
+                    '        while (this.parent[x] !== x) x = this.parent[x] = this.parent[this.parent[x]];',
+                    '        return x;',
+                    '    }',
+                    '',
+                    '    union(a, b) {',
+                    '        a = this.find(a);',
+                    '        b = this.find(b);',
+                    '        if (a === b) return false;',
+                    '        if (this.size[a] < this.size[b]) [a, b] = [b, a];',
+                    '        this.parent[b] = a;',
+                    '        this.size[a] += this.size[b];',
+                    '        return true;',
+                    '    }',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'segtree',
+                description: 'Segment tree: point update, range sum query',
+                body: [
+                    'class ${1:SegmentTree} {',
+                    '    constructor(n) {',
+                    '        this.n = n;',
+                    '        this.tree = new Array(2 * n).fill(0);',
+                    '    }',
+                    '',
+                    '    update(i, value) {',
+                    '        for (this.tree[i += this.n] = value; i > 1; i >>= 1) this.tree[i >> 1] = this.tree[i] + this.tree[i ^ 1];',
+                    '    }',
+                    '',
+                    '    query(l, r) { // [l, r)',
+                    '        let result = 0;',
+                    '        for (l += this.n, r += this.n; l < r; l >>= 1, r >>= 1) {',
+                    '            if (l & 1) result += this.tree[l++];',
+                    '            if (r & 1) result += this.tree[--r];',
+                    '        }',
+                    '        return result;',
+                    '    }',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'dijkstra',
+                description: 'Dijkstra over an adjacency list of [node, weight] (uses LeetCode\'s MinPriorityQueue)',
+                body: [
+                    'const ${1:dijkstra} = (${2:graph}, ${3:source}) => {',
+                    '    const dist = new Array($2.length).fill(Infinity);',
+                    '    const pq = new MinPriorityQueue({ priority: ([d]) => d });',
+                    '    dist[$3] = 0;',
+                    '    pq.enqueue([0, $3]);',
+                    '    while (!pq.isEmpty()) {',
+                    '        const [d, u] = pq.dequeue().element;',
+                    '        if (d > dist[u]) continue;',
+                    '        for (const [v, w] of $2[u]) {',
+                    '            if (d + w < dist[v]) {',
+                    '                dist[v] = d + w;',
+                    '                pq.enqueue([dist[v], v]);',
+                    '            }',
+                    '        }',
+                    '    }',
+                    '    return dist;',
+                    '};$0',
+                ],
+            },
+            {
+                prefix: 'binsearch',
+                description: 'Binary search for the first index where the predicate holds',
+                body: [
+                    'let ${1:lo} = ${2:0}, ${3:hi} = ${4:n};',
+                    'while ($1 < $3) {',
+                    '    const mid = ($1 + $3) >>> 1;',
+                    '    if (${5:check(mid)}) $3 = mid;',
+                    '    else $1 = mid + 1;',
+                    '}$0',
+                ],
+            },
+            {
+                prefix: 'fastio',
+                description: 'Read all of stdin at once',
+                body: [
+                    'const ${1:lines} = require(\'fs\').readFileSync(0, \'utf8\').split(\'\\n\');',
+                    'let ${2:line} = 0;$0',
+                ],
+            },
+        ],
+    };
+
+    /**
+     * Drops malformed snippets and joins array bodies into strings.
+     * @param {object} raw - Snippets by language ID, as stored or from DEFAULT_SNIPPETS.
+     * @returns {Object<string, Array<{prefix: string, description: string, body: string}>>}
+     */
+    function normalize(raw) {
+        const snippets = {};
+        if (!raw || typeof raw !== 'object') return snippets;
+        for (const [languageId, entries] of Object.entries(raw)) {
+            if (!Array.isArray(entries)) continue;
+            snippets[languageId] = entries
+                .filter(entry => entry && typeof entry.prefix === 'string' && entry.prefix.trim() &&
+                    (typeof entry.body === 'string' || Array.isArray(entry.body)))
+                .map(entry => ({
+                    prefix: entry.prefix.trim(),
+                    description: typeof entry.description === 'string' ? entry.description : '',
+                    body: Array.isArray(entry.body) ? entry.body.join('\n') : entry.body,
+                }));
+        }
+        return snippets;
+    }
+
+    /**
+     * Loads all snippets. Until the user edits snippets, this is the default pack.
+     * @returns {Promise<Object<string, Array<{prefix: string, description: string, body: string}>>>} Snippets by language ID.
+     */
+    async function load() {
+        const result = await chrome.storage.local.get(SNIPPETS_KEY);
+        return normalize(result[SNIPPETS_KEY] ?? DEFAULT_SNIPPETS);
+    }
+
+    /**
+     * Replaces the snippets of one language.
+     * @param {string} languageId - Monaco language ID.
+     * @param {Array<{prefix: string, description: string, body: string}>} entries - The language's snippets.
+     * @returns {Promise<object>} All snippets after the change.
+     */
+    async function saveLanguage(languageId, entries) {
+        const snippets = { ...(await load()), [languageId]: entries };
+        const normalized = normalize(snippets);
+        await chrome.storage.local.set({ [SNIPPETS_KEY]: normalized });
+        return normalized;
+    }
+
+    /**
+     * Replaces all snippets with the default pack.
+     * @returns {Promise<object>} The default snippets.
+     */
+    async function restoreDefaults() {
+        const snippets = normalize(DEFAULT_SNIPPETS);
+        await chrome.storage.local.set({ [SNIPPETS_KEY]: snippets });
+        return snippets;
+    }
+
+    /**
+     * Calls back with all snippets whenever they change.
+     * @param {function(object): void} callback - Receives the normalized snippets by language ID.
+     */
+    function onChanged(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[SNIPPETS_KEY]) {
+                callback(normalize(changes[SNIPPETS_KEY].newValue ?? DEFAULT_SNIPPETS));
+            }
+        });
+    }
+
+    return { DEFAULT_SNIPPETS, normalize, load, saveLanguage, restoreDefaults, onChanged };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeetCodeSnippets;
+}
@@ -0,0 +1,353 @@
+// shared/storage.js
+// Single owner of the chrome.storage key layout for saved code and its snapshot history.
+// Loaded as a plain script by the content script (see manifest.json) and bundled into background.js.
+
+const LeetCodeStorage = (() => {
+    // --- Constants ---
+    const SCHEMA_VERSION = 2;
+    const SCHEMA_VERSION_KEY = 'leetcodeStorageSchemaVersion';
+    const CODE_KEY_PREFIX = `leetcodeCode:v${SCHEMA_VERSION}`;
+    const LEGACY_KEY_PREFIX = 'leetcodeCode-';
+    // Slug-only legacy drafts don't record their language; they are kept under this placeholder
+    // until the first load for that problem adopts them.
+    const UNKNOWN_LANGUAGE = '_unknown';
+    const HISTORY_KEY_PREFIX = `leetcodeHistory:v${SCHEMA_VERSION}`;
+    const HISTORY_SETTINGS_KEY = 'leetcodeHistorySettings';
+    const DEFAULT_HISTORY_SETTINGS = {
+        maxSnapshots: 50, // Per slug + language
+        maxAgeDays: 30,   // 0 keeps snapshots forever
+    };
+    const TESTCASES_KEY_PREFIX = `leetcodeTestcases:v${SCHEMA_VERSION}`;
+    const TESTCASE_TAGS = ['edge', 'large', 'regression'];
+    const MAX_TESTCASES = 200; // Per slug
+    // Characters per testcase input; without unlimitedStorage all of chrome.storage.local shares 10 MB
+    const MAX_TESTCASE_INPUT_LENGTH = 64 * 1024;
+    const REFERENCE_KEY_PREFIX = `leetcodeReference:v${SCHEMA_VERSION}`;
+
+    // --- State ---
+    // The latest queued write per history key (see queueWrite)
+    const pendingWrites = new Map();
+
+    /**
+     * Runs a read-modify-write of one key after the writes already queued for it, so two writes arriving
+     * together (e.g. an idle and a Run snapshot) can't both read the old value and drop each other's change.
+     * @param {string} key - The storage key the task reads and writes.
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The task's result.
+     */
+    function queueWrite(key, task) {
+        const result = (pendingWrites.get(key) || Promise.resolve()).then(task);
+        const settled = result.catch(() => {}); // A failed write doesn't block the next one
+        pendingWrites.set(key, settled);
+        settled.then(() => {
+            if (pendingWrites.get(key) === settled) pendingWrites.delete(key);
+        });
+        return result;
+    }
+
+    /**
+     * Builds the storage key for a problem's saved code in a given language.
+     * @param {string} slug - Problem slug (e.g., "two-sum").
+     * @param {string} language - Monaco language ID (e.g., "cpp").
+     * @returns {string} The storage key.
+     */
+    function codeKey(slug, language) {
+        return `${CODE_KEY_PREFIX}:${slug}:${language}`;
+    }
+
+    /**
+     * Reads the slug out of a pre-v2 `leetcodeCode-<slug>` key. The key doesn't record a language, so the
+     * draft is kept under UNKNOWN_LANGUAGE; the slug is taken whole, since slugs may end in a language
+     * name (e.g. `...-in-c`).
+     * @param {string} key - The storage key.
+     * @returns {{slug: string, language: string} | null} Parsed parts, or null if not a legacy key.
+     */
+    function parseLegacyKey(key) {
+        if (!key.startsWith(LEGACY_KEY_PREFIX)) return null;
+        const rest = key.slice(LEGACY_KEY_PREFIX.length);
+        if (!rest) return null;
+        return { slug: rest, language: UNKNOWN_LANGUAGE };
+    }
+
+    /**
+     * Loads saved code for a problem and language.
+     * Falls back to (and adopts) a migrated legacy draft whose language was unknown.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @returns {Promise<{code: string, updatedAt: number} | null>} The saved entry, or null if none.
+     */
+    async function loadCode(slug, language) {
+        const key = codeKey(slug, language);
+        const unknownKey = codeKey(slug, UNKNOWN_LANGUAGE);
+        const result = await chrome.storage.local.get([key, unknownKey]);
+
+        if (result[key] && typeof result[key].code === 'string') {
+            return result[key];
+        }
+        if (result[unknownKey] && typeof result[unknownKey].code === 'string') {
+            console.log(`[Storage] Adopting legacy draft for slug '${slug}' as language '${language}'.`);
+            await chrome.storage.local.set({ [key]: result[unknownKey] });
+            await chrome.storage.local.remove(unknownKey);
+            return result[unknownKey];
+        }
+        return null;
+    }
+
+    /**
+     * Saves code for a problem and language.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @param {string} code - The code to save.
+     * @returns {Promise<void>}
+     */
+    async function saveCode(slug, language, code) {
+        await chrome.storage.local.set({ [codeKey(slug, language)]: { code, updatedAt: Date.now() } });
+    }
+
+    /**
+     * Builds the storage key for a problem's snapshot history in a given language.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @returns {string} The storage key.
+     */
+    function historyKey(slug, language) {
+        return `${HISTORY_KEY_PREFIX}:${slug}:${language}`;
+    }
+
+    /**
+     * Reads the history retention settings, filling in defaults.
+     * @returns {Promise<{maxSnapshots: number, maxAgeDays: number}>}
+     */
+    async function getHistorySettings() {
+        const result = await chrome.storage.local.get(HISTORY_SETTINGS_KEY);
+        return { ...DEFAULT_HISTORY_SETTINGS, ...(result[HISTORY_SETTINGS_KEY] || {}) };
+    }
+
+    /**
+     * Updates the history retention settings, applying changed limits to the stored histories.
+     * Unknown or invalid fields are ignored.
+     * @param {{maxSnapshots?: number, maxAgeDays?: number}} changes - Settings to change.
+     * @returns {Promise<{maxSnapshots: number, maxAgeDays: number}>} The resulting settings.
+     */
+    async function setHistorySettings(changes) {
+        const previous = await getHistorySettings();
+        const settings = { ...previous };
+        for (const field of Object.keys(DEFAULT_HISTORY_SETTINGS)) {
+            const value = Number(changes?.[field]);
+            if (Number.isInteger(value) && value >= 0) {
+                settings[field] = value;
+            }
+        }
+        settings.maxSnapshots = Math.max(1, settings.maxSnapshots);
+        await chrome.storage.local.set({ [HISTORY_SETTINGS_KEY]: settings });
+        if (settings.maxSnapshots !== previous.maxSnapshots || settings.maxAgeDays !== previous.maxAgeDays) {
+            await applyRetentionToAll(settings);
+        }
+        return settings;
+    }
+
+    /**
+     * Applies the retention settings to every stored history right away, rather than on its next snapshot.
+     * Each key is rewritten through queueWrite, so a snapshot being added meanwhile isn't lost.
+     * @param {{maxSnapshots: number, maxAgeDays: number}} settings - Retention settings.
+     * @returns {Promise<void>}
+     */
+    async function applyRetentionToAll(settings) {
+        const all = await chrome.storage.local.get(null);
+        const keys = Object.keys(all).filter(key => key.startsWith(`${HISTORY_KEY_PREFIX}:`));
+        await Promise.all(keys.map(key => queueWrite(key, async () => {
+            const result = await chrome.storage.local.get(key);
+            const history = Array.isArray(result[key]) ? result[key] : [];
+            const retained = applyRetention(history, settings);
+            if (retained.length === history.length) return;
+            if (retained.length === 0) {
+                await chrome.storage.local.remove(key);
+            } else {
+                await chrome.storage.local.set({ [key]: retained });
+            }
+        })));
+    }
+
+    /**
+     * Drops snapshots beyond the retention limits (oldest first).
+     * @param {Array<{createdAt: number}>} snapshots - Snapshots, newest first.
+     * @param {{maxSnapshots: number, maxAgeDays: number}} settings - Retention settings.
+     * @returns {Array<{createdAt: number}>} The retained snapshots.
+     */
+    function applyRetention(snapshots, settings) {
+        const minCreatedAt = settings.maxAgeDays > 0 ? Date.now() - settings.maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+        return snapshots
+            .filter(snapshot => snapshot.createdAt >= minCreatedAt)
+            .slice(0, settings.maxSnapshots);
+    }
+
+    /**
+     * Loads the snapshot history for a problem and language, newest first.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @returns {Promise<Array<{id: string, code: string, reason: string, createdAt: number}>>}
+     */
+    async function loadHistory(slug, language) {
+        const key = historyKey(slug, language);
+        const result = await chrome.storage.local.get(key);
+        return Array.isArray(result[key]) ? result[key] : [];
+    }
+
+    /**
+     * Records a snapshot, skipping it if the code is identical to the latest one.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @param {string} code - The code to snapshot.
+     * @param {string} reason - What triggered the snapshot (e.g., "idle", "run", "language-switch").
+     * @returns {Promise<boolean>} True if a new snapshot was stored.
+     */
+    function addSnapshot(slug, language, code, reason) {
+        const key = historyKey(slug, language);
+        return queueWrite(key, async () => {
+            const [history, settings] = await Promise.all([loadHistory(slug, language), getHistorySettings()]);
+            if (history.length > 0 && history[0].code === code) {
+                return false;
+            }
+            const createdAt = Date.now();
+            const snapshot = { id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`, code, reason, createdAt };
+            await chrome.storage.local.set({ [key]: applyRetention([snapshot, ...history], settings) });
+            return true;
+        });
+    }
+
+    /**
+     * Builds the storage key for a problem's custom testcases (shared by all languages).
+     * @param {string} slug - Problem slug.
+     * @returns {string} The storage key.
+     */
+    function testcasesKey(slug) {
+        return `${TESTCASES_KEY_PREFIX}:${slug}`;
+    }
+
+    /**
+     * Drops malformed and oversized testcases, and unknown tags.
+     * @param {Array<object>} testcases - Testcases as stored or sent by the page.
+     * @returns {Array<{id: string, name: string, input: string, tags: string[], selected: boolean, updatedAt: number}>}
+     */
+    function normalizeTestcases(testcases) {
+        if (!Array.isArray(testcases)) return [];
+        return testcases
+            .filter(testcase => testcase && typeof testcase.id === 'string' && typeof testcase.input === 'string'
+                && testcase.input.length <= MAX_TESTCASE_INPUT_LENGTH)
+            .slice(0, MAX_TESTCASES)
+            .map(testcase => ({
+                id: testcase.id,
+                name: typeof testcase.name === 'string' ? testcase.name : '',
+                input: testcase.input,
+                tags: Array.isArray(testcase.tags) ? TESTCASE_TAGS.filter(tag => testcase.tags.includes(tag)) : [],
+                selected: testcase.selected === true,
+                updatedAt: Number.isFinite(testcase.updatedAt) ? testcase.updatedAt : Date.now(),
+            }));
+    }
+
+    /**
+     * Loads a problem's custom testcases, in the user's order.
+     * @param {string} slug - Problem slug.
+     * @returns {Promise<Array<object>>} See normalizeTestcases.
+     */
+    async function loadTestcases(slug) {
+        const key = testcasesKey(slug);
+        const result = await chrome.storage.local.get(key);
+        return normalizeTestcases(result[key]);
+    }
+
+    /**
+     * Replaces a problem's custom testcases (removing the key when there are none left).
+     * @param {string} slug - Problem slug.
+     * @param {Array<object>} testcases - The full list, in order.
+     * @returns {Promise<Array<object>>} The stored (normalized) testcases.
+     */
+    async function saveTestcases(slug, testcases) {
+        const normalized = normalizeTestcases(testcases);
+        if (normalized.length === 0) {
+            await chrome.storage.local.remove(testcasesKey(slug));
+        } else {
+            await chrome.storage.local.set({ [testcasesKey(slug)]: normalized });
+        }
+        return normalized;
+    }
+
+    /**
+     * Builds the storage key for a problem's stress-test reference solution in a given language.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @returns {string} The storage key.
+     */
+    function referenceKey(slug, language) {
+        return `${REFERENCE_KEY_PREFIX}:${slug}:${language}`;
+    }
+
+    /**
+     * Loads the reference (brute-force) solution for a problem and language.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @returns {Promise<{code: string, updatedAt: number} | null>} The saved entry, or null if none.
+     */
+    async function loadReference(slug, language) {
+        const key = referenceKey(slug, language);
+        const result = await chrome.storage.local.get(key);
+        return result[key] && typeof result[key].code === 'string' ? result[key] : null;
+    }
+
+    /**
+     * Saves the reference solution for a problem and language.
+     * @param {string} slug - Problem slug.
+     * @param {string} language - Monaco language ID.
+     * @param {string} code - The reference code.
+     * @returns {Promise<void>}
+     */
+    async function saveReference(slug, language, code) {
+        await chrome.storage.local.set({ [referenceKey(slug, language)]: { code, updatedAt: Date.now() } });
+    }
+
+    /**
+     * Migrates pre-v2 keys to the current layout. Safe to call repeatedly.
+     * Existing v2 entries are never overwritten by legacy values.
+     * @returns {Promise<number>} Number of legacy keys migrated.
+     */
+    async function migrate() {
+        const all = await chrome.storage.local.get(null);
+        if (all[SCHEMA_VERSION_KEY] >= SCHEMA_VERSION) {
+            return 0;
+        }
+
+        const toSet = {};
+        const toRemove = [];
+        for (const [key, value] of Object.entries(all)) {
+            const parsed = parseLegacyKey(key);
+            if (!parsed || typeof value !== 'string') continue;
+
+            const newKey = codeKey(parsed.slug, parsed.language);
+            if (!all[newKey] && !toSet[newKey]) {
+                toSet[newKey] = { code: value, updatedAt: Date.now() };
+            }
+            toRemove.push(key);
+        }
+
+        toSet[SCHEMA_VERSION_KEY] = SCHEMA_VERSION;
+        await chrome.storage.local.set(toSet);
+        if (toRemove.length > 0) {
+            await chrome.storage.local.remove(toRemove);
+        }
+        console.log(`[Storage] Migrated ${toRemove.length} legacy key(s) to schema v${SCHEMA_VERSION}.`);
+        return toRemove.length;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        codeKey, loadCode, saveCode,
+        historyKey, loadHistory, addSnapshot, getHistorySettings, setHistorySettings,
+        TESTCASE_TAGS, MAX_TESTCASE_INPUT_LENGTH, testcasesKey, loadTestcases, saveTestcases,
+        referenceKey, loadReference, saveReference,
+        migrate,
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeetCodeStorage;
+}
@@ -0,0 +1,215 @@
+// shared/themes.js
+// Imported VS Code color themes: conversion to monaco.editor.defineTheme data and storage.
+// Loaded as a plain script by the options page and content script, and bundled into background.js.
+
+const LeetCodeThemes = (() => {
+    // --- Constants ---
+    const IMPORTED_THEMES_KEY = 'leetcodeImportedThemes'; // chrome.storage.local (themes exceed sync item quotas)
+    const IMPORTED_THEME_PREFIX = 'vscode-'; // Must match LeetCodePreferences' IMPORTED_THEME_PATTERN
+
+    // TextMate scope prefixes -> Monarch token names used by Monaco's basic languages.
+    // Monaco matches rule tokens by dot-separated prefix, so 'keyword' also colors 'keyword.cpp'.
+    const SCOPE_TO_TOKEN = [
+        ['comment', 'comment'],
+        ['string.regexp', 'regexp'],
+        ['constant.character.escape', 'string.escape'],
+        ['string', 'string'],
+        ['constant.numeric', 'number'],
+        ['constant.language', 'keyword'],
+        ['constant', 'constant'],
+        ['keyword.operator', 'operator'],
+        ['keyword', 'keyword'],
+        ['storage.type', 'keyword'],
+        ['storage', 'keyword'],
+        ['entity.name.type', 'type'],
+        ['entity.name.class', 'type'],
+        ['support.type', 'type'],
+        ['support.class', 'type'],
+        ['entity.name.function', 'function'],
+        ['support.function', 'function'],
+        ['entity.name.tag', 'tag'],
+        ['entity.other.attribute-name', 'attribute.name'],
+        ['variable', 'variable'],
+        ['punctuation', 'delimiter'],
+        ['meta.annotation', 'annotation'],
+    ];
+
+    /**
+     * Parses VS Code's JSON-with-comments theme format (comments and trailing commas allowed).
+     * @param {string} text - File content.
+     * @returns {object} The parsed theme.
+     */
+    function parseJsonc(text) {
+        let result = '';
+        let inString = false;
+        let commaAt = -1; // Position in `result` of a comma that may turn out to be trailing
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                result += char;
+                if (char === '\\') result += text[++i] ?? '';
+                else if (char === '"') inString = false;
+            } else if (char === '/' && text[i + 1] === '/') {
+                while (i < text.length && text[i] !== '\n') i++;
+                result += '\n';
+            } else if (char === '/' && text[i + 1] === '*') {
+                i = text.indexOf('*/', i + 2);
+                if (i === -1) throw new Error('Unterminated comment');
+                i++;
+            } else if (/\s/.test(char)) {
+                result += char;
+            } else {
+                if ((char === '}' || char === ']') && commaAt !== -1) {
+                    result = result.slice(0, commaAt) + result.slice(commaAt + 1);
+                }
+                commaAt = char === ',' ? result.length : -1;
+                if (char === '"') inString = true;
+                result += char;
+            }
+        }
+        return JSON.parse(result);
+    }
+
+    /**
+     * Normalizes a CSS hex color to Monaco's '#RRGGBB' / '#RRGGBBAA' form.
+     * @param {string} color - The color (e.g. '#abc', '#aabbcc80').
+     * @returns {string | null} The normalized color, or null if it isn't a hex color.
+     */
+    function normalizeColor(color) {
+        if (typeof color !== 'string') return null;
+        const match = color.trim().match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+        if (!match) return null;
+        let hex = match[1];
+        if (hex.length <= 4) hex = hex.split('').map(c => c + c).join('');
+        return `#${hex.toLowerCase()}`;
+    }
+
+    function toMonarchToken(scope) {
+        const mapping = SCOPE_TO_TOKEN.find(([prefix]) => scope === prefix || scope.startsWith(`${prefix}.`));
+        return mapping ? mapping[1] : null;
+    }
+
+    function toRule(token, settings) {
+        const rule = { token };
+        const foreground = normalizeColor(settings.foreground);
+        const background = normalizeColor(settings.background);
+        if (foreground) rule.foreground = foreground.slice(1); // Rules use hex without '#'
+        if (background) rule.background = background.slice(1);
+        if (typeof settings.fontStyle === 'string') rule.fontStyle = settings.fontStyle;
+        return Object.keys(rule).length > 1 ? rule : null;
+    }
+
+    function slugify(text) {
+        return String(text).toLowerCase().replace(/\.json$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'theme';
+    }
+
+    /**
+     * Converts a VS Code color theme into a Monaco theme.
+     * @param {string} text - Content of the VS Code theme file.
+     * @param {string} fileName - Name of the file (used when the theme has no name).
+     * @returns {{id: string, label: string, definition: object}} Theme ID, display name and defineTheme data.
+     * @throws {Error} If the file isn't a VS Code color theme.
+     */
+    function convertVSCodeTheme(text, fileName) {
+        const theme = parseJsonc(text);
+        if (!theme || typeof theme !== 'object' || (!theme.colors && !theme.tokenColors)) {
+            throw new Error(`'${fileName}' is not a VS Code color theme (no 'colors' or 'tokenColors').`);
+        }
+        if (typeof theme.tokenColors === 'string') {
+            throw new Error(`'${fileName}' references token colors in another file ('${theme.tokenColors}'). Import a theme with inline 'tokenColors'.`);
+        }
+
+        const type = String(theme.type || '').toLowerCase();
+        const base = type === 'light' ? 'vs' : type === 'hc' || type === 'hc-black' ? 'hc-black' : type === 'hc-light' ? 'hc-light' : 'vs-dark';
+
+        const colors = {};
+        for (const [key, value] of Object.entries(theme.colors || {})) {
+            const color = normalizeColor(value);
+            if (color) colors[key] = color;
+        }
+
+        // Monaco lets later rules for the same token win, so rules derived from more specific scopes
+        // (keyword.control -> keyword) go first and can't override a theme's own 'keyword' rule.
+        const derivedRules = [];
+        const rules = [];
+        for (const entry of Array.isArray(theme.tokenColors) ? theme.tokenColors : []) {
+            if (!entry || typeof entry.settings !== 'object') continue;
+            const scopes = Array.isArray(entry.scope) ? entry.scope
+                : typeof entry.scope === 'string' ? entry.scope.split(',') : [];
+
+            if (scopes.length === 0) {
+                // Scope-less entry: the theme's default foreground/background
+                const rule = toRule('', entry.settings);
+                if (rule) rules.push(rule);
+                if (!colors['editor.foreground'] && rule?.foreground) colors['editor.foreground'] = `#${rule.foreground}`;
+                if (!colors['editor.background'] && rule?.background) colors['editor.background'] = `#${rule.background}`;
+                continue;
+            }
+            for (const scope of scopes.map(s => s.trim()).filter(Boolean)) {
+                // Descendant selectors ('meta.class entity.name') can't be expressed; use the innermost scope
+                const innermost = scope.split(/\s+/).pop();
+                const rule = toRule(innermost, entry.settings);
+                if (!rule) continue;
+                rules.push(rule);
+                const token = toMonarchToken(innermost);
+                if (token && token !== innermost) derivedRules.push({ ...rule, token });
+            }
+        }
+
+        const label = typeof theme.name === 'string' && theme.name.trim() ? theme.name.trim() : fileName.replace(/\.json$/i, '');
+        return {
+            id: `${IMPORTED_THEME_PREFIX}${slugify(label)}`,
+            label,
+            definition: { base, inherit: true, rules: [...derivedRules, ...rules], colors },
+        };
+    }
+
+    /**
+     * Loads all imported themes.
+     * @returns {Promise<Object<string, {label: string, definition: object}>>} Themes by ID.
+     */
+    async function loadImportedThemes() {
+        const result = await chrome.storage.local.get(IMPORTED_THEMES_KEY);
+        return result[IMPORTED_THEMES_KEY] || {};
+    }
+
+    /**
+     * Stores an imported theme, replacing one with the same ID.
+     * @param {{id: string, label: string, definition: object}} theme - A converted theme.
+     * @returns {Promise<void>}
+     */
+    async function saveImportedTheme(theme) {
+        const themes = await loadImportedThemes();
+        themes[theme.id] = { label: theme.label, definition: theme.definition };
+        await chrome.storage.local.set({ [IMPORTED_THEMES_KEY]: themes });
+    }
+
+    /**
+     * Deletes an imported theme.
+     * @param {string} themeId - ID of the theme.
+     * @returns {Promise<void>}
+     */
+    async function removeImportedTheme(themeId) {
+        const themes = await loadImportedThemes();
+        delete themes[themeId];
+        await chrome.storage.local.set({ [IMPORTED_THEMES_KEY]: themes });
+    }
+
+    /**
+     * Calls back whenever a theme is imported, replaced or deleted.
+     * @param {function(Object<string, {label: string, definition: object}>): void} callback - Receives all imported themes.
+     */
+    function onImportedThemesChanged(callback) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes[IMPORTED_THEMES_KEY]) {
+                callback(changes[IMPORTED_THEMES_KEY].newValue || {});
+            }
+        });
+    }
+
+    return { convertVSCodeTheme, loadImportedThemes, saveImportedTheme, removeImportedTheme, onImportedThemesChanged };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LeetCodeThemes;
+}
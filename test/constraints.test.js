@@ -0,0 +1,143 @@
+// test/constraints.test.js
+// Constraint parsing (shared/constraints.js), and testcases generated from the parsed specs
+// (page_scripts/input_generator.js) staying within them.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LeetCodeConstraints = require('../shared/constraints.js');
+
+// The codec and generator are page scripts: they register themselves on `window`
+globalThis.window = globalThis;
+require('../page_scripts/io_codec.js');
+require('../page_scripts/input_generator.js');
+const codec = window.leetCodeMonacoCodec;
+const generator = window.leetCodeMonacoInputGenerator;
+
+const { evaluateNumber, parseConstraintItems } = LeetCodeConstraints;
+
+test('numbers are evaluated as written in constraints', () => {
+    assert.equal(evaluateNumber('10^9'), 1e9);
+    assert.equal(evaluateNumber('-10^4'), -1e4);
+    assert.equal(evaluateNumber('2 * 10^5'), 2e5);
+    assert.equal(evaluateNumber('2^31 - 1'), 2 ** 31 - 1);
+    assert.equal(evaluateNumber('-2^31'), -(2 ** 31));
+    assert.equal(evaluateNumber('nums.length'), null);
+    assert.equal(evaluateNumber('10^'), null);
+});
+
+test('chained comparisons bound every term', () => {
+    const metaData = { params: [{ name: 'nums', type: 'integer[]' }, { name: 'k', type: 'integer' }] };
+    const { specs, unparsed } = parseConstraintItems(['1 <= k <= nums.length <= 10^5', '-10^4 <= nums[i] <= 10^4'], metaData);
+    assert.deepEqual(specs.k, { min: 1, max: { lengthOf: 'nums', offset: 0 } });
+    assert.equal(specs.nums.lengths[0][1], 1e5);
+    assert.equal(specs.nums.min, -1e4);
+    assert.equal(specs.nums.max, 1e4);
+    assert.deepEqual(unparsed, []);
+});
+
+test('chains with a part that is not understood are reported', () => {
+    const metaData = { params: [{ name: 'i', type: 'integer' }, { name: 'j', type: 'integer' }] };
+    const { specs, unparsed } = parseConstraintItems(['0 <= i < j < 10'], metaData);
+    assert.equal(specs.i.min, 0);
+    assert.deepEqual(unparsed, ['0 <= i < j < 10']);
+});
+
+test('named lengths apply to the array they name', () => {
+    const metaData = { params: [{ name: 'grid', type: 'character[][]' }] };
+    const { specs, unparsed } = parseConstraintItems(
+        ['m == grid.length', 'n == grid[i].length', '1 <= m, n <= 300', "grid[i][j] is '0' or '1'"], metaData);
+    assert.deepEqual(specs.grid.lengths, [[1, 300], [1, 300]]);
+    assert.equal(specs.grid.charset, '01');
+    assert.deepEqual(unparsed, []);
+});
+
+test('a parameter equal to a length keeps that equality', () => {
+    const metaData = { params: [{ name: 'nums', type: 'integer[]' }, { name: 'n', type: 'integer' }] };
+    const { specs } = parseConstraintItems(['nums.length == n', '1 <= n <= 100'], metaData);
+    assert.deepEqual(specs.n, { min: { lengthOf: 'nums', offset: 0 }, max: { lengthOf: 'nums', offset: 0 } });
+    assert.deepEqual(specs.nums.lengths, [[1, 100]]);
+});
+
+test('integer limits and strict bounds', () => {
+    const metaData = { params: [{ name: 'x', type: 'integer' }, { name: 'nums', type: 'integer[]' }, { name: 'i', type: 'integer' }] };
+    const { specs } = parseConstraintItems(['-2^31 <= x <= 2^31 - 1', '0 <= i < nums.length'], metaData);
+    assert.deepEqual(specs.x, { min: -(2 ** 31), max: 2 ** 31 - 1 });
+    assert.deepEqual(specs.i, { min: 0, max: { lengthOf: 'nums', offset: -1 } });
+});
+
+test('node counts and values apply to tree and list parameters', () => {
+    const metaData = { params: [{ name: 'root', type: 'TreeNode' }] };
+    const { specs, unparsed } = parseConstraintItems([
+        'The number of nodes in the tree is in the range [0, 10^4]',
+        '-100 <= Node.val <= 100',
+        'All the values of the tree are unique',
+    ], metaData);
+    assert.deepEqual(specs.root, { lengths: [[0, 1e4]], min: -100, max: 100, unique: true });
+    assert.deepEqual(unparsed, []);
+});
+
+test('charset, sorted and unique phrases', () => {
+    const metaData = { params: [{ name: 's', type: 'string' }, { name: 'nums', type: 'integer[]' }] };
+    const { specs, unparsed } = parseConstraintItems([
+        's consists of lowercase English letters and digits',
+        'nums is sorted in non-decreasing order',
+        'All the integers of nums are unique',
+        'Only one valid answer exists',
+    ], metaData);
+    assert.equal(specs.s.charset, 'abcdefghijklmnopqrstuvwxyz0123456789');
+    assert.equal(specs.nums.sorted, true);
+    assert.equal(specs.nums.unique, true);
+    assert.deepEqual(unparsed, ['Only one valid answer exists']);
+});
+
+test('design problems get their call limit', () => {
+    const metaData = {
+        classname: 'LRUCache',
+        constructor: { params: [{ name: 'capacity', type: 'integer' }] },
+        methods: [{ name: 'get', params: [{ name: 'key', type: 'integer' }] }],
+        systemdesign: true,
+    };
+    const { specs, calls } = parseConstraintItems(['1 <= capacity <= 3000', 'At most 2 * 10^5 calls will be made to get and put'], metaData);
+    assert.deepEqual(specs.capacity, { min: 1, max: 3000 });
+    assert.equal(calls, 2e5);
+});
+
+test('generated testcases stay within the parsed constraints', () => {
+    const metaData = {
+        params: [
+            { name: 'nums', type: 'integer[]' },
+            { name: 'k', type: 'integer' },
+            { name: 'grid', type: 'character[][]' },
+            { name: 's', type: 'string' },
+        ],
+    };
+    const { specs } = parseConstraintItems([
+        '1 <= k <= nums.length <= 50',
+        '-10^4 <= nums[i] <= 10^4',
+        'nums is sorted in ascending order',
+        'All the integers of nums are unique',
+        'm == grid.length',
+        'n == grid[i].length',
+        '2 <= m, n <= 6',
+        "grid[i][j] is 'X' or 'O'",
+        '1 <= s.length <= 20',
+        's consists of lowercase English letters',
+    ], metaData);
+    const random = generator.createRandom(42);
+    for (const mode of generator.MODES) {
+        for (let run = 0; run < 50; run++) {
+            const lines = generator.generateCase(metaData, { random, specs, mode });
+            assert.equal(codec.checkCase(lines, metaData), null);
+            const [nums, k, grid, s] = lines.map(codec.parseLine);
+            assert.ok(nums.length >= 1 && nums.length <= 50, `nums.length ${nums.length}`);
+            assert.ok(nums.every(value => value >= -1e4 && value <= 1e4));
+            assert.deepEqual(nums, [...nums].sort((a, b) => a - b));
+            assert.equal(new Set(nums).size, nums.length);
+            assert.ok(k >= 1 && k <= nums.length, `k ${k} with nums.length ${nums.length}`);
+            assert.ok(grid.length >= 2 && grid.length <= 6 && grid.every(row => row.length === grid[0].length));
+            assert.ok(grid[0].length >= 2 && grid[0].length <= 6);
+            assert.ok(grid.flat().every(cell => cell === 'X' || cell === 'O'));
+            assert.ok(s.length >= 1 && s.length <= 20 && /^[a-z]+$/.test(s));
+        }
+    }
+});
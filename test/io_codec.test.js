@@ -0,0 +1,85 @@
+// test/io_codec.test.js
+// Round trips and validation for the testcase codec in page_scripts/io_codec.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The codec is a page script: it registers itself on `window`
+globalThis.window = globalThis;
+require('../page_scripts/io_codec.js');
+const codec = window.leetCodeMonacoCodec;
+
+function roundTrip(line, type) {
+    return codec.formatValue(codec.encode(codec.decode(codec.parseLine(line), type), type));
+}
+
+test('TreeNode round trips in level order', () => {
+    assert.equal(roundTrip('[1,null,2,3]', 'TreeNode'), '[1,null,2,3]');
+    assert.equal(roundTrip('[3,9,20,null,null,15,7]', 'TreeNode'), '[3,9,20,null,null,15,7]');
+    assert.equal(roundTrip('[]', 'TreeNode'), '[]');
+});
+
+test('TreeNode drops trailing nulls', () => {
+    assert.equal(roundTrip('[1,2,null,null,null]', 'TreeNode'), '[1,2]');
+});
+
+test('TreeNode decodes into linked nodes', () => {
+    const root = codec.decode([1, null, 2, 3], 'TreeNode');
+    assert.ok(root instanceof codec.TreeNode);
+    assert.equal(root.left, null);
+    assert.equal(root.right.val, 2);
+    assert.equal(root.right.left.val, 3);
+    assert.equal(codec.decode([], 'TreeNode'), null);
+});
+
+test('ListNode round trips', () => {
+    assert.equal(roundTrip('[1,2,3]', 'ListNode'), '[1,2,3]');
+    assert.equal(roundTrip('[]', 'ListNode'), '[]');
+    const head = codec.decode([4, 5], 'ListNode');
+    assert.ok(head instanceof codec.ListNode);
+    assert.equal(head.next.val, 5);
+    assert.equal(head.next.next, null);
+});
+
+test('nested arrays round trip', () => {
+    assert.equal(roundTrip('[[1,2],[],[3]]', 'list<list<integer>>'), '[[1,2],[],[3]]');
+    assert.equal(roundTrip('[["a","b"],["c"]]', 'character[][]'), '[["a","b"],["c"]]');
+});
+
+test('arrays of lists decode each element', () => {
+    const lists = codec.decode([[1, 4], [], [2]], 'ListNode[]');
+    assert.ok(lists[0] instanceof codec.ListNode);
+    assert.equal(lists[1], null);
+    assert.equal(roundTrip('[[1,4],[],[2]]', 'ListNode[]'), '[[1,4],[],[2]]');
+});
+
+test('design call sequences decode and format back', () => {
+    const metaData = {
+        classname: 'LRUCache',
+        constructor: { params: [{ name: 'capacity', type: 'integer' }] },
+        methods: [
+            { name: 'put', params: [{ name: 'key', type: 'integer' }, { name: 'value', type: 'integer' }], return: { type: 'void' } },
+            { name: 'get', params: [{ name: 'key', type: 'integer' }], return: { type: 'integer' } },
+        ],
+        systemdesign: true,
+    };
+    const lines = ['["LRUCache","put","get"]', '[[2],[1,1],[1]]'];
+    const calls = codec.decodeCalls(lines, metaData);
+    assert.deepEqual(calls, [
+        { name: 'LRUCache', args: [2], returnType: undefined },
+        { name: 'put', args: [1, 1], returnType: 'void' },
+        { name: 'get', args: [1], returnType: 'integer' },
+    ]);
+    assert.deepEqual(codec.formatCalls(calls), lines);
+    assert.equal(codec.checkCase(lines, metaData), null);
+    assert.throws(() => codec.decodeCalls(['["LRUCache","get"]', '[[2]]'], metaData), /same length/);
+});
+
+test('checkCase reports what is wrong with a testcase', () => {
+    const metaData = { params: [{ name: 'nums', type: 'integer[]' }, { name: 'target', type: 'integer' }] };
+    assert.equal(codec.checkCase(['[2,7,11,15]', '9'], metaData), null);
+    assert.equal(codec.checkCase(['[2,7,11,15]'], metaData), 'expected 2 line(s), got 1');
+    assert.equal(codec.checkCase(['[2,"7"]', '9'], metaData), 'nums[1]: expected integer, got "7"');
+    assert.equal(codec.checkCase(['[2,7]', '9.5'], metaData), 'target: expected integer, got 9.5');
+    assert.match(codec.checkCase(['[2,7', '9'], metaData), /^Not a valid value/);
+});
@@ -0,0 +1,76 @@
+// typings/datastructures-js.d.ts
+// Globals from the @datastructures-js packages that LeetCode's JavaScript/TypeScript runtime preloads:
+// priority-queue (5.x), queue (4.x) and deque (1.x).
+
+/** An element with its priority, as returned by priority queues built with a `priority` callback. */
+interface PriorityQueueItem<T> {
+    priority: number;
+    element: T;
+}
+
+interface PriorityQueueOptions<T> {
+    /** Computes an element's priority (results are returned as `{ priority, element }`). */
+    priority?: (element: T) => number;
+    /** Compares two elements (results are the elements themselves). */
+    compare?: (a: T, b: T) => number;
+}
+
+/**
+ * Priority queue ordered by `options.priority` or `options.compare`.
+ * With a `compare` function, `front`, `back`, `dequeue` and `toArray` return elements instead of items.
+ */
+declare class PriorityQueue<T = any> {
+    constructor(options?: PriorityQueueOptions<T>);
+    size(): number;
+    isEmpty(): boolean;
+    /** The element with the highest priority, without removing it. */
+    front(): PriorityQueueItem<T>;
+    /** The element with the lowest priority, without removing it. */
+    back(): PriorityQueueItem<T>;
+    /** Adds an element, with an explicit priority when no `priority` callback was given. */
+    enqueue(element: T, priority?: number): this;
+    /** Removes and returns the element with the highest priority. */
+    dequeue(): PriorityQueueItem<T>;
+    toArray(): PriorityQueueItem<T>[];
+    clear(): void;
+}
+
+/** Priority queue that dequeues the smallest priority first. */
+declare class MinPriorityQueue<T = any> extends PriorityQueue<T> {}
+
+/** Priority queue that dequeues the largest priority first. */
+declare class MaxPriorityQueue<T = any> extends PriorityQueue<T> {}
+
+/** FIFO queue with O(1) enqueue and dequeue. */
+declare class Queue<T = any> {
+    constructor(elements?: T[]);
+    static fromArray<T>(elements: T[]): Queue<T>;
+    enqueue(element: T): this;
+    push(element: T): this;
+    dequeue(): T;
+    pop(): T;
+    front(): T;
+    back(): T;
+    size(): number;
+    isEmpty(): boolean;
+    toArray(): T[];
+    clone(): Queue<T>;
+    clear(): void;
+}
+
+/** Double-ended queue with O(1) operations at both ends. */
+declare class Deque<T = any> {
+    constructor(elements?: T[]);
+    static fromArray<T>(elements: T[]): Deque<T>;
+    pushFront(element: T): this;
+    pushBack(element: T): this;
+    popFront(): T;
+    popBack(): T;
+    front(): T;
+    back(): T;
+    size(): number;
+    isEmpty(): boolean;
+    toArray(): T[];
+    clone(): Deque<T>;
+    clear(): void;
+}
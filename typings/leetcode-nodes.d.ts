@@ -0,0 +1,49 @@
+// typings/leetcode-nodes.d.ts
+// Node classes that LeetCode's JavaScript/TypeScript runtime defines globally
+// (the "Definition for ..." comments at the top of starter code).
+
+/** Singly-linked list node. */
+declare class ListNode {
+    val: number;
+    next: ListNode | null;
+    constructor(val?: number, next?: ListNode | null);
+}
+
+/** Binary tree node. */
+declare class TreeNode {
+    val: number;
+    left: TreeNode | null;
+    right: TreeNode | null;
+    constructor(val?: number, left?: TreeNode | null, right?: TreeNode | null);
+}
+
+/**
+ * Problem-specific node (graph, N-ary tree, random-pointer list, quad tree, ...).
+ * Which fields exist depends on the problem; see the definition comment in the starter code.
+ */
+declare class _Node {
+    val: any;
+    /** Next pointer (populating next right pointers, flatten multilevel list). */
+    next?: _Node | null;
+    /** Previous pointer (doubly-linked lists). */
+    prev?: _Node | null;
+    /** Child list (flatten multilevel doubly-linked list). */
+    child?: _Node | null;
+    /** Random pointer (copy list with random pointer). */
+    random?: _Node | null;
+    left?: _Node | null;
+    right?: _Node | null;
+    /** Parent pointer (lowest common ancestor III, inorder successor II). */
+    parent?: _Node | null;
+    /** Children of an N-ary tree node. */
+    children?: _Node[];
+    /** Adjacent nodes of a graph node (clone graph). */
+    neighbors?: _Node[];
+    /** Quad tree fields (construct quad tree). */
+    isLeaf?: boolean;
+    topLeft?: _Node | null;
+    topRight?: _Node | null;
+    bottomLeft?: _Node | null;
+    bottomRight?: _Node | null;
+    constructor(val?: any, ...fields: any[]);
+}
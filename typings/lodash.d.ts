@@ -0,0 +1,79 @@
+// typings/lodash.d.ts
+// The lodash global (`_`) that LeetCode's JavaScript/TypeScript runtime preloads. Declares the
+// functions that come up in solutions; anything else is still accepted, typed as `any`.
+
+declare namespace _ {
+    type Iteratee<T, R> = ((value: T, index: number) => R) | string;
+
+    interface LoDashStatic {
+        // Arrays
+        chunk<T>(array: T[], size?: number): T[][];
+        compact<T>(array: (T | null | undefined | false | 0 | '')[]): T[];
+        difference<T>(array: T[], ...values: T[][]): T[];
+        drop<T>(array: T[], n?: number): T[];
+        dropRight<T>(array: T[], n?: number): T[];
+        fill<T>(array: any[], value: T, start?: number, end?: number): T[];
+        findIndex<T>(array: T[], predicate: Iteratee<T, boolean>, fromIndex?: number): number;
+        findLastIndex<T>(array: T[], predicate: Iteratee<T, boolean>, fromIndex?: number): number;
+        first<T>(array: T[]): T | undefined;
+        flatten<T>(array: (T | T[])[]): T[];
+        flattenDeep(array: any[]): any[];
+        head<T>(array: T[]): T | undefined;
+        intersection<T>(...arrays: T[][]): T[];
+        last<T>(array: T[]): T | undefined;
+        sortedIndex<T>(array: T[], value: T): number;
+        sortedLastIndex<T>(array: T[], value: T): number;
+        sortedUniq<T>(array: T[]): T[];
+        take<T>(array: T[], n?: number): T[];
+        takeRight<T>(array: T[], n?: number): T[];
+        union<T>(...arrays: T[][]): T[];
+        uniq<T>(array: T[]): T[];
+        uniqBy<T>(array: T[], iteratee: Iteratee<T, unknown>): T[];
+        without<T>(array: T[], ...values: T[]): T[];
+        zip<T>(...arrays: T[][]): T[][];
+
+        // Collections
+        countBy<T>(collection: T[], iteratee?: Iteratee<T, unknown>): Record<string, number>;
+        groupBy<T>(collection: T[], iteratee?: Iteratee<T, unknown>): Record<string, T[]>;
+        keyBy<T>(collection: T[], iteratee?: Iteratee<T, unknown>): Record<string, T>;
+        orderBy<T>(collection: T[], iteratees?: Iteratee<T, unknown>[], orders?: ('asc' | 'desc')[]): T[];
+        partition<T>(collection: T[], predicate: Iteratee<T, boolean>): [T[], T[]];
+        sample<T>(collection: T[]): T | undefined;
+        shuffle<T>(collection: T[]): T[];
+        sortBy<T>(collection: T[], ...iteratees: Iteratee<T, unknown>[]): T[];
+
+        // Math
+        max<T>(array: T[]): T | undefined;
+        maxBy<T>(array: T[], iteratee: Iteratee<T, unknown>): T | undefined;
+        mean(array: number[]): number;
+        min<T>(array: T[]): T | undefined;
+        minBy<T>(array: T[], iteratee: Iteratee<T, unknown>): T | undefined;
+        sum(array: number[]): number;
+        sumBy<T>(array: T[], iteratee: Iteratee<T, number>): number;
+
+        // Numbers
+        clamp(number: number, lower: number, upper: number): number;
+        inRange(number: number, start: number, end?: number): boolean;
+        random(lower?: number, upper?: number, floating?: boolean): number;
+
+        // Lang
+        cloneDeep<T>(value: T): T;
+        isEqual(value: any, other: any): boolean;
+
+        // Functions
+        memoize<F extends (...args: any[]) => any>(func: F, resolver?: (...args: Parameters<F>) => any): F;
+
+        // Utilities
+        range(start: number, end?: number, step?: number): number[];
+        times<R>(n: number, iteratee: (index: number) => R): R[];
+
+        // Strings
+        padEnd(string: string, length: number, chars?: string): string;
+        padStart(string: string, length: number, chars?: string): string;
+        repeat(string: string, n: number): string;
+
+        [method: string]: any;
+    }
+}
+
+declare const _: _.LoDashStatic;
@@ -44,6 +44,12 @@ module.exports = {
             filename: 'fonts/[name][ext]'
         }
       },
+      // The formatters' default `new URL('*.wasm', import.meta.url)` is never used (background.js passes the
+      // vendor/ copies below), so don't emit the binaries a second time
+      {
+        test: /[\\/]node_modules[\\/]@wasm-fmt[\\/]/,
+        parser: { url: false },
+      },
     ],
   },
 
@@ -105,6 +111,35 @@ module.exports = {
         // Copy other static assets directly
         { from: 'icons', to: 'icons' },             // Copy 'icons' folder
         { from: 'content_scripts', to: 'content_scripts' }, // Copy 'content_scripts' folder
+        { from: 'shared', to: 'shared' },                   // Copy 'shared' folder (also loaded by content scripts)
+        { from: 'page_scripts', to: 'page_scripts' },       // Copy 'page_scripts' folder (injected into the page's MAIN world)
+        { from: 'options', to: 'options' },                 // Copy 'options' folder (extension options page)
+        { from: 'typings', to: 'typings' },                 // Copy 'typings' folder (.d.ts for LeetCode's JS/TS globals)
+        { from: 'library_data', to: 'library_data' },       // Copy 'library_data' folder (offline STL/java.util/Python/Go docs)
+        // Vendored keymap libraries (UMD builds that bind to the page's window.monaco)
+        { from: 'node_modules/monaco-vim/dist/monaco-vim.umd.js', to: 'vendor/monaco-vim.umd.js' },
+        { from: 'node_modules/monaco-emacs/dist/monaco-emacs.js', to: 'vendor/monaco-emacs.js' },
+        // Python language server (basedpyright's browser build, with typeshed bundled); already minified
+        { from: 'node_modules/browser-basedpyright/dist/pyright.worker.js', to: 'workers/pyright.worker.js', info: { minimized: true } },
+        // tree-sitter runtime and the grammars for LeetCode's languages (syntax-error diagnostics)
+        { from: 'node_modules/web-tree-sitter/tree-sitter.wasm', to: 'vendor/tree-sitter.wasm' },
+        {
+          from: 'node_modules/tree-sitter-wasms/out/tree-sitter-{python,java,cpp,c,c_sharp,javascript,typescript,php,swift,kotlin,dart,go,ruby,scala,rust}.wasm',
+          to: 'grammars/[name][ext]',
+        },
+        // Formatters for Python (Ruff) and C/C++/Java (clang-format); Prettier is bundled into background.js
+        { from: 'node_modules/@wasm-fmt/ruff_fmt/ruff_fmt_bg.wasm', to: 'vendor/ruff_fmt.wasm' },
+        { from: 'node_modules/@wasm-fmt/clang-format/clang-format.wasm', to: 'vendor/clang-format.wasm' },
+        // Python runtime for running solutions locally (Pyodide core, loaded by page_scripts/python_runner.js)
+        {
+          from: 'node_modules/pyodide/{pyodide.js,pyodide.asm.js}',
+          to: 'vendor/pyodide/[name][ext]',
+          info: { minimized: true },
+        },
+        {
+          from: 'node_modules/pyodide/{pyodide.asm.wasm,python_stdlib.zip,pyodide-lock.json}',
+          to: 'vendor/pyodide/[name][ext]',
+        },
         // Add more patterns here if you have other static assets (HTML files, images, etc.)
         // { from: 'popup/popup.html', to: 'popup/popup.html' },
       ],
@@ -115,6 +150,8 @@ module.exports = {
   resolve: {
     // Allow importing modules without specifying these extensions
     extensions: ['.js'],
+    // web-tree-sitter only touches these Node built-ins when it runs under Node
+    fallback: { fs: false, 'fs/promises': false, path: false, module: false, url: false },
     // Add aliases here if needed (e.g., for simplifying import paths)
     // alias: { Utils: path.resolve(__dirname, 'src/utils/') }
   },